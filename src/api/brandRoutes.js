@@ -0,0 +1,81 @@
+// src/api/brandRoutes.js
+// 번개장터 브랜드 디렉터리 조회 및 영문 표시 이름 관리 API.
+// 표시 이름은 Shopify 공급업체(vendor)와 브랜드 태그에 사용되며, 다음 카탈로그 동기화 때 상품에 반영됩니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const bunjangBrandService = require('../services/bunjangBrandService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const brandIdParam = param('brandId').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('유효하지 않은 brandId입니다.');
+
+/**
+ * GET /api/brands
+ * Query: search (한글/영문/표시 이름), customizedOnly, includeInactive, page, limit
+ */
+router.get(
+  '/',
+  [
+    query('search').optional().isString().trim().isLength({ max: 100 }),
+    query('customizedOnly').optional().isBoolean().toBoolean(),
+    query('includeInactive').optional().isBoolean().toBoolean(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { search, customizedOnly, includeInactive, page = 1, limit = 100 } = req.query;
+    const result = await bunjangBrandService.listBrands({ search, customizedOnly, includeInactive, page, limit });
+    res.status(200).json({
+      brands: result.brands,
+      pagination: { total: result.total, page: result.page, limit: result.limit, totalPages: Math.ceil(result.total / result.limit) },
+    });
+  }
+);
+
+/**
+ * POST /api/brands/sync
+ * 번개장터 브랜드 API에서 브랜드 디렉터리를 바로 갱신합니다. (매일 예약 작업으로도 실행됨)
+ */
+router.post('/sync', async (req, res) => {
+  const summary = await bunjangBrandService.syncBunjangBrandDirectory('api_manual');
+  res.status(200).json({ message: '번개장터 브랜드 디렉터리가 동기화되었습니다.', summary });
+});
+
+/**
+ * GET /api/brands/:brandId
+ */
+router.get(
+  '/:brandId',
+  [brandIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const brand = await bunjangBrandService.getBrand(req.params.brandId);
+    res.status(200).json({ brand });
+  }
+);
+
+/**
+ * PATCH /api/brands/:brandId
+ * Body 예: { "displayName": "Nike", "updatedBy": "ops" } (displayName이 없거나 null이면 번개장터 이름으로 되돌림)
+ */
+router.patch(
+  '/:brandId',
+  [
+    brandIdParam,
+    body('displayName').optional({ values: 'null' }).isString().trim().notEmpty().isLength({ max: 255 }).withMessage('displayName은 1~255자 문자열이어야 합니다.'),
+    body('updatedBy').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const brand = await bunjangBrandService.updateBrandDisplayName(req.params.brandId, {
+      displayName: req.body.displayName || null,
+      updatedBy: req.body.updatedBy,
+    });
+    res.status(200).json({ message: '브랜드 표시 이름이 수정되었습니다. 다음 카탈로그 동기화 때 상품에 반영됩니다.', brand });
+  }
+);
+
+module.exports = router;
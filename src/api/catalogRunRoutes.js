@@ -0,0 +1,91 @@
+// src/api/catalogRunRoutes.js
+// 카탈로그 처리 작업의 실행 이력(CatalogRun) 조회 API. 실행 요약, 기간별 통계, 실행에서 반영/오류가 난 상품 내역을 제공합니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+const catalogRunService = require('../services/catalogRunService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const runIdParam = param('runId').isMongoId().withMessage('유효하지 않은 runId입니다.');
+
+/**
+ * GET /api/catalog-runs
+ * Query: catalogType, status, triggeredBy, jobId, includeDryRuns, from, to (ISO 8601), page, limit
+ * 예: 지난밤 전체 동기화 → /api/catalog-runs?catalogType=full&limit=1
+ */
+router.get(
+  '/',
+  [
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage("catalogType은 'full' 또는 'segment'여야 합니다."),
+    query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED']).withMessage('유효하지 않은 status 값입니다.'),
+    query('triggeredBy').optional().isString().trim().notEmpty(),
+    query('jobId').optional().isString().trim().notEmpty(),
+    query('includeDryRuns').optional().isBoolean().toBoolean(),
+    query('from').optional().isISO8601().withMessage('from은 ISO 8601 날짜여야 합니다.').toDate(),
+    query('to').optional().isISO8601().withMessage('to는 ISO 8601 날짜여야 합니다.').toDate(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { catalogType, status, triggeredBy, jobId, includeDryRuns, from, to, page = 1, limit = 50 } = req.query;
+    const result = await catalogRunService.listCatalogRuns({ catalogType, status, triggeredBy, jobId, includeDryRuns, from, to, page, limit });
+    res.status(200).json({
+      runs: result.runs,
+      pagination: { total: result.total, page: result.page, limit: result.limit, totalPages: Math.ceil(result.total / result.limit) },
+    });
+  }
+);
+
+/**
+ * GET /api/catalog-runs/stats?days=30
+ * 기간 내 실행 수, 성공/실패, 평균 처리 시간, 상품 결과 합계를 카탈로그 타입별로 집계합니다.
+ */
+router.get(
+  '/stats',
+  [query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days는 1~365 사이의 정수여야 합니다.').toInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    const stats = await catalogRunService.getCatalogRunStats({ days: req.query.days || 30 });
+    res.status(200).json(stats);
+  }
+);
+
+/**
+ * GET /api/catalog-runs/:runId
+ * 실행 요약 (행 수, 결과별 수, 오류 예시, 처리 요약 원본).
+ */
+router.get(
+  '/:runId',
+  [runIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const run = await catalogRunService.getCatalogRun(req.params.runId);
+    res.status(200).json({ run });
+  }
+);
+
+/**
+ * GET /api/catalog-runs/:runId/products?action=ERROR&page=1&limit=100
+ * 실행에서 생성/수정/내리기했거나 오류가 난 상품 내역. (변경 없음/필터 제외 상품은 실행 요약의 counts에만 집계)
+ */
+router.get(
+  '/:runId/products',
+  [
+    runIdParam,
+    query('action').optional().isIn(['CREATE', 'UPDATE', 'ARCHIVE', 'ERROR']).withMessage('유효하지 않은 action 값입니다.'),
+    query('bunjangPid').optional().isString().trim().notEmpty(),
+    query('page').optional().isInt({ min: 1 }).withMessage('page는 1 이상의 정수여야 합니다.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit은 1~1000 사이의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { action, bunjangPid, page, limit } = req.query;
+    const result = await catalogRunService.getCatalogRunItems(req.params.runId, { action, bunjangPid, page, limit });
+    res.status(200).json(result);
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+// src/api/categoryRoutes.js
+// 번개장터 카테고리 트리 조회 및 카테고리별 Shopify 매핑(상품 유형, 택소노미 카테고리, 태그, 컬렉션) 관리 API.
+// 매핑은 하위 카테고리로 상속되며, 매핑을 수정하면 이미 동기화된 상품의 태그/컬렉션을 다시 적용하는 작업이 큐에 추가됩니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const bunjangCategoryService = require('../services/bunjangCategoryService');
+const taggingRuleService = require('../services/taggingRuleService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const categoryIdParam = param('categoryId').isString().trim().matches(/^\d+$/).withMessage('유효하지 않은 categoryId입니다.');
+
+/**
+ * GET /api/categories
+ * Query: parentId ('root'이면 최상위), search (한글/영문 이름), mappedOnly, includeInactive
+ */
+router.get(
+  '/',
+  [
+    query('parentId').optional().isString().trim().notEmpty(),
+    query('search').optional().isString().trim().isLength({ max: 100 }),
+    query('mappedOnly').optional().isBoolean().toBoolean(),
+    query('includeInactive').optional().isBoolean().toBoolean(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { parentId, search, mappedOnly, includeInactive } = req.query;
+    const categories = await bunjangCategoryService.listCategories({ parentId, search, mappedOnly, includeInactive });
+    res.status(200).json({ count: categories.length, categories });
+  }
+);
+
+/**
+ * GET /api/categories/tree
+ * 활성 카테고리 전체를 중첩 트리(children)로 조회합니다.
+ */
+router.get('/tree', async (req, res) => {
+  const tree = await bunjangCategoryService.getCategoryTree();
+  res.status(200).json({ tree });
+});
+
+/**
+ * POST /api/categories/sync
+ * 번개장터 카테고리 API에서 카테고리 트리를 바로 갱신합니다. (매일 예약 작업으로도 실행됨)
+ */
+router.post('/sync', async (req, res) => {
+  const summary = await bunjangCategoryService.syncBunjangCategoryTree('api_manual');
+  res.status(200).json({ message: '번개장터 카테고리 트리가 동기화되었습니다.', summary });
+});
+
+/**
+ * GET /api/categories/:categoryId
+ * 카테고리, 상위 카테고리 목록, 상속을 반영한 최종 매핑(resolvedMapping)과 검토 정책(resolvedReviewPolicy)을 조회합니다.
+ */
+router.get(
+  '/:categoryId',
+  [categoryIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const result = await bunjangCategoryService.getCategory(req.params.categoryId);
+    res.status(200).json(result);
+  }
+);
+
+/**
+ * PUT /api/categories/:categoryId/mapping
+ * Body 예: { "shopifyProductType": "Photocards", "shopifyTaxonomyCategoryGid": "gid://shopify/TaxonomyCategory/ae-2-1", "tags": ["K-Pop"], "collectionGids": ["gid://shopify/Collection/123"] }
+ * 기존 매핑 전체가 교체됩니다. 지정하지 않은 항목은 상위 카테고리의 매핑을 물려받습니다.
+ */
+router.put(
+  '/:categoryId/mapping',
+  [
+    categoryIdParam,
+    body('shopifyProductType').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).withMessage('shopifyProductType은 255자 이하 문자열이어야 합니다.'),
+    body('shopifyTaxonomyCategoryGid').optional({ values: 'null' }).isString().trim(),
+    body('tags').optional().isArray().withMessage('tags는 배열이어야 합니다.'),
+    body('tags.*').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('태그는 1~255자 문자열이어야 합니다.'),
+    body('collectionGids').optional().isArray().withMessage('collectionGids는 배열이어야 합니다.'),
+    body('collectionGids.*').isString().trim().notEmpty().withMessage('컬렉션 GID는 빈 문자열일 수 없습니다.'),
+    body('updatedBy').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { shopifyProductType, shopifyTaxonomyCategoryGid, tags, collectionGids, updatedBy } = req.body;
+    const category = await bunjangCategoryService.updateCategoryMapping(req.params.categoryId, {
+      shopifyProductType, shopifyTaxonomyCategoryGid, tags, collectionGids, updatedBy,
+    });
+    const reapplyJobId = await taggingRuleService.scheduleTaggingReapply(`category_mapping_updated:${category.categoryId}`);
+    res.status(200).json({ message: '카테고리 매핑이 수정되었습니다.', category, reapplyJobId });
+  }
+);
+
+/**
+ * DELETE /api/categories/:categoryId/mapping
+ * 카테고리의 매핑을 삭제합니다. 이후에는 상위 카테고리의 매핑을 물려받습니다.
+ */
+router.delete(
+  '/:categoryId/mapping',
+  [categoryIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const category = await bunjangCategoryService.clearCategoryMapping(req.params.categoryId);
+    const reapplyJobId = await taggingRuleService.scheduleTaggingReapply(`category_mapping_cleared:${category.categoryId}`);
+    res.status(200).json({ message: '카테고리 매핑이 삭제되었습니다.', category, reapplyJobId });
+  }
+);
+
+/**
+ * PUT /api/categories/:categoryId/review-policy
+ * Body 예: { "autoApprove": true, "maxAutoApprovePriceKrw": 300000, "updatedBy": "ops" }
+ * 게시 전 검토 모드(BUNJANG_REVIEW_ENABLED)에서 이 카테고리(하위 포함)의 새 상품을 자동 승인할지 정합니다.
+ * autoApprove가 false이거나 가격이 maxAutoApprovePriceKrw를 넘으면 GET /api/reviews 의 검토 대기 목록에 올라갑니다.
+ */
+router.put(
+  '/:categoryId/review-policy',
+  [
+    categoryIdParam,
+    body('autoApprove').isBoolean().withMessage('autoApprove는 boolean이어야 합니다.').toBoolean(),
+    body('maxAutoApprovePriceKrw').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('maxAutoApprovePriceKrw는 0 이상의 정수여야 합니다.').toInt(),
+    body('updatedBy').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { autoApprove, maxAutoApprovePriceKrw, updatedBy } = req.body;
+    const category = await bunjangCategoryService.updateCategoryReviewPolicy(req.params.categoryId, { autoApprove, maxAutoApprovePriceKrw, updatedBy });
+    res.status(200).json({ message: '카테고리 검토 정책이 수정되었습니다.', category });
+  }
+);
+
+/**
+ * DELETE /api/categories/:categoryId/review-policy
+ * 정책을 삭제하면 상위 카테고리의 정책(없으면 BUNJANG_REVIEW_DEFAULT_AUTO_APPROVE)을 따릅니다.
+ */
+router.delete(
+  '/:categoryId/review-policy',
+  [categoryIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const category = await bunjangCategoryService.clearCategoryReviewPolicy(req.params.categoryId);
+    res.status(200).json({ message: '카테고리 검토 정책이 삭제되었습니다.', category });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,105 @@
+// src/api/filterRuleRoutes.js
+// 카탈로그 가져오기 필터 규칙 관리 API. 변경 사항은 다음 카탈로그 처리부터 적용됩니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const catalogFilterService = require('../services/catalogFilterService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const LIST_CONDITION_FIELDS = ['categoryIds', 'brandIds', 'sellerUids', 'productConditions', 'keywords'];
+const NUMBER_CONDITION_FIELDS = ['minPriceKrw', 'maxPriceKrw', 'minShippingFeeKrw', 'maxShippingFeeKrw'];
+
+// 규칙 생성/수정 공통 유효성 검사 (isUpdate이면 모든 필드 선택)
+function ruleValidators(isUpdate) {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('name은 필수입니다.')
+      .isLength({ max: 100 }).withMessage('name은 100자 이하여야 합니다.'),
+    required(body('action')).isIn(['INCLUDE', 'EXCLUDE']).withMessage("action은 'INCLUDE' 또는 'EXCLUDE'여야 합니다."),
+    required(body('conditions')).isObject().withMessage('conditions는 객체여야 합니다.'),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('enabled').optional().isBoolean().withMessage('enabled는 boolean이어야 합니다.').toBoolean(),
+    body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+    body('updatedBy').optional().isString().trim(),
+    ...LIST_CONDITION_FIELDS.map(field => body(`conditions.${field}`).optional().isArray().withMessage(`conditions.${field}는 배열이어야 합니다.`)),
+    ...LIST_CONDITION_FIELDS.map(field => body(`conditions.${field}.*`).isString().trim().notEmpty().withMessage(`conditions.${field}의 값은 빈 문자열일 수 없습니다.`)),
+    ...NUMBER_CONDITION_FIELDS.map(field => body(`conditions.${field}`).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage(`conditions.${field}는 0 이상의 숫자여야 합니다.`).toFloat()),
+    body('conditions.missingImages').optional().isBoolean().withMessage('conditions.missingImages는 boolean이어야 합니다.').toBoolean(),
+  ];
+}
+
+// 허용된 필드만 서비스로 전달
+function pickRuleFields(reqBody) {
+  const ruleData = {};
+  ['name', 'description', 'enabled', 'action', 'priority', 'conditions', 'updatedBy'].forEach((field) => {
+    if (reqBody[field] !== undefined) ruleData[field] = reqBody[field];
+  });
+  return ruleData;
+}
+
+/**
+ * GET /api/filter-rules
+ * 모든 필터 규칙을 평가 순서(priority, name)대로 조회합니다.
+ */
+router.get('/', async (req, res) => {
+  const rules = await catalogFilterService.listFilterRules();
+  res.status(200).json({ rules });
+});
+
+/**
+ * GET /api/filter-rules/:ruleId
+ */
+router.get(
+  '/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 ruleId입니다.')],
+  handleValidationErrors,
+  async (req, res) => {
+    const rule = await catalogFilterService.getFilterRule(req.params.ruleId);
+    res.status(200).json({ rule });
+  }
+);
+
+/**
+ * POST /api/filter-rules
+ * Body 예: { "name": "exclude-luxury", "action": "EXCLUDE", "conditions": { "minPriceKrw": 5000000 } }
+ */
+router.post(
+  '/',
+  ruleValidators(false),
+  handleValidationErrors,
+  async (req, res) => {
+    const rule = await catalogFilterService.createFilterRule(pickRuleFields(req.body));
+    res.status(201).json({ message: '필터 규칙이 생성되었습니다. 다음 카탈로그 처리부터 적용됩니다.', rule });
+  }
+);
+
+/**
+ * PATCH /api/filter-rules/:ruleId
+ * 전달된 필드만 수정합니다. conditions는 전체가 교체됩니다.
+ */
+router.patch(
+  '/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 ruleId입니다.'), ...ruleValidators(true)],
+  handleValidationErrors,
+  async (req, res) => {
+    const rule = await catalogFilterService.updateFilterRule(req.params.ruleId, pickRuleFields(req.body));
+    res.status(200).json({ message: '필터 규칙이 수정되었습니다. 다음 카탈로그 처리부터 적용됩니다.', rule });
+  }
+);
+
+/**
+ * DELETE /api/filter-rules/:ruleId
+ */
+router.delete(
+  '/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 ruleId입니다.')],
+  handleValidationErrors,
+  async (req, res) => {
+    const rule = await catalogFilterService.deleteFilterRule(req.params.ruleId);
+    res.status(200).json({ message: '필터 규칙이 삭제되었습니다.', rule });
+  }
+);
+
+module.exports = router;
@@ -3,6 +3,15 @@
 
 const express = require('express');
 const syncRoutes = require('./syncRoutes');
+const filterRuleRoutes = require('./filterRuleRoutes');
+const taggingRuleRoutes = require('./taggingRuleRoutes');
+const categoryRoutes = require('./categoryRoutes');
+const brandRoutes = require('./brandRoutes');
+const productOverrideRoutes = require('./productOverrideRoutes');
+const catalogRunRoutes = require('./catalogRunRoutes');
+const savedSearchRoutes = require('./savedSearchRoutes');
+const reconciliationRoutes = require('./reconciliationRoutes');
+const reviewRoutes = require('./reviewRoutes');
 const priceRoutes = require('./priceRoutes'); // 가격 테스트 라우트 파일 분리
 const shopifyAppProxyRoutes = require('./shopifyAppProxyRoutes');
 const authMiddleware = require('../middleware/authMiddleware'); // 내부 API 인증용
@@ -22,6 +31,15 @@ router.get('/', (req, res) => {
 
 // 내부 관리/동기화 트리거용 라우트 (API 키 인증 적용)
 router.use('/sync', authMiddleware.verifyInternalApiKey, syncRoutes);
+router.use('/filter-rules', authMiddleware.verifyInternalApiKey, filterRuleRoutes); // 카탈로그 필터 규칙 관리
+router.use('/tagging-rules', authMiddleware.verifyInternalApiKey, taggingRuleRoutes); // Shopify 태그/컬렉션 규칙 관리
+router.use('/categories', authMiddleware.verifyInternalApiKey, categoryRoutes); // 번개장터 카테고리 트리 및 Shopify 매핑 관리
+router.use('/brands', authMiddleware.verifyInternalApiKey, brandRoutes); // 번개장터 브랜드 디렉터리 및 표시 이름 관리
+router.use('/products', authMiddleware.verifyInternalApiKey, productOverrideRoutes); // 상품별 수동 재정의 및 잠금 관리
+router.use('/catalog-runs', authMiddleware.verifyInternalApiKey, catalogRunRoutes); // 카탈로그 실행 이력 및 통계
+router.use('/saved-searches', authMiddleware.verifyInternalApiKey, savedSearchRoutes); // 저장된 번개장터 검색 및 예약 가져오기
+router.use('/reconciliation', authMiddleware.verifyInternalApiKey, reconciliationRoutes); // Shopify 스토어와 SyncedProduct 대조 보고서 및 처리
+router.use('/reviews', authMiddleware.verifyInternalApiKey, reviewRoutes); // 게시 전 검토 (승인/거절/수정)
 
 // 가격 계산 테스트용 라우트 (개발/테스트 시에만 사용 권장, 필요시 인증 적용)
 if (config.env !== 'production') { // 운영 환경에서는 비활성화 또는 인증 강화
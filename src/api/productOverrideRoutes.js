@@ -0,0 +1,92 @@
+// src/api/productOverrideRoutes.js
+// 상품별 수동 재정의(제목, 설명, 가격, 추가 태그, 상태)와 잠금 관리 API.
+// 재정의와 잠금은 다음 카탈로그 동기화 때 번개장터 데이터 위에 덮어써서 반영되며, 잠근 항목은 동기화가 Shopify에 쓰지 않습니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const productOverrideService = require('../services/productOverrideService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const bunjangPidParam = param('bunjangPid').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('유효하지 않은 bunjangPid입니다.');
+
+/**
+ * GET /api/products/overrides
+ * 재정의나 잠금이 있는 상품 목록. Query: lockedField, page, limit
+ */
+router.get(
+  '/overrides',
+  [
+    query('lockedField').optional().isIn(productOverrideService.LOCKABLE_FIELDS).withMessage(`lockedField는 ${productOverrideService.LOCKABLE_FIELDS.join(', ')} 중 하나여야 합니다.`),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { lockedField, page = 1, limit = 100 } = req.query;
+    const result = await productOverrideService.listProductsWithOverrides({ lockedField, page, limit });
+    res.status(200).json({
+      products: result.products,
+      pagination: { total: result.total, page: result.page, limit: result.limit, totalPages: Math.ceil(result.total / result.limit) },
+    });
+  }
+);
+
+/**
+ * GET /api/products/:bunjangPid/overrides
+ */
+router.get(
+  '/:bunjangPid/overrides',
+  [bunjangPidParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const product = await productOverrideService.getProductOverrides(req.params.bunjangPid);
+    res.status(200).json({ product });
+  }
+);
+
+/**
+ * PUT /api/products/:bunjangPid/overrides
+ * Body 예: { "title": "BTS Official Lightstick Ver.4", "priceUsd": "59.00", "extraTags": ["Featured"], "status": "DRAFT", "lockedFields": ["images"], "updatedBy": "ops" }
+ * 기존 재정의 전체가 교체됩니다. 지정하지 않은 항목은 번개장터 데이터를 사용하고, lockedFields에 넣은 항목은 Shopify의 현재 값을 유지합니다.
+ */
+router.put(
+  '/:bunjangPid/overrides',
+  [
+    bunjangPidParam,
+    body('title').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).withMessage('title은 255자 이하 문자열이어야 합니다.'),
+    body('descriptionHtml').optional({ values: 'null' }).isString().isLength({ max: 65535 }).withMessage('descriptionHtml은 문자열이어야 합니다.'),
+    body('priceUsd').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('priceUsd는 0보다 큰 USD 금액이어야 합니다.'),
+    body('extraTags').optional().isArray().withMessage('extraTags는 배열이어야 합니다.'),
+    body('extraTags.*').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('태그는 1~255자 문자열이어야 합니다.'),
+    body('status').optional({ values: 'null' }).isIn(['ACTIVE', 'DRAFT', 'ARCHIVED']).withMessage('status는 ACTIVE, DRAFT, ARCHIVED 중 하나여야 합니다.'),
+    body('lockedFields').optional().isArray().withMessage('lockedFields는 배열이어야 합니다.'),
+    body('lockedFields.*').isIn(productOverrideService.LOCKABLE_FIELDS).withMessage(`잠글 수 있는 항목은 ${productOverrideService.LOCKABLE_FIELDS.join(', ')}입니다.`),
+    body('updatedBy').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { title, descriptionHtml, priceUsd, extraTags, status, lockedFields, updatedBy } = req.body;
+    const product = await productOverrideService.updateProductOverrides(req.params.bunjangPid, {
+      title, descriptionHtml, priceUsd, extraTags, status, lockedFields, updatedBy,
+    });
+    res.status(200).json({ message: '상품 재정의가 저장되었습니다. 다음 카탈로그 동기화 때 Shopify에 반영됩니다.', product });
+  }
+);
+
+/**
+ * DELETE /api/products/:bunjangPid/overrides
+ * 재정의와 잠금을 모두 삭제합니다. 다음 카탈로그 동기화 때 번개장터 데이터로 되돌아갑니다.
+ */
+router.delete(
+  '/:bunjangPid/overrides',
+  [bunjangPidParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const product = await productOverrideService.clearProductOverrides(req.params.bunjangPid);
+    res.status(200).json({ message: '상품 재정의가 삭제되었습니다.', product });
+  }
+);
+
+module.exports = router;
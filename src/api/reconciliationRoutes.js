@@ -0,0 +1,110 @@
+// src/api/reconciliationRoutes.js
+// Shopify 스토어와 SyncedProduct 대조 API. 대조 작업 실행, 보고서/이슈 조회, 이슈별 처리(연결, 보관, 연결 해제, 재동기화, 무시)를 제공합니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const logger = require('../config/logger');
+const config = require('../config');
+const { getQueue } = require('../jobs/queues');
+const reconciliationService = require('../services/reconciliationService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const { AppError } = require('../utils/customErrors');
+
+const ISSUE_TYPES = ['RELINKED', 'ORPHAN_SHOPIFY_PRODUCT', 'UNIDENTIFIED_SHOPIFY_PRODUCT', 'DUPLICATE_SHOPIFY_PRODUCT', 'DANGLING_GID', 'MISSING_PID_TAG', 'STATUS_DRIFT'];
+
+/**
+ * POST /api/reconciliation/run
+ * Body (선택): { "autoRelink": false }
+ * 대조 작업을 관리 작업 큐에 추가합니다. autoRelink를 지정하지 않으면 BUNJANG_RECONCILIATION_AUTO_RELINK 설정을 따릅니다.
+ */
+router.post(
+  '/run',
+  [body('autoRelink').optional().isBoolean().withMessage('autoRelink는 boolean이어야 합니다.').toBoolean()],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const queueName = config.bullmq.queues.maintenance;
+    if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+    const maintenanceQueue = getQueue(queueName);
+    if (!maintenanceQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+    const jobName = 'ManualTrigger-ReconcileShopifyProducts';
+    try {
+      const jobData = { taskType: 'RECONCILE_SHOPIFY_PRODUCTS', autoRelink: req.body?.autoRelink, triggeredBy: 'api_manual' };
+      const job = await maintenanceQueue.add(jobName, jobData, { priority: 2 });
+      logger.info(`[ReconciliationRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}".`);
+      res.status(202).json({
+        message: 'Shopify 대조 작업이 큐에 추가되었습니다. 완료 후 GET /api/reconciliation/reports 에서 보고서를 확인하세요.',
+        jobId: job.id,
+        queueName: queueName,
+      });
+    } catch (error) {
+      logger.error(`[ReconciliationRoute] Error adding reconciliation job to queue "${queueName}":`, error);
+      next(new AppError('Shopify 대조 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    }
+  }
+);
+
+/**
+ * GET /api/reconciliation/reports?page=1&limit=20
+ * 대조 보고서 목록 (최근 순, 유형별 수 포함).
+ */
+router.get(
+  '/reports',
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await reconciliationService.listReconciliationReports({ page, limit });
+    res.status(200).json({
+      reports: result.reports,
+      pagination: { total: result.total, page: result.page, limit: result.limit, totalPages: Math.ceil(result.total / result.limit) },
+    });
+  }
+);
+
+/**
+ * GET /api/reconciliation/reports/:reportId?type=DANGLING_GID&status=OPEN&page=1&limit=100
+ * 보고서와 이슈 목록. 각 이슈의 suggestedActions 중 하나를 POST /api/reconciliation/issues/:issueId/fix 로 적용할 수 있습니다.
+ */
+router.get(
+  '/reports/:reportId',
+  [
+    param('reportId').isMongoId().withMessage('유효하지 않은 reportId입니다.'),
+    query('type').optional().isIn(ISSUE_TYPES).withMessage('유효하지 않은 type 값입니다.'),
+    query('status').optional().isIn(['OPEN', 'FIXED', 'IGNORED']).withMessage('유효하지 않은 status 값입니다.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page는 1 이상의 정수여야 합니다.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit은 1~1000 사이의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { type, status, page, limit } = req.query;
+    const result = await reconciliationService.getReconciliationReport(req.params.reportId, { type, status, page, limit });
+    res.status(200).json(result);
+  }
+);
+
+/**
+ * POST /api/reconciliation/issues/:issueId/fix
+ * Body: { "action": "CLEAR_GID", "resolvedBy": "ops" }
+ * action: LINK, ARCHIVE_SHOPIFY_PRODUCT, CLEAR_GID, RESYNC, IGNORE 중 이슈의 suggestedActions에 있는 값.
+ */
+router.post(
+  '/issues/:issueId/fix',
+  [
+    param('issueId').isMongoId().withMessage('유효하지 않은 issueId입니다.'),
+    body('action').isIn(reconciliationService.RECONCILIATION_FIX_ACTIONS).withMessage(`action은 ${reconciliationService.RECONCILIATION_FIX_ACTIONS.join(', ')} 중 하나여야 합니다.`),
+    body('resolvedBy').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const issue = await reconciliationService.applyReconciliationFix(req.params.issueId, req.body.action, { resolvedBy: req.body.resolvedBy });
+    res.status(200).json({ message: '대조 이슈가 처리되었습니다.', issue });
+  }
+);
+
+module.exports = router;
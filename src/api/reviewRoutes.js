@@ -0,0 +1,113 @@
+// src/api/reviewRoutes.js
+// 게시 전 검토 API (BUNJANG_REVIEW_ENABLED=true). 검토 대기 상품 조회, 승인(ACTIVE 전환 및 온라인 스토어 게시), 거절(Shopify에서 내림), 수정.
+// 카테고리별 자동 승인 정책은 PUT /api/categories/:categoryId/review-policy 로 관리합니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const productReviewService = require('../services/productReviewService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const bunjangPidParam = param('bunjangPid').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('유효하지 않은 bunjangPid입니다.');
+
+/**
+ * GET /api/reviews?status=PENDING&categoryId=600700&page=1&limit=50
+ * 검토 상태별 상품 목록 (오래 기다린 순). status 기본값은 PENDING.
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(productReviewService.REVIEW_STATUSES).withMessage(`status는 ${productReviewService.REVIEW_STATUSES.join(', ')} 중 하나여야 합니다.`),
+    query('categoryId').optional().isString().trim().matches(/^\d+$/).withMessage('유효하지 않은 categoryId입니다.'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { status = 'PENDING', categoryId, page = 1, limit = 50 } = req.query;
+    const result = await productReviewService.listReviewProducts({ status, categoryId, page, limit });
+    res.status(200).json({
+      products: result.products,
+      pagination: { total: result.total, page: result.page, limit: result.limit, totalPages: Math.ceil(result.total / result.limit) },
+    });
+  }
+);
+
+/**
+ * GET /api/reviews/:bunjangPid
+ */
+router.get(
+  '/:bunjangPid',
+  [bunjangPidParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const product = await productReviewService.getReviewProduct(req.params.bunjangPid);
+    res.status(200).json({ product });
+  }
+);
+
+/**
+ * POST /api/reviews/:bunjangPid/approve
+ * Body (선택): { "reviewedBy": "ops", "note": "정품 확인" }
+ */
+router.post(
+  '/:bunjangPid/approve',
+  [
+    bunjangPidParam,
+    body('reviewedBy').optional().isString().trim(),
+    body('note').optional().isString().isLength({ max: 1000 }).withMessage('note는 1000자 이하여야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { product, resyncJobId } = await productReviewService.approveProduct(req.params.bunjangPid, { reviewedBy: req.body.reviewedBy, note: req.body.note });
+    res.status(200).json({ message: '상품이 승인되었습니다.', product, resyncJobId });
+  }
+);
+
+/**
+ * POST /api/reviews/:bunjangPid/reject
+ * Body: { "reviewedBy": "ops", "reason": "가품 의심" }
+ */
+router.post(
+  '/:bunjangPid/reject',
+  [
+    bunjangPidParam,
+    body('reviewedBy').optional().isString().trim(),
+    body('reason').optional().isString().isLength({ max: 1000 }).withMessage('reason은 1000자 이하여야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const product = await productReviewService.rejectProduct(req.params.bunjangPid, { reviewedBy: req.body.reviewedBy, reason: req.body.reason });
+    res.status(200).json({ message: '상품이 거절되었습니다.', product });
+  }
+);
+
+/**
+ * PATCH /api/reviews/:bunjangPid
+ * Body 예: { "title": "Nike Dunk Low Panda 270mm", "priceUsd": 129.99, "updatedBy": "ops" }
+ * 전달한 항목만 상품 재정의로 저장하고, Shopify의 DRAFT 상품에 반영하는 재동기화 작업을 큐에 추가합니다.
+ */
+router.patch(
+  '/:bunjangPid',
+  [
+    bunjangPidParam,
+    body('title').optional().isString().trim().notEmpty().isLength({ max: 255 }).withMessage('title은 1~255자 문자열이어야 합니다.'),
+    body('descriptionHtml').optional().isString().isLength({ max: 65535 }).withMessage('descriptionHtml은 문자열이어야 합니다.'),
+    body('priceUsd').optional().isFloat({ gt: 0 }).withMessage('priceUsd는 0보다 큰 USD 금액이어야 합니다.'),
+    body('extraTags').optional().isArray().withMessage('extraTags는 배열이어야 합니다.'),
+    body('extraTags.*').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('태그는 1~255자 문자열이어야 합니다.'),
+    body('updatedBy').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const edits = {};
+    ['title', 'descriptionHtml', 'priceUsd', 'extraTags', 'updatedBy'].forEach((field) => {
+      if (req.body[field] !== undefined) edits[field] = req.body[field];
+    });
+    const { product, resyncJobId } = await productReviewService.editReviewProduct(req.params.bunjangPid, edits);
+    res.status(200).json({ message: '검토 중인 상품이 수정되었습니다.', product, resyncJobId });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+// src/api/savedSearchRoutes.js
+// 저장된 번개장터 검색 관리 API. 예약 작업이 검색별 주기(intervalMinutes)마다 결과를 확인해 새 상품을 가져옵니다.
+// 가져온 상품에는 "saved_search:<name>" 태그가 붙고, 카탈로그 필터(카테고리 필터, 필터 규칙)와 관계없이 계속 동기화됩니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const logger = require('../config/logger');
+const config = require('../config');
+const { getQueue } = require('../jobs/queues');
+const savedSearchService = require('../services/savedSearchService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const { AppError } = require('../utils/customErrors');
+
+const savedSearchIdParam = param('savedSearchId').isMongoId().withMessage('유효하지 않은 savedSearchId입니다.');
+
+// 검색 생성/수정 공통 유효성 검사 (isUpdate이면 모든 필드 선택)
+function savedSearchValidators(isUpdate) {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('name은 필수입니다.')
+      .isLength({ max: 100 }).withMessage('name은 100자 이하여야 합니다.')
+      .matches(/^[^,]+$/).withMessage('name에는 쉼표를 쓸 수 없습니다. (Shopify 태그로 사용)'),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('enabled').optional().isBoolean().withMessage('enabled는 boolean이어야 합니다.').toBoolean(),
+    body('query').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('query는 200자 이하 문자열이어야 합니다.'),
+    ...['categoryIds', 'brandIds'].map(field => body(field).optional().isArray().withMessage(`${field}는 배열이어야 합니다.`)),
+    ...['categoryIds', 'brandIds'].map(field => body(`${field}.*`).isString().trim().notEmpty().withMessage(`${field}의 값은 빈 문자열일 수 없습니다.`)),
+    ...['minPriceKrw', 'maxPriceKrw'].map(field => body(field).optional({ values: 'null' }).isInt({ min: 0 }).withMessage(`${field}는 0 이상의 정수여야 합니다.`).toInt()),
+    body('freeShipping').optional().isBoolean().withMessage('freeShipping은 boolean이어야 합니다.').toBoolean(),
+    body('sort').optional().isIn(['score', 'latest', 'price_asc', 'price_desc']).withMessage('sort는 score, latest, price_asc, price_desc 중 하나여야 합니다.'),
+    body('maxItems').optional().isInt({ min: 1, max: 1000 }).withMessage('maxItems는 1~1000 사이의 정수여야 합니다.').toInt(),
+    body('intervalMinutes').optional().isInt({ min: 15 }).withMessage('intervalMinutes는 15 이상의 정수여야 합니다.').toInt(),
+    body('updatedBy').optional().isString().trim(),
+  ];
+}
+
+// 허용된 필드만 서비스로 전달
+function pickSavedSearchFields(reqBody) {
+  const searchData = {};
+  ['name', 'description', 'enabled', 'query', 'categoryIds', 'brandIds', 'minPriceKrw', 'maxPriceKrw',
+    'freeShipping', 'sort', 'maxItems', 'intervalMinutes', 'updatedBy'].forEach((field) => {
+    if (reqBody[field] !== undefined) searchData[field] = reqBody[field];
+  });
+  return searchData;
+}
+
+/**
+ * GET /api/saved-searches
+ * 모든 저장된 검색과 마지막 실행 결과를 조회합니다.
+ */
+router.get('/', async (req, res) => {
+  const savedSearches = await savedSearchService.listSavedSearches();
+  res.status(200).json({ savedSearches });
+});
+
+/**
+ * GET /api/saved-searches/:savedSearchId
+ */
+router.get(
+  '/:savedSearchId',
+  [savedSearchIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const savedSearch = await savedSearchService.getSavedSearch(req.params.savedSearchId);
+    res.status(200).json({ savedSearch });
+  }
+);
+
+/**
+ * POST /api/saved-searches
+ * Body 예: { "name": "trending-lightsticks", "query": "응원봉", "categoryIds": ["700"], "maxPriceKrw": 150000, "maxItems": 50, "intervalMinutes": 180 }
+ * 검색어, 카테고리, 브랜드 중 하나 이상이 필요합니다. 이름은 상품 태그로 쓰이므로 나중에 바꿀 수 없습니다.
+ */
+router.post(
+  '/',
+  savedSearchValidators(false),
+  handleValidationErrors,
+  async (req, res) => {
+    const savedSearch = await savedSearchService.createSavedSearch(pickSavedSearchFields(req.body));
+    res.status(201).json({ message: '저장된 검색이 생성되었습니다. 다음 예약 실행 때 상품을 가져옵니다.', savedSearch });
+  }
+);
+
+/**
+ * PATCH /api/saved-searches/:savedSearchId
+ * 전달된 필드만 수정합니다. categoryIds/brandIds는 전체가 교체됩니다.
+ */
+router.patch(
+  '/:savedSearchId',
+  [savedSearchIdParam, ...savedSearchValidators(true)],
+  handleValidationErrors,
+  async (req, res) => {
+    const savedSearch = await savedSearchService.updateSavedSearch(req.params.savedSearchId, pickSavedSearchFields(req.body));
+    res.status(200).json({ message: '저장된 검색이 수정되었습니다.', savedSearch });
+  }
+);
+
+/**
+ * DELETE /api/saved-searches/:savedSearchId
+ * 이미 가져온 상품은 Shopify에 남으며, 다음 카탈로그 동기화부터 검색 태그가 빠지고 카탈로그 필터가 다시 적용됩니다.
+ */
+router.delete(
+  '/:savedSearchId',
+  [savedSearchIdParam],
+  handleValidationErrors,
+  async (req, res) => {
+    const savedSearch = await savedSearchService.deleteSavedSearch(req.params.savedSearchId);
+    res.status(200).json({ message: '저장된 검색이 삭제되었습니다.', savedSearch });
+  }
+);
+
+/**
+ * POST /api/saved-searches/:savedSearchId/run
+ * 예약 시간을 기다리지 않고 검색을 바로 실행하는 작업을 관리 작업 큐에 추가합니다. (비활성 검색도 실행)
+ */
+router.post(
+  '/:savedSearchId/run',
+  [savedSearchIdParam],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const savedSearch = await savedSearchService.getSavedSearch(req.params.savedSearchId);
+    const queueName = config.bullmq.queues.maintenance;
+    if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+    const maintenanceQueue = getQueue(queueName);
+    if (!maintenanceQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+    const jobName = `ManualTrigger-RunSavedSearch-${savedSearch.name}`;
+    try {
+      const jobData = { taskType: 'RUN_SAVED_SEARCHES', savedSearchId: String(savedSearch._id), triggeredBy: 'api_manual' };
+      const job = await maintenanceQueue.add(jobName, jobData, { priority: 1 });
+      logger.info(`[SavedSearchRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}".`);
+      res.status(202).json({
+        message: `저장된 검색 "${savedSearch.name}" 실행 작업이 큐에 추가되었습니다.`,
+        jobId: job.id,
+        queueName: queueName,
+      });
+    } catch (error) {
+      logger.error(`[SavedSearchRoute] Error adding saved search job to queue "${queueName}":`, error);
+      next(new AppError('저장된 검색 실행 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    }
+  }
+);
+
+module.exports = router;
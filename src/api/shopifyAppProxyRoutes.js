@@ -52,6 +52,7 @@ router.get(
   '/products',
   [ // 입력 유효성 검사 규칙
     query('categories').optional().isString().trim().matches(/^[\w,-]+$/).withMessage('카테고리 ID는 쉼표로 구분된 문자열이어야 합니다.'),
+    query('brands').optional().isString().trim().matches(/^[\w,-]+$/).withMessage('브랜드 ID는 쉼표로 구분된 문자열이어야 합니다.'),
     query('search').optional().isString().trim().escape(), // XSS 방지 위해 escape
     query('page').optional().isInt({ min: 1 }).toInt().default(1),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt().default(20), // 최대 100개
@@ -61,6 +62,16 @@ router.get(
   shopifyAppProxyController.getBunjangLinkedProducts
 );
 
+// 브랜드 필터 목록 조회: GET /api/app-proxy/brands (상품이 있는 브랜드와 상품 수)
+router.get(
+  '/brands',
+  [
+    query('categories').optional().isString().trim().matches(/^[\w,-]+$/).withMessage('카테고리 ID는 쉼표로 구분된 문자열이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  shopifyAppProxyController.getBunjangBrandFilters
+);
+
 // 특정 상품 상세 정보 조회: GET /api/app-proxy/product/:identifier
 router.get(
   '/product/:identifier',
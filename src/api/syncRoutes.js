@@ -2,22 +2,42 @@
 // 동기화 작업을 수동으로 트리거하기 위한 API 라우트입니다.
 // BullMQ 큐에 작업을 추가하는 방식으로 변경됩니다.
 
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const logger = require('../config/logger');
 const config = require('../config');
 const { getQueue } = require('../jobs/queues');
+const { getCatalogDryRunReport } = require('../services/catalogService');
+const { getThrottleStatus } = require('../services/shopifyThrottleService');
+const { handleValidationErrors } = require('../utils/validationHelper');
 const { AppError } = require('../utils/customErrors');
 // const productSyncController = require('../controllers/productSyncController'); // 컨트롤러 사용 시
 
 // 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
 
+// 요청 플래그 여부 (body.<flag>: true 또는 ?<flag>=true)
+function isRequestFlagSet(req, flagName) {
+  return req.body?.[flagName] === true || req.body?.[flagName] === 'true' || req.query[flagName] === 'true';
+}
+
+// dry-run 요청 여부
+function isDryRunRequest(req) {
+  return isRequestFlagSet(req, 'dryRun');
+}
+
 /**
  * POST /api/sync/catalog/full
  * 전체 카탈로그 동기화 작업을 BullMQ에 추가합니다.
+ * dryRun 요청 시 Shopify에 반영하지 않고 GET /api/sync/dry-run/:jobId 로 조회 가능한 보고서만 생성합니다.
  */
 router.post('/catalog/full', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Full';
+  const dryRun = isDryRunRequest(req);
+  const jobName = `ManualTrigger-FetchBunjangCatalog-Full${dryRun ? '-DryRun' : ''}`;
   const queueName = config.bullmq.queues.catalog;
   logger.info(`[SyncRoute] API call to trigger full catalog sync. Adding to queue: ${queueName}`);
   
@@ -30,15 +50,19 @@ router.post('/catalog/full', async (req, res, next) => {
   }
 
   try {
-    const jobData = { catalogType: 'full', triggeredBy: 'api_manual' };
+    const jobData = { catalogType: 'full', triggeredBy: 'api_manual', dryRun };
     const job = await catalogQueue.add(jobName, jobData, {
       // jobId: `manual-full-catalog-${Date.now()}`, // 필요시 고유 ID
     });
     logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for full catalog sync.`);
     res.status(202).json({ 
-        message: '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
+        message: dryRun
+          ? '전체 카탈로그 dry-run 작업이 큐에 추가되었습니다. Shopify에는 반영되지 않으며, 완료 후 보고서를 조회할 수 있습니다.'
+          : '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
         jobId: job.id,
         queueName: queueName,
+        dryRun,
+        ...(dryRun && { reportUrl: `${req.baseUrl}/dry-run/${job.id}` }),
     });
   } catch (error) {
     logger.error(`[SyncRoute] Error adding full catalog sync job to queue "${queueName}":`, error);
@@ -48,10 +72,11 @@ router.post('/catalog/full', async (req, res, next) => {
 
 /**
  * POST /api/sync/catalog/segment
- * 세그먼트 카탈로그 동기화 작업을 BullMQ에 추가합니다.
+ * 세그먼트 카탈로그 동기화 작업을 BullMQ에 추가합니다. (dryRun 지원)
  */
 router.post('/catalog/segment', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Segment';
+  const dryRun = isDryRunRequest(req);
+  const jobName = `ManualTrigger-FetchBunjangCatalog-Segment${dryRun ? '-DryRun' : ''}`;
   const queueName = config.bullmq.queues.catalog;
   logger.info(`[SyncRoute] API call to trigger segment catalog sync. Adding to queue: ${queueName}`);
 
@@ -60,13 +85,17 @@ router.post('/catalog/segment', async (req, res, next) => {
   if (!catalogQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
 
   try {
-    const jobData = { catalogType: 'segment', triggeredBy: 'api_manual' };
+    const jobData = { catalogType: 'segment', triggeredBy: 'api_manual', dryRun };
     const job = await catalogQueue.add(jobName, jobData);
     logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for segment catalog sync.`);
     res.status(202).json({
-        message: '세그먼트 카탈로그 동기화 작업이 큐에 추가되었습니다.',
+        message: dryRun
+          ? '세그먼트 카탈로그 dry-run 작업이 큐에 추가되었습니다. Shopify에는 반영되지 않습니다.'
+          : '세그먼트 카탈로그 동기화 작업이 큐에 추가되었습니다.',
         jobId: job.id,
         queueName: queueName,
+        dryRun,
+        ...(dryRun && { reportUrl: `${req.baseUrl}/dry-run/${job.id}` }),
     });
   } catch (error) {
     logger.error(`[SyncRoute] Error adding segment catalog sync job to queue "${queueName}":`, error);
@@ -74,12 +103,312 @@ router.post('/catalog/segment', async (req, res, next) => {
   }
 });
 
+// 업로드/서버 경로 카탈로그 파일명 검증 (.csv 또는 .csv.gz)
+const CATALOG_FILE_EXT_REGEX = /\.csv(\.gz)?$/i;
+
+// 경로 구분자 등을 제거한 안전한 파일명 (체크포인트 키 및 저장 파일명으로 사용)
+function sanitizeCatalogFileName(fileName) {
+  return path.basename(String(fileName)).replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * 요청 본문(raw stream)을 업로드 디렉터리에 저장합니다. 최대 크기를 넘으면 저장을 중단하고 파일을 삭제합니다.
+ * @returns {Promise<{filePath: string, sizeBytes: number}>}
+ */
+async function saveUploadedCatalogFile(req, storedFileName) {
+  const { uploadDir, maxUploadBytes } = config.catalogImport;
+  await fs.ensureDir(uploadDir);
+  const filePath = path.join(uploadDir, storedFileName);
+
+  let sizeBytes = 0;
+  const sizeLimiter = new Transform({
+    transform(chunk, encoding, callback) {
+      sizeBytes += chunk.length;
+      if (sizeBytes > maxUploadBytes) {
+        return callback(new AppError(`업로드 파일이 최대 크기(${maxUploadBytes} bytes)를 초과했습니다.`, 413, 'CATALOG_UPLOAD_TOO_LARGE'));
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(req, sizeLimiter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.remove(filePath).catch(() => {});
+    throw error instanceof AppError ? error : new AppError(`업로드 파일 저장 실패: ${error.message}`, 500, 'CATALOG_UPLOAD_FAILED');
+  }
+  if (sizeBytes === 0) {
+    await fs.remove(filePath).catch(() => {});
+    throw new AppError('업로드된 카탈로그 파일이 비어 있습니다.', 400, 'CATALOG_UPLOAD_EMPTY');
+  }
+  return { filePath, sizeBytes };
+}
+
+/**
+ * POST /api/sync/catalog/upload?catalogType=full&fileName=full-20250101.csv.gz[&dryRun=true][&delistMissing=true]
+ * 요청 본문으로 전송된 카탈로그 파일(.csv 또는 .csv.gz)을 저장하고 카탈로그 처리 작업을 큐에 추가합니다.
+ * 지난 파일을 다시 처리해도 최신 데이터를 덮어쓰지 않도록 이미 더 최신 데이터로 동기화된 상품은 건너뛰며,
+ * 파일에 없는 상품 내리기는 delistMissing=true일 때만 실행합니다.
+ * Content-Type은 application/octet-stream, application/gzip, text/csv 중 하나여야 합니다 (예: curl --data-binary @file).
+ * 업로드 파일은 처리가 성공하면 삭제됩니다.
+ */
+router.post(
+  '/catalog/upload',
+  [
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage("catalogType은 'full' 또는 'segment'여야 합니다."),
+    query('fileName')
+      .trim().notEmpty().withMessage('fileName은 필수입니다.')
+      .matches(CATALOG_FILE_EXT_REGEX).withMessage('fileName은 .csv 또는 .csv.gz 파일이어야 합니다.'),
+    query('delistMissing').optional().isBoolean().withMessage('delistMissing은 true 또는 false여야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    if (!req.is(['application/octet-stream', 'application/gzip', 'application/x-gzip', 'text/csv'])) {
+      return next(new AppError('Content-Type은 application/octet-stream, application/gzip 또는 text/csv여야 합니다.', 415, 'UNSUPPORTED_MEDIA_TYPE'));
+    }
+    const catalogType = req.query.catalogType || 'full';
+    const dryRun = isDryRunRequest(req);
+    const queueName = config.bullmq.queues.catalog;
+
+    if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+    const catalogQueue = getQueue(queueName);
+    if (!catalogQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+    // 업로드마다 고유한 이름을 사용하여 체크포인트가 서로 섞이지 않도록 함
+    const catalogFileName = `upload-${Date.now()}-${sanitizeCatalogFileName(req.query.fileName)}`;
+    const { filePath, sizeBytes } = await saveUploadedCatalogFile(req, catalogFileName);
+    logger.info(`[SyncRoute] Catalog file uploaded: ${filePath} (${sizeBytes} bytes). Adding to queue: ${queueName}`);
+
+    const jobName = `ManualTrigger-ProcessUploadedCatalog-${catalogType}${dryRun ? '-DryRun' : ''}`;
+    try {
+      const jobData = {
+        catalogType,
+        catalogFileName,
+        localFilePath: filePath,
+        deleteSourceAfterProcessing: true,
+        triggeredBy: 'api_upload',
+        dryRun,
+        skipStaleRows: true, // 지난 파일 재처리 시 최신 데이터 덮어쓰기 방지
+        delistMissing: isRequestFlagSet(req, 'delistMissing'),
+      };
+      const job = await catalogQueue.add(jobName, jobData);
+      logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for uploaded catalog ${catalogFileName}.`);
+      res.status(202).json({
+        message: '업로드된 카탈로그 파일 처리 작업이 큐에 추가되었습니다.',
+        jobId: job.id,
+        queueName: queueName,
+        catalogFileName,
+        sizeBytes,
+        dryRun,
+        ...(dryRun && { reportUrl: `${req.baseUrl}/dry-run/${job.id}` }),
+      });
+    } catch (error) {
+      await fs.remove(filePath).catch(() => {});
+      logger.error(`[SyncRoute] Error adding uploaded catalog job to queue "${queueName}":`, error);
+      next(new AppError('업로드 카탈로그 처리 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    }
+  }
+);
+
+/**
+ * POST /api/sync/catalog/local
+ * Body: { "filePath": "archive/full-20250101.csv.gz", "catalogType": "full", "dryRun": false, "delistMissing": false }
+ * 서버에 있는 카탈로그 파일을 처리하는 작업을 큐에 추가합니다.
+ * 업로드와 마찬가지로 더 최신 데이터로 동기화된 상품은 건너뛰고, 파일에 없는 상품 내리기는 delistMissing=true일 때만 실행합니다.
+ * filePath는 CATALOG_IMPORT_DIR(config.catalogImport.serverPathRoot) 기준 상대 경로이며, 이 디렉터리 밖의 파일은 허용하지 않습니다.
+ * 원본 파일은 삭제하지 않습니다.
+ */
+router.post(
+  '/catalog/local',
+  [
+    body('filePath')
+      .isString().withMessage('filePath는 문자열이어야 합니다.')
+      .trim().notEmpty().withMessage('filePath는 필수입니다.')
+      .matches(CATALOG_FILE_EXT_REGEX).withMessage('filePath는 .csv 또는 .csv.gz 파일이어야 합니다.'),
+    body('catalogType').optional().isIn(['full', 'segment']).withMessage("catalogType은 'full' 또는 'segment'여야 합니다."),
+    body('delistMissing').optional().isBoolean().withMessage('delistMissing은 true 또는 false여야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { serverPathRoot } = config.catalogImport;
+    const resolvedPath = path.resolve(serverPathRoot, req.body.filePath);
+    if (!resolvedPath.startsWith(serverPathRoot + path.sep)) {
+      return next(new AppError('허용된 디렉터리 밖의 파일은 처리할 수 없습니다.', 400, 'CATALOG_PATH_NOT_ALLOWED', true, { filePath: req.body.filePath }));
+    }
+    const stats = await fs.stat(resolvedPath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      return next(new AppError(`카탈로그 파일을 찾을 수 없습니다: ${req.body.filePath}`, 404, 'CATALOG_FILE_NOT_FOUND'));
+    }
+
+    const catalogType = req.body.catalogType || 'full';
+    const dryRun = isDryRunRequest(req);
+    const queueName = config.bullmq.queues.catalog;
+
+    if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+    const catalogQueue = getQueue(queueName);
+    if (!catalogQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+    // 번개장터에서 받은 카탈로그의 체크포인트와 섞이지 않도록 접두어 사용
+    const catalogFileName = `local-${sanitizeCatalogFileName(resolvedPath)}`;
+    const jobName = `ManualTrigger-ProcessLocalCatalog-${catalogType}${dryRun ? '-DryRun' : ''}`;
+    try {
+      const jobData = {
+        catalogType,
+        catalogFileName,
+        localFilePath: resolvedPath,
+        deleteSourceAfterProcessing: false,
+        triggeredBy: 'api_local_file',
+        dryRun,
+        skipStaleRows: true, // 지난 파일 재처리 시 최신 데이터 덮어쓰기 방지
+        delistMissing: isRequestFlagSet(req, 'delistMissing'),
+      };
+      const job = await catalogQueue.add(jobName, jobData);
+      logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for server-side catalog ${resolvedPath}.`);
+      res.status(202).json({
+        message: '서버 카탈로그 파일 처리 작업이 큐에 추가되었습니다.',
+        jobId: job.id,
+        queueName: queueName,
+        catalogFileName,
+        sizeBytes: stats.size,
+        dryRun,
+        ...(dryRun && { reportUrl: `${req.baseUrl}/dry-run/${job.id}` }),
+      });
+    } catch (error) {
+      logger.error(`[SyncRoute] Error adding local catalog job to queue "${queueName}":`, error);
+      next(new AppError('서버 카탈로그 처리 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    }
+  }
+);
+
+/**
+ * GET /api/sync/dry-run/:jobId?action=UPDATE&page=1&limit=100
+ * 카탈로그 dry-run 보고서(요약 + 상품별 내역)를 조회합니다.
+ */
+router.get(
+  '/dry-run/:jobId',
+  [
+    param('jobId').trim().notEmpty().withMessage('jobId는 필수입니다.'),
+    query('action')
+      .optional()
+      .isIn(['CREATE', 'UPDATE', 'ARCHIVE', 'SKIP_NO_CHANGE', 'FILTERED_OUT', 'ERROR']).withMessage('유효하지 않은 action 값입니다.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page는 1 이상의 정수여야 합니다.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit은 1~1000 사이의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const { action, page, limit } = req.query;
+    const result = await getCatalogDryRunReport(req.params.jobId, { action, page, limit });
+    res.status(200).json(result);
+  }
+);
+
+/**
+ * GET /api/sync/shopify-budget
+ * Shopify GraphQL 쿼리 비용 버킷의 현재 상태(남은 비용, 최대 용량, 초당 복구량)를 조회합니다.
+ */
+router.get('/shopify-budget', async (req, res) => {
+  res.status(200).json(await getThrottleStatus());
+});
 
 // TODO: 특정 Shopify 주문 재처리 엔드포인트 (Shopify Order ID를 받아 주문 처리 큐에 작업 추가)
 // router.post('/order/:shopifyOrderId/reprocess', async (req, res, next) => { ... });
 
-// TODO: 특정 번개장터 상품 재동기화 엔드포인트 (Bunjang PID를 받아 상품 동기화 큐에 작업 추가)
-// router.post('/product/:bunjangPid/resync', async (req, res, next) => { ... });
+const MAX_RESYNC_BATCH_SIZE = 100; // 한 번에 재동기화할 수 있는 상품 수
+const bunjangPidParam = param('bunjangPid').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('유효하지 않은 bunjangPid입니다.');
+const forceBody = body('force').optional().isBoolean().withMessage('force는 boolean이어야 합니다.').toBoolean();
+
+// 상품 재동기화 작업을 상품 동기화 큐에 추가하고 202로 응답 (단일/배치 공통)
+async function enqueueProductResync(req, res, next, jobName, bunjangPids) {
+  const queueName = config.bullmq.queues.productSync;
+  if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+  const productSyncQueue = getQueue(queueName);
+  if (!productSyncQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+  const force = req.body?.force ?? true;
+  try {
+    const jobData = { bunjangPids, force, triggeredBy: 'api_manual_resync', requestedBy: req.ip };
+    // 상품별 결과는 작업 반환값으로 확인하므로 재시도 없이 한 번만 실행
+    const job = await productSyncQueue.add(jobName, jobData, { attempts: 1 });
+    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" to resync ${bunjangPids.length} product(s).`);
+    res.status(202).json({
+      message: `번개장터 상품 ${bunjangPids.length}개의 재동기화 작업이 큐에 추가되었습니다.`,
+      jobId: job.id,
+      queueName: queueName,
+      bunjangPids,
+      force,
+      statusUrl: `${req.baseUrl}/products/resync/${job.id}`,
+    });
+  } catch (error) {
+    logger.error(`[SyncRoute] Error adding product resync job to queue "${queueName}":`, error);
+    next(new AppError('상품 재동기화 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+  }
+}
+
+/**
+ * POST /api/sync/product/:bunjangPid/resync
+ * Body (선택): { "force": true }
+ * 번개장터 상품 상세 API의 최신 정보로 상품 하나를 Shopify에 재동기화합니다. 카탈로그 파일을 기다리지 않습니다.
+ * force(기본 true)이면 변경 여부와 관계없이 모든 항목을 다시 씁니다. 판매중이 아니거나 필터로 제외되는 상품은 Shopify에서 내립니다.
+ */
+router.post(
+  '/product/:bunjangPid/resync',
+  [bunjangPidParam, forceBody],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { bunjangPid } = req.params;
+    await enqueueProductResync(req, res, next, `ManualTrigger-ResyncProduct-${bunjangPid}`, [bunjangPid]);
+  }
+);
+
+/**
+ * POST /api/sync/products/resync
+ * Body: { "bunjangPids": ["123456789", "987654321"], "force": true }
+ * 여러 상품을 한 작업으로 재동기화합니다. (최대 MAX_RESYNC_BATCH_SIZE개, 중복 PID는 한 번만 처리)
+ */
+router.post(
+  '/products/resync',
+  [
+    body('bunjangPids')
+      .isArray({ min: 1, max: MAX_RESYNC_BATCH_SIZE }).withMessage(`bunjangPids는 1~${MAX_RESYNC_BATCH_SIZE}개의 상품 ID 배열이어야 합니다.`),
+    body('bunjangPids.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('유효하지 않은 bunjangPid가 포함되어 있습니다.'),
+    forceBody,
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const bunjangPids = [...new Set(req.body.bunjangPids)];
+    await enqueueProductResync(req, res, next, 'ManualTrigger-ResyncProducts', bunjangPids);
+  }
+);
+
+/**
+ * GET /api/sync/products/resync/:jobId
+ * 상품 재동기화 작업의 상태와 상품별 결과(작업 완료 후)를 조회합니다.
+ * 결과 status: success, skipped_no_change, skipped_filter, skipped_not_importable, delisted, not_found, error
+ */
+router.get(
+  '/products/resync/:jobId',
+  [param('jobId').trim().notEmpty().withMessage('jobId는 필수입니다.')],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const queueName = config.bullmq.queues.productSync;
+    if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+    const productSyncQueue = getQueue(queueName);
+    if (!productSyncQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+    const job = await productSyncQueue.getJob(req.params.jobId);
+    if (!job) return next(new AppError(`상품 재동기화 작업을 찾을 수 없습니다: ${req.params.jobId}`, 404, 'JOB_NOT_FOUND'));
+    res.status(200).json({
+      jobId: job.id,
+      state: await job.getState(),
+      progress: job.progress,
+      bunjangPids: job.data.bunjangPids || [job.data.bunjangPid],
+      result: job.returnvalue || null,
+      failedReason: job.failedReason || null,
+      createdAt: new Date(job.timestamp).toISOString(),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    });
+  }
+);
 
 
 module.exports = router;
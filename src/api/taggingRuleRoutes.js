@@ -0,0 +1,120 @@
+// src/api/taggingRuleRoutes.js
+// Shopify 태그/컬렉션 규칙 관리 API. 규칙을 수정하면 이미 동기화된 상품에 다시 적용하는 작업이 큐에 추가됩니다.
+// 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const taggingRuleService = require('../services/taggingRuleService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const { AppError } = require('../utils/customErrors');
+
+const LIST_CONDITION_FIELDS = ['keywords', 'categoryIds', 'brandIds'];
+const NUMBER_CONDITION_FIELDS = ['minPriceKrw', 'maxPriceKrw'];
+
+// 규칙 생성/수정 공통 유효성 검사 (isUpdate이면 모든 필드 선택)
+function ruleValidators(isUpdate) {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('name은 필수입니다.')
+      .isLength({ max: 100 }).withMessage('name은 100자 이하여야 합니다.'),
+    required(body('conditions')).isObject().withMessage('conditions는 객체여야 합니다.'),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('enabled').optional().isBoolean().withMessage('enabled는 boolean이어야 합니다.').toBoolean(),
+    body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+    body('updatedBy').optional().isString().trim(),
+    body('tags').optional().isArray().withMessage('tags는 배열이어야 합니다.'),
+    body('tags.*').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('태그는 1~255자 문자열이어야 합니다.'),
+    body('collectionGids').optional().isArray().withMessage('collectionGids는 배열이어야 합니다.'),
+    body('collectionGids.*').isString().trim().notEmpty().withMessage('컬렉션 GID는 빈 문자열일 수 없습니다.'),
+    ...LIST_CONDITION_FIELDS.map(field => body(`conditions.${field}`).optional().isArray().withMessage(`conditions.${field}는 배열이어야 합니다.`)),
+    ...LIST_CONDITION_FIELDS.map(field => body(`conditions.${field}.*`).isString().trim().notEmpty().withMessage(`conditions.${field}의 값은 빈 문자열일 수 없습니다.`)),
+    ...NUMBER_CONDITION_FIELDS.map(field => body(`conditions.${field}`).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage(`conditions.${field}는 0 이상의 숫자여야 합니다.`).toFloat()),
+  ];
+}
+
+// 허용된 필드만 서비스로 전달
+function pickRuleFields(reqBody) {
+  const ruleData = {};
+  ['name', 'description', 'enabled', 'priority', 'conditions', 'tags', 'collectionGids', 'updatedBy'].forEach((field) => {
+    if (reqBody[field] !== undefined) ruleData[field] = reqBody[field];
+  });
+  return ruleData;
+}
+
+/**
+ * GET /api/tagging-rules
+ * 모든 태그 규칙을 평가 순서(priority, name)대로 조회합니다.
+ */
+router.get('/', async (req, res) => {
+  const rules = await taggingRuleService.listTaggingRules();
+  res.status(200).json({ rules });
+});
+
+/**
+ * POST /api/tagging-rules/reapply
+ * 이미 동기화된 상품에 현재 규칙을 다시 적용하는 작업을 큐에 추가합니다. (규칙 수정 시에는 자동으로 추가됨)
+ */
+router.post('/reapply', async (req, res, next) => {
+  const jobId = await taggingRuleService.scheduleTaggingReapply('api_manual');
+  if (!jobId) {
+    return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
+  }
+  res.status(202).json({ message: '태그 규칙 재적용 작업이 큐에 추가되었습니다.', jobId });
+});
+
+/**
+ * GET /api/tagging-rules/:ruleId
+ */
+router.get(
+  '/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 ruleId입니다.')],
+  handleValidationErrors,
+  async (req, res) => {
+    const rule = await taggingRuleService.getTaggingRule(req.params.ruleId);
+    res.status(200).json({ rule });
+  }
+);
+
+/**
+ * POST /api/tagging-rules
+ * Body 예: { "name": "k-pop", "conditions": { "keywords": ["bts"] }, "tags": ["K-Pop"], "collectionGids": ["gid://shopify/Collection/123"] }
+ */
+router.post(
+  '/',
+  ruleValidators(false),
+  handleValidationErrors,
+  async (req, res) => {
+    const { rule, reapplyJobId } = await taggingRuleService.createTaggingRule(pickRuleFields(req.body));
+    res.status(201).json({ message: '태그 규칙이 생성되었습니다.', rule, reapplyJobId });
+  }
+);
+
+/**
+ * PATCH /api/tagging-rules/:ruleId
+ * 전달된 필드만 수정합니다. conditions, tags, collectionGids는 전체가 교체됩니다.
+ */
+router.patch(
+  '/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 ruleId입니다.'), ...ruleValidators(true)],
+  handleValidationErrors,
+  async (req, res) => {
+    const { rule, reapplyJobId } = await taggingRuleService.updateTaggingRule(req.params.ruleId, pickRuleFields(req.body));
+    res.status(200).json({ message: '태그 규칙이 수정되었습니다.', rule, reapplyJobId });
+  }
+);
+
+/**
+ * DELETE /api/tagging-rules/:ruleId
+ */
+router.delete(
+  '/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 ruleId입니다.')],
+  handleValidationErrors,
+  async (req, res) => {
+    const { rule, reapplyJobId } = await taggingRuleService.deleteTaggingRule(req.params.ruleId);
+    res.status(200).json({ message: '태그 규칙이 삭제되었습니다.', rule, reapplyJobId });
+  }
+);
+
+module.exports = router;
@@ -45,7 +45,23 @@ const config = {
     defaultCollectionGid: process.env.SHOPIFY_BUNJANG_COLLECTION_GID,
     appProxy: {
         subpathPrefix: process.env.SHOPIFY_APP_PROXY_SUBPATH_PREFIX || 'bunjang-proxy', // Shopify Admin 설정과 일치
-    }
+    },
+    // 전체 카탈로그 실행 시 변경된 상품을 JSONL로 모아 bulkOperationRunMutation(productSet)으로 반영 (세그먼트는 상품별 처리)
+    bulkSync: {
+      enabled: process.env.SHOPIFY_BULK_FULL_SYNC_ENABLED === 'true', // 기본 비활성화 (시험 실행 후 SHOPIFY_BULK_FULL_SYNC_ENABLED=true로 사용)
+      maxProductsPerOperation: parseInt(process.env.SHOPIFY_BULK_MAX_PRODUCTS_PER_OPERATION, 10) || 5000, // JSONL 파일 크기 제한(100MB) 대비
+      pollIntervalMs: parseInt(process.env.SHOPIFY_BULK_POLL_INTERVAL_MS, 10) || 10000,
+      timeoutMs: parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MS, 10) || 4 * 60 * 60 * 1000, // 벌크 작업 1건 최대 대기 시간
+    },
+    // GraphQL 쿼리 비용(leaky bucket) 기반 요청 조절. 버킷 상태는 Redis로 모든 워커/프로세스가 공유 (Redis 비활성 시 프로세스별)
+    throttle: {
+      enabled: process.env.SHOPIFY_THROTTLE_ENABLED !== 'false',
+      defaultQueryCost: parseInt(process.env.SHOPIFY_THROTTLE_DEFAULT_QUERY_COST, 10) || 50, // 처음 실행하는 operation의 예상 비용
+      maximumAvailable: parseInt(process.env.SHOPIFY_THROTTLE_MAXIMUM_AVAILABLE, 10) || 1000, // 첫 응답(throttleStatus) 전까지 사용할 버킷 크기
+      restoreRate: parseInt(process.env.SHOPIFY_THROTTLE_RESTORE_RATE, 10) || 50, // 초당 복구량 (첫 응답 전까지)
+      reserveRatio: parseFloat(process.env.SHOPIFY_THROTTLE_RESERVE_RATIO) || 0.1, // 예상 비용 오차 대비 남겨둘 버킷 비율
+      lowBudgetLogRatio: parseFloat(process.env.SHOPIFY_THROTTLE_LOW_BUDGET_LOG_RATIO) || 0.25, // 남은 비용이 이 비율 이하이면 info 로그
+    },
   },
 
   bunjang: {
@@ -53,8 +69,6 @@ const config = {
     catalogApiUrl: process.env.BUNJANG_CATALOG_API_URL,
     accessKey: process.env.BUNJANG_API_ACCESS_KEY,
     secretKey: process.env.BUNJANG_API_SECRET_KEY,
-    kpopKeywords: ['bts', 'blackpink'],
-    kidultKeywords: ['collectible', 'limited edition'],
     apiTimeoutMs: parseInt(process.env.BUNJANG_API_TIMEOUT_MS, 10) || 60000,
     catalogDownloadTimeoutMs: parseInt(process.env.BUNJANG_CATALOG_DOWNLOAD_TIMEOUT_MS, 10) || 300000,
     filterCategoryIds: process.env.BUNJANG_FILTER_CATEGORY_IDS ? process.env.BUNJANG_FILTER_CATEGORY_IDS.split(',').map(id => id.trim()) : [],
@@ -68,6 +82,53 @@ const config = {
         }, {})),
     },
     defaultShopifyProductType: process.env.BUNJANG_DEFAULT_SHOPIFY_PRODUCT_TYPE || "Bunjang Linked Product",
+    defaultVendor: process.env.BUNJANG_DEFAULT_VENDOR || "BunjangImport", // 브랜드 이름을 알 수 없는 상품의 Shopify 공급업체
+    // 번개장터 브랜드 디렉터리 (공급업체 이름, 브랜드 태그, 선택적 Shopify 브랜드 메타오브젝트)
+    brands: {
+      metaobjectsEnabled: process.env.BUNJANG_BRAND_METAOBJECTS_ENABLED === 'true', // 상품이 있는 브랜드를 메타오브젝트로 만들고 bunjang.brand로 연결
+      metaobjectType: process.env.BUNJANG_BRAND_METAOBJECT_TYPE || 'bunjang_brand',
+    },
+    syncConcurrency: parseInt(process.env.BUNJANG_SYNC_CONCURRENCY, 10) || 1, // 카탈로그 상품 동시 동기화 수
+    checkpointIntervalRows: parseInt(process.env.BUNJANG_CATALOG_CHECKPOINT_INTERVAL_ROWS, 10) || 50, // 체크포인트 저장 간격 (CSV 행 수)
+
+    // 전체 카탈로그에서 사라졌거나 판매중이 아닌 상품 내리기(delisting) 설정
+    delistEnabled: process.env.BUNJANG_DELIST_ENABLED !== 'false',
+    delistShopifyStatus: (process.env.BUNJANG_DELIST_SHOPIFY_STATUS || 'ARCHIVED').toUpperCase(), // ARCHIVED 또는 DRAFT
+    delistMaxRatio: parseFloat(process.env.BUNJANG_DELIST_MAX_RATIO) || 0.3, // 한 번에 내릴 수 있는 최대 비율 (카탈로그 파일 이상 대비)
+
+    // 누락된 시간별 세그먼트 카탈로그 감지 및 백필 설정 (KST 시간 단위 원장 기준)
+    segmentBackfill: {
+      enabled: process.env.BUNJANG_SEGMENT_BACKFILL_ENABLED !== 'false',
+      lookbackHours: parseInt(process.env.BUNJANG_SEGMENT_BACKFILL_LOOKBACK_HOURS, 10) || 24, // 누락 여부를 확인할 과거 시간 범위
+      maxAttempts: parseInt(process.env.BUNJANG_SEGMENT_BACKFILL_MAX_ATTEMPTS, 10) || 3, // 파일당 최대 백필 시도 횟수
+      staleAfterMinutes: parseInt(process.env.BUNJANG_SEGMENT_BACKFILL_STALE_AFTER_MINUTES, 10) || 180, // 이 시간 이상 대기/처리 중이면 누락으로 간주
+    },
+    // 카탈로그 dry-run 보고서 (CatalogDryRunReport/CatalogDryRunItem)
+    dryRun: {
+      reportRetentionDays: parseInt(process.env.BUNJANG_DRY_RUN_REPORT_RETENTION_DAYS, 10) || 14, // 보고서와 상품별 내역 보관 기간
+    },
+    // 카탈로그 실행 이력 (CatalogRun/CatalogRunItem)
+    runHistory: {
+      itemRetentionDays: parseInt(process.env.BUNJANG_CATALOG_RUN_ITEM_RETENTION_DAYS, 10) || 90, // 실행별 상품 내역 보관 기간 (실행 요약은 계속 보관)
+      maxSampleErrors: parseInt(process.env.BUNJANG_CATALOG_RUN_MAX_SAMPLE_ERRORS, 10) || 20, // 실행 요약에 남길 오류 예시 수
+    },
+    // Shopify 스토어와 SyncedProduct 대조 (고아 상품, 삭제된 상품을 가리키는 GID 등)
+    reconciliation: {
+      autoRelink: process.env.BUNJANG_RECONCILIATION_AUTO_RELINK !== 'false', // 태그/SKU로 찾은 Shopify 상품에 기록을 자동으로 다시 연결
+      reportRetentionDays: parseInt(process.env.BUNJANG_RECONCILIATION_REPORT_RETENTION_DAYS, 10) || 90, // 대조 이슈 보관 기간
+    },
+    // 같은 상품을 여러 번 올린 리스팅 정리 (대표 이미지 perceptual hash + 정규화한 제목 유사도, duplicateListingService 참고)
+    dedupe: {
+      enabled: process.env.BUNJANG_DEDUPE_ENABLED === 'true',
+      maxImageHashDistance: Math.min(parseInt(process.env.BUNJANG_DEDUPE_MAX_IMAGE_HASH_DISTANCE ?? '3', 10) || 0, 3), // 대표 이미지 dHash 해밍 거리 (0~3)
+      minTitleSimilarity: parseFloat(process.env.BUNJANG_DEDUPE_MIN_TITLE_SIMILARITY) || 0.6, // 정규화한 제목 토큰의 Jaccard 유사도
+      preferredSellerUids: process.env.BUNJANG_DEDUPE_PREFERRED_SELLER_UIDS ? process.env.BUNJANG_DEDUPE_PREFERRED_SELLER_UIDS.split(',').map(uid => uid.trim()) : [], // 대표 상품 선택 시 우선할 판매자
+    },
+    // 게시 전 검토 (productReviewService 참고). 새로 가져온 상품을 DRAFT로 만들고 승인한 뒤에 게시
+    review: {
+      enabled: process.env.BUNJANG_REVIEW_ENABLED === 'true',
+      defaultAutoApprove: process.env.BUNJANG_REVIEW_DEFAULT_AUTO_APPROVE === 'true', // 검토 정책을 지정한 카테고리가 없는 상품의 자동 승인 여부
+    },
     orderIdentifierPrefix: process.env.BUNJANG_ORDER_IDENTIFIER_PREFIX || "bungjang_order_",
     
     // 포인트 관리 설정
@@ -96,6 +157,31 @@ const config = {
     apiUrl: process.env.OPENEXCHANGERATES_API_URL || "https://openexchangerates.org/api",
   },
 
+  // 상품명/설명 한국어 -> 영어 번역 (provider: 'dictionary' 는 외부 API 없이 동작하는 사전 기반 번역)
+  translation: {
+    enabled: process.env.TRANSLATION_ENABLED === 'true',
+    provider: process.env.TRANSLATION_PROVIDER || 'dictionary',
+    sourceLang: process.env.TRANSLATION_SOURCE_LANG || 'ko',
+    targetLang: process.env.TRANSLATION_TARGET_LANG || 'en',
+    deepl: {
+      apiKey: process.env.DEEPL_API_KEY,
+      apiUrl: process.env.DEEPL_API_URL || 'https://api-free.deepl.com',
+      timeoutMs: parseInt(process.env.DEEPL_TIMEOUT_MS, 10) || 15000,
+    },
+  },
+
+  // 번개장터 이미지 재호스팅 (다운로드 -> 검증 -> Shopify staged upload). 비활성화 시 번개장터 URL을 그대로 Shopify에 전달
+  imageRehost: {
+    enabled: process.env.IMAGE_REHOST_ENABLED === 'true', // 기본 비활성화 (IMAGE_REHOST_ENABLED=true로 사용)
+    downloadTimeoutMs: parseInt(process.env.IMAGE_REHOST_DOWNLOAD_TIMEOUT_MS, 10) || 30000,
+    uploadTimeoutMs: parseInt(process.env.IMAGE_REHOST_UPLOAD_TIMEOUT_MS, 10) || 60000,
+    minBytes: parseInt(process.env.IMAGE_REHOST_MIN_BYTES, 10) || 512, // 이보다 작으면 깨진 이미지/플레이스홀더로 간주
+    maxBytes: parseInt(process.env.IMAGE_REHOST_MAX_BYTES, 10) || 20 * 1024 * 1024, // Shopify 이미지 최대 20MB
+    stagedUploadReuseHours: parseInt(process.env.IMAGE_REHOST_STAGED_REUSE_HOURS, 10) || 24, // 같은 내용의 이미지는 이 시간 동안 업로드 결과 재사용
+    maxAttempts: parseInt(process.env.IMAGE_REHOST_MAX_ATTEMPTS, 10) || 5, // 재시도 작업에서 이미지당 최대 시도 횟수
+    retryBatchSize: parseInt(process.env.IMAGE_REHOST_RETRY_BATCH_SIZE, 10) || 100, // 재시도 작업 1회당 최대 상품 수
+  },
+
   priceCalculation: {
     markupPercentage: parseFloat(process.env.PRICE_MARKUP_PERCENTAGE) || 8,
     handlingFeeUsd: parseFloat(process.env.HANDLING_FEE_USD) || 5.00,
@@ -136,6 +222,12 @@ const config = {
     fetchFullCatalogCron: process.env.FETCH_FULL_CATALOG_CRON || "30 3 * * *",
     fetchSegmentCatalogCron: process.env.FETCH_SEGMENT_CATALOG_CRON || "10 */1 * * *", // 매시간 10분으로 수정
     updateExchangeRatesCron: process.env.UPDATE_EXCHANGE_RATES_CRON || "0 */3 * * *",
+    segmentCatalogGapCheckCron: process.env.SEGMENT_CATALOG_GAP_CHECK_CRON || "40 * * * *", // 매시간 40분 (누락 세그먼트 백필)
+    retryFailedMediaCron: process.env.RETRY_FAILED_MEDIA_CRON || "20 */2 * * *", // 2시간마다 20분 (실패한 상품 이미지 재시도)
+    syncBunjangCategoriesCron: process.env.SYNC_BUNJANG_CATEGORIES_CRON || "50 2 * * *", // 매일 오전 2시 50분 (전체 카탈로그 처리 전 카테고리 트리 갱신)
+    syncBunjangBrandsCron: process.env.SYNC_BUNJANG_BRANDS_CRON || "55 2 * * *", // 매일 오전 2시 55분 (전체 카탈로그 처리 전 브랜드 디렉터리 갱신)
+    runSavedSearchesCron: process.env.RUN_SAVED_SEARCHES_CRON || "*/15 * * * *", // 15분마다 실행 시간이 된 저장된 검색 가져오기 (검색별 주기는 intervalMinutes)
+    reconcileShopifyProductsCron: process.env.RECONCILE_SHOPIFY_PRODUCTS_CRON || "30 6 * * 0", // 매주 일요일 오전 6시 30분 (Shopify 상품과 SyncedProduct 대조)
     
     // 주문 상태 동기화 크론
     orderStatusSyncHourlyCron: process.env.ORDER_STATUS_SYNC_HOURLY_CRON || "0 * * * *", // 매시간 정각
@@ -168,6 +260,7 @@ const config = {
       order: process.env.BULLMQ_QUEUE_ORDER || 'order-processing-queue',
       orderStatusSync: process.env.BULLMQ_QUEUE_ORDER_STATUS_SYNC || 'order-status-sync-queue', // 주문 상태 동기화 큐
       exchangeRate: process.env.BULLMQ_QUEUE_EXCHANGE_RATE || 'exchange-rate-update-queue',
+      maintenance: process.env.BULLMQ_QUEUE_MAINTENANCE || 'maintenance-queue', // 대조/저장된 검색/이미지 재시도 등 관리 작업 큐 (카탈로그 처리 지연 방지)
     },
     arenaAdmin: { // BullMQ Arena UI 인증
         username: process.env.ARENA_ADMIN_USERNAME || 'arena_admin_user', // 반드시 변경
@@ -181,6 +274,13 @@ const config = {
   },
 
   tempDir: path.resolve(__dirname, process.env.TEMP_DIR || '../../temp_downloads'),
+
+  // API를 통한 수동 카탈로그 파일 처리 (업로드 파일 저장 경로, 서버 경로 지정 시 허용 디렉터리)
+  catalogImport: {
+    uploadDir: path.resolve(__dirname, process.env.CATALOG_UPLOAD_DIR || '../../temp_downloads/catalog_uploads'),
+    serverPathRoot: path.resolve(__dirname, process.env.CATALOG_IMPORT_DIR || '../../catalog_imports'),
+    maxUploadBytes: parseInt(process.env.CATALOG_UPLOAD_MAX_BYTES, 10) || 500 * 1024 * 1024, // 기본 500MB
+  },
   
   // 알림 설정 (이메일, Slack 등)
   notifications: {
@@ -0,0 +1,48 @@
+// src/config/translationGlossary.js
+// 번역 시 고정 표기할 용어집 (한국어 원문 -> 영문 표기). K-Pop 그룹/멤버명, 브랜드명 등
+// 번역 제공자에 보내기 전에 영문 표기로 치환하므로, 어떤 번역 제공자를 쓰더라도 표기가 유지됩니다.
+// 긴 용어가 먼저 적용되므로 "방탄소년단"과 "방탄"처럼 겹치는 용어도 함께 등록할 수 있습니다.
+
+module.exports = {
+  // K-Pop 그룹
+  '방탄소년단': 'BTS',
+  '방탄': 'BTS',
+  '블랙핑크': 'BLACKPINK',
+  '세븐틴': 'SEVENTEEN',
+  '스트레이키즈': 'Stray Kids',
+  '스키즈': 'Stray Kids',
+  '뉴진스': 'NewJeans',
+  '르세라핌': 'LE SSERAFIM',
+  '아이브': 'IVE',
+  '에스파': 'aespa',
+  '트와이스': 'TWICE',
+  '레드벨벳': 'Red Velvet',
+  '엔시티': 'NCT',
+  '엑소': 'EXO',
+  '투모로우바이투게더': 'TOMORROW X TOGETHER',
+  '투바투': 'TXT',
+  '엔하이픈': 'ENHYPEN',
+  '에이티즈': 'ATEEZ',
+  '빅뱅': 'BIGBANG',
+  '샤이니': 'SHINee',
+  '아이유': 'IU',
+
+  // 브랜드
+  '샤넬': 'Chanel',
+  '루이비통': 'Louis Vuitton',
+  '구찌': 'Gucci',
+  '프라다': 'Prada',
+  '에르메스': 'Hermès',
+  '디올': 'Dior',
+  '나이키': 'Nike',
+  '아디다스': 'Adidas',
+  '뉴발란스': 'New Balance',
+  '슈프림': 'Supreme',
+  '스투시': 'Stussy',
+  '젠틀몬스터': 'Gentle Monster',
+  '마뗑킴': 'Matin Kim',
+  '반다이': 'Bandai',
+  '레고': 'LEGO',
+  '산리오': 'Sanrio',
+  '포켓몬': 'Pokémon',
+};
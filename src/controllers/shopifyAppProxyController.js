@@ -4,6 +4,7 @@
 const config = require('../config');
 const logger = require('../config/logger');
 const SyncedProduct = require('../models/syncedProduct.model');
+const { getBrandDirectoryIndex, listBrandsWithProducts } = require('../services/bunjangBrandService');
 const { NotFoundError, ValidationError } = require('../utils/customErrors');
 const { validationResult } = require('express-validator');
 
@@ -22,13 +23,14 @@ async function getBunjangLinkedProducts(req, res, next) {
   // 쿼리 파라미터 (express-validator에서 sanitize/default 값 설정 가능)
   const {
     categories, // 쉼표로 구분된 번개장터 카테고리 ID 문자열
+    brands,     // 쉼표로 구분된 번개장터 브랜드 ID 문자열
     search,     // 검색어
     page = 1,   // 페이지 번호 (기본값 1)
     limit = 20, // 페이지 당 상품 수 (기본값 20, 최대 100 등으로 제한)
     sort = 'latest', // 정렬 기준 (예: 'latest', 'price_asc', 'price_desc')
   } = req.query;
 
-  logger.info('[AppProxyCtrlr /products] Request received:', { categories, search, page, limit, sort });
+  logger.info('[AppProxyCtrlr /products] Request received:', { categories, brands, search, page, limit, sort });
 
   try {
     const queryConditions = { syncStatus: 'SYNCED' }; // 성공적으로 Shopify에 동기화된 상품만 대상
@@ -53,6 +55,15 @@ async function getBunjangLinkedProducts(req, res, next) {
       }
     }
 
+    // 1-1. 브랜드 필터링 (GET /brands의 브랜드 ID)
+    if (brands) {
+      const brandIds = brands.split(',').map(id => id.trim()).filter(Boolean);
+      if (brandIds.length > 0) {
+        queryConditions.bunjangBrandId = { $in: brandIds };
+        logger.debug('[AppProxyCtrlr /products] Applying brand filter:', brandIds);
+      }
+    }
+
     // 2. 검색어 필터링
     if (search && search.trim() !== '') {
       const searchTerm = search.trim();
@@ -87,10 +98,11 @@ async function getBunjangLinkedProducts(req, res, next) {
       .sort(sortOption)
       .skip(skip)
       .limit(limitNum)
-      .select('shopifyGid shopifyHandle bunjangProductName shopifyListedPriceUsd bunjangPid -_id') // 필요한 필드만 선택
+      .select('shopifyGid shopifyHandle bunjangProductName shopifyListedPriceUsd bunjangPid bunjangBrandId -_id') // 필요한 필드만 선택
       .lean();
 
     const totalProducts = await SyncedProduct.countDocuments(queryConditions);
+    const brandIndex = await getBrandDirectoryIndex();
 
     // 클라이언트에 전달할 상품 데이터 형식 구성
     const responseProducts = productsFromDb.map(p => ({
@@ -106,6 +118,9 @@ async function getBunjangLinkedProducts(req, res, next) {
       // 실제로는 Shopify 스토어의 기본 URL을 사용하거나, 상대 경로만 제공하는 것이 나을 수 있음.
       url: `/products/${p.shopifyHandle}`, // Shopify 스토어 내 상대 경로
       bunjangPid: p.bunjangPid,
+      brand: p.bunjangBrandId && brandIndex.has(p.bunjangBrandId)
+        ? { id: p.bunjangBrandId, name: brandIndex.get(p.bunjangBrandId).name }
+        : null,
     }));
 
     // App Proxy 응답은 Content-Type: application/liquid 를 설정하면 Shopify가 Liquid 템플릿처럼 처리 가능.
@@ -129,6 +144,26 @@ async function getBunjangLinkedProducts(req, res, next) {
   }
 }
 
+/**
+ * GET /api/app-proxy/brands
+ * 상품 목록의 브랜드 필터 UI용으로, 동기화된 상품이 있는 브랜드와 상품 수를 반환합니다.
+ * categories 파라미터가 있으면 해당 카테고리 상품 기준으로 계산합니다.
+ */
+async function getBunjangBrandFilters(req, res, next) {
+  const { categories } = req.query;
+  try {
+    const baseConditions = {};
+    const categoryIds = (categories ? categories.split(',') : config.bunjang.filterCategoryIds).map(id => String(id).trim()).filter(Boolean);
+    if (categoryIds.length > 0) baseConditions.bunjangCategoryId = { $in: categoryIds };
+
+    const brandFilters = await listBrandsWithProducts(baseConditions);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200).json({ brands: brandFilters });
+  } catch (error) {
+    next(error);
+  }
+}
+
 // TODO: 특정 상품 상세 정보 반환 엔드포인트 (/api/app-proxy/product/:bunjangPidOrShopifyHandle)
 async function getBunjangLinkedProductDetail(req, res, next) {
     const { identifier } = req.params; // bunjangPid 또는 shopifyHandle
@@ -140,5 +175,6 @@ async function getBunjangLinkedProductDetail(req, res, next) {
 
 module.exports = {
   getBunjangLinkedProducts,
+  getBunjangBrandFilters,
   getBunjangLinkedProductDetail,
 };
@@ -24,6 +24,9 @@ try {
 const app = require('./app'); // Express 앱 (config, logger 의존)
 const { connectDB, disconnectDB } = require('./config/database'); // DB 연결 (config, logger 의존)
 const { getRedisClient, disconnectRedis } = require('./config/redisClient'); // Redis 연결 (config, logger 의존)
+const { seedDefaultTaggingRules } = require('./services/taggingRuleService');
+const { ensureBunjangMetafieldDefinitions } = require('./services/metafieldDefinitionService');
+const { ensureBrandMetaobjectDefinitions } = require('./services/bunjangBrandService');
 // src/jobs/index.js에서 통합 초기화/종료 함수 및 필요한 개별 함수들을 가져옵니다.
 const { 
   initializeAllJobSystems, 
@@ -46,6 +49,27 @@ async function startServer() {
     // 1. 데이터베이스 연결
     await connectDB();
 
+    // 태그 규칙이 없으면 기본 규칙(K-Pop, Kidult) 생성 (실패해도 서버 시작은 계속)
+    try {
+      await seedDefaultTaggingRules();
+    } catch (seedError) {
+      logger.error('[Startup] Failed to seed default tagging rules:', seedError);
+    }
+
+    // 카탈로그 동기화가 쓰는 bunjang.* 상품 메타필드 정의 생성 (실패해도 서버 시작은 계속, 메타필드 값은 정의 없이도 저장됨)
+    try {
+      await ensureBunjangMetafieldDefinitions();
+    } catch (definitionError) {
+      logger.error('[Startup] Failed to ensure Bunjang metafield definitions:', definitionError);
+    }
+
+    // 브랜드 메타오브젝트 사용 시 메타오브젝트 정의와 bunjang.brand 메타필드 정의 생성 (실패해도 서버 시작은 계속)
+    try {
+      await ensureBrandMetaobjectDefinitions();
+    } catch (brandDefinitionError) {
+      logger.error('[Startup] Failed to ensure Bunjang brand metaobject definitions:', brandDefinitionError);
+    }
+
     // 2. Redis 연결 (BullMQ는 자체 연결 사용, 여기서는 공유 클라이언트 초기화)
     if (config.redis.enabled) {
       getRedisClient(); // 호출 시 내부적으로 연결 시도 및 로깅
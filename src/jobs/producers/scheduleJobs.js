@@ -6,16 +6,22 @@ const config = require('../../config'); // ../../config 로 경로 수정
 const logger = require('../../config/logger'); // ../../config 로 경로 수정
 const { getQueue } = require('../queues'); // ../queues 로 경로 수정
 const { AppError } = require('../../utils/customErrors'); // ../../utils 로 경로 수정
+const { generateBunjangCatalogFilename } = require('../../services/catalogService');
 
 // 작업 데이터 생성 함수 (필요시 별도 파일로 분리)
 const createJobData = {
   updateExchangeRates: () => ({ taskType: 'FETCH_AND_STORE_RATES' }),
   fetchFullCatalog: () => ({ catalogType: 'full', triggeredBy: 'cron_scheduler' }),
   fetchSegmentCatalog: () => {
-    // 세그먼트 카탈로그는 특정 시간대의 파일명을 생성해야 할 수 있음
-    // 예: const now = new Date(); const hour = now.getHours(); return { catalogType: 'segment', hour };
-    return { catalogType: 'segment', triggeredBy: 'cron_scheduler' };
+    // 작업 추가 시점의 KST 시간으로 파일명을 고정 (큐 대기로 처리 시점이 다음 시간으로 넘어가도 해당 시간 파일을 처리)
+    return { catalogType: 'segment', catalogFileName: generateBunjangCatalogFilename('segment'), triggeredBy: 'cron_scheduler' };
   },
+  detectSegmentCatalogGaps: () => ({ taskType: 'DETECT_SEGMENT_GAPS', triggeredBy: 'cron_scheduler' }),
+  retryFailedMedia: () => ({ taskType: 'RETRY_FAILED_MEDIA', triggeredBy: 'cron_scheduler' }),
+  syncBunjangCategories: () => ({ taskType: 'SYNC_BUNJANG_CATEGORIES', triggeredBy: 'cron_scheduler' }),
+  syncBunjangBrands: () => ({ taskType: 'SYNC_BUNJANG_BRANDS', triggeredBy: 'cron_scheduler' }),
+  runSavedSearches: () => ({ taskType: 'RUN_SAVED_SEARCHES', triggeredBy: 'cron_scheduler' }),
+  reconcileShopifyProducts: () => ({ taskType: 'RECONCILE_SHOPIFY_PRODUCTS', triggeredBy: 'cron_scheduler' }),
 };
 
 /**
@@ -96,6 +102,63 @@ function initializeScheduledJobs() {
     { priority: 1 } // 예: 전체 카탈로그보다 높은 우선순위
   );
   
+  // 4. 누락된 시간별 세그먼트 카탈로그 감지 및 백필 작업
+  if (config.bunjang.segmentBackfill.enabled) {
+    scheduleJob(
+      config.scheduler.segmentCatalogGapCheckCron,
+      'DetectSegmentCatalogGaps',
+      config.bullmq.queues.catalog,
+      createJobData.detectSegmentCatalogGaps,
+      { priority: 1 }
+    );
+  }
+
+  // 5~9는 관리 작업 큐에서 실행 (카탈로그 처리 큐를 오래 점유해 시간별 세그먼트가 밀리지 않도록)
+  // 5. 첨부에 실패한 상품 이미지 재시도
+  scheduleJob(
+    config.scheduler.retryFailedMediaCron,
+    'RetryFailedProductMedia',
+    config.bullmq.queues.maintenance,
+    createJobData.retryFailedMedia,
+    { priority: 3 }
+  );
+
+  // 6. 번개장터 카테고리 트리 동기화 (카테고리 매핑 관리용)
+  scheduleJob(
+    config.scheduler.syncBunjangCategoriesCron,
+    'SyncBunjangCategories',
+    config.bullmq.queues.maintenance,
+    createJobData.syncBunjangCategories,
+    { priority: 3 }
+  );
+
+  // 7. 번개장터 브랜드 디렉터리 동기화 (공급업체 이름/브랜드 태그, 선택적으로 브랜드 메타오브젝트)
+  scheduleJob(
+    config.scheduler.syncBunjangBrandsCron,
+    'SyncBunjangBrands',
+    config.bullmq.queues.maintenance,
+    createJobData.syncBunjangBrands,
+    { priority: 3 }
+  );
+
+  // 8. 저장된 번개장터 검색 결과 가져오기 (실행 시간이 된 검색만 처리)
+  scheduleJob(
+    config.scheduler.runSavedSearchesCron,
+    'RunSavedSearches',
+    config.bullmq.queues.maintenance,
+    createJobData.runSavedSearches,
+    { priority: 2 }
+  );
+
+  // 9. Shopify 상품과 SyncedProduct 대조 (고아 상품, 삭제된 상품을 가리키는 GID 등 보고)
+  scheduleJob(
+    config.scheduler.reconcileShopifyProductsCron,
+    'ReconcileShopifyProducts',
+    config.bullmq.queues.maintenance,
+    createJobData.reconcileShopifyProducts,
+    { priority: 3 }
+  );
+
   // TODO: 여기에 다른 주기적인 작업들 추가 (예: 오래된 데이터 정리, 보고서 생성 등)
 
   logger.info('[Scheduler] All cron jobs for BullMQ producers have been scheduled.');
@@ -1,8 +1,12 @@
 // src/jobs/workers/catalogWorker.js
 const { Worker } = require('bullmq');
+const fs = require('fs-extra');
 const config = require('../../config');
 const logger = require('../../config/logger');
-const { fetchAndProcessBunjangCatalog } = require('../../services/catalogService');
+const { fetchAndProcessBunjangCatalog, generateBunjangCatalogFilename } = require('../../services/catalogService');
+const catalogLedgerService = require('../../services/catalogLedgerService');
+const catalogRunService = require('../../services/catalogRunService');
+const { MAINTENANCE_TASKS } = require('./maintenanceWorker');
 let catalogService;
 
 async function initializeCatalogService() {
@@ -22,12 +26,32 @@ async function processCatalogJob(jobData) {
 }
 const { JobQueueError, AppError, ExternalServiceError } = require('../../utils/customErrors');
 
+// 카탈로그 파일 처리 외에 같은 큐에서 실행하는 작업 (job.data.taskType으로 구분, 작업 데이터는 두 번째 인자)
+// 그 밖의 관리 작업은 관리 작업 큐(maintenanceWorker)에서 실행하며, 큐 분리 전에 이 큐에 들어간 작업만 여기서 마저 처리
+const CATALOG_MAINTENANCE_TASKS = {
+  ...MAINTENANCE_TASKS,
+  DETECT_SEGMENT_GAPS: (jobIdentifier) => catalogLedgerService.enqueueMissingSegmentCatalogs(jobIdentifier), // 누락 세그먼트 백필 작업 추가
+};
+
 const CONCURRENCY = parseInt(process.env.CATALOG_WORKER_CONCURRENCY, 10) || config.worker?.catalogConcurrency || 1;
 
 async function processCatalogJob(job) {
   // Use a distinct variable name for the job identifier string within this function
   // to ensure clarity and avoid potential scope confusion if 'jobIdForLog' was used elsewhere.
   const currentJobIdentifier = `Job ${job.id} (Name: ${job.name}, Trigger: ${job.data.triggeredBy || 'unknown'})`;
+
+  const maintenanceTask = job.data.taskType && CATALOG_MAINTENANCE_TASKS[job.data.taskType];
+  if (maintenanceTask) {
+    logger.info(`[Worker: ${job.queueName}] Starting ${currentJobIdentifier}. Task: ${job.data.taskType}`);
+    try {
+      const result = await maintenanceTask(currentJobIdentifier, job.data);
+      return { success: true, taskType: job.data.taskType, ...result };
+    } catch (error) {
+      logger.error(`[Worker: ${job.queueName}] ${currentJobIdentifier} task ${job.data.taskType} FAILED: ${error.message}`, { stack: error.stack });
+      throw new JobQueueError(job.queueName, job, error, `Task ${job.data.taskType} ${currentJobIdentifier} failed. Cause: ${String(error.message).substring(0, 250)}`);
+    }
+  }
+
   const { catalogType } = job.data;
 
   logger.info(`[Worker: ${job.queueName}] Starting ${currentJobIdentifier}. Type: ${catalogType}`);
@@ -38,14 +62,73 @@ async function processCatalogJob(job) {
     throw new JobQueueError(job.queueName, job, null, `Invalid catalogType: ${catalogType} for ${currentJobIdentifier}`);
   }
 
+  let catalogRunId = null;
   try {
+    // 처리할 파일명을 작업 데이터에 고정하여, 재시도/재시작 시 날짜(시간)가 바뀌어도 같은 파일의 체크포인트에서 이어서 처리
+    if (!job.data.catalogFileName) {
+      await job.updateData({ ...job.data, catalogFileName: generateBunjangCatalogFilename(catalogType) });
+    }
+
+    // 번개장터에서 받는 실제 처리만 실행 원장에 기록 (업로드/로컬 파일, dry-run 제외)
+    const tracksLedger = !job.data.localFilePath && !job.data.dryRun;
+    if (tracksLedger) {
+      await catalogLedgerService.recordCatalogRunStarted(job.data.catalogFileName, { jobId: job.id, triggeredBy: job.data.triggeredBy })
+        .catch(err => logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to update catalog run ledger: ${err.message}`));
+    }
+
+    // 실행마다(재시도 포함) 실행 이력을 남김. 기록 실패는 카탈로그 처리를 막지 않음
+    catalogRunId = await catalogRunService.startCatalogRun({
+      jobId: job.id,
+      attempt: job.attemptsMade + 1,
+      catalogType,
+      catalogFileName: job.data.catalogFileName,
+      source: job.data.localFilePath ? (job.data.deleteSourceAfterProcessing ? 'upload' : 'local') : 'bunjang',
+      triggeredBy: job.data.triggeredBy,
+      dryRun: !!job.data.dryRun,
+    }).catch(err => {
+      logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to record catalog run start: ${err.message}`);
+      return null;
+    });
+
     // Pass the well-defined 'currentJobIdentifier' to the service layer for consistent logging
-    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier);
-    logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}) completed successfully. Summary:`, resultSummary);
-    return { success: true, catalogType, summary: resultSummary };
+    // dryRun 작업은 Shopify에 반영하지 않고 작업 ID로 조회 가능한 보고서만 생성
+    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier, {
+      catalogFileName: job.data.catalogFileName,
+      dryRun: !!job.data.dryRun,
+      reportJobId: job.id,
+      localFilePath: job.data.localFilePath,
+      skipStaleRows: !!job.data.skipStaleRows,
+      delistMissing: !!job.data.delistMissing,
+      catalogRunId,
+    });
+    if (catalogRunId) {
+      await catalogRunService.completeCatalogRun(catalogRunId, resultSummary)
+        .catch(err => logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to record catalog run completion: ${err.message}`));
+    }
+    if (tracksLedger) {
+      await catalogLedgerService.recordCatalogRunCompleted(job.data.catalogFileName, resultSummary)
+        .catch(err => logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to update catalog run ledger: ${err.message}`));
+    }
+    // API로 업로드된 파일은 처리가 끝나면 삭제 (실패 시에는 재시도를 위해 남겨둠)
+    if (job.data.localFilePath && job.data.deleteSourceAfterProcessing) {
+      await fs.remove(job.data.localFilePath).catch(err => logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to remove uploaded catalog file ${job.data.localFilePath}: ${err.message}`));
+    }
+    logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}${job.data.dryRun ? ', dry-run' : ''}) completed successfully. Summary:`, resultSummary);
+    return { success: true, catalogType, dryRun: !!job.data.dryRun, summary: resultSummary };
   } catch (error) { // This 'error' is whatever was thrown from fetchAndProcessBunjangCatalog
     const originalErrorMessage = error.message || 'No original error message available';
 
+    if (catalogRunId) {
+      await catalogRunService.failCatalogRun(catalogRunId, error)
+        .catch(err => logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to record catalog run failure: ${err.message}`));
+    }
+
+    if (job.data.catalogFileName && !job.data.localFilePath && !job.data.dryRun) {
+      const willRetry = job.attemptsMade + 1 < (job.opts.attempts || 1);
+      await catalogLedgerService.recordCatalogRunFailed(job.data.catalogFileName, error, willRetry)
+        .catch(err => logger.warn(`[Worker: ${job.queueName}] ${currentJobIdentifier} failed to update catalog run ledger: ${err.message}`));
+    }
+
     // Log detailed information about the error caught from the service layer
     logger.error(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}) FAILED. Caught Error: ${originalErrorMessage}`, {
       errorType: error.constructor.name,
@@ -9,7 +9,8 @@ const { getBullMQRedisConnection } = require('../../config/redisClient'); // 경
 const createExchangeRateWorker = require('./exchangeRateWorker');
 const createCatalogWorker = require('./catalogWorker');
 const createOrderWorker = require('./orderWorker');
-// const createProductSyncWorker = require('./productSyncWorker'); // 필요시
+const createProductSyncWorker = require('./productSyncWorker');
+const createMaintenanceWorker = require('./maintenanceWorker');
 
 const workers = []; // 활성 워커 인스턴스 저장 배열
 
@@ -43,11 +44,17 @@ function initializeAllWorkers() {
   workers.push(orderWorker);
   logger.info(`[Workers] Order Processing Worker for queue "${orderQueueName}" initialized.`);
 
-  // 4. (선택) 개별 상품 동기화 워커
-  // const productSyncQueueName = config.bullmq.queues.productSync;
-  // const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
-  // workers.push(productSyncWorker);
-  // logger.info(`[Workers] Product Sync Worker for queue "${productSyncQueueName}" initialized.`);
+  // 4. 개별 상품 재동기화 워커
+  const productSyncQueueName = config.bullmq.queues.productSync;
+  const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
+  workers.push(productSyncWorker);
+  logger.info(`[Workers] Product Sync Worker for queue "${productSyncQueueName}" initialized.`);
+
+  // 5. 관리 작업 워커 (이미지 재시도, 카테고리/브랜드 갱신, 저장된 검색, Shopify 대조, 태그 규칙 재적용)
+  const maintenanceQueueName = config.bullmq.queues.maintenance;
+  const maintenanceWorker = createMaintenanceWorker(maintenanceQueueName, getBullMQRedisConnection());
+  workers.push(maintenanceWorker);
+  logger.info(`[Workers] Maintenance Worker for queue "${maintenanceQueueName}" initialized.`);
 
 
   logger.info(`[Workers] All ${workers.length} BullMQ workers have been initialized.`);
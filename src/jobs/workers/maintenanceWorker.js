@@ -0,0 +1,79 @@
+// src/jobs/workers/maintenanceWorker.js
+// BullMQ 워커: 카탈로그 파일 처리와 별도로 관리 작업(이미지 재시도, 카테고리/브랜드 갱신, 저장된 검색, Shopify 대조, 태그 규칙 재적용)을 실행합니다.
+// 오래 걸리는 관리 작업이 카탈로그 큐를 점유해 시간별 세그먼트 처리가 밀리거나 불필요한 백필이 생기지 않도록 큐를 분리합니다.
+
+const { Worker } = require('bullmq');
+const logger = require('../../config/logger');
+const { retryFailedProductMedia } = require('../../services/catalogService');
+const taggingRuleService = require('../../services/taggingRuleService');
+const bunjangCategoryService = require('../../services/bunjangCategoryService');
+const bunjangBrandService = require('../../services/bunjangBrandService');
+const savedSearchService = require('../../services/savedSearchService');
+const reconciliationService = require('../../services/reconciliationService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+// job.data.taskType별 작업 (작업 데이터는 두 번째 인자)
+const MAINTENANCE_TASKS = {
+  REAPPLY_TAGGING_RULES: (jobIdentifier) => taggingRuleService.reapplyTaggingRulesToSyncedProducts(jobIdentifier), // 태그 규칙 변경 반영
+  RETRY_FAILED_MEDIA: (jobIdentifier) => retryFailedProductMedia(jobIdentifier), // 첨부 실패한 상품 이미지 재시도
+  SYNC_BUNJANG_CATEGORIES: (jobIdentifier) => bunjangCategoryService.syncBunjangCategoryTree(jobIdentifier), // 번개장터 카테고리 트리 갱신
+  SYNC_BUNJANG_BRANDS: (jobIdentifier) => bunjangBrandService.syncBunjangBrandDirectory(jobIdentifier), // 번개장터 브랜드 디렉터리 갱신
+  RUN_SAVED_SEARCHES: (jobIdentifier, jobData) => savedSearchService.runDueSavedSearches(jobIdentifier, { savedSearchId: jobData.savedSearchId }), // 저장된 검색 결과 가져오기
+  RECONCILE_SHOPIFY_PRODUCTS: (jobIdentifier, jobData) => reconciliationService.runShopifyReconciliation(jobIdentifier, { autoRelink: jobData.autoRelink, triggeredBy: jobData.triggeredBy }), // Shopify 상품과 SyncedProduct 대조
+};
+
+// 관리 작업끼리도 같은 Shopify 상품을 동시에 수정할 수 있으므로 기본 1
+const CONCURRENCY = parseInt(process.env.MAINTENANCE_WORKER_CONCURRENCY, 10) || 1;
+
+/**
+ * 관리 작업을 처리합니다.
+ * job.data: { taskType, triggeredBy, ...작업별 데이터 }
+ * @param {import('bullmq').Job} job - BullMQ 작업 객체.
+ * @returns {Promise<object>} 작업 결과 요약.
+ */
+async function processMaintenanceJob(job) {
+  const jobIdentifier = `Job ${job.id} (Name: ${job.name}, Trigger: ${job.data.triggeredBy || 'unknown'})`;
+  const task = MAINTENANCE_TASKS[job.data.taskType];
+  if (!task) {
+    logger.error(`[Worker: ${job.queueName}] ${jobIdentifier} has unknown taskType: ${job.data.taskType}`);
+    throw new JobQueueError(job.queueName, job, null, `Unknown maintenance taskType: ${job.data.taskType} for ${jobIdentifier}`);
+  }
+
+  logger.info(`[Worker: ${job.queueName}] Starting ${jobIdentifier}. Task: ${job.data.taskType}`);
+  try {
+    const result = await task(jobIdentifier, job.data);
+    return { success: true, taskType: job.data.taskType, ...result };
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] ${jobIdentifier} task ${job.data.taskType} FAILED: ${error.message}`, { stack: error.stack });
+    throw new JobQueueError(job.queueName, job, error, `Task ${job.data.taskType} ${jobIdentifier} failed. Cause: ${String(error.message).substring(0, 250)}`);
+  }
+}
+
+function createMaintenanceWorker(queueName, connection) {
+  const worker = new Worker(queueName, processMaintenanceJob, {
+    connection,
+    concurrency: CONCURRENCY,
+    lockDuration: 30 * 60 * 1000, // 대조/태그 재적용은 전체 상품을 훑으므로 카탈로그 워커와 같은 30분
+  });
+
+  worker.on('completed', (job) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} (Name: ${job.name}, Task: ${job.data.taskType}) completed.`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} (Name: ${job?.name}, Task: ${job?.data?.taskType}) failed after ${job?.attemptsMade} attempts: ${error.message}`, {
+      jobData: job?.data,
+      originalErrorMessage: error.cause?.message,
+    });
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker: ${worker.name}] General error in maintenance worker:`, err);
+  });
+
+  logger.info(`[Worker] Maintenance Worker listening on queue "${queueName}" with concurrency ${CONCURRENCY}.`);
+  return worker;
+}
+
+module.exports = createMaintenanceWorker;
+module.exports.MAINTENANCE_TASKS = MAINTENANCE_TASKS;
@@ -0,0 +1,75 @@
+// src/jobs/workers/productSyncWorker.js
+// BullMQ 워커: 지정한 번개장터 상품(PID)들을 상품 상세 API의 최신 정보로 Shopify에 바로 재동기화합니다.
+// 카탈로그 파일을 기다리지 않고 개별 리스팅을 고칠 때 사용합니다. (POST /api/sync/product/:bunjangPid/resync, POST /api/sync/products/resync)
+
+const { Worker } = require('bullmq');
+const logger = require('../../config/logger');
+const { syncBunjangProductByPid } = require('../../services/catalogService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+// 카탈로그 워커와 같은 상품을 동시에 쓰지 않도록 기본 1
+const CONCURRENCY = parseInt(process.env.PRODUCT_SYNC_WORKER_CONCURRENCY, 10) || 1;
+
+/**
+ * 상품 재동기화 작업을 처리합니다.
+ * job.data: { bunjangPids: string[] } (또는 단일 bunjangPid), force(기본 true), triggeredBy
+ * 상품별 실패는 작업을 실패시키지 않고 결과에 기록합니다. (일부만 실패한 배치를 통째로 재시도하지 않도록)
+ * @param {import('bullmq').Job} job - BullMQ 작업 객체.
+ * @returns {Promise<{total: number, counts: object, results: Array<object>}>} 상품별 결과와 상태별 수.
+ */
+async function processProductSyncJob(job) {
+  const jobIdentifier = `${job.id}(${job.name})`;
+  const { bunjangPid, force = true, triggeredBy } = job.data;
+  const bunjangPids = [...new Set((job.data.bunjangPids || [bunjangPid]).filter(Boolean).map(String))];
+
+  if (bunjangPids.length === 0) {
+    logger.error(`[Worker:${job.queueName}] Job ${jobIdentifier} has no Bunjang PIDs to sync.`);
+    throw new JobQueueError(job.queueName, job, null, '재동기화할 번개장터 상품 ID가 없습니다.');
+  }
+  logger.info(`[Worker:${job.queueName}] Starting job ${jobIdentifier}: resync ${bunjangPids.length} product(s) from live Bunjang data. Force: ${force}, Triggered by: ${triggeredBy || 'N/A'}`);
+
+  const results = [];
+  for (const pid of bunjangPids) {
+    try {
+      results.push(await syncBunjangProductByPid(pid, job.id, { force }));
+    } catch (error) {
+      logger.error(`[Worker:${job.queueName}] Job ${jobIdentifier}: resync of PID ${pid} failed: ${error.message}`, { stack: error.stack });
+      results.push({ bunjangPid: pid, status: 'error', message: error.message.substring(0, 255) });
+    }
+    await job.updateProgress(Math.round((results.length / bunjangPids.length) * 100));
+  }
+
+  const counts = results.reduce((acc, result) => {
+    acc[result.status] = (acc[result.status] || 0) + 1;
+    return acc;
+  }, {});
+  logger.info(`[Worker:${job.queueName}] Job ${jobIdentifier} finished. Results by status: ${JSON.stringify(counts)}`);
+  return { total: bunjangPids.length, counts, results };
+}
+
+function createProductSyncWorker(queueName, connection) {
+  const worker = new Worker(queueName, processProductSyncJob, {
+    connection,
+    concurrency: CONCURRENCY,
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker:${worker.name}] Job ${job.id} (Name: ${job.name}) completed. Results by status: ${JSON.stringify(returnValue?.counts)}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker:${worker.name}] Job ${job?.id} (Name: ${job?.name}) failed: ${error.message}`, {
+      bunjangPids: job?.data?.bunjangPids || job?.data?.bunjangPid,
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker:${worker.name}] General error in product sync worker:`, err);
+  });
+
+  logger.info(`[Worker] Product Sync Worker listening on queue "${queueName}" with concurrency ${CONCURRENCY}.`);
+  return worker;
+}
+
+module.exports = createProductSyncWorker;
@@ -4,6 +4,7 @@
 
 const logger = require('../config/logger');
 const { AppError, ValidationError } = require('../utils/customErrors');
+const { parseBunjangVariantSku } = require('./productMapper');
 
 /**
  * Shopify 주문의 특정 line item과 해당 번개장터 상품 상세 정보를 바탕으로
@@ -83,11 +84,12 @@ function mapMultipleItemsToBunjangOrders(shopifyLineItems, bunjangProductDetails
   const payloads = [];
   
   for (const item of shopifyLineItems) {
-    if (!item.sku || !item.sku.startsWith('BJ-')) {
+    const parsedSku = parseBunjangVariantSku(item.sku);
+    if (!parsedSku) {
       continue; // 번개장터 연동 상품이 아님
     }
     
-    const bunjangPid = item.sku.substring(3);
+    const bunjangPid = parsedSku.bunjangPid;
     const bunjangProductDetails = bunjangProductDetailsMap.get(bunjangPid);
     
     if (!bunjangProductDetails) {
@@ -129,10 +131,11 @@ function extractBunjangMetadataFromOrder(shopifyOrder) {
   }
   
   for (const item of shopifyOrder.line_items) {
-    if (item.sku && item.sku.startsWith('BJ-')) {
+    const parsedSku = parseBunjangVariantSku(item.sku);
+    if (parsedSku) {
       metadata.hasBunjangItems = true;
       metadata.bunjangItemCount++;
-      metadata.bunjangPids.push(item.sku.substring(3));
+      metadata.bunjangPids.push(parsedSku.bunjangPid);
       metadata.totalBunjangValue += (parseFloat(item.price) || 0) * (item.quantity || 1);
     }
   }
@@ -5,16 +5,240 @@
 const config = require('../config');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/customErrors');
+const { formatDescriptionHtml } = require('../utils/descriptionFormatter');
 
 /**
  * 번개장터 카테고리 ID를 Shopify 상품 유형 문자열로 매핑합니다.
+ * 카테고리 매핑(bunjangCategoryService.resolveCategoryMapping 결과)이 우선이고, 없으면 .env의 BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_* 값을 사용합니다.
  * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
+ * @param {object|null} [categoryMapping=null] - 상속을 반영한 카테고리 매핑.
+ * @param {string} [fallbackType] - 매핑이 없을 때 사용할 상품 유형.
  * @returns {string} Shopify 상품 유형 문자열.
  */
-function mapBunjangCategoryToShopifyProductType(bunjangCategoryId) {
-  if (!bunjangCategoryId) return config.bunjang.defaultShopifyProductType;
+function mapBunjangCategoryToShopifyProductType(bunjangCategoryId, categoryMapping = null, fallbackType = config.bunjang.defaultShopifyProductType) {
+  if (categoryMapping?.shopifyProductType) return categoryMapping.shopifyProductType;
+  if (!bunjangCategoryId) return fallbackType;
   const mapping = config.bunjang.categoryToShopifyType; // .env에서 로드된 매핑 객체
-  return mapping[String(bunjangCategoryId).trim()] || config.bunjang.defaultShopifyProductType;
+  return mapping[String(bunjangCategoryId).trim()] || fallbackType;
+}
+
+const BUNJANG_SKU_PREFIX = 'BJ-';
+const SHOPIFY_MAX_PRODUCT_OPTIONS = 3; // Shopify 상품당 최대 옵션 수
+const SHOPIFY_MAX_VARIANTS = 100; // 옵션 조합(variant) 최대 수
+const DEFAULT_OPTION_NAME = 'Title'; // Shopify 단일 variant 상품의 기본 옵션
+const DEFAULT_OPTION_VALUE = 'Default Title';
+
+/**
+ * 번개장터 옵션 원본(CSV의 JSON 문자열 또는 배열)을 옵션 이름별 값 목록으로 정규화합니다.
+ * 번개장터 'options' 필드 예: [{ "id": "색상", "value": "빨강" }, { "id": "색상", "value": "파랑" }, { "id": "사이즈", "value": "M" }]
+ * @param {string|Array<object>} optionsRaw - 번개장터 옵션 원본.
+ * @returns {Array<{name: string, values: string[]}>} 옵션 이름 순서를 유지한 정규화 결과 (옵션이 없거나 파싱 실패 시 빈 배열).
+ */
+function parseBunjangOptions(optionsRaw) {
+  let parsed = optionsRaw;
+  if (typeof optionsRaw === 'string') {
+    if (!optionsRaw.trim()) return [];
+    try {
+      parsed = JSON.parse(optionsRaw.trim());
+    } catch (e) {
+      logger.warn(`[ProductMapper] Failed to parse Bunjang options JSON: "${optionsRaw.substring(0, 200)}"`);
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  const optionsByName = new Map();
+  for (const entry of parsed) {
+    if (!entry || typeof entry !== 'object') continue;
+    const name = String(entry.id || entry.name || '').trim();
+    const rawValues = Array.isArray(entry.value) ? entry.value : [entry.value];
+    const values = rawValues.map(v => String(v ?? '').trim()).filter(Boolean);
+    if (!name || values.length === 0) continue;
+
+    if (!optionsByName.has(name)) optionsByName.set(name, []);
+    const existingValues = optionsByName.get(name);
+    values.forEach(v => { if (!existingValues.includes(v)) existingValues.push(v); });
+  }
+  return Array.from(optionsByName, ([name, values]) => ({ name: name.substring(0, 255), values }));
+}
+
+/**
+ * 상품 전체 재고를 variant 수만큼 나눕니다. variant 재고 합계가 실제 재고를 넘지 않도록 몫을 나누고 나머지는 앞 variant부터 1개씩 더합니다.
+ * @param {number} quantity - 번개장터 상품 전체 재고.
+ * @param {number} variantCount - variant 수.
+ * @returns {number[]} variant 순서별 재고.
+ */
+function splitQuantityAcrossVariants(quantity, variantCount) {
+  const total = Math.max(0, parseInt(quantity, 10) || 0);
+  const base = Math.floor(total / variantCount);
+  return Array.from({ length: variantCount }, (_, index) => base + (index < total % variantCount ? 1 : 0));
+}
+
+/**
+ * 상품 전체 재고로 variant별 재고를 정합니다. (카탈로그 동기화와 재고 동기화가 같은 규칙을 쓰도록 이 함수만 사용)
+ * - 재고가 variant 수 이상이면 splitQuantityAcrossVariants로 나눠 합계가 실제 재고를 넘지 않게 합니다.
+ * - 재고가 variant 수보다 적으면(보통 1개뿐인 옵션 상품) 모든 variant가 남은 재고를 함께 쓰는 공유 재고로 봅니다.
+ *   어떤 옵션이 팔려도 주문 웹훅이 남은 재고로 syncBunjangInventoryToShopify를 호출하여 모든 variant 재고를 다시 맞춥니다.
+ * @param {number} quantity - 번개장터 상품 전체 재고.
+ * @param {number} variantCount - variant 수.
+ * @returns {number[]} variant 순서(SKU 순번)별 재고.
+ */
+function resolveVariantQuantities(quantity, variantCount) {
+  const total = Math.max(0, parseInt(quantity, 10) || 0);
+  if (total >= variantCount) return splitQuantityAcrossVariants(total, variantCount);
+  return Array.from({ length: variantCount }, () => total);
+}
+
+/**
+ * 번개장터 상품의 옵션으로부터 Shopify 상품 옵션 및 variant 목록을 생성합니다.
+ * 옵션이 없거나 Shopify 제한(옵션 3개, variant 100개)을 넘으면 SKU "BJ-<pid>"인 단일 variant를 반환합니다.
+ * 다중 variant의 SKU는 "BJ-<pid>-<순번>" 형식이며, 순번(1부터)은 옵션 조합 순서를 따릅니다.
+ * variant 구성(SKU 포함)은 옵션으로만 정해지고 재고와는 관계없습니다. 번개장터는 옵션별 재고를 제공하지 않으므로
+ * variant별 재고는 resolveVariantQuantities로 정합니다.
+ * @param {string} pid - 번개장터 상품 ID.
+ * @param {string|Array<object>} optionsRaw - 번개장터 옵션 원본.
+ * @param {{price: string, quantity: number}} variantBase - 모든 variant에 공통 적용할 가격(USD 문자열)과 상품 전체 재고.
+ * @returns {{hasOptions: boolean, productOptions: Array<{name: string, values: string[]}>, variants: Array<object>}}
+ *   variants 항목: { sku, price, quantity, inventoryPolicy, optionValues: [{ optionName, name }] }
+ */
+function buildBunjangVariants(pid, optionsRaw, variantBase) {
+  const quantity = Math.max(0, parseInt(variantBase.quantity, 10) || 0);
+  const inventoryPolicy = quantity > 0 ? 'DENY' : 'CONTINUE';
+  const singleVariantPlan = {
+    hasOptions: false,
+    productOptions: [{ name: DEFAULT_OPTION_NAME, values: [DEFAULT_OPTION_VALUE] }],
+    variants: [{
+      price: variantBase.price,
+      quantity,
+      inventoryPolicy,
+      sku: `${BUNJANG_SKU_PREFIX}${pid}`,
+      optionValues: [{ optionName: DEFAULT_OPTION_NAME, name: DEFAULT_OPTION_VALUE }],
+    }],
+  };
+
+  const productOptions = parseBunjangOptions(optionsRaw);
+  if (productOptions.length === 0) return singleVariantPlan;
+
+  const combinationCount = productOptions.reduce((count, option) => count * option.values.length, 1);
+  if (productOptions.length > SHOPIFY_MAX_PRODUCT_OPTIONS || combinationCount > SHOPIFY_MAX_VARIANTS) {
+    logger.warn(`[ProductMapper] Bunjang options for PID ${pid} exceed Shopify limits (${productOptions.length} options, ${combinationCount} combinations). Falling back to a single variant.`);
+    return singleVariantPlan;
+  }
+
+  // 옵션 값의 모든 조합(카테시안 곱) 생성
+  let combinations = [[]];
+  for (const option of productOptions) {
+    combinations = combinations.flatMap(combo => option.values.map(value => [...combo, { optionName: option.name, name: value.substring(0, 255) }]));
+  }
+
+  const variantQuantities = resolveVariantQuantities(quantity, combinations.length);
+  return {
+    hasOptions: true,
+    productOptions,
+    variants: combinations.map((optionValues, index) => ({
+      price: variantBase.price,
+      quantity: variantQuantities[index],
+      inventoryPolicy,
+      sku: `${BUNJANG_SKU_PREFIX}${pid}-${index + 1}`,
+      optionValues,
+    })),
+  };
+}
+
+/**
+ * 번개장터 연동 상품의 Shopify SKU를 해석합니다. ("BJ-<pid>" 또는 "BJ-<pid>-<순번>")
+ * @param {string} sku - Shopify variant SKU.
+ * @returns {{bunjangPid: string, variantIndex: number|null}|null} 번개장터 연동 SKU가 아니면 null.
+ */
+function parseBunjangVariantSku(sku) {
+  if (!sku || typeof sku !== 'string' || !sku.startsWith(BUNJANG_SKU_PREFIX)) return null;
+  const match = sku.substring(BUNJANG_SKU_PREFIX.length).match(/^([^-]+)(?:-(\d+))?$/);
+  if (!match) return null;
+  return { bunjangPid: match[1], variantIndex: match[2] ? parseInt(match[2], 10) : null };
+}
+
+const BUNJANG_METAFIELD_NAMESPACE = 'bunjang';
+
+// 카탈로그 동기화가 관리하는 상품 메타필드 정의 (서버 시작 시 metafieldDefinitionService가 Shopify에 생성)
+// 테마(storefront)에서도 읽을 수 있도록 공개 읽기 권한을 부여
+const BUNJANG_PRODUCT_METAFIELD_DEFINITIONS = [
+  { key: 'pid', type: 'single_line_text_field', name: 'Bunjang product ID', description: '번개장터 상품 ID' },
+  { key: 'original_price_krw', type: 'number_integer', name: 'Bunjang price (KRW)', description: '번개장터 판매가 (원)' },
+  { key: 'original_shipping_fee_krw', type: 'number_integer', name: 'Bunjang shipping fee (KRW)', description: '번개장터 국내 배송비 (원)' },
+  { key: 'condition', type: 'single_line_text_field', name: 'Bunjang condition', description: '상품 상태 (예: NEW, USED)' },
+  { key: 'seller_uid', type: 'single_line_text_field', name: 'Bunjang seller UID', description: '번개장터 판매자 UID' },
+  { key: 'category_id', type: 'single_line_text_field', name: 'Bunjang category ID', description: '번개장터 카테고리 ID' },
+  { key: 'brand_id', type: 'single_line_text_field', name: 'Bunjang brand ID', description: '번개장터 브랜드 ID' },
+  { key: 'brand_name', type: 'single_line_text_field', name: 'Bunjang brand name', description: '브랜드 표시 이름 (bunjangBrandService에서 추가)' },
+  { key: 'created_at_kst', type: 'date_time', name: 'Bunjang created at', description: '번개장터 상품 등록 시간' },
+  { key: 'updated_at_kst', type: 'date_time', name: 'Bunjang updated at', description: '번개장터 상품 수정 시간' },
+  { key: 'options_json', type: 'json', name: 'Bunjang options', description: '번개장터 옵션 (옵션 이름별 값 목록)' },
+  { key: 'original_title', type: 'single_line_text_field', name: 'Bunjang original title', description: '번역 전 한국어 상품명' },
+  { key: 'original_description', type: 'multi_line_text_field', name: 'Bunjang original description', description: '번역 전 한국어 상품 설명' },
+];
+const METAFIELD_TYPE_BY_KEY = new Map(BUNJANG_PRODUCT_METAFIELD_DEFINITIONS.map(def => [def.key, def.type]));
+
+/**
+ * 번개장터 상품 정보를 bunjang 네임스페이스 상품 메타필드 입력(MetafieldsSetInput에서 ownerId 제외)으로 만듭니다.
+ * Shopify는 빈 값을 거부하므로 값이 없는 항목은 제외합니다. (번역 원문 original_title/original_description은 catalogService에서 별도로 추가)
+ * @param {object} bunjangProduct - catalogService.processCatalogRow로 처리된 번개장터 상품.
+ * @returns {Array<{namespace: string, key: string, type: string, value: string}>}
+ */
+function buildBunjangMetafields(bunjangProduct) {
+  const toInteger = (value) => (Number.isFinite(Number(value)) ? String(Math.round(Number(value))) : '');
+  const toDateTime = (value) => (value instanceof Date && !isNaN(value.getTime()) ? value.toISOString() : '');
+  const productOptions = parseBunjangOptions(bunjangProduct.optionsRaw ?? bunjangProduct.options);
+
+  const values = {
+    pid: String(bunjangProduct.pid ?? ''),
+    original_price_krw: toInteger(bunjangProduct.price),
+    original_shipping_fee_krw: toInteger(bunjangProduct.shippingFee ?? 0),
+    condition: String(bunjangProduct.condition || 'USED'),
+    seller_uid: String(bunjangProduct.uid || ''),
+    category_id: String(bunjangProduct.categoryId || ''),
+    brand_id: String(bunjangProduct.brandId || ''),
+    created_at_kst: toDateTime(bunjangProduct.createdAt),
+    updated_at_kst: toDateTime(bunjangProduct.updatedAt),
+    options_json: productOptions.length > 0 ? JSON.stringify(productOptions) : '',
+  };
+  return Object.entries(values)
+    .filter(([, value]) => value.trim() !== '')
+    .map(([key, value]) => ({ namespace: BUNJANG_METAFIELD_NAMESPACE, key, type: METAFIELD_TYPE_BY_KEY.get(key), value }));
+}
+
+/**
+ * 번개장터 상품 상세 API(getBunjangProductDetails) 응답을 카탈로그 CSV 행 형태로 변환합니다.
+ * 변환한 행은 catalogService의 카탈로그 행 처리(판매 상태/필터 판정 포함)를 그대로 거칩니다.
+ * 상세 API는 카테고리/브랜드를 객체로, 키워드/이미지를 배열로 주므로 CSV 컬럼 형식에 맞춰 펼칩니다.
+ * @param {object} details - 번개장터 상품 상세 정보.
+ * @returns {object} 카탈로그 CSV 행과 같은 키를 가진 객체.
+ */
+function mapBunjangProductDetailsToCatalogRow(details) {
+  const toText = (value) => (value === undefined || value === null ? '' : String(value));
+  const imageUrls = (Array.isArray(details.images) ? details.images : [details.images || details.imageUrl])
+    .map(image => (typeof image === 'string' ? image : image?.url || image?.imageUrl || ''))
+    .filter(Boolean);
+
+  return {
+    pid: toText(details.pid ?? details.id),
+    name: toText(details.name),
+    description: toText(details.description),
+    quantity: toText(details.quantity),
+    price: toText(details.price),
+    shippingFee: toText(details.shippingFee ?? 0),
+    condition: toText(details.condition),
+    saleStatus: toText(details.saleStatus || details.status),
+    keywords: Array.isArray(details.keywords) ? details.keywords.join(',') : toText(details.keywords),
+    images: imageUrls,
+    categoryId: toText(details.category?.id ?? details.categoryId),
+    categoryName: toText(details.category?.name ?? details.categoryName),
+    brandId: toText(details.brand?.id ?? details.brandId),
+    options: details.options || [],
+    uid: toText(details.seller?.uid ?? details.uid),
+    // 상세 응답에 수정 시간이 없으면 조회 시점을 사용 (카탈로그의 이전 값보다 최신으로 취급)
+    updatedAt: toText(details.updatedAt) || new Date().toISOString(),
+    createdAt: toText(details.createdAt),
+  };
 }
 
 /**
@@ -23,30 +247,26 @@ function mapBunjangCategoryToShopifyProductType(bunjangCategoryId) {
  * CSV 필드: pid, name, description, quantity, price, shippingFee, condition, saleStatus, 
  * keywords (array), images (array), categoryId, brandId, options (array of objects), uid, updatedAt, createdAt
  * @param {string} shopifyPriceString - 계산된 최종 Shopify 리스팅 가격 (USD, 문자열 예: "27.88").
+ * @param {object|null} [categoryMapping=null] - bunjangCategoryService.resolveCategoryMapping 결과 (상품 유형/택소노미 카테고리).
+ * @param {object|null} [brand=null] - bunjangBrandService.resolveBrand 결과 (공급업체/브랜드 태그).
  * @returns {object} Shopify ProductInput 객체.
  * @throws {AppError} 필수 데이터 누락 또는 매핑 중 중요 오류 발생 시.
  */
-function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
+function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString, categoryMapping = null, brand = null) {
   if (!bunjangProduct || typeof bunjangProduct.pid === 'undefined' || !shopifyPriceString) {
     throw new AppError('상품 매핑을 위한 필수 데이터(번개장터 상품 또는 Shopify 가격)가 누락되었습니다.', 500, 'PRODUCT_MAPPING_MISSING_DATA');
   }
 
   try {
     const {
-      pid, name, description, quantity, price: bunjangPriceKrw, shippingFee: bunjangShippingFeeKrw,
-      condition, keywords, images, categoryId, brandId, options: bunjangOptions, uid: sellerUid,
-      updatedAt: bunjangUpdatedAt, createdAt: bunjangCreatedAt, saleStatus
+      pid, name, description, quantity,
+      keywords, images, categoryId, brandId, options: bunjangOptions, uid: sellerUid, saleStatus
     } = bunjangProduct; // catalogService.processCatalogRow에서 이미 기본 처리됨
 
-    const productType = mapBunjangCategoryToShopifyProductType(categoryId);
-
-    // HTML 정제: description 필드는 HTML일 수 있으므로 정제 필요.
-    // 실제 운영에서는 XSS 방지를 위해 DOMPurify 같은 신뢰할 수 있는 HTML Sanitizer 사용 필수!
-    // 여기서는 간단히 줄바꿈만 처리하고, 위험할 수 있는 태그 제거 시도.
-    let bodyHtml = description ? description.replace(/\n/g, '<br />') : '<p>상품 설명이 제공되지 않았습니다.</p>';
-    bodyHtml = bodyHtml.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, ''); // 기본적인 script 태그 제거
+    const productType = mapBunjangCategoryToShopifyProductType(categoryId, categoryMapping);
 
-    const sku = `BJ-${pid}`; // Shopify 스토어 내 고유 SKU
+    // 설명을 구조화된 HTML로 변환 (판매자 연락처 가림 + 허용 목록 기반 HTML 정제)
+    const bodyHtml = formatDescriptionHtml(description) || '<p>상품 설명이 제공되지 않았습니다.</p>';
 
     // 이미지: ProductImageInput[] 타입 ({ src, altText })
     const imagesInput = images && images.length > 0
@@ -56,59 +276,41 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
         }))
       : []; // 이미지가 없으면 빈 배열 (Shopify에서 오류 발생하지 않도록)
 
-    // 태그: 번개장터 키워드 + 고정 태그 + 카테고리 + 브랜드 + PID (검색용)
+    // 태그: 번개장터 키워드 + 고정 태그 + 카테고리 + 카테고리 매핑 + 브랜드 + PID (검색용)
     // 태그는 최대 255자, 상품당 최대 250개
     const tags = [
       ...(keywords || []),
       'BunjangLinked',
       productType, // 예: "K-Pop Goods"
+      ...(categoryMapping?.tags || []), // 카테고리 매핑 태그 (상위 카테고리 태그 포함)
       `bunjang_pid:${pid}`, // 검색 가능한 형태로 PID 저장
       brandId ? `bunjang_brand:${brandId}` : undefined,
+      brand ? `brand:${brand.name}` : undefined,
       // condition ? `condition:${condition}` : undefined, // 상태도 태그로 (선택적)
     ].map(tag => String(tag || '').trim().substring(0, 255)) // 문자열 변환, 공백제거, 길이제한
      .filter((tag, index, self) => tag && self.indexOf(tag) === index) // 유효하고 중복 없는 태그만
      .slice(0, 250); // 태그 개수 제한
 
-    // 메타필드: 번개장터의 추가 정보 저장 (ProductInput의 metafields는 MetafieldInput[])
-    // MetafieldInput: { namespace: String!, key: String!, value: String!, type: String! }
-    const metafields = [
-      { namespace: "bunjang", key: "pid", value: String(pid), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "original_price_krw", value: String(Math.round(bunjangPriceKrw)), type: "number_integer" },
-      { namespace: "bunjang", key: "original_shipping_fee_krw", value: String(Math.round(bunjangShippingFeeKrw)), type: "number_integer" },
-      { namespace: "bunjang", key: "condition", value: String(condition || 'USED'), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "seller_uid", value: String(sellerUid || ''), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "category_id", value: String(categoryId || ''), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "brand_id", value: String(brandId || ''), type: "single_line_text_field" },
-      bunjangCreatedAt ? { namespace: "bunjang", key: "created_at_kst", value: bunjangCreatedAt.toISOString(), type: "date_time" } : null,
-      bunjangUpdatedAt ? { namespace: "bunjang", key: "updated_at_kst", value: bunjangUpdatedAt.toISOString(), type: "date_time" } : null,
-      (bunjangOptions && bunjangOptions.length > 0) ? { namespace: "bunjang", key: "options_json", value: JSON.stringify(bunjangOptions), type: "json_string" } : null,
-    ].filter(Boolean); // null인 메타필드 제거
+    // 메타필드: 번개장터의 추가 정보 저장 (카탈로그 동기화와 같은 bunjang.* 정의 사용)
+    const metafields = buildBunjangMetafields(bunjangProduct);
 
     // 상품 옵션 및 변형(Variants) 처리
-    // 번개장터 'options' 필드: "[{ \"id\": \"색상\", \"value\": \"빨강\" }, { \"id\": \"사이즈\", \"value\": \"M\" }]"
-    // Shopify ProductInput:
-    //   options: ["색상", "사이즈"] (옵션 이름 배열)
-    //   variants: [{ option1: "빨강", option2: "M", price: "...", sku: "...", ... }, ...]
-    // 이 부분은 매우 복잡하며, 번개장터 옵션 구조에 따라 동적으로 Shopify variants를 생성해야 함.
-    // 현재 구현은 단일 variant를 기본으로 하고, 옵션 정보는 메타필드에 JSON으로 저장.
-    // TODO: 실제 다중 옵션 상품 처리 로직 구현 필요.
-    const productVariantsInput = [
-      {
-        price: shopifyPriceString, // 계산된 USD 가격
-        sku: sku,
-        // inventoryPolicy: 재고 0일 때 판매 계속 여부 ('DENY' 또는 'CONTINUE')
-        // 카탈로그 quantity가 0이면 CONTINUE (품절이지만 계속 표시), 0보다 크면 DENY (재고 없으면 판매 중지)
-        inventoryPolicy: quantity > 0 ? 'DENY' : 'CONTINUE',
-        inventoryQuantities: [
-          {
-            availableQuantity: quantity > 0 ? quantity : 0,
-            locationId: config.shopify.defaultLocationId, // .env 설정된 기본 Location GID
-          },
-        ],
-        // 단일 variant의 경우 Shopify가 자동으로 "Default Title" 옵션을 생성하거나,
-        // option1: "Default" 등을 설정할 수 있음. 여기서는 비워둠.
-      },
-    ];
+    // 번개장터 옵션(예: 색상/사이즈)을 Shopify 옵션과 variant 조합으로 변환. 옵션이 없으면 SKU "BJ-<pid>" 단일 variant.
+    const variantPlan = buildBunjangVariants(pid, bunjangOptions, { price: shopifyPriceString, quantity });
+    const productVariantsInput = variantPlan.variants.map(variant => ({
+      price: variant.price,
+      sku: variant.sku,
+      // inventoryPolicy: 재고 0일 때 판매 계속 여부 ('DENY' 또는 'CONTINUE')
+      // 카탈로그 quantity가 0이면 CONTINUE (품절이지만 계속 표시), 0보다 크면 DENY (재고 없으면 판매 중지)
+      inventoryPolicy: variant.inventoryPolicy,
+      inventoryQuantities: [
+        {
+          availableQuantity: variant.quantity,
+          locationId: config.shopify.defaultLocationId, // .env 설정된 기본 Location GID
+        },
+      ],
+      ...(variantPlan.hasOptions && { options: variant.optionValues.map(ov => ov.name) }),
+    }));
     
     // 상품 상태: 번개장터 saleStatus가 'SELLING'이면 'ACTIVE', 아니면 'DRAFT' 또는 'ARCHIVED'
     // 카탈로그에는 SELLING만 온다고 가정했으므로 ACTIVE.
@@ -117,8 +319,9 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
     const productInput = {
       title: String(name).substring(0, 255), // Shopify 제목 길이 제한
       bodyHtml: bodyHtml,
-      vendor: brandId ? `Bunjang (Brand: ${brandId})` : `Bunjang (Seller: ${sellerUid})`, // 공급업체
+      vendor: brand?.name || (brandId ? `Bunjang (Brand: ${brandId})` : `Bunjang (Seller: ${sellerUid})`), // 공급업체 (브랜드 디렉터리 표시 이름 우선)
       productType: productType,
+      category: categoryMapping?.shopifyTaxonomyCategoryGid || undefined, // Shopify 표준 상품 택소노미 카테고리
       tags: tags,
       status: productStatus, // 상품 상태 (ACTIVE, DRAFT, ARCHIVED)
       
@@ -127,7 +330,7 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
       metafields: metafields.length > 0 ? metafields : undefined, // 메타필드 없으면 제외
 
       variants: productVariantsInput,
-      // options: ["옵션1 이름", "옵션2 이름"] // 다중 옵션 시 여기에 옵션 이름 배열 설정
+      options: variantPlan.hasOptions ? variantPlan.productOptions.map(option => option.name) : undefined,
     };
 
     return productInput;
@@ -145,5 +348,14 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
 
 module.exports = {
   mapBunjangToShopifyInput,
-  // mapBunjangCategoryToShopifyProductType, // 내부 사용으로 변경
+  mapBunjangProductDetailsToCatalogRow,
+  buildBunjangMetafields,
+  BUNJANG_METAFIELD_NAMESPACE,
+  BUNJANG_PRODUCT_METAFIELD_DEFINITIONS,
+  parseBunjangOptions,
+  buildBunjangVariants,
+  splitQuantityAcrossVariants,
+  resolveVariantQuantities,
+  parseBunjangVariantSku,
+  mapBunjangCategoryToShopifyProductType,
 };
@@ -0,0 +1,28 @@
+// src/models/bunjangBrand.model.js
+// 번개장터 브랜드 디렉터리. 브랜드 목록은 번개장터 브랜드 API에서 동기화하고, 영문 표시 이름은 내부 API로 수정합니다.
+// 표시 이름은 Shopify 상품의 공급업체(vendor)와 브랜드 태그에 사용됩니다.
+const mongoose = require('mongoose');
+
+const bunjangBrandSchema = new mongoose.Schema({
+  brandId: { // 번개장터 브랜드 ID
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  nameKor: { type: String, trim: true }, // 번개장터 브랜드명 (한글)
+  nameEng: { type: String, trim: true }, // 번개장터 브랜드명 (영문, 없을 수 있음)
+  displayName: { type: String, trim: true }, // 직접 지정한 영문 표시 이름 (nameEng보다 우선, 동기화로 덮어쓰지 않음)
+  active: { type: Boolean, default: true, index: true }, // 마지막 동기화에서 번개장터 목록에 없으면 false
+  lastSeenAt: { type: Date },
+
+  // Shopify 브랜드 메타오브젝트 (config.bunjang.brands.metaobjectsEnabled인 경우)
+  metaobjectGid: { type: String, trim: true }, // 예: "gid://shopify/Metaobject/123"
+  metaobjectName: { type: String, trim: true }, // 메타오브젝트에 마지막으로 반영한 표시 이름 (바뀌면 다시 반영)
+
+  updatedBy: { type: String, trim: true }, // 표시 이름 마지막 수정자 (메모용)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const BunjangBrand = mongoose.model('BunjangBrand', bunjangBrandSchema);
+
+module.exports = BunjangBrand;
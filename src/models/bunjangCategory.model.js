@@ -0,0 +1,41 @@
+// src/models/bunjangCategory.model.js
+// 번개장터 카테고리 트리와 카테고리별 Shopify 매핑. 트리는 번개장터 카테고리 API에서 동기화하고, 매핑은 내부 API로 수정합니다.
+const mongoose = require('mongoose');
+
+const bunjangCategorySchema = new mongoose.Schema({
+  categoryId: { // 예: "600" (대분류), "600700" (중분류), "600700001" (소분류)
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  parentId: { type: String, default: null, index: true, trim: true }, // 최상위 카테고리는 null
+  ancestorIds: [{ type: String, trim: true }], // 최상위부터 부모까지 순서대로
+  depth: { type: Number, default: 0 }, // 최상위 0
+  nameKor: { type: String, trim: true },
+  nameEng: { type: String, trim: true },
+  active: { type: Boolean, default: true, index: true }, // 마지막 동기화에서 번개장터 목록에 없으면 false (매핑은 유지)
+  lastSeenAt: { type: Date }, // 마지막으로 번개장터 카테고리 목록에서 확인된 시간
+
+  // Shopify 매핑. 지정하지 않은 항목은 상위 카테고리의 매핑을 물려받음 (bunjangCategoryService.resolveCategoryMapping)
+  mapping: {
+    shopifyProductType: { type: String, trim: true }, // 예: "Photocards"
+    shopifyTaxonomyCategoryGid: { type: String, trim: true }, // 예: "gid://shopify/TaxonomyCategory/ae-2-1"
+    tags: { type: [String], default: undefined }, // 상위 카테고리 태그에 추가됨
+    collectionGids: { type: [String], default: undefined }, // 상위 카테고리 컬렉션에 추가됨
+    updatedBy: { type: String, trim: true }, // 마지막 수정자 (메모용)
+    updatedAt: { type: Date },
+  },
+
+  // 게시 전 검토 정책. 가장 가까운(깊은) 카테고리의 정책을 물려받음 (bunjangCategoryService.resolveCategoryReviewPolicy)
+  reviewPolicy: {
+    autoApprove: { type: Boolean }, // true이면 검토 없이 바로 게시
+    maxAutoApprovePriceKrw: { type: Number }, // 자동 승인 카테고리라도 이 가격(원)을 넘으면 검토 대기
+    updatedBy: { type: String, trim: true },
+    updatedAt: { type: Date },
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const BunjangCategory = mongoose.model('BunjangCategory', bunjangCategorySchema);
+
+module.exports = BunjangCategory;
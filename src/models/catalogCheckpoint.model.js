@@ -0,0 +1,51 @@
+// src/models/catalogCheckpoint.model.js
+// 카탈로그 파일 처리 진행 상황(체크포인트). 작업이 중간에 중단되면 재시도 시 이 위치부터 이어서 처리합니다.
+const mongoose = require('mongoose');
+
+const catalogCheckpointSchema = new mongoose.Schema({
+  catalogFileName: { // 예: "full-20250101.csv.gz", "segment-20250101_13.csv.gz"
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  catalogType: { type: String, enum: ['full', 'segment'], required: true, index: true },
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS',
+    index: true,
+  },
+  runStartedAt: { type: Date, required: true }, // 최초 시작 시간 (재개 시에도 유지, delisting 기준 시간)
+  localCsvPath: { type: String, trim: true }, // 다운로드/압축 해제된 로컬 CSV 경로
+  localCsvSizeBytes: { type: Number }, // 재개 시 로컬 파일이 같은 파일인지 확인용
+
+  // 진행 위치: 이 행 번호(CSV 데이터 행 기준, 1부터)까지는 Shopify 동기화가 끝났음
+  rowOffset: { type: Number, default: 0 },
+  // 동기화 결과 카운터 (재개 시 이어서 누적)
+  counters: {
+    successfullyProcessed: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    skippedByFilter: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    skippedDuplicate: { type: Number, default: 0 },
+  },
+
+  // 벌크 동기화(전체 카탈로그) 중 제출했지만 결과를 아직 반영하지 않은 Shopify 벌크 작업. 재개 시 이 작업의 결과부터 반영
+  pendingBulkOperation: {
+    bulkOperationId: { type: String, trim: true }, // 예: "gid://shopify/BulkOperation/123" (제출 전 중단된 경우 없음)
+    variablesPath: { type: String, trim: true }, // 제출한 productSet 변수 JSONL 파일
+    contextPath: { type: String, trim: true }, // 줄 번호별 동기화 정보 JSONL 파일 (결과 반영용)
+    endRow: { type: Number }, // 이 작업에 포함된 마지막 CSV 행 번호 (반영 후 rowOffset)
+    preparedAt: { type: Date }, // 제출 직전 시간 (제출 직후 중단된 경우 현재 벌크 작업과 대조)
+  },
+
+  resumeCount: { type: Number, default: 0 }, // 체크포인트에서 재개한 횟수
+  lastJobId: { type: String, trim: true }, // 마지막으로 처리한 작업 식별자 (로깅용)
+  lastCheckpointAt: { type: Date },
+  completedAt: { type: Date },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CatalogCheckpoint = mongoose.model('CatalogCheckpoint', catalogCheckpointSchema);
+
+module.exports = CatalogCheckpoint;
@@ -0,0 +1,35 @@
+// src/models/catalogDryRunItem.model.js
+// 카탈로그 dry-run 보고서의 상품별 상세 내역.
+// config.bunjang.dryRun.reportRetentionDays가 지나면 자동 삭제됩니다.
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const catalogDryRunItemSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, index: true, trim: true }, // CatalogDryRunReport.jobId
+  bunjangPid: { type: String, trim: true, index: true },
+  rowNumber: { type: Number }, // CSV 데이터 행 번호 (내리기 대상은 없음)
+  action: {
+    type: String,
+    enum: ['CREATE', 'UPDATE', 'ARCHIVE', 'SKIP_NO_CHANGE', 'FILTERED_OUT', 'ERROR'],
+    required: true,
+    index: true,
+  },
+  reason: { type: String, trim: true }, // 필터 사유 (예: "CATEGORY_FILTERED:600100"), 내리기 사유, 오류 메시지
+  productName: { type: String, trim: true },
+  shopifyGid: { type: String, trim: true },
+  changedGroups: [{ type: String }], // UPDATE 시 변경된 그룹 (content, price, quantity, images, options)
+  currentPriceUsd: { type: String }, // 현재 Shopify 리스팅 가격
+  newPriceUsd: { type: String }, // calculateShopifyPriceUsd로 계산된 새 가격
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+catalogDryRunItemSchema.index({ jobId: 1, action: 1, rowNumber: 1 });
+
+// 보관 기간을 바꾸면 기존 TTL 인덱스를 삭제해야 새 값으로 다시 만들어짐
+catalogDryRunItemSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.bunjang.dryRun.reportRetentionDays * 24 * 60 * 60 });
+
+const CatalogDryRunItem = mongoose.model('CatalogDryRunItem', catalogDryRunItemSchema);
+
+module.exports = CatalogDryRunItem;
@@ -0,0 +1,46 @@
+// src/models/catalogDryRunReport.model.js
+// 카탈로그 동기화 dry-run 결과 보고서. Shopify에 반영하지 않고 생성/수정/내리기/건너뛰기 예정 내역만 집계합니다.
+// 상품별 상세 내역은 CatalogDryRunItem 컬렉션에 저장됩니다.
+// config.bunjang.dryRun.reportRetentionDays가 지나면 자동 삭제됩니다.
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const catalogDryRunReportSchema = new mongoose.Schema({
+  jobId: { // BullMQ 작업 ID (조회 키)
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  catalogType: { type: String, enum: ['full', 'segment'], required: true },
+  catalogFileName: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true,
+  },
+  // 실행 시점의 주요 설정 (마크업, 카테고리 필터 등 설정 변경 검토용)
+  configSnapshot: { type: mongoose.Schema.Types.Mixed },
+  counts: {
+    totalRows: { type: Number, default: 0 },
+    create: { type: Number, default: 0 },
+    update: { type: Number, default: 0 },
+    archive: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    filteredOut: { type: Number, default: 0 }, // processCatalogRow/변환 단계에서 제외된 행 (판매중 아님 포함)
+    priceChanged: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+  },
+  archiveAborted: { type: Boolean, default: false }, // 내리기 대상 비율이 안전 한도를 넘은 경우
+  errorMessage: { type: String, maxlength: 1000 },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// 보관 기간을 바꾸면 기존 TTL 인덱스를 삭제해야 새 값으로 다시 만들어짐
+catalogDryRunReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.bunjang.dryRun.reportRetentionDays * 24 * 60 * 60 });
+
+const CatalogDryRunReport = mongoose.model('CatalogDryRunReport', catalogDryRunReportSchema);
+
+module.exports = CatalogDryRunReport;
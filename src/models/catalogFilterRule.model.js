@@ -0,0 +1,37 @@
+// src/models/catalogFilterRule.model.js
+// 카탈로그 가져오기 필터 규칙. 내부 API로 수정하며, 카탈로그 처리 시작 시 활성 규칙을 읽어 각 행에 적용합니다.
+const mongoose = require('mongoose');
+
+const catalogFilterRuleSchema = new mongoose.Schema({
+  name: { // 제외 사유로 기록되는 규칙 이름 (예: "exclude-luxury-over-5m")
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+  // EXCLUDE: 조건에 맞으면 제외. INCLUDE: 활성 INCLUDE 규칙이 하나라도 있으면 그중 하나에 맞는 상품만 가져옴
+  action: { type: String, enum: ['INCLUDE', 'EXCLUDE'], required: true },
+  priority: { type: Number, default: 100 }, // 낮을수록 먼저 평가 (제외 사유로 기록될 규칙 결정)
+
+  // 지정된 조건은 모두 만족해야 규칙에 해당 (AND). 지정하지 않은 조건은 무시
+  conditions: {
+    categoryIds: [{ type: String, trim: true }], // 카테고리 ID 접두어 일치 (하위 카테고리 포함)
+    brandIds: [{ type: String, trim: true }],
+    sellerUids: [{ type: String, trim: true }],
+    minPriceKrw: { type: Number },
+    maxPriceKrw: { type: Number },
+    productConditions: [{ type: String, trim: true, uppercase: true }], // 상품 상태 (예: NEW, USED)
+    keywords: [{ type: String, trim: true, lowercase: true }], // 상품명/설명/키워드에 하나라도 포함되면 해당 (대소문자 무시)
+    missingImages: { type: Boolean }, // true: 이미지가 없는 상품에 해당
+    minShippingFeeKrw: { type: Number },
+    maxShippingFeeKrw: { type: Number },
+  },
+
+  updatedBy: { type: String, trim: true }, // 마지막 수정자 (메모용)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CatalogFilterRule = mongoose.model('CatalogFilterRule', catalogFilterRuleSchema);
+
+module.exports = CatalogFilterRule;
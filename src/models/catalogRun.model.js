@@ -0,0 +1,63 @@
+// src/models/catalogRun.model.js
+// 카탈로그 처리 작업의 실행별 이력. (재시도 포함 작업 실행마다 한 건, 파일별 원장인 CatalogRunLedger와 별도)
+// 실행 동안 생성/수정/오류/내리기된 상품별 내역은 CatalogRunItem 컬렉션에 저장됩니다.
+const mongoose = require('mongoose');
+
+const catalogRunSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, index: true, trim: true }, // BullMQ 작업 ID
+  attempt: { type: Number, default: 1 }, // BullMQ 시도 번호 (재시도는 별도 실행으로 기록)
+  catalogType: { type: String, enum: ['full', 'segment'], required: true },
+  catalogFileName: { type: String, index: true, trim: true }, // 예: "full-20250101.csv.gz"
+  source: { type: String, enum: ['bunjang', 'upload', 'local'], default: 'bunjang' }, // 번개장터 다운로드, API 업로드, 서버 로컬 파일
+  triggeredBy: { type: String, trim: true }, // 예: "cron_scheduler", "api_manual", "segment_backfill"
+  dryRun: { type: Boolean, default: false }, // dry-run 상세 내역은 CatalogDryRunReport (jobId 기준)
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true,
+  },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  durationMs: { type: Number },
+
+  // CSV 행 수 (완료 시 기록)
+  rows: {
+    total: { type: Number }, // CSV 데이터 행 수
+    valid: { type: Number }, // 가져오기 대상 상품 수
+    resumedFrom: { type: Number }, // 이전 시도의 체크포인트에서 이어서 처리한 경우 건너뛴 행 수
+  },
+  // 이번 실행에서 처리한 상품 결과별 수 (재개 전 시도의 결과는 해당 시도의 실행에 기록됨)
+  counts: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    skippedByFilter: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    skippedDuplicate: { type: Number, default: 0 }, // 중복 리스팅으로 대표 상품이 아니어서 건너뜀
+    delisted: { type: Number, default: 0 },
+    delistErrors: { type: Number, default: 0 },
+  },
+  bulkOperations: { type: Number }, // 벌크 동기화로 제출한 productSet 작업 수
+  delistAborted: { type: Boolean }, // 내리기 대상 비율이 안전 한도를 넘어 내리기를 건너뛴 경우
+  // 상품 동기화 오류 예시 (config.bunjang.runHistory.maxSampleErrors개까지)
+  sampleErrors: [{
+    _id: false,
+    bunjangPid: { type: String, trim: true },
+    message: { type: String, maxlength: 1000 },
+    at: { type: Date },
+  }],
+  errorMessage: { type: String, maxlength: 1000 }, // 실행 자체가 실패한 경우
+  summary: { type: mongoose.Schema.Types.Mixed }, // fetchAndProcessBunjangCatalog 반환값 (체크포인트 기준 누적 값 포함)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// 타입별 최근 실행 조회
+catalogRunSchema.index({ catalogType: 1, startedAt: -1 });
+catalogRunSchema.index({ startedAt: -1 });
+
+const CatalogRun = mongoose.model('CatalogRun', catalogRunSchema);
+
+module.exports = CatalogRun;
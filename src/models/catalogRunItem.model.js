@@ -0,0 +1,29 @@
+// src/models/catalogRunItem.model.js
+// 카탈로그 실행(CatalogRun)에서 Shopify에 반영(생성/수정/내리기)했거나 오류가 난 상품별 내역.
+// 변경 없음/필터 제외 상품은 실행의 counts에만 집계합니다. config.bunjang.runHistory.itemRetentionDays가 지나면 자동 삭제됩니다.
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const catalogRunItemSchema = new mongoose.Schema({
+  runId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun', required: true },
+  bunjangPid: { type: String, required: true, index: true, trim: true },
+  action: {
+    type: String,
+    enum: ['CREATE', 'UPDATE', 'ARCHIVE', 'ERROR'], // ARCHIVE: 카탈로그에서 사라져 내린 상품 (설정에 따라 DRAFT일 수 있음)
+    required: true,
+  },
+  shopifyGid: { type: String, trim: true },
+  changedGroups: [{ type: String }], // UPDATE 시 반영한 그룹 (content, price, quantity, images, options, metafields)
+  message: { type: String, maxlength: 1000 }, // 오류 메시지 또는 내리기 사유
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+catalogRunItemSchema.index({ runId: 1, action: 1, _id: 1 });
+// 보관 기간을 바꾸면 기존 TTL 인덱스를 삭제해야 새 값으로 다시 만들어짐
+catalogRunItemSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.bunjang.runHistory.itemRetentionDays * 24 * 60 * 60 });
+
+const CatalogRunItem = mongoose.model('CatalogRunItem', catalogRunItemSchema);
+
+module.exports = CatalogRunItem;
@@ -0,0 +1,37 @@
+// src/models/catalogRunLedger.model.js
+// 번개장터에서 받아 처리하는 카탈로그 파일별 실행 원장. KST 시간 단위로 기록하여 누락된 세그먼트 파일을 찾는 데 사용합니다.
+const mongoose = require('mongoose');
+
+const catalogRunLedgerSchema = new mongoose.Schema({
+  catalogFileName: { // 예: "segment-20250101_13.csv.gz"
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  catalogType: { type: String, enum: ['full', 'segment'], required: true },
+  kstHour: { type: Date, required: true }, // 파일이 다루는 KST 시간의 시작 시각 (전체 카탈로그는 KST 자정)
+  status: {
+    type: String,
+    enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+    default: 'QUEUED',
+    index: true,
+  },
+
+  triggeredBy: { type: String, trim: true }, // 예: "cron_scheduler", "api_manual", "segment_backfill"
+  lastJobId: { type: String, trim: true }, // 마지막으로 처리한 BullMQ 작업 ID
+  runCount: { type: Number, default: 0 }, // 처리 시작 횟수 (재시도 포함)
+  backfillCount: { type: Number, default: 0 }, // 누락 감지로 백필 작업을 추가한 횟수
+  queuedAt: { type: Date },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  lastError: { type: String, maxlength: 1000 },
+  summary: { type: mongoose.Schema.Types.Mixed }, // 처리 결과 요약 (fetchAndProcessBunjangCatalog 반환값)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// 타입별 시간순 조회 (누락 감지)
+catalogRunLedgerSchema.index({ catalogType: 1, kstHour: 1 });
+
+const CatalogRunLedger = mongoose.model('CatalogRunLedger', catalogRunLedgerSchema);
+
+module.exports = CatalogRunLedger;
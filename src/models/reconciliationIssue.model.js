@@ -0,0 +1,51 @@
+// src/models/reconciliationIssue.model.js
+// Shopify 스토어 대조(ReconciliationReport)에서 발견한 문제와 처리 내역.
+// suggestedActions 중 하나를 내부 API로 적용하거나 무시할 수 있습니다. config.bunjang.reconciliation.reportRetentionDays가 지나면 자동 삭제됩니다.
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// 적용할 수 있는 처리 (reconciliationService.applyReconciliationFix 참고)
+const FIX_ACTIONS = ['LINK', 'ARCHIVE_SHOPIFY_PRODUCT', 'CLEAR_GID', 'RESYNC', 'IGNORE'];
+
+const reconciliationIssueSchema = new mongoose.Schema({
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReconciliationReport', required: true },
+  type: {
+    type: String,
+    enum: [
+      'RELINKED', // 자동으로 다시 연결함 (기록용, FIXED 상태로 생성)
+      'ORPHAN_SHOPIFY_PRODUCT',
+      'UNIDENTIFIED_SHOPIFY_PRODUCT',
+      'DUPLICATE_SHOPIFY_PRODUCT',
+      'DANGLING_GID',
+      'MISSING_PID_TAG',
+      'STATUS_DRIFT',
+    ],
+    required: true,
+  },
+  status: { type: String, enum: ['OPEN', 'FIXED', 'IGNORED'], default: 'OPEN' },
+  bunjangPid: { type: String, trim: true, index: true },
+  shopifyGid: { type: String, trim: true }, // 문제가 된 Shopify 상품
+  recordShopifyGid: { type: String, trim: true }, // SyncedProduct에 기록된 GID (다른 경우)
+  shopifyTitle: { type: String, trim: true },
+  shopifyHandle: { type: String, trim: true },
+  shopifyStatus: { type: String, trim: true }, // Shopify 상품의 현재 상태 (ACTIVE, DRAFT, ARCHIVED)
+  details: { type: String, maxlength: 1000 },
+  suggestedActions: [{ type: String, enum: FIX_ACTIONS }],
+  resolution: {
+    action: { type: String, enum: FIX_ACTIONS },
+    by: { type: String, trim: true }, // 처리자 ("auto"는 대조 작업의 자동 재연결)
+    at: { type: Date },
+    message: { type: String, maxlength: 1000 },
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+reconciliationIssueSchema.index({ reportId: 1, type: 1, status: 1, _id: 1 });
+// 보관 기간을 바꾸면 기존 TTL 인덱스를 삭제해야 새 값으로 다시 만들어짐
+reconciliationIssueSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.bunjang.reconciliation.reportRetentionDays * 24 * 60 * 60 });
+
+const ReconciliationIssue = mongoose.model('ReconciliationIssue', reconciliationIssueSchema);
+
+module.exports = ReconciliationIssue;
@@ -0,0 +1,38 @@
+// src/models/reconciliationReport.model.js
+// Shopify 스토어와 SyncedProduct 대조 실행별 보고서.
+// 발견한 문제(고아 상품, 중복 상품, 삭제된 상품을 가리키는 GID, 상태 불일치 등)는 ReconciliationIssue 컬렉션에 저장됩니다.
+const mongoose = require('mongoose');
+
+const reconciliationReportSchema = new mongoose.Schema({
+  triggeredBy: { type: String, trim: true }, // 예: "cron_scheduler", "api_manual"
+  autoRelink: { type: Boolean }, // 실행 시 자동 재연결 여부
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true,
+  },
+  startedAt: { type: Date, default: Date.now, index: true },
+  completedAt: { type: Date },
+  durationMs: { type: Number },
+  counts: {
+    shopifyProductsScanned: { type: Number, default: 0 }, // bunjang_import 태그 검색 + 번개장터 컬렉션에서 읽은 상품 수 (중복 제외)
+    recordsChecked: { type: Number, default: 0 }, // shopifyGid가 있는 SyncedProduct 수
+    inSync: { type: Number, default: 0 },
+    relinked: { type: Number, default: 0 }, // 자동으로 다시 연결한 기록
+    orphans: { type: Number, default: 0 }, // 번개장터 PID는 있지만 SyncedProduct가 없는 Shopify 상품
+    unidentified: { type: Number, default: 0 }, // 번개장터 PID를 알 수 없는 Shopify 상품
+    duplicates: { type: Number, default: 0 }, // 같은 PID의 기록이 다른 Shopify 상품을 가리키는 경우
+    danglingGids: { type: Number, default: 0 }, // 삭제된 Shopify 상품을 가리키는 기록
+    missingPidTags: { type: Number, default: 0 }, // Shopify 상품은 있지만 태그/컬렉션 검색에 나오지 않는 기록
+    statusDrift: { type: Number, default: 0 }, // SyncedProduct의 상태와 Shopify 상품 상태가 다른 경우
+  },
+  errorMessage: { type: String, maxlength: 1000 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,20 @@
+// src/models/rehostedImage.model.js
+// Shopify staged upload로 올린 이미지 기록. 내용(sha256)이 같은 이미지는 다시 올리지 않고 업로드 결과를 재사용합니다.
+const mongoose = require('mongoose');
+
+const rehostedImageSchema = new mongoose.Schema({
+  contentHash: { type: String, required: true, unique: true }, // 이미지 내용 sha256
+  resourceUrl: { type: String, required: true }, // stagedUploadsCreate의 resourceUrl (productCreateMedia originalSource로 사용)
+  mimeType: { type: String, required: true }, // 예: "image/jpeg"
+  fileSize: { type: Number, required: true }, // 바이트
+  firstSourceUrl: { type: String, trim: true }, // 처음 업로드한 번개장터 이미지 URL
+  uploadedAt: { type: Date, required: true, index: true }, // 마지막 staged upload 시간 (재사용 가능 기간 판단)
+  reuseCount: { type: Number, default: 0 }, // 업로드 없이 재사용된 횟수
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const RehostedImage = mongoose.model('RehostedImage', rehostedImageSchema);
+
+module.exports = RehostedImage;
@@ -0,0 +1,48 @@
+// src/models/savedSearch.model.js
+// 저장된 번개장터 검색. 내부 API로 관리하며, 예약 작업이 주기마다 검색 결과를 페이지 단위로 읽어 새 상품을 가져옵니다.
+// 가져온 상품에는 "saved_search:<name>" 태그가 붙고 SyncedProduct.savedSearchNames에 검색 이름이 기록됩니다.
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  name: { // 상품 태그로 사용되므로 생성 후 변경 불가 (예: "trending-lightsticks")
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+
+  // 번개장터 상품 검색 API(searchBunjangProducts) 조건. 지정하지 않은 조건은 무시
+  query: { type: String, trim: true }, // 검색어
+  categoryIds: [{ type: String, trim: true }],
+  brandIds: [{ type: String, trim: true }],
+  minPriceKrw: { type: Number },
+  maxPriceKrw: { type: Number },
+  freeShipping: { type: Boolean },
+  sort: { type: String, enum: ['score', 'latest', 'price_asc', 'price_desc'], default: 'latest' },
+  maxItems: { type: Number, default: 100, min: 1, max: 1000 }, // 실행마다 확인할 검색 결과 수 (정렬 순서상 상위 N개)
+
+  // 실행 주기
+  intervalMinutes: { type: Number, default: 360, min: 15 },
+  nextRunAt: { type: Date, index: true }, // 비어 있으면 다음 예약 작업 때 실행
+
+  // 마지막 실행 결과
+  lastRunAt: { type: Date },
+  lastRunStatus: { type: String, enum: ['COMPLETED', 'FAILED'] },
+  lastRunCounts: {
+    scanned: { type: Number }, // 확인한 검색 결과 수
+    imported: { type: Number }, // Shopify에 새로 올린 상품 수
+    alreadyListed: { type: Number }, // 이미 Shopify에 있어 건너뛴 상품 수
+    skipped: { type: Number }, // 판매중이 아니거나 필수 정보가 없어 가져오지 않은 상품 수
+    errors: { type: Number },
+  },
+  lastErrorMessage: { type: String, maxlength: 1000 },
+  totalImported: { type: Number, default: 0 },
+
+  updatedBy: { type: String, trim: true }, // 마지막 수정자 (메모용)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -17,6 +17,7 @@ const syncedProductSchema = new mongoose.Schema({
   // 번개장터 원본 정보 (참고 및 동기화 비교용)
   bunjangProductName: { type: String, trim: true },
   bunjangCategoryId: { type: String, index: true, trim: true },
+  bunjangCategoryName: { type: String, trim: true },
   bunjangBrandId: { type: String, index: true, trim: true },
   bunjangSellerUid: { type: String, index: true, trim: true },
   bunjangCondition: { type: String, trim: true },
@@ -26,6 +27,7 @@ const syncedProductSchema = new mongoose.Schema({
   bunjangOptionsJson: { type: String }, // 번개장터 옵션 원본 JSON 문자열
   bunjangImagesJson: { type: String }, // 번개장터 이미지 URL 목록 원본 JSON 문자열
   bunjangKeywordsJson: { type: String }, // 번개장터 키워드 목록 원본 JSON 문자열
+  bunjangDescription: { type: String }, // 번개장터 상품 설명 원문 (태그 규칙 다시 적용 시 키워드 검색용)
   bunjangCreatedAt: { type: Date }, // 번개장터 상품 생성 시간 (KST)
   bunjangUpdatedAt: { type: Date, index: true }, // 번개장터 상품 수정 시간 (KST, 카탈로그 기준)
 
@@ -33,6 +35,83 @@ const syncedProductSchema = new mongoose.Schema({
   shopifyProductType: { type: String, index: true, trim: true }, // 매핑된 Shopify 상품 유형
   shopifyListedPriceUsd: { type: String }, // Shopify에 리스팅된 USD 가격 문자열 (예: "25.99")
   shopifyStatus: { type: String, enum: ['ACTIVE', 'DRAFT', 'ARCHIVED'], index: true }, // Shopify 상품 상태
+  // 태그/컬렉션 규칙으로 적용된 태그와 컬렉션 (규칙 변경 시 이 목록 기준으로 추가/제거)
+  ruleTags: { type: [String], default: undefined },
+  ruleCollectionGids: { type: [String], default: undefined },
+  // Shopify variant SKU와 번개장터 옵션 매핑 (주문 시 구매한 옵션을 번개장터 옵션으로 역추적)
+  shopifyVariantMappings: [{
+    _id: false,
+    sku: { type: String, trim: true }, // 예: "BJ-123456" (단일) 또는 "BJ-123456-2" (옵션 조합)
+    shopifyVariantGid: { type: String, trim: true },
+    bunjangOptions: [{ _id: false, name: String, value: String }], // 예: [{ name: "사이즈", value: "M" }]
+  }],
+
+  // 번개장터 이미지별 Shopify 첨부 상태 (번개장터 이미지 순서대로 저장)
+  shopifyMedia: [{
+    _id: false,
+    sourceUrl: { type: String, trim: true }, // 정규화된 번개장터 이미지 URL
+    shopifyMediaGid: { type: String, trim: true }, // 예: "gid://shopify/MediaImage/1234567890" (ATTACHED인 경우)
+    status: { type: String, enum: ['ATTACHED', 'FAILED', 'DUPLICATE'] }, // DUPLICATE: 같은 상품의 다른 이미지와 내용이 같아 첨부하지 않음
+    contentHash: { type: String }, // 이미지 내용 sha256 (재호스팅한 경우)
+    attempts: { type: Number }, // 첨부 시도 횟수
+    lastError: { type: String }, // 마지막 실패 사유 (다운로드/검증/업로드/Shopify 처리)
+    lastAttemptAt: { type: Date },
+  }],
+
+  // 상품별 수동 재정의와 잠금 (내부 API로 관리, productOverrideService 참고)
+  // 카탈로그 동기화가 번개장터 데이터 위에 재정의 값을 덮어쓰고, 잠근 항목은 Shopify에 쓰지 않음
+  overrides: {
+    title: { type: String, trim: true },
+    descriptionHtml: { type: String },
+    priceUsd: { type: String, trim: true }, // 예: "29.99" (가격 정책으로 계산한 가격 대신 사용)
+    extraTags: { type: [String], default: undefined }, // 번개장터/규칙 태그에 더할 태그
+    status: { type: String, enum: ['ACTIVE', 'DRAFT', 'ARCHIVED'] },
+    lockedFields: { // 동기화가 덮어쓰지 않을 항목 (재정의 값이 없으면 Shopify의 현재 값 유지)
+      type: [{ type: String, enum: ['title', 'description', 'price', 'tags', 'status', 'images'] }],
+      default: undefined,
+    },
+    updatedBy: { type: String, trim: true },
+    updatedAt: { type: Date },
+  },
+
+  // 게시 전 검토 (config.bunjang.review.enabled, productReviewService 참고). 검토 모드 이전에 올린 상품은 없음
+  review: {
+    status: { type: String, enum: ['PENDING', 'APPROVED', 'REJECTED'], index: true },
+    policySource: { type: String, trim: true }, // 판정에 쓴 정책 (예: "CATEGORY:600700", "DEFAULT")
+    requestedAt: { type: Date },
+    decidedBy: { type: String, trim: true }, // 검토자 ("auto"는 카테고리 정책에 따른 자동 승인)
+    decidedAt: { type: Date },
+    note: { type: String, maxlength: 1000 }, // 승인 메모 또는 거절 사유
+  },
+
+  // 이 상품을 가져온 저장된 검색 이름 (savedSearchService 참고). 검색 이름 태그를 붙이고, 카탈로그 필터와 관계없이 계속 동기화
+  savedSearchNames: { type: [{ type: String, trim: true }], default: undefined, index: true },
+
+  // 중복 리스팅 판정 정보 (duplicateListingService 참고). 같은 clusterId의 상품 중 대표 상품만 Shopify에 올림
+  dedupe: {
+    imageSourceUrl: { type: String, trim: true }, // imageHash를 계산한 대표 이미지 URL (바뀌면 다시 계산)
+    imageHash: { type: String }, // 대표 이미지 dHash (64비트, 16자리 hex)
+    imageHashBands: { type: [String], default: undefined, index: true }, // 후보 검색용 hash 구간 (예: "0:a1b2")
+    titleTokens: { type: [String], default: undefined }, // 정규화한 제목 토큰
+    clusterId: { type: String, index: true, sparse: true },
+    evaluatedAt: { type: Date },
+    unavailableAt: { type: Date }, // 판매 종료로 대표 후보에서 제외된 시간 (다시 판매중으로 확인되면 지움)
+  },
+
+  // 마지막으로 Shopify에 반영된 데이터의 그룹별 해시 (변경된 그룹의 mutation만 실행하기 위함)
+  syncHashes: {
+    content: { type: String }, // 제목/설명/공급업체/상품 유형/태그
+    price: { type: String }, // Shopify 리스팅 가격
+    quantity: { type: String }, // 재고 수량
+    images: { type: String }, // 번개장터 이미지 URL 목록
+    options: { type: String }, // 옵션 구성
+    metafields: { type: String }, // bunjang.* 원본 정보 메타필드
+  },
+
+  // 카탈로그 노출 및 판매 종료(delisting) 정보
+  lastSeenInCatalogAt: { type: Date, index: true }, // 카탈로그 파일에서 판매중(SELLING)으로 마지막 확인된 시간
+  delistedAt: { type: Date, index: true }, // 카탈로그에서 사라져 Shopify 상품을 내린 시간
+  delistReason: { type: String, trim: true }, // 예: "MISSING_FROM_CATALOG", "NOT_SELLING:SOLD_OUT", "DUPLICATE_OF:123456"
 
   // 동기화 상태 및 이력
   lastSyncAttemptAt: { type: Date, default: Date.now, index: true },
@@ -49,6 +128,8 @@ const syncedProductSchema = new mongoose.Schema({
   
   // 추가적인 내부 관리 필드
   isFilteredOut: { type: Boolean, default: false, index: true }, // 카테고리 등으로 필터링 아웃된 상품 표시
+  filterReason: { type: String, trim: true }, // 제외한 필터 (예: "FILTER_RULE:exclude-luxury", "CATEGORY_FILTERED:600100")
+  filteredAt: { type: Date }, // 마지막으로 필터에 의해 제외된 시간
   notes: { type: String, maxlength: 500 }, // 관리자 메모
 
 }, {
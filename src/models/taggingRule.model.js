@@ -0,0 +1,34 @@
+// src/models/taggingRule.model.js
+// Shopify 태그/컬렉션 규칙. 조건에 해당하는 번개장터 상품에 태그를 붙이고 컬렉션에 추가합니다. (내부 API로 수정)
+const mongoose = require('mongoose');
+
+const taggingRuleSchema = new mongoose.Schema({
+  name: { // 예: "k-pop", "luxury-bags"
+    type: String, required: true, unique: true, index: true, trim: true,
+  },
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100 }, // 낮을수록 먼저 평가 (태그 순서)
+
+  // 지정된 조건은 모두 만족해야 규칙에 해당 (AND). 지정하지 않은 조건은 무시
+  conditions: {
+    keywords: [{ type: String, trim: true, lowercase: true }], // 상품명/카테고리명/번개장터 키워드에 하나라도 포함되면 해당 (대소문자 무시)
+    categoryIds: [{ type: String, trim: true }], // 카테고리 ID 접두어 일치 (하위 카테고리 포함)
+    brandIds: [{ type: String, trim: true }],
+    minPriceKrw: { type: Number },
+    maxPriceKrw: { type: Number },
+  },
+
+  // 규칙에 해당하는 상품에 적용할 내용
+  tags: [{ type: String, trim: true }], // Shopify 태그 (예: "K-Pop")
+  collectionGids: [{ type: String, trim: true }], // 예: "gid://shopify/Collection/1234567890"
+
+  updatedBy: { type: String, trim: true }, // 마지막 수정자 (메모용)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const TaggingRule = mongoose.model('TaggingRule', taggingRuleSchema);
+
+module.exports = TaggingRule;
@@ -0,0 +1,24 @@
+// src/models/translationCache.model.js
+// 번역 결과 캐시. 원문 해시 기준으로 저장하여 원문이 바뀌지 않으면 다시 번역하지 않습니다.
+const mongoose = require('mongoose');
+
+const translationCacheSchema = new mongoose.Schema({
+  sourceHash: { type: String, required: true }, // 원문(용어집 적용 전) sha256
+  provider: { type: String, required: true, trim: true }, // 번역 제공자 (예: "deepl", "dictionary")
+  sourceLang: { type: String, required: true, trim: true }, // 예: "ko"
+  targetLang: { type: String, required: true, trim: true }, // 예: "en"
+  translatedText: { type: String, required: true },
+  glossaryVersion: { type: String }, // 번역 시 적용한 용어집 버전 (translationService의 용어집 해시). 다르면 다시 번역
+  sourceLength: { type: Number }, // 원문 길이 (사용량 파악용)
+  hitCount: { type: Number, default: 0 }, // 캐시 재사용 횟수
+  lastUsedAt: { type: Date, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+translationCacheSchema.index({ sourceHash: 1, provider: 1, sourceLang: 1, targetLang: 1 }, { unique: true });
+
+const TranslationCache = mongoose.model('TranslationCache', translationCacheSchema);
+
+module.exports = TranslationCache;
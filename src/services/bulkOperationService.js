@@ -0,0 +1,150 @@
+// src/services/bulkOperationService.js
+// Shopify 벌크 mutation(bulkOperationRunMutation) 실행 도우미.
+// 변수 JSONL 업로드(stagedUploadsCreate) -> 벌크 작업 시작 -> 완료까지 폴링 -> 결과 JSONL 스트리밍 순서로 사용합니다.
+
+const path = require('node:path');
+const readline = require('node:readline');
+const fs = require('fs-extra');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'BulkOperationSvc';
+const ACTIVE_BULK_STATUSES = ['CREATED', 'RUNNING', 'CANCELING'];
+const FILE_TRANSFER_TIMEOUT_MS = 10 * 60 * 1000; // 변수 파일 업로드/결과 파일 다운로드 제한 시간
+
+// 벌크 실행용 productSet mutation. 결과의 variants로 SKU별 variant/재고 항목 GID를 얻음
+const BULK_PRODUCT_SET_MUTATION = `
+  mutation bulkProductSet($input: ProductSetInput!) {
+    productSet(input: $input) {
+      product {
+        id
+        handle
+        variants(first: 100) {
+          edges {
+            node {
+              id
+              sku
+              inventoryItem {
+                id
+              }
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 벌크 작업이 끝날 때까지(COMPLETED, FAILED, CANCELED, EXPIRED) 폴링합니다.
+ * @param {string} bulkOperationId - BulkOperation GID.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<object>} 종료된 BulkOperation (status, errorCode, objectCount, url, partialDataUrl 등).
+ * @throws {ExternalServiceError} 작업을 찾을 수 없거나 config.shopify.bulkSync.timeoutMs를 넘긴 경우.
+ */
+async function waitForBulkOperation(bulkOperationId, jobIdForLog = 'N/A') {
+  const { pollIntervalMs, timeoutMs } = config.shopify.bulkSync;
+  const deadline = Date.now() + timeoutMs;
+  let lastStatus = null;
+
+  for (;;) {
+    const operation = await shopifyService.getBulkOperation(bulkOperationId);
+    if (!operation) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation not found: ${bulkOperationId}`, 'SHOPIFY_BULK_OPERATION_NOT_FOUND');
+    }
+    if (operation.status !== lastStatus) {
+      logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Bulk operation ${bulkOperationId} status: ${operation.status} (objects: ${operation.objectCount || 0})`);
+      lastStatus = operation.status;
+    }
+    if (!ACTIVE_BULK_STATUSES.includes(operation.status)) {
+      return operation;
+    }
+    if (Date.now() > deadline) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Timed out waiting for bulk operation ${bulkOperationId} (last status: ${operation.status}).`, 'SHOPIFY_BULK_OPERATION_TIMEOUT');
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+/**
+ * productSet 변수 JSONL 파일(한 줄에 { "input": ProductSetInput })을 업로드하고 벌크 mutation을 시작합니다.
+ * 스토어당 벌크 mutation은 하나씩만 실행되므로 다른 작업이 실행 중이면 끝날 때까지 기다립니다.
+ * @param {string} variablesPath - 변수 JSONL 파일 경로.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<object>} 시작된 BulkOperation.
+ */
+async function submitBulkProductSet(variablesPath, jobIdForLog = 'N/A') {
+  const current = await shopifyService.getCurrentBulkMutation();
+  if (current && ACTIVE_BULK_STATUSES.includes(current.status)) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Another bulk mutation ${current.id} is ${current.status}. Waiting for it to finish before submitting.`);
+    await waitForBulkOperation(current.id, jobIdForLog);
+  }
+
+  const fileBuffer = await fs.readFile(variablesPath);
+  const fileName = path.basename(variablesPath);
+  const [target] = await shopifyService.createStagedUploads([{
+    filename: fileName,
+    mimeType: 'text/jsonl',
+    resource: 'BULK_MUTATION_VARIABLES',
+    httpMethod: 'POST',
+  }]);
+  const stagedUploadPath = target?.parameters?.find(param => param.name === 'key')?.value;
+  if (!target?.url || !stagedUploadPath) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Shopify did not return a staged upload target for bulk variables.', 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+
+  await shopifyService.uploadToStagedTarget(target, fileBuffer, fileName, 'text/jsonl', FILE_TRANSFER_TIMEOUT_MS);
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Uploaded bulk variables ${fileName} (${fileBuffer.length} bytes).`);
+  return shopifyService.runBulkMutation(BULK_PRODUCT_SET_MUTATION, stagedUploadPath);
+}
+
+/**
+ * 종료된 벌크 작업의 결과 JSONL을 한 줄씩 읽습니다. (FAILED로 끝난 경우 partialDataUrl의 부분 결과)
+ * 각 줄은 { data: { productSet: {...} }, errors?: [...], __lineNumber: <변수 파일의 0부터 시작하는 줄 번호> } 형식입니다.
+ * @param {object} operation - waitForBulkOperation 결과.
+ * @param {function(object): Promise<void>} onResult - 결과 한 줄마다 호출.
+ * @returns {Promise<number>} 읽은 결과 줄 수.
+ */
+async function forEachBulkOperationResult(operation, onResult) {
+  const resultUrl = operation.url || operation.partialDataUrl;
+  if (!resultUrl) return 0;
+
+  let response;
+  try {
+    response = await axios.get(resultUrl, { responseType: 'stream', timeout: FILE_TRANSFER_TIMEOUT_MS });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Failed to download bulk operation result: ${error.message}`, 'SHOPIFY_BULK_RESULT_DOWNLOAD_ERROR');
+  }
+
+  let count = 0;
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (parseError) {
+      logger.warn(`[${SERVICE_NAME}] Skipping unparsable bulk result line: ${line.substring(0, 200)}`);
+      continue;
+    }
+    count++;
+    await onResult(parsed);
+  }
+  return count;
+}
+
+module.exports = {
+  submitBulkProductSet,
+  waitForBulkOperation,
+  forEachBulkOperationResult,
+  ACTIVE_BULK_STATUSES,
+};
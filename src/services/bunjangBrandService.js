@@ -0,0 +1,299 @@
+// src/services/bunjangBrandService.js
+// 번개장터 브랜드 디렉터리(BunjangBrand) 동기화와 브랜드 표시 이름 관리.
+// 카탈로그 변환에서 Shopify 공급업체(vendor), 브랜드 태그, bunjang.brand_name 메타필드를 만들 때 사용하고,
+// config.bunjang.brands.metaobjectsEnabled이면 상품이 있는 브랜드를 Shopify 메타오브젝트로 만들어 bunjang.brand로 연결합니다.
+const config = require('../config');
+const logger = require('../config/logger');
+const BunjangBrand = require('../models/bunjangBrand.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const bunjangService = require('./bunjangService');
+const shopifyService = require('./shopifyService');
+const { BUNJANG_METAFIELD_NAMESPACE } = require('../mappers/productMapper');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'BunjangBrandSvc';
+const BRAND_CACHE_TTL_MS = 60 * 1000; // 다른 프로세스(워커)에서 수정된 표시 이름도 1분 안에 반영
+const SYNC_WRITE_BATCH_SIZE = 500;
+const BRAND_METAFIELD_KEY = 'brand'; // bunjang.brand (metaobject_reference)
+
+let cachedIndex = null;
+let cachedAt = 0;
+
+// 표시 이름 우선순위: 직접 지정한 이름 > 번개장터 영문명 > 한글명
+function resolveBrandName(brand) {
+  return brand?.displayName || brand?.nameEng || brand?.nameKor || null;
+}
+
+function getBrandMetaobjectHandle(brandId) {
+  return `bunjang-brand-${brandId}`;
+}
+
+/**
+ * 번개장터 브랜드 API의 전체 목록으로 브랜드 디렉터리를 갱신합니다.
+ * 번개장터 이름만 갱신하며 직접 지정한 표시 이름(displayName)은 유지합니다. 목록에서 사라진 브랜드는 active=false로 표시합니다.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<{total: number, created: number, updated: number, deactivated: number, metaobjects?: object}>}
+ */
+async function syncBunjangBrandDirectory(jobIdForLog = 'N/A') {
+  const brands = await bunjangService.getBunjangBrands();
+  if (brands.length === 0) {
+    // getBunjangBrands는 실패 시에도 빈 목록을 반환하므로, 전체 디렉터리를 비활성화하지 않도록 중단
+    throw new AppError('번개장터 브랜드 목록이 비어 있어 동기화를 중단합니다.', 502, 'BUNJANG_BRANDS_EMPTY');
+  }
+
+  const syncedAt = new Date();
+  const operations = [];
+  const seen = new Set();
+  for (const brand of brands) {
+    const brandId = String(brand.id ?? '').trim();
+    if (!brandId || seen.has(brandId)) continue;
+    seen.add(brandId);
+    operations.push({
+      updateOne: {
+        filter: { brandId },
+        update: {
+          $set: {
+            nameKor: brand.nameKor ?? brand.name,
+            nameEng: brand.nameEng,
+            active: true,
+            lastSeenAt: syncedAt,
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  const summary = { total: operations.length, created: 0, updated: 0, deactivated: 0 };
+  for (let start = 0; start < operations.length; start += SYNC_WRITE_BATCH_SIZE) {
+    const result = await BunjangBrand.bulkWrite(operations.slice(start, start + SYNC_WRITE_BATCH_SIZE), { ordered: false });
+    summary.created += result.upsertedCount || 0;
+    summary.updated += result.modifiedCount || 0;
+  }
+  const deactivateResult = await BunjangBrand.updateMany(
+    { active: true, $or: [{ lastSeenAt: { $lt: syncedAt } }, { lastSeenAt: null }] },
+    { $set: { active: false } }
+  );
+  summary.deactivated = deactivateResult.modifiedCount || 0;
+  invalidateBrandDirectoryCache();
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Bunjang brand directory synced.`, summary);
+
+  if (config.bunjang.brands.metaobjectsEnabled) {
+    summary.metaobjects = await syncBrandMetaobjects(jobIdForLog);
+  }
+  return summary;
+}
+
+/**
+ * 카탈로그 변환용 브랜드 색인을 조회합니다. (짧은 시간 캐시)
+ * @returns {Promise<Map<string, {name: string, metaobjectGid: string|null}>>}
+ */
+async function getBrandDirectoryIndex() {
+  if (cachedIndex && Date.now() - cachedAt < BRAND_CACHE_TTL_MS) return cachedIndex;
+  const brands = await BunjangBrand.find({}).select('brandId nameKor nameEng displayName metaobjectGid').lean();
+  cachedIndex = new Map();
+  for (const brand of brands) {
+    const name = resolveBrandName(brand);
+    if (name) cachedIndex.set(brand.brandId, { name, metaobjectGid: brand.metaobjectGid || null });
+  }
+  cachedAt = Date.now();
+  return cachedIndex;
+}
+
+function invalidateBrandDirectoryCache() {
+  cachedIndex = null;
+  cachedAt = 0;
+}
+
+/**
+ * 상품의 번개장터 브랜드 ID로 브랜드 정보를 찾습니다.
+ * @param {string} brandId - 번개장터 브랜드 ID.
+ * @param {Map|null} index - getBrandDirectoryIndex() 결과.
+ * @returns {{brandId: string, name: string, metaobjectGid: string|null}|null} 디렉터리에 이름이 없으면 null.
+ */
+function resolveBrand(brandId, index) {
+  const id = String(brandId || '').trim();
+  const entry = id && index ? index.get(id) : null;
+  return entry ? { brandId: id, ...entry } : null;
+}
+
+/**
+ * 브랜드 메타필드(bunjang.brand_name, 메타오브젝트가 있으면 bunjang.brand)를 만듭니다.
+ * @param {object|null} brand - resolveBrand() 결과.
+ * @returns {Array<{namespace: string, key: string, type: string, value: string}>}
+ */
+function buildBrandMetafields(brand) {
+  if (!brand) return [];
+  const metafields = [{ namespace: BUNJANG_METAFIELD_NAMESPACE, key: 'brand_name', type: 'single_line_text_field', value: brand.name }];
+  if (config.bunjang.brands.metaobjectsEnabled && brand.metaobjectGid) {
+    metafields.push({ namespace: BUNJANG_METAFIELD_NAMESPACE, key: BRAND_METAFIELD_KEY, type: 'metaobject_reference', value: brand.metaobjectGid });
+  }
+  return metafields;
+}
+
+async function upsertBrandMetaobject(brand) {
+  const name = resolveBrandName(brand);
+  const metaobject = await shopifyService.upsertMetaobject(config.bunjang.brands.metaobjectType, getBrandMetaobjectHandle(brand.brandId), [
+    { key: 'name', value: name },
+    { key: 'name_kor', value: brand.nameKor || '' },
+    { key: 'bunjang_brand_id', value: brand.brandId },
+  ]);
+  await BunjangBrand.updateOne({ brandId: brand.brandId }, { $set: { metaobjectGid: metaobject.id, metaobjectName: name } });
+  return metaobject;
+}
+
+/**
+ * 동기화된 상품이 있는 브랜드의 Shopify 메타오브젝트를 만들거나, 표시 이름이 바뀐 경우 갱신합니다.
+ * 새로 연결된 메타오브젝트는 다음 카탈로그 동기화 때 상품의 bunjang.brand 메타필드로 반영됩니다.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<{checked: number, upserted: number, errors: number}>}
+ */
+async function syncBrandMetaobjects(jobIdForLog = 'N/A') {
+  const result = { checked: 0, upserted: 0, errors: 0 };
+  const brandIds = await SyncedProduct.distinct('bunjangBrandId', { syncStatus: 'SYNCED', bunjangBrandId: { $nin: [null, ''] } });
+  const brands = await BunjangBrand.find({ brandId: { $in: brandIds } }).lean();
+
+  for (const brand of brands) {
+    result.checked++;
+    const name = resolveBrandName(brand);
+    if (!name || (brand.metaobjectGid && brand.metaobjectName === name)) continue;
+    try {
+      await upsertBrandMetaobject(brand);
+      result.upserted++;
+    } catch (error) {
+      result.errors++;
+      logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] Failed to upsert metaobject for brand ${brand.brandId} (${name}): ${error.message}`);
+    }
+  }
+  if (result.upserted > 0) invalidateBrandDirectoryCache();
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Brand metaobjects synced.`, result);
+  return result;
+}
+
+/**
+ * 브랜드 메타오브젝트 정의와 bunjang.brand 상품 메타필드 정의를 생성합니다. (config.bunjang.brands.metaobjectsEnabled인 경우 서버 시작 시 호출)
+ */
+async function ensureBrandMetaobjectDefinitions() {
+  if (!config.bunjang.brands.metaobjectsEnabled) return;
+  const { metaobjectType } = config.bunjang.brands;
+
+  let definition = await shopifyService.getMetaobjectDefinitionByType(metaobjectType);
+  if (!definition) {
+    definition = await shopifyService.createMetaobjectDefinition({
+      type: metaobjectType,
+      name: 'Bunjang brand',
+      displayNameKey: 'name',
+      access: { storefront: 'PUBLIC_READ' },
+      capabilities: { publishable: { enabled: true } },
+      fieldDefinitions: [
+        { key: 'name', name: 'Name', type: 'single_line_text_field' },
+        { key: 'name_kor', name: 'Korean name', type: 'single_line_text_field' },
+        { key: 'bunjang_brand_id', name: 'Bunjang brand ID', type: 'single_line_text_field' },
+      ],
+    });
+    logger.info(`[${SERVICE_NAME}] Created metaobject definition ${metaobjectType} (${definition.id}).`);
+  }
+
+  const existingDefinitions = await shopifyService.getMetafieldDefinitions('PRODUCT', BUNJANG_METAFIELD_NAMESPACE);
+  if (existingDefinitions.some(def => def.key === BRAND_METAFIELD_KEY)) return;
+  await shopifyService.createMetafieldDefinition({
+    ownerType: 'PRODUCT',
+    namespace: BUNJANG_METAFIELD_NAMESPACE,
+    key: BRAND_METAFIELD_KEY,
+    type: 'metaobject_reference',
+    name: 'Bunjang brand',
+    description: '번개장터 브랜드 메타오브젝트',
+    access: { storefront: 'PUBLIC_READ' },
+    validations: [{ name: 'metaobject_definition_id', value: definition.id }],
+  });
+  logger.info(`[${SERVICE_NAME}] Created product metafield definition ${BUNJANG_METAFIELD_NAMESPACE}.${BRAND_METAFIELD_KEY}.`);
+}
+
+/**
+ * 브랜드 목록을 조회합니다.
+ * @param {object} [filters={}]
+ * @param {string} [filters.search] - 한글/영문/표시 이름 검색 (대소문자 무시).
+ * @param {boolean} [filters.customizedOnly=false] - 표시 이름을 직접 지정한 브랜드만.
+ * @param {boolean} [filters.includeInactive=false] - 번개장터 목록에서 사라진 브랜드 포함 여부.
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<{brands: object[], total: number, page: number, limit: number}>}
+ */
+async function listBrands({ search, customizedOnly = false, includeInactive = false, page = 1, limit = 100 } = {}) {
+  const query = {};
+  if (!includeInactive) query.active = true;
+  if (customizedOnly) query.displayName = { $exists: true, $nin: [null, ''] };
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ nameKor: pattern }, { nameEng: pattern }, { displayName: pattern }];
+  }
+  const [brands, total] = await Promise.all([
+    BunjangBrand.find(query).sort({ brandId: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    BunjangBrand.countDocuments(query),
+  ]);
+  return { brands: brands.map(brand => ({ ...brand, resolvedName: resolveBrandName(brand) })), total, page, limit };
+}
+
+async function getBrand(brandId) {
+  const brand = await BunjangBrand.findOne({ brandId }).lean();
+  if (!brand) throw new NotFoundError('번개장터 브랜드를 찾을 수 없습니다.', 'BunjangBrand', brandId);
+  const syncedProductCount = await SyncedProduct.countDocuments({ bunjangBrandId: brandId, syncStatus: 'SYNCED' });
+  return { ...brand, resolvedName: resolveBrandName(brand), syncedProductCount };
+}
+
+/**
+ * 브랜드의 영문 표시 이름을 지정하거나(null이면 삭제) 수정합니다.
+ * 공급업체/태그는 다음 카탈로그 동기화 때 반영되고, 메타오브젝트가 있으면 바로 갱신합니다.
+ * @param {string} brandId
+ * @param {{displayName: string|null, updatedBy?: string}} updates
+ * @returns {Promise<object>} 수정된 브랜드.
+ */
+async function updateBrandDisplayName(brandId, { displayName, updatedBy }) {
+  const update = displayName
+    ? { $set: { displayName, updatedBy } }
+    : { $unset: { displayName: 1 }, $set: { updatedBy } };
+  const brand = await BunjangBrand.findOneAndUpdate({ brandId }, update, { new: true, lean: true });
+  if (!brand) throw new NotFoundError('번개장터 브랜드를 찾을 수 없습니다. 브랜드 디렉터리를 먼저 동기화하세요.', 'BunjangBrand', brandId);
+  invalidateBrandDirectoryCache();
+  logger.info(`[${SERVICE_NAME}] Brand display name updated: ${brandId} -> ${resolveBrandName(brand)}.`);
+
+  if (config.bunjang.brands.metaobjectsEnabled && brand.metaobjectGid) {
+    try {
+      await upsertBrandMetaobject(brand);
+    } catch (error) {
+      // 다음 브랜드 동기화 작업에서 다시 반영됨 (metaobjectName이 바뀌지 않았으므로)
+      logger.error(`[${SERVICE_NAME}] Failed to update metaobject for brand ${brandId}: ${error.message}`);
+    }
+  }
+  return { ...brand, resolvedName: resolveBrandName(brand) };
+}
+
+/**
+ * 동기화된 상품이 있는 브랜드와 상품 수를 조회합니다. (App Proxy 브랜드 필터용)
+ * @param {object} [baseConditions={}] - 추가 SyncedProduct 조건 (예: 카테고리 필터).
+ * @returns {Promise<Array<{id: string, name: string, productCount: number}>>} 상품 수가 많은 순.
+ */
+async function listBrandsWithProducts(baseConditions = {}) {
+  const counts = await SyncedProduct.aggregate([
+    { $match: { ...baseConditions, syncStatus: 'SYNCED', bunjangBrandId: { $nin: [null, ''] } } },
+    { $group: { _id: '$bunjangBrandId', productCount: { $sum: 1 } } },
+    { $sort: { productCount: -1 } },
+  ]);
+  const index = await getBrandDirectoryIndex();
+  return counts
+    .map(({ _id, productCount }) => ({ id: _id, name: index.get(_id)?.name || null, productCount }))
+    .filter(brand => brand.name);
+}
+
+module.exports = {
+  syncBunjangBrandDirectory,
+  syncBrandMetaobjects,
+  ensureBrandMetaobjectDefinitions,
+  getBrandDirectoryIndex,
+  resolveBrand,
+  buildBrandMetafields,
+  listBrands,
+  getBrand,
+  updateBrandDisplayName,
+  listBrandsWithProducts,
+};
@@ -0,0 +1,359 @@
+// src/services/bunjangCategoryService.js
+// 번개장터 카테고리 트리(BunjangCategory) 동기화와 카테고리별 Shopify 매핑 관리.
+// 매핑은 카테고리 트리를 따라 하위 카테고리로 상속되며, 카탈로그 변환(transformBunjangRowToShopifyInput)과
+// productMapper.mapBunjangCategoryToShopifyProductType에서 사용합니다.
+const logger = require('../config/logger');
+const BunjangCategory = require('../models/bunjangCategory.model');
+const bunjangService = require('./bunjangService');
+const { AppError, ValidationError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'BunjangCategorySvc';
+const MAPPING_CACHE_TTL_MS = 60 * 1000; // 다른 프로세스(워커)에서 수정된 매핑도 1분 안에 반영
+const CATEGORY_ID_SEGMENT_LENGTH = 3; // 번개장터 카테고리 ID는 단계마다 3자리씩 늘어남 (예: 600 > 600700 > 600700001)
+const SYNC_WRITE_BATCH_SIZE = 500;
+const SHOPIFY_COLLECTION_GID_REGEX = /^gid:\/\/shopify\/Collection\/\d+$/;
+const SHOPIFY_TAXONOMY_CATEGORY_GID_REGEX = /^gid:\/\/shopify\/TaxonomyCategory\/[a-z]{2}(-\d+)*$/;
+
+let cachedIndex = null;
+let cachedAt = 0;
+
+/**
+ * 카테고리 ID 접두어로 상위 카테고리 ID 목록을 구합니다. (카테고리 API에 부모 정보가 없거나, 트리에 없는 카테고리용)
+ * @param {string} categoryId
+ * @returns {string[]} 최상위부터 부모까지의 ID 목록.
+ */
+function deriveAncestorIds(categoryId) {
+  const id = String(categoryId || '').trim();
+  if (!/^\d+$/.test(id) || id.length % CATEGORY_ID_SEGMENT_LENGTH !== 0) return [];
+  const ancestors = [];
+  for (let length = CATEGORY_ID_SEGMENT_LENGTH; length < id.length; length += CATEGORY_ID_SEGMENT_LENGTH) {
+    ancestors.push(id.slice(0, length));
+  }
+  return ancestors;
+}
+
+/**
+ * 번개장터 카테고리 API의 전체 목록으로 카테고리 트리를 갱신합니다.
+ * 이름과 부모 관계만 갱신하며 매핑은 건드리지 않습니다. 목록에서 사라진 카테고리는 active=false로 표시합니다.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<{total: number, created: number, updated: number, deactivated: number}>}
+ */
+async function syncBunjangCategoryTree(jobIdForLog = 'N/A') {
+  const categories = await bunjangService.getBunjangCategories();
+  if (categories.length === 0) {
+    // 빈 응답으로 전체 트리를 비활성화하지 않도록 중단
+    throw new AppError('번개장터 카테고리 목록이 비어 있어 동기화를 중단합니다.', 502, 'BUNJANG_CATEGORIES_EMPTY');
+  }
+
+  const byId = new Map();
+  for (const category of categories) {
+    const categoryId = String(category.id ?? '').trim();
+    if (!categoryId) continue;
+    byId.set(categoryId, {
+      categoryId,
+      nameKor: category.nameKor,
+      nameEng: category.nameEng,
+      parentId: category.parentId != null && String(category.parentId).trim() ? String(category.parentId).trim() : null,
+    });
+  }
+  // 부모 정보가 없으면 ID 접두어 중 목록에 있는 가장 가까운 카테고리를 부모로 사용
+  for (const category of byId.values()) {
+    if (!category.parentId) {
+      category.parentId = deriveAncestorIds(category.categoryId).reverse().find(ancestorId => byId.has(ancestorId)) || null;
+    }
+  }
+  const resolveAncestors = (category) => {
+    const ancestors = [];
+    const visited = new Set([category.categoryId]);
+    let parentId = category.parentId;
+    while (parentId && byId.has(parentId) && !visited.has(parentId)) {
+      ancestors.unshift(parentId);
+      visited.add(parentId);
+      parentId = byId.get(parentId).parentId;
+    }
+    return ancestors;
+  };
+
+  const syncedAt = new Date();
+  const operations = [...byId.values()].map((category) => {
+    const ancestorIds = resolveAncestors(category);
+    return {
+      updateOne: {
+        filter: { categoryId: category.categoryId },
+        update: {
+          $set: {
+            parentId: category.parentId,
+            ancestorIds,
+            depth: ancestorIds.length,
+            nameKor: category.nameKor,
+            nameEng: category.nameEng,
+            active: true,
+            lastSeenAt: syncedAt,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  const summary = { total: operations.length, created: 0, updated: 0, deactivated: 0 };
+  for (let start = 0; start < operations.length; start += SYNC_WRITE_BATCH_SIZE) {
+    const result = await BunjangCategory.bulkWrite(operations.slice(start, start + SYNC_WRITE_BATCH_SIZE), { ordered: false });
+    summary.created += result.upsertedCount || 0;
+    summary.updated += result.modifiedCount || 0;
+  }
+  const deactivateResult = await BunjangCategory.updateMany(
+    { active: true, $or: [{ lastSeenAt: { $lt: syncedAt } }, { lastSeenAt: null }] },
+    { $set: { active: false } }
+  );
+  summary.deactivated = deactivateResult.modifiedCount || 0;
+
+  invalidateCategoryMappingCache();
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Bunjang category tree synced.`, summary);
+  return summary;
+}
+
+/**
+ * 매핑 상속 계산용 카테고리 색인을 조회합니다. (짧은 시간 캐시)
+ * @returns {Promise<Map<string, {ancestorIds: string[], mapping: object|null, reviewPolicy: object|null}>>}
+ */
+async function getCategoryMappingIndex() {
+  if (cachedIndex && Date.now() - cachedAt < MAPPING_CACHE_TTL_MS) return cachedIndex;
+  const categories = await BunjangCategory.find({}).select('categoryId ancestorIds mapping reviewPolicy').lean();
+  cachedIndex = new Map(categories.map(category => [category.categoryId, {
+    ancestorIds: category.ancestorIds || [],
+    mapping: category.mapping?.updatedAt ? category.mapping : null,
+    reviewPolicy: category.reviewPolicy?.updatedAt ? category.reviewPolicy : null,
+  }]));
+  cachedAt = Date.now();
+  return cachedIndex;
+}
+
+function invalidateCategoryMappingCache() {
+  cachedIndex = null;
+  cachedAt = 0;
+}
+
+/**
+ * 카테고리에 적용할 Shopify 매핑을 상위 카테고리부터 차례로 합쳐 계산합니다.
+ * - shopifyProductType, shopifyTaxonomyCategoryGid: 가장 가까운(깊은) 카테고리의 값
+ * - tags, collectionGids: 상위 카테고리부터 모두 합침
+ * @param {string} categoryId - 번개장터 카테고리 ID.
+ * @param {Map} index - getCategoryMappingIndex() 결과.
+ * @returns {{shopifyProductType: string|null, shopifyTaxonomyCategoryGid: string|null, tags: string[], collectionGids: string[], sourceCategoryIds: string[]}}
+ */
+function resolveCategoryMapping(categoryId, index) {
+  const resolved = { shopifyProductType: null, shopifyTaxonomyCategoryGid: null, tags: [], collectionGids: [], sourceCategoryIds: [] };
+  const id = String(categoryId || '').trim();
+  if (!id || !index || index.size === 0) return resolved;
+
+  const chain = [...(index.get(id)?.ancestorIds || deriveAncestorIds(id)), id];
+  const tags = new Set();
+  const collectionGids = new Set();
+  for (const chainId of chain) {
+    const mapping = index.get(chainId)?.mapping;
+    if (!mapping) continue;
+    if (mapping.shopifyProductType) resolved.shopifyProductType = mapping.shopifyProductType;
+    if (mapping.shopifyTaxonomyCategoryGid) resolved.shopifyTaxonomyCategoryGid = mapping.shopifyTaxonomyCategoryGid;
+    (mapping.tags || []).forEach(tag => tags.add(tag));
+    (mapping.collectionGids || []).forEach(gid => collectionGids.add(gid));
+    resolved.sourceCategoryIds.push(chainId);
+  }
+  resolved.tags = [...tags];
+  resolved.collectionGids = [...collectionGids];
+  return resolved;
+}
+
+/**
+ * 카테고리에 적용할 게시 전 검토 정책을 찾습니다. 가장 가까운(깊은) 카테고리의 정책 전체를 사용합니다.
+ * @param {string} categoryId - 번개장터 카테고리 ID.
+ * @param {Map} index - getCategoryMappingIndex() 결과.
+ * @returns {{autoApprove: boolean, maxAutoApprovePriceKrw: number|null, sourceCategoryId: string}|null} 지정한 정책이 없으면 null.
+ */
+function resolveCategoryReviewPolicy(categoryId, index) {
+  const id = String(categoryId || '').trim();
+  if (!id || !index || index.size === 0) return null;
+  const chain = [...(index.get(id)?.ancestorIds || deriveAncestorIds(id)), id];
+  for (const chainId of chain.reverse()) {
+    const policy = index.get(chainId)?.reviewPolicy;
+    if (policy) {
+      return { autoApprove: !!policy.autoApprove, maxAutoApprovePriceKrw: policy.maxAutoApprovePriceKrw ?? null, sourceCategoryId: chainId };
+    }
+  }
+  return null;
+}
+
+function validateCategoryMapping(mapping) {
+  const errors = [];
+  if (mapping.shopifyTaxonomyCategoryGid && !SHOPIFY_TAXONOMY_CATEGORY_GID_REGEX.test(mapping.shopifyTaxonomyCategoryGid)) {
+    errors.push({ field: 'shopifyTaxonomyCategoryGid', message: '유효하지 않은 Shopify 택소노미 카테고리 GID입니다.', value: mapping.shopifyTaxonomyCategoryGid });
+  }
+  (mapping.collectionGids || []).forEach((gid) => {
+    if (!SHOPIFY_COLLECTION_GID_REGEX.test(gid)) {
+      errors.push({ field: 'collectionGids', message: '유효하지 않은 Shopify 컬렉션 GID입니다.', value: gid });
+    }
+  });
+  if (!mapping.shopifyProductType && !mapping.shopifyTaxonomyCategoryGid && !(mapping.tags?.length) && !(mapping.collectionGids?.length)) {
+    errors.push({ field: 'mapping', message: 'shopifyProductType, shopifyTaxonomyCategoryGid, tags, collectionGids 중 하나 이상을 지정해야 합니다.' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('카테고리 매핑이 유효하지 않습니다.', errors);
+  }
+}
+
+/**
+ * 카테고리 목록을 조회합니다.
+ * @param {object} [filters={}]
+ * @param {string} [filters.parentId] - 지정하면 해당 카테고리의 바로 아래 카테고리만 ('root'이면 최상위).
+ * @param {string} [filters.search] - 한글/영문 이름 검색 (대소문자 무시).
+ * @param {boolean} [filters.mappedOnly=false] - 매핑이 지정된 카테고리만.
+ * @param {boolean} [filters.includeInactive=false] - 번개장터 목록에서 사라진 카테고리 포함 여부.
+ * @returns {Promise<object[]>}
+ */
+async function listCategories({ parentId, search, mappedOnly = false, includeInactive = false } = {}) {
+  const query = {};
+  if (!includeInactive) query.active = true;
+  if (parentId) query.parentId = parentId === 'root' ? null : parentId;
+  if (mappedOnly) query['mapping.updatedAt'] = { $exists: true };
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ nameKor: pattern }, { nameEng: pattern }];
+  }
+  return BunjangCategory.find(query).sort({ categoryId: 1 }).lean();
+}
+
+/**
+ * 활성 카테고리 전체를 중첩 트리로 반환합니다.
+ * @returns {Promise<object[]>} 최상위 카테고리 목록 (각 항목의 children에 하위 카테고리).
+ */
+async function getCategoryTree() {
+  const categories = await BunjangCategory.find({ active: true })
+    .select('categoryId parentId depth nameKor nameEng mapping')
+    .sort({ categoryId: 1 })
+    .lean();
+  const nodes = new Map(categories.map(category => [category.categoryId, { ...category, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+/**
+ * 카테고리와 상위 카테고리, 상속을 반영한 최종 매핑을 조회합니다.
+ * @param {string} categoryId
+ * @returns {Promise<{category: object, ancestors: object[], resolvedMapping: object, resolvedReviewPolicy: object|null}>}
+ */
+async function getCategory(categoryId) {
+  const category = await BunjangCategory.findOne({ categoryId }).lean();
+  if (!category) throw new NotFoundError('번개장터 카테고리를 찾을 수 없습니다.', 'BunjangCategory', categoryId);
+  const ancestors = await BunjangCategory.find({ categoryId: { $in: category.ancestorIds || [] } })
+    .select('categoryId nameKor nameEng depth mapping reviewPolicy')
+    .sort({ depth: 1 })
+    .lean();
+  const index = await getCategoryMappingIndex();
+  const resolvedMapping = resolveCategoryMapping(categoryId, index);
+  const resolvedReviewPolicy = resolveCategoryReviewPolicy(categoryId, index);
+  return { category, ancestors, resolvedMapping, resolvedReviewPolicy };
+}
+
+/**
+ * 카테고리의 Shopify 매핑을 지정합니다. 기존 매핑은 전체가 교체됩니다.
+ * @param {string} categoryId
+ * @param {{shopifyProductType?: string, shopifyTaxonomyCategoryGid?: string, tags?: string[], collectionGids?: string[], updatedBy?: string}} mapping
+ * @returns {Promise<object>} 수정된 카테고리.
+ */
+async function updateCategoryMapping(categoryId, mapping) {
+  validateCategoryMapping(mapping);
+  const category = await BunjangCategory.findOneAndUpdate(
+    { categoryId },
+    {
+      $set: {
+        mapping: {
+          shopifyProductType: mapping.shopifyProductType || undefined,
+          shopifyTaxonomyCategoryGid: mapping.shopifyTaxonomyCategoryGid || undefined,
+          tags: mapping.tags?.length ? [...new Set(mapping.tags)] : undefined,
+          collectionGids: mapping.collectionGids?.length ? [...new Set(mapping.collectionGids)] : undefined,
+          updatedBy: mapping.updatedBy,
+          updatedAt: new Date(),
+        },
+      },
+    },
+    { new: true, lean: true }
+  );
+  if (!category) throw new NotFoundError('번개장터 카테고리를 찾을 수 없습니다. 카테고리 트리를 먼저 동기화하세요.', 'BunjangCategory', categoryId);
+  invalidateCategoryMappingCache();
+  logger.info(`[${SERVICE_NAME}] Category mapping updated: ${categoryId} (${category.nameKor || category.nameEng || 'N/A'}).`);
+  return category;
+}
+
+/**
+ * 카테고리의 Shopify 매핑을 삭제합니다. 이후에는 상위 카테고리의 매핑을 물려받습니다.
+ * @param {string} categoryId
+ * @returns {Promise<object>} 수정된 카테고리.
+ */
+async function clearCategoryMapping(categoryId) {
+  const category = await BunjangCategory.findOneAndUpdate({ categoryId }, { $unset: { mapping: 1 } }, { new: true, lean: true });
+  if (!category) throw new NotFoundError('번개장터 카테고리를 찾을 수 없습니다.', 'BunjangCategory', categoryId);
+  invalidateCategoryMappingCache();
+  logger.info(`[${SERVICE_NAME}] Category mapping cleared: ${categoryId}.`);
+  return category;
+}
+
+/**
+ * 카테고리의 게시 전 검토 정책을 지정합니다. 하위 카테고리는 자신의 정책이 없으면 이 정책을 따릅니다.
+ * 이미 검토 대기 중인 상품에는 적용되지 않습니다.
+ * @param {string} categoryId
+ * @param {{autoApprove: boolean, maxAutoApprovePriceKrw?: number|null, updatedBy?: string}} policy
+ * @returns {Promise<object>} 수정된 카테고리.
+ */
+async function updateCategoryReviewPolicy(categoryId, policy) {
+  const category = await BunjangCategory.findOneAndUpdate(
+    { categoryId },
+    {
+      $set: {
+        reviewPolicy: {
+          autoApprove: !!policy.autoApprove,
+          maxAutoApprovePriceKrw: policy.maxAutoApprovePriceKrw ?? undefined,
+          updatedBy: policy.updatedBy,
+          updatedAt: new Date(),
+        },
+      },
+    },
+    { new: true, lean: true }
+  );
+  if (!category) throw new NotFoundError('번개장터 카테고리를 찾을 수 없습니다. 카테고리 트리를 먼저 동기화하세요.', 'BunjangCategory', categoryId);
+  invalidateCategoryMappingCache();
+  logger.info(`[${SERVICE_NAME}] Category review policy updated: ${categoryId} (autoApprove: ${category.reviewPolicy.autoApprove}).`);
+  return category;
+}
+
+/**
+ * 카테고리의 게시 전 검토 정책을 삭제합니다. 이후에는 상위 카테고리의 정책(없으면 기본값)을 따릅니다.
+ * @param {string} categoryId
+ * @returns {Promise<object>} 수정된 카테고리.
+ */
+async function clearCategoryReviewPolicy(categoryId) {
+  const category = await BunjangCategory.findOneAndUpdate({ categoryId }, { $unset: { reviewPolicy: 1 } }, { new: true, lean: true });
+  if (!category) throw new NotFoundError('번개장터 카테고리를 찾을 수 없습니다.', 'BunjangCategory', categoryId);
+  invalidateCategoryMappingCache();
+  logger.info(`[${SERVICE_NAME}] Category review policy cleared: ${categoryId}.`);
+  return category;
+}
+
+module.exports = {
+  syncBunjangCategoryTree,
+  getCategoryMappingIndex,
+  invalidateCategoryMappingCache,
+  resolveCategoryMapping,
+  listCategories,
+  getCategoryTree,
+  getCategory,
+  updateCategoryMapping,
+  clearCategoryMapping,
+  resolveCategoryReviewPolicy,
+  updateCategoryReviewPolicy,
+  clearCategoryReviewPolicy,
+};
@@ -244,13 +244,15 @@ class BunjangOrderService {
       
       const bunjangPid = parseInt(bunjangPidTag.split(':')[1]);
       
-      // 메타필드에서 배송비 정보 가져오기
-      const shippingFeeMetafield = item.product.metafields.edges.find(
-        edge => edge.node.namespace === 'bunjang' && edge.node.key === 'shipping_fee'
-      );
+      // 메타필드에서 배송비 정보 가져오기 (카탈로그 동기화가 쓰는 original_shipping_fee_krw, 없으면 이전 키 shipping_fee)
+      const bunjangMetafieldNodes = item.product.metafields.edges
+        .map(edge => edge.node)
+        .filter(node => node.namespace === 'bunjang');
+      const shippingFeeMetafield = bunjangMetafieldNodes.find(node => node.key === 'original_shipping_fee_krw')
+        || bunjangMetafieldNodes.find(node => node.key === 'shipping_fee');
       
       const shippingFee = shippingFeeMetafield 
-        ? parseInt(shippingFeeMetafield.node.value) 
+        ? parseInt(shippingFeeMetafield.value) 
         : 0;
 
       bunjangItems.push({
@@ -330,6 +330,25 @@ async function getBunjangBrands() {
   }
 }
 
+/**
+ * 번개장터 전체 카테고리 목록을 조회합니다. (Categories Lookup API: /api/v1/categories)
+ * 빈 목록을 실패와 구분해야 하므로(카테고리 트리 동기화) 오류는 그대로 throw합니다.
+ * @returns {Promise<object[]>} 카테고리 목록 (id, nameKor, nameEng 등)
+ */
+async function getBunjangCategories() {
+  logger.info('[BunjangSvc] Fetching Bunjang categories list');
+  try {
+    const response = await bunjangApiClient.get('/api/v1/categories');
+    const categories = Array.isArray(response.data?.data) ? response.data.data : [];
+    logger.info(`[BunjangSvc] Successfully fetched ${categories.length} categories`);
+    return categories;
+  } catch (error) {
+    logger.error(`[BunjangSvc] Failed to fetch Bunjang categories: ${error.message}`);
+    if (error instanceof AppError || error instanceof ExternalServiceError) throw error;
+    throw new AppError(`번개장터 카테고리 조회 실패: ${error.message}`, 500, 'BUNJANG_CATEGORIES_FETCH_ERROR');
+  }
+}
+
 module.exports = {
   downloadAndUnzipCatalogContent,
   getBunjangProductDetails,
@@ -340,4 +359,5 @@ module.exports = {
   getBunjangPointBalance,
   searchBunjangProducts,
   getBunjangBrands,
+  getBunjangCategories,
 };
\ No newline at end of file
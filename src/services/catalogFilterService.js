@@ -0,0 +1,110 @@
+// src/services/catalogFilterService.js
+// 카탈로그 필터 규칙(CatalogFilterRule) 관리 및 평가.
+// 카탈로그 처리 시작 시 loadActiveFilterRules()로 규칙을 한 번 읽고, 각 행에 findExcludingFilterRule()을 적용합니다.
+const logger = require('../config/logger');
+const CatalogFilterRule = require('../models/catalogFilterRule.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { ValidationError, NotFoundError } = require('../utils/customErrors');
+const { hasAnyProductCondition, findInvalidRangeConditions, matchesProductConditions } = require('../utils/productRuleMatcher');
+
+const SERVICE_NAME = 'CatalogFilterSvc';
+const FILTER_RULE_REASON_PREFIX = 'FILTER_RULE:';
+const NOT_INCLUDED_REASON = 'FILTER_RULE_NOT_INCLUDED';
+
+/**
+ * 활성 필터 규칙을 읽어 평가용 규칙 세트를 만듭니다.
+ * 저장된 검색으로 가져온 상품(SyncedProduct.savedSearchNames)은 exemptPids에 담겨 카테고리 필터와 필터 규칙에서 제외됩니다.
+ * @returns {Promise<{excludeRules: object[], includeRules: object[], ruleNames: string[], exemptPids: Set<string>}>}
+ */
+async function loadActiveFilterRules() {
+  const [rules, exemptPids] = await Promise.all([
+    CatalogFilterRule.find({ enabled: true }).sort({ priority: 1, name: 1 }).lean(),
+    SyncedProduct.distinct('bunjangPid', { 'savedSearchNames.0': { $exists: true } }),
+  ]);
+  const ruleSet = {
+    excludeRules: rules.filter(rule => rule.action === 'EXCLUDE'),
+    includeRules: rules.filter(rule => rule.action === 'INCLUDE'),
+    ruleNames: rules.map(rule => rule.name),
+    exemptPids: new Set(exemptPids),
+  };
+  logger.info(`[${SERVICE_NAME}] Loaded ${rules.length} active catalog filter rule(s) (exclude: ${ruleSet.excludeRules.length}, include: ${ruleSet.includeRules.length}, exempt saved-search products: ${exemptPids.length}).`);
+  return ruleSet;
+}
+
+/**
+ * 상품을 제외하는 필터 규칙을 찾습니다.
+ * @param {object} product - evaluateCatalogRow에서 만든 번개장터 상품.
+ * @param {object|null} ruleSet - loadActiveFilterRules() 결과. 없으면 필터링하지 않음.
+ * @param {{hasImages: boolean}} facts - 행에서 미리 계산한 값.
+ * @returns {string|null} 제외 사유 (예: "FILTER_RULE:exclude-luxury", "FILTER_RULE_NOT_INCLUDED"). 가져올 상품이면 null.
+ */
+function findExcludingFilterRule(product, ruleSet, facts) {
+  if (!ruleSet) return null;
+  const excludingRule = ruleSet.excludeRules.find(rule => matchesProductConditions(rule.conditions || {}, product, facts));
+  if (excludingRule) return `${FILTER_RULE_REASON_PREFIX}${excludingRule.name}`;
+  if (ruleSet.includeRules.length > 0 && !ruleSet.includeRules.some(rule => matchesProductConditions(rule.conditions || {}, product, facts))) {
+    return NOT_INCLUDED_REASON;
+  }
+  return null;
+}
+
+function validateRuleConditions(conditions) {
+  const errors = findInvalidRangeConditions(conditions);
+  if (!hasAnyProductCondition(conditions)) {
+    errors.unshift({ field: 'conditions', message: '조건을 하나 이상 지정해야 합니다.' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('필터 규칙 조건이 유효하지 않습니다.', errors);
+  }
+}
+
+async function listFilterRules() {
+  return CatalogFilterRule.find({}).sort({ priority: 1, name: 1 }).lean();
+}
+
+async function getFilterRule(ruleId) {
+  const rule = await CatalogFilterRule.findById(ruleId).lean();
+  if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', ruleId);
+  return rule;
+}
+
+async function createFilterRule(ruleData) {
+  validateRuleConditions(ruleData.conditions);
+  if (await CatalogFilterRule.exists({ name: ruleData.name })) {
+    throw new ValidationError('같은 이름의 필터 규칙이 이미 있습니다.', [{ field: 'name', message: 'Duplicate rule name.', value: ruleData.name }]);
+  }
+  const rule = await CatalogFilterRule.create(ruleData);
+  logger.info(`[${SERVICE_NAME}] Filter rule created: ${rule.name} (${rule.action}).`);
+  return rule.toObject();
+}
+
+async function updateFilterRule(ruleId, updates) {
+  const rule = await CatalogFilterRule.findById(ruleId);
+  if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', ruleId);
+  if (updates.name && updates.name !== rule.name && await CatalogFilterRule.exists({ name: updates.name })) {
+    throw new ValidationError('같은 이름의 필터 규칙이 이미 있습니다.', [{ field: 'name', message: 'Duplicate rule name.', value: updates.name }]);
+  }
+  // conditions는 부분 수정이 아닌 전체 교체
+  rule.set(updates);
+  validateRuleConditions(rule.toObject().conditions);
+  await rule.save();
+  logger.info(`[${SERVICE_NAME}] Filter rule updated: ${rule.name} (enabled: ${rule.enabled}).`);
+  return rule.toObject();
+}
+
+async function deleteFilterRule(ruleId) {
+  const rule = await CatalogFilterRule.findByIdAndDelete(ruleId).lean();
+  if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', ruleId);
+  logger.info(`[${SERVICE_NAME}] Filter rule deleted: ${rule.name}.`);
+  return rule;
+}
+
+module.exports = {
+  loadActiveFilterRules,
+  findExcludingFilterRule,
+  listFilterRules,
+  getFilterRule,
+  createFilterRule,
+  updateFilterRule,
+  deleteFilterRule,
+};
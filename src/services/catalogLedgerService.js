@@ -0,0 +1,181 @@
+// src/services/catalogLedgerService.js
+// 카탈로그 실행 원장(CatalogRunLedger)을 기록하고, 누락된 시간별 세그먼트 카탈로그를 찾아 백필 작업을 큐에 추가합니다.
+const config = require('../config');
+const logger = require('../config/logger');
+const CatalogRunLedger = require('../models/catalogRunLedger.model');
+const { getQueue } = require('../jobs/queues');
+const { generateBunjangCatalogFilename, parseBunjangCatalogFilename } = require('./catalogService');
+const { AppError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogLedgerSvc';
+const HOUR_MS = 60 * 60 * 1000;
+const SEGMENT_BACKFILL_JOB_NAME = 'FetchBunjangCatalog-Segment-Backfill';
+
+/**
+ * 카탈로그 파일 처리 시작을 원장에 기록합니다.
+ * @param {string} catalogFileName - 번개장터 카탈로그 파일명.
+ * @param {object} runInfo - { jobId, triggeredBy }
+ * @returns {Promise<boolean>} 원장 대상 파일명(번개장터 형식)이면 true.
+ */
+async function recordCatalogRunStarted(catalogFileName, { jobId, triggeredBy } = {}) {
+  const parsed = parseBunjangCatalogFilename(catalogFileName);
+  if (!parsed) {
+    logger.debug(`[${SERVICE_NAME}] ${catalogFileName} is not a Bunjang catalog file name. Ledger not updated.`);
+    return false;
+  }
+  await CatalogRunLedger.updateOne(
+    { catalogFileName },
+    {
+      $set: {
+        catalogType: parsed.catalogType,
+        kstHour: parsed.kstHour,
+        status: 'PROCESSING',
+        lastJobId: jobId ? String(jobId) : undefined,
+        startedAt: new Date(),
+        completedAt: null,
+        ...(triggeredBy && { triggeredBy }),
+      },
+      $inc: { runCount: 1 },
+    },
+    { upsert: true }
+  );
+  return true;
+}
+
+/**
+ * 카탈로그 파일 처리 완료를 원장에 기록합니다.
+ * @param {string} catalogFileName - 번개장터 카탈로그 파일명.
+ * @param {object} [summary] - 처리 결과 요약.
+ */
+async function recordCatalogRunCompleted(catalogFileName, summary) {
+  await CatalogRunLedger.updateOne(
+    { catalogFileName },
+    { $set: { status: 'COMPLETED', completedAt: new Date(), lastError: null, summary: summary || null } }
+  );
+}
+
+/**
+ * 카탈로그 파일 처리 실패를 원장에 기록합니다.
+ * BullMQ 재시도가 남아 있으면 QUEUED로 두어 누락 감지가 중복 백필하지 않도록 합니다.
+ * @param {string} catalogFileName - 번개장터 카탈로그 파일명.
+ * @param {Error} error - 발생한 에러.
+ * @param {boolean} willRetry - BullMQ가 이 작업을 다시 시도할 예정인지 여부.
+ */
+async function recordCatalogRunFailed(catalogFileName, error, willRetry) {
+  await CatalogRunLedger.updateOne(
+    { catalogFileName },
+    {
+      $set: {
+        status: willRetry ? 'QUEUED' : 'FAILED',
+        lastError: String(error?.message || error).substring(0, 1000),
+        ...(willRetry && { queuedAt: new Date() }),
+      },
+    }
+  );
+}
+
+/**
+ * 원장 기준으로 처리되지 않은 시간별 세그먼트 카탈로그를 찾습니다.
+ * 원장에 처음 기록된 세그먼트 이후, 최근 lookbackHours 이내의 지난 KST 시간(현재 시간 제외)만 확인합니다.
+ * @param {Date} [now=new Date()] - 기준 시각.
+ * @returns {Promise<{checkedHours: number, missing: Array<{catalogFileName: string, kstHour: Date, status: string, backfillCount: number}>}>}
+ *   missing은 오래된 시간 순서. status는 원장 상태 (원장에 없으면 'MISSING').
+ */
+async function findMissingSegmentCatalogs(now = new Date()) {
+  const { lookbackHours, staleAfterMinutes } = config.bunjang.segmentBackfill;
+  const currentKstHour = parseBunjangCatalogFilename(generateBunjangCatalogFilename('segment', now)).kstHour;
+
+  // 원장 도입 이전 시간은 백필하지 않음 (배포 직후 과거 파일이 한꺼번에 백필되는 것 방지)
+  const firstEntry = await CatalogRunLedger.findOne({ catalogType: 'segment' }).sort({ kstHour: 1 }).select('kstHour').lean();
+  if (!firstEntry) return { checkedHours: 0, missing: [] };
+
+  const rangeStart = Math.max(currentKstHour.getTime() - lookbackHours * HOUR_MS, firstEntry.kstHour.getTime());
+  const expectedHours = [];
+  for (let t = rangeStart; t < currentKstHour.getTime(); t += HOUR_MS) {
+    expectedHours.push(new Date(t));
+  }
+  if (expectedHours.length === 0) return { checkedHours: 0, missing: [] };
+
+  const entries = await CatalogRunLedger.find({
+    catalogType: 'segment',
+    kstHour: { $gte: expectedHours[0], $lte: expectedHours[expectedHours.length - 1] },
+  }).lean();
+  const entriesByHour = new Map(entries.map(entry => [entry.kstHour.getTime(), entry]));
+  const staleBefore = now.getTime() - staleAfterMinutes * 60 * 1000;
+
+  const missing = [];
+  for (const kstHour of expectedHours) {
+    const entry = entriesByHour.get(kstHour.getTime());
+    if (entry) {
+      if (entry.status === 'COMPLETED') continue;
+      // 대기/처리 중인 파일은 오래 멈춰 있는 경우에만 누락으로 간주
+      const lastActivityAt = Math.max(entry.startedAt?.getTime() || 0, entry.queuedAt?.getTime() || 0);
+      if ((entry.status === 'QUEUED' || entry.status === 'PROCESSING') && lastActivityAt > staleBefore) continue;
+    }
+    missing.push({
+      catalogFileName: entry?.catalogFileName || generateBunjangCatalogFilename('segment', kstHour),
+      kstHour,
+      status: entry?.status || 'MISSING',
+      backfillCount: entry?.backfillCount || 0,
+    });
+  }
+  return { checkedHours: expectedHours.length, missing };
+}
+
+/**
+ * 누락된 세그먼트 카탈로그를 오래된 순서대로 카탈로그 큐에 추가합니다.
+ * 백필 작업은 이미 더 최신 데이터로 동기화된 상품을 건너뛰므로 최신 변경 사항을 되돌리지 않습니다.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<object>} { checkedHours, missingCount, queued: string[], exhausted: string[] }
+ */
+async function enqueueMissingSegmentCatalogs(jobIdForLog = 'N/A') {
+  const { maxAttempts } = config.bunjang.segmentBackfill;
+  const queueName = config.bullmq.queues.catalog;
+  const catalogQueue = getQueue(queueName);
+  if (!catalogQueue) {
+    throw new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE');
+  }
+
+  const { checkedHours, missing } = await findMissingSegmentCatalogs();
+  const queued = [];
+  const exhausted = [];
+
+  // 큐 우선순위가 같으면 추가된 순서대로 처리되므로 오래된 파일부터 추가
+  for (const item of missing) {
+    if (item.backfillCount >= maxAttempts) {
+      exhausted.push(item.catalogFileName);
+      continue;
+    }
+    const attempt = item.backfillCount + 1;
+    const job = await catalogQueue.add(
+      SEGMENT_BACKFILL_JOB_NAME,
+      { catalogType: 'segment', catalogFileName: item.catalogFileName, triggeredBy: 'segment_backfill', skipStaleRows: true },
+      { priority: 1, jobId: `segment-backfill-${item.catalogFileName}-${attempt}` }
+    );
+    await CatalogRunLedger.updateOne(
+      { catalogFileName: item.catalogFileName },
+      {
+        $set: { status: 'QUEUED', queuedAt: new Date(), lastJobId: String(job.id), triggeredBy: 'segment_backfill' },
+        $setOnInsert: { catalogType: 'segment', kstHour: item.kstHour },
+        $inc: { backfillCount: 1 },
+      },
+      { upsert: true }
+    );
+    queued.push(item.catalogFileName);
+    logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Queued backfill for ${item.catalogFileName} (previous status: ${item.status}, attempt ${attempt}/${maxAttempts}). Job ID: ${job.id}`);
+  }
+
+  if (exhausted.length > 0) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] ${exhausted.length} segment catalog(s) still missing after ${maxAttempts} backfill attempts: ${exhausted.join(', ')}`);
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Segment gap check finished. Checked: ${checkedHours}h, Missing: ${missing.length}, Queued: ${queued.length}, Exhausted: ${exhausted.length}`);
+  return { checkedHours, missingCount: missing.length, queued, exhausted };
+}
+
+module.exports = {
+  recordCatalogRunStarted,
+  recordCatalogRunCompleted,
+  recordCatalogRunFailed,
+  findMissingSegmentCatalogs,
+  enqueueMissingSegmentCatalogs,
+};
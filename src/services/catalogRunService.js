@@ -0,0 +1,267 @@
+// src/services/catalogRunService.js
+// 카탈로그 처리 작업의 실행별 이력(CatalogRun)과 상품별 내역(CatalogRunItem)을 기록하고 조회합니다.
+// BullMQ 작업 반환값은 하루 뒤 삭제되므로, 몇 주 뒤에도 "어젯밤 전체 동기화에서 무슨 일이 있었는지" 확인할 수 있도록 남깁니다.
+const mongoose = require('mongoose');
+const config = require('../config');
+const logger = require('../config/logger');
+const CatalogRun = require('../models/catalogRun.model');
+const CatalogRunItem = require('../models/catalogRunItem.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogRunSvc';
+const ITEM_FLUSH_SIZE = 500;
+
+/**
+ * 카탈로그 처리 작업 실행 시작을 기록합니다.
+ * 같은 작업의 이전 시도가 RUNNING으로 남아 있으면(워커 중단 등) FAILED로 정리합니다.
+ * @param {object} runInfo
+ * @param {string} runInfo.jobId - BullMQ 작업 ID.
+ * @param {number} [runInfo.attempt=1] - BullMQ 시도 번호.
+ * @param {'full'|'segment'} runInfo.catalogType
+ * @param {string} runInfo.catalogFileName
+ * @param {'bunjang'|'upload'|'local'} [runInfo.source='bunjang']
+ * @param {string} [runInfo.triggeredBy]
+ * @param {boolean} [runInfo.dryRun=false]
+ * @returns {Promise<string>} CatalogRun ID.
+ */
+async function startCatalogRun({ jobId, attempt = 1, catalogType, catalogFileName, source = 'bunjang', triggeredBy, dryRun = false }) {
+  const now = new Date();
+  const interrupted = await CatalogRun.updateMany(
+    { jobId: String(jobId), status: 'RUNNING' },
+    { $set: { status: 'FAILED', completedAt: now, errorMessage: `Interrupted before completion; superseded by attempt ${attempt}.` } }
+  );
+  if (interrupted.modifiedCount > 0) {
+    logger.warn(`[${SERVICE_NAME}] Marked ${interrupted.modifiedCount} interrupted run(s) of job ${jobId} as FAILED.`);
+  }
+  const run = await CatalogRun.create({
+    jobId: String(jobId), attempt, catalogType, catalogFileName, source, triggeredBy, dryRun, status: 'RUNNING', startedAt: now,
+  });
+  return run._id.toString();
+}
+
+/**
+ * 카탈로그 처리 작업 실행 완료를 기록합니다.
+ * @param {string} runId - CatalogRun ID.
+ * @param {object} summary - fetchAndProcessBunjangCatalog 반환값.
+ */
+async function completeCatalogRun(runId, summary = {}) {
+  const run = await CatalogRun.findById(runId).select('startedAt').lean();
+  if (!run) return;
+  const completedAt = new Date();
+  await CatalogRun.updateOne({ _id: runId }, {
+    $set: {
+      status: 'COMPLETED',
+      completedAt,
+      durationMs: completedAt.getTime() - run.startedAt.getTime(),
+      rows: summary.dryRun
+        ? { total: summary.totalRows }
+        : { total: summary.totalOriginalCsvRows, valid: summary.validProductsToProcess, resumedFrom: summary.resumedFromRow },
+      ...(summary.bulkOperations !== undefined && { bulkOperations: summary.bulkOperations }),
+      ...(summary.delistAborted !== undefined && { delistAborted: summary.delistAborted }),
+      summary,
+    },
+  });
+}
+
+/**
+ * 카탈로그 처리 작업 실행 실패를 기록합니다. (재시도는 새 실행으로 기록됨)
+ * @param {string} runId - CatalogRun ID.
+ * @param {Error} error - 발생한 에러.
+ */
+async function failCatalogRun(runId, error) {
+  const run = await CatalogRun.findById(runId).select('startedAt').lean();
+  if (!run) return;
+  const completedAt = new Date();
+  await CatalogRun.updateOne({ _id: runId }, {
+    $set: {
+      status: 'FAILED',
+      completedAt,
+      durationMs: completedAt.getTime() - run.startedAt.getTime(),
+      errorMessage: String(error?.message || error).substring(0, 1000),
+    },
+  });
+}
+
+/**
+ * 실행 중 상품별 동기화 결과를 모아 CatalogRunItem과 CatalogRun.counts에 기록하는 기록기를 만듭니다.
+ * 기록 실패는 경고만 남기고 카탈로그 처리를 중단하지 않습니다.
+ * @param {string} runId - CatalogRun ID.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {{recordSyncResult: function(string, object): Promise<void>, recordDelist: function(object): Promise<void>, flush: function(): Promise<void>}}
+ */
+function createCatalogRunRecorder(runId, jobIdForLog = 'N/A') {
+  const runObjectId = new mongoose.Types.ObjectId(runId);
+  const maxSampleErrors = config.bunjang.runHistory.maxSampleErrors;
+  let pendingItems = [];
+  let pendingCounts = {};
+  let pendingErrors = [];
+  let sampledErrorCount = 0;
+
+  const increment = (key) => { pendingCounts[key] = (pendingCounts[key] || 0) + 1; };
+
+  const flush = async () => {
+    if (pendingItems.length === 0 && Object.keys(pendingCounts).length === 0) return;
+    const items = pendingItems;
+    const counts = pendingCounts;
+    const errors = pendingErrors;
+    pendingItems = [];
+    pendingCounts = {};
+    pendingErrors = [];
+    try {
+      if (items.length > 0) await CatalogRunItem.insertMany(items, { ordered: false });
+      const update = { $inc: Object.fromEntries(Object.entries(counts).map(([key, value]) => [`counts.${key}`, value])) };
+      if (errors.length > 0) update.$push = { sampleErrors: { $each: errors, $slice: maxSampleErrors } };
+      await CatalogRun.updateOne({ _id: runObjectId }, update);
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobIdForLog}] Failed to record catalog run items for run ${runId}: ${error.message}`);
+    }
+  };
+
+  const addItem = async (item) => {
+    pendingItems.push({ runId: runObjectId, ...item });
+    if (pendingItems.length >= ITEM_FLUSH_SIZE) await flush();
+  };
+
+  /**
+   * 상품 동기화 결과 한 건을 기록합니다.
+   * @param {string} bunjangPid
+   * @param {{status: string, operation?: string, shopifyGid?: string, changedGroups?: string[], message?: string}} result
+   */
+  const recordSyncResult = async (bunjangPid, result) => {
+    if (result.status === 'skipped_filter') return increment('skippedByFilter');
+    if (result.status === 'skipped_no_change') return increment('skippedNoChange');
+    if (result.status === 'skipped_duplicate') return increment('skippedDuplicate');
+    if (result.status === 'success') {
+      const action = result.operation === 'create' ? 'CREATE' : 'UPDATE';
+      increment(action === 'CREATE' ? 'created' : 'updated');
+      return addItem({ bunjangPid, action, shopifyGid: result.shopifyGid, changedGroups: result.changedGroups });
+    }
+    increment('errors');
+    const message = String(result.message || 'Unknown error').substring(0, 1000);
+    if (sampledErrorCount < maxSampleErrors) {
+      sampledErrorCount++;
+      pendingErrors.push({ bunjangPid, message, at: new Date() });
+    }
+    return addItem({ bunjangPid, action: 'ERROR', shopifyGid: result.shopifyGid || undefined, message });
+  };
+
+  /**
+   * 내리기 결과 한 건을 기록합니다.
+   * @param {{bunjangPid: string, shopifyGid: string, reason?: string, error?: Error}} delist
+   */
+  const recordDelist = async ({ bunjangPid, shopifyGid, reason, error }) => {
+    if (error) {
+      increment('delistErrors');
+      return addItem({ bunjangPid, action: 'ERROR', shopifyGid, message: `Delist failed: ${error.message}`.substring(0, 1000) });
+    }
+    increment('delisted');
+    return addItem({ bunjangPid, action: 'ARCHIVE', shopifyGid, message: reason });
+  };
+
+  return { recordSyncResult, recordDelist, flush };
+}
+
+/**
+ * 카탈로그 실행 목록을 최근 순으로 조회합니다.
+ * @param {object} [filters={}]
+ * @param {string} [filters.catalogType] - 'full' 또는 'segment'.
+ * @param {string} [filters.status] - RUNNING, COMPLETED, FAILED.
+ * @param {string} [filters.triggeredBy]
+ * @param {string} [filters.jobId]
+ * @param {boolean} [filters.includeDryRuns=false]
+ * @param {Date} [filters.from] - 이 시각 이후 시작한 실행.
+ * @param {Date} [filters.to] - 이 시각 이전 시작한 실행.
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=50]
+ * @returns {Promise<{runs: object[], total: number, page: number, limit: number}>}
+ */
+async function listCatalogRuns({ catalogType, status, triggeredBy, jobId, includeDryRuns = false, from, to, page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (catalogType) query.catalogType = catalogType;
+  if (status) query.status = status;
+  if (triggeredBy) query.triggeredBy = triggeredBy;
+  if (jobId) query.jobId = String(jobId);
+  if (!includeDryRuns) query.dryRun = { $ne: true };
+  if (from || to) query.startedAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  const [runs, total] = await Promise.all([
+    CatalogRun.find(query).select('-summary').sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    CatalogRun.countDocuments(query),
+  ]);
+  return { runs, total, page, limit };
+}
+
+async function getCatalogRun(runId) {
+  const run = await CatalogRun.findById(runId).lean();
+  if (!run) throw new NotFoundError('카탈로그 실행 이력을 찾을 수 없습니다.', 'CatalogRun', runId);
+  return run;
+}
+
+/**
+ * 실행에서 Shopify에 반영했거나 오류가 난 상품 내역을 조회합니다.
+ * @param {string} runId - CatalogRun ID.
+ * @param {{action?: string, bunjangPid?: string, page?: number, limit?: number}} [filters={}]
+ * @returns {Promise<{run: object, items: object[], pagination: object}>}
+ * @throws {NotFoundError} 실행 이력이 없는 경우.
+ */
+async function getCatalogRunItems(runId, { action, bunjangPid, page = 1, limit = 100 } = {}) {
+  const run = await CatalogRun.findById(runId).select('-summary -sampleErrors').lean();
+  if (!run) throw new NotFoundError('카탈로그 실행 이력을 찾을 수 없습니다.', 'CatalogRun', runId);
+
+  const itemFilter = { runId: run._id, ...(action && { action }), ...(bunjangPid && { bunjangPid }) };
+  const [items, totalItems] = await Promise.all([
+    CatalogRunItem.find(itemFilter).sort({ _id: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    CatalogRunItem.countDocuments(itemFilter),
+  ]);
+  return {
+    run,
+    items,
+    pagination: { page, limit, totalItems, totalPages: Math.ceil(totalItems / limit) },
+  };
+}
+
+/**
+ * 기간 내 카탈로그 실행 통계를 타입별로 집계합니다. (dry-run 제외)
+ * @param {{days?: number}} [options={}]
+ * @returns {Promise<{since: Date, days: number, byCatalogType: object[]}>}
+ */
+async function getCatalogRunStats({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const byCatalogType = await CatalogRun.aggregate([
+    { $match: { startedAt: { $gte: since }, dryRun: { $ne: true } } },
+    {
+      $group: {
+        _id: '$catalogType',
+        runs: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'FAILED'] }, 1, 0] } },
+        running: { $sum: { $cond: [{ $eq: ['$status', 'RUNNING'] }, 1, 0] } },
+        avgDurationMs: { $avg: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, '$durationMs', null] } },
+        maxDurationMs: { $max: '$durationMs' },
+        created: { $sum: '$counts.created' },
+        updated: { $sum: '$counts.updated' },
+        errors: { $sum: '$counts.errors' },
+        skippedByFilter: { $sum: '$counts.skippedByFilter' },
+        skippedNoChange: { $sum: '$counts.skippedNoChange' },
+        skippedDuplicate: { $sum: '$counts.skippedDuplicate' },
+        delisted: { $sum: '$counts.delisted' },
+        delistErrors: { $sum: '$counts.delistErrors' },
+        lastStartedAt: { $max: '$startedAt' },
+        lastCompletedAt: { $max: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, '$completedAt', null] } },
+      },
+    },
+    { $project: { _id: 0, catalogType: '$_id', runs: 1, completed: 1, failed: 1, running: 1, avgDurationMs: { $round: ['$avgDurationMs', 0] }, maxDurationMs: 1, created: 1, updated: 1, errors: 1, skippedByFilter: 1, skippedNoChange: 1, skippedDuplicate: 1, delisted: 1, delistErrors: 1, lastStartedAt: 1, lastCompletedAt: 1 } },
+    { $sort: { catalogType: 1 } },
+  ]);
+  return { since, days, byCatalogType };
+}
+
+module.exports = {
+  startCatalogRun,
+  completeCatalogRun,
+  failCatalogRun,
+  createCatalogRunRecorder,
+  listCatalogRuns,
+  getCatalogRun,
+  getCatalogRunItems,
+  getCatalogRunStats,
+};
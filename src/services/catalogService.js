@@ -2,6 +2,7 @@
 
 const fs = require('fs-extra');
 const path = require('node:path');
+const crypto = require('node:crypto');
 const zlib = require('node:zlib');
 const { pipeline } = require('node:stream/promises');
 const axios = require('axios');
@@ -12,11 +13,29 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
+const bunjangService = require('./bunjangService');
 const SyncedProduct = require('../models/syncedProduct.model');
+const CatalogCheckpoint = require('../models/catalogCheckpoint.model');
+const CatalogDryRunReport = require('../models/catalogDryRunReport.model');
+const CatalogDryRunItem = require('../models/catalogDryRunItem.model');
 const { calculateShopifyPriceUsd } = require('./priceCalculationService');
-const { AppError, ExternalServiceError } = require('../utils/customErrors');
+const { buildBunjangVariants, buildBunjangMetafields, mapBunjangCategoryToShopifyProductType, mapBunjangProductDetailsToCatalogRow, BUNJANG_METAFIELD_NAMESPACE } = require('../mappers/productMapper');
+const { loadActiveFilterRules, findExcludingFilterRule } = require('./catalogFilterService');
+const { getActiveTaggingRules, resolveRuleTagging } = require('./taggingRuleService');
+const { getCategoryMappingIndex, resolveCategoryMapping } = require('./bunjangCategoryService');
+const { getBrandDirectoryIndex, resolveBrand, buildBrandMetafields } = require('./bunjangBrandService');
+const { translateListing } = require('./translationService');
+const { applyProductOverrides, resolveListingPriceUsd, isFieldLocked } = require('./productOverrideService');
+const { formatDescriptionHtml, redactSellerContactInfo } = require('../utils/descriptionFormatter');
+const { rehostImage, forgetRehostedImage } = require('./imageRehostService');
+const { evaluateDuplicateListing, promoteNextDuplicate, DUPLICATE_DELIST_REASON_PREFIX } = require('./duplicateListingService');
+const { isAwaitingReview, requestProductReview } = require('./productReviewService');
+const { submitBulkProductSet, waitForBulkOperation, forEachBulkOperationResult } = require('./bulkOperationService');
+const { createCatalogRunRecorder } = require('./catalogRunService');
+const { AppError, ExternalServiceError, NotFoundError } = require('../utils/customErrors');
 
-const BUNJANG_COLLECTION_GID = 'gid://shopify/Collection/445888299257';
+// 모든 번개장터 상품이 들어가는 기본 컬렉션 (태그 규칙 컬렉션은 추가로 적용)
+const BUNJANG_COLLECTION_GID = config.shopify.defaultCollectionGid || 'gid://shopify/Collection/445888299257';
 const TEMP_DOWNLOAD_DIR = config.tempDir || './tmp_downloads';
 
 async function generateBunjangAuthHeader() {
@@ -93,48 +112,93 @@ async function downloadAndProcessFile(fileUrl, downloadDir, baseOutputFileName,
   }
 }
 
-async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor) {
-  const products = [];
-  let rowNumber = 0;
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(csvFilePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        rowNumber++;
-        const processedRow = rowProcessor(row, rowNumber);
-        if (processedRow) {
-          products.push(processedRow);
-        }
-      })
-      .on('end', () => {
-        logger.info(`[CatalogSvc] Successfully parsed and processed ${products.length} products (from ${rowNumber} CSV data rows) from ${csvFilePath}`);
-        resolve({ products, totalRows: rowNumber });
-      })
-      .on('error', (error) => {
-        logger.error(`[CatalogSvc] Error parsing CSV file ${csvFilePath}:`, error);
-        reject(new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', error));
-      });
-  });
+/**
+ * 로컬 카탈로그 파일(.csv 또는 .csv.gz)을 처리용 CSV로 준비합니다. gzip 여부는 파일 시그니처로 판단합니다.
+ * 원본 파일은 변경하지 않고 downloadDir에 CSV 사본(또는 압축 해제본)을 만듭니다.
+ * @param {string} sourceFilePath - 원본 파일 경로.
+ * @param {string} downloadDir - CSV를 생성할 디렉터리.
+ * @param {string} baseOutputFileName - 생성할 CSV 파일명 (확장자 제외).
+ * @returns {Promise<string>} 생성된 CSV 파일 경로.
+ */
+async function prepareLocalCatalogFile(sourceFilePath, downloadDir, baseOutputFileName) {
+  if (!await fs.pathExists(sourceFilePath)) {
+    throw new AppError(`카탈로그 파일을 찾을 수 없습니다: ${sourceFilePath}`, 404, 'CATALOG_FILE_NOT_FOUND');
+  }
+  await fs.ensureDir(downloadDir);
+  const finalCsvFilePath = path.join(downloadDir, `${baseOutputFileName}.csv`);
+
+  const fileHandle = await fs.promises.open(sourceFilePath, 'r');
+  const signature = Buffer.alloc(2);
+  try {
+    await fileHandle.read(signature, 0, 2, 0);
+  } finally {
+    await fileHandle.close();
+  }
+
+  try {
+    if (signature[0] === 0x1f && signature[1] === 0x8b) {
+      logger.info(`[CatalogSvc] Local catalog file is gzip. Unzipping ${sourceFilePath} to ${finalCsvFilePath}...`);
+      await pipeline(fs.createReadStream(sourceFilePath), zlib.createGunzip(), fs.createWriteStream(finalCsvFilePath));
+    } else {
+      logger.info(`[CatalogSvc] Local catalog file is plain CSV. Copying ${sourceFilePath} to ${finalCsvFilePath}.`);
+      await fs.copy(sourceFilePath, finalCsvFilePath, { overwrite: true });
+    }
+  } catch (error) {
+    await fs.remove(finalCsvFilePath).catch(err => logger.warn(`[CatalogSvc] Failed to remove temp .csv file during error: ${finalCsvFilePath}`, err));
+    throw new AppError(`로컬 카탈로그 파일 처리 실패: ${sourceFilePath}. 원인: ${error.message}`, 422, 'CATALOG_FILE_INVALID', true, { sourceFilePath });
+  }
+  return finalCsvFilePath;
 }
 
+// 번개장터 카탈로그 파일명은 KST(UTC+9, 서머타임 없음) 기준
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+/**
+ * 주어진 시각의 KST 기준 카탈로그 파일명을 생성합니다. 서버 시간대와 무관하게 KST로 계산합니다.
+ * @param {'full'|'segment'} type - 카탈로그 타입.
+ * @param {Date} [date=new Date()] - 기준 시각.
+ * @returns {string} 예: "full-20250101.csv.gz", "segment-20250101_13.csv.gz"
+ */
 function generateBunjangCatalogFilename(type, date = new Date()) {
-  const year = date.getFullYear();
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
+  const kstDate = new Date(date.getTime() + KST_OFFSET_MS);
+  const year = kstDate.getUTCFullYear();
+  const month = (kstDate.getUTCMonth() + 1).toString().padStart(2, '0');
+  const day = kstDate.getUTCDate().toString().padStart(2, '0');
   if (type === 'full') {
     return `full-${year}${month}${day}.csv.gz`;
   } else if (type === 'segment') {
-    const hour = date.getHours().toString().padStart(2, '0');
+    const hour = kstDate.getUTCHours().toString().padStart(2, '0');
     return `segment-${year}${month}${day}_${hour}.csv.gz`;
   }
   throw new AppError('유효하지 않은 카탈로그 타입입니다.', 400, 'INVALID_CATALOG_TYPE');
 }
 
-function processCatalogRow(row, rowNumber) {
+/**
+ * 번개장터 카탈로그 파일명에서 타입과 KST 기준 시작 시각을 추출합니다. (generateBunjangCatalogFilename의 역변환)
+ * @param {string} fileName - 예: "segment-20250101_13.csv.gz"
+ * @returns {{catalogType: 'full'|'segment', kstHour: Date}|null} kstHour는 해당 KST 시(전체 카탈로그는 KST 자정)의 시작 시각. 형식이 다르면 null.
+ */
+function parseBunjangCatalogFilename(fileName) {
+  const match = /^(full|segment)-(\d{4})(\d{2})(\d{2})(?:_(\d{2}))?\.csv\.gz$/.exec(String(fileName || ''));
+  if (!match) return null;
+  const [, catalogType, year, month, day, hour] = match;
+  if ((catalogType === 'segment') !== (hour !== undefined)) return null;
+  const kstHour = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour || 0)) - KST_OFFSET_MS);
+  return { catalogType, kstHour };
+}
+
+/**
+ * 카탈로그 CSV 행을 상품 객체로 변환하고 동기화 대상인지 판정합니다.
+ * @param {object} row - CSV 행.
+ * @param {number} rowNumber - CSV 데이터 행 번호 (1부터).
+ * @param {object|null} [filterRuleSet=null] - catalogFilterService.loadActiveFilterRules() 결과.
+ * @returns {{product: object|null, skipReason: string|null}} 제외된 행이면 product는 null, skipReason에 사유.
+ */
+function evaluateCatalogRow(row, rowNumber, filterRuleSet = null) {
   const product = {
     pid: (row.pid || '').trim(),
     name: (row.name || '').trim(),
-    description: (row.description || '').trim(),
+    description: redactSellerContactInfo((row.description || '').trim()), // 판매자 연락처는 번역/메타필드/Shopify 어디에도 남지 않도록 파싱 단계에서 가림
     quantity: parseInt(row.quantity, 10),
     price: parseFloat(row.price),
     shippingFee: parseFloat(row.shippingFee || row.shipppingFee || 0),
@@ -165,41 +229,103 @@ function processCatalogRow(row, rowNumber) {
 
   if (product.saleStatus !== 'SELLING') {
     logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: saleStatus is '${product.saleStatus}' (not SELLING).`);
-    return null;
+    return { product: null, skipReason: `NOT_SELLING:${product.saleStatus || 'UNKNOWN'}` };
   }
   if (!product.pid || !product.name || isNaN(product.price) || !product.updatedAt) {
     logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to missing essential data (pid, name, price, or valid updatedAt).`);
-    return null;
+    return { product: null, skipReason: 'MISSING_ESSENTIAL_DATA' };
   }
+  // 저장된 검색으로 가져온 상품은 카테고리 필터와 필터 규칙을 적용하지 않음 (판매 상태/필수 정보 검사는 동일)
+  const exemptFromFilters = !!filterRuleSet?.exemptPids?.has(product.pid);
   const filterCategoryIds = config.bunjang.filterCategoryIds || [];
-  if (filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
+  if (!exemptFromFilters && filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
     logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: categoryId '${product.categoryId}' not in filter list [${filterCategoryIds.join(', ')}].`);
-    return null;
+    return { product: null, skipReason: `CATEGORY_FILTERED:${product.categoryId}` };
   }
   if (product.price < 0 || (!isNaN(product.quantity) && product.quantity < 0)) {
     logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to invalid price (${product.price}) or quantity (${product.quantity}).`);
-    return null;
+    return { product: null, skipReason: 'INVALID_PRICE_OR_QUANTITY' };
+  }
+  if (!exemptFromFilters && filterRuleSet && filterRuleSet.ruleNames.length > 0) {
+    const filterReason = findExcludingFilterRule(product, filterRuleSet, { hasImages: extractBunjangImageUrls(product.images).length > 0 });
+    if (filterReason) {
+      logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped by filter rules: ${filterReason}.`);
+      return { product: null, skipReason: filterReason };
+    }
   }
-  return product;
+  return { product, skipReason: null };
 }
 
-function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
-  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`];
-  const titleLower = (bunjangProduct.name || '').toLowerCase();
-  const descriptionLower = (bunjangProduct.description || '').toLowerCase();
-  const categoryLower = (bunjangProduct.categoryName || '').toLowerCase();
+function processCatalogRow(row, rowNumber, filterRuleSet = null) {
+  return evaluateCatalogRow(row, rowNumber, filterRuleSet).product;
+}
 
-  const kpopKeywords = config.bunjang.kpopKeywords || [];
-  const kidultKeywords = config.bunjang.kidultKeywords || [];
+// 판매중이지만 카테고리 필터나 필터 규칙으로 제외된 경우 (SyncedProduct.isFilteredOut으로 기록)
+function isFilterSkipReason(skipReason) {
+  return !!skipReason && (skipReason.startsWith('CATEGORY_FILTERED:') || skipReason.startsWith('FILTER_RULE'));
+}
+
+/**
+ * 필터로 제외된 상품 중 이미 SyncedProduct에 있는 상품에 제외 사유를 기록합니다. (새 문서는 만들지 않음)
+ * @param {Array<{bunjangPid: string, reason: string}>} entries
+ */
+async function markFilteredOutProducts(entries) {
+  if (entries.length === 0) return;
+  const filteredAt = new Date();
+  await SyncedProduct.bulkWrite(entries.map(({ bunjangPid, reason }) => ({
+    updateOne: {
+      filter: { bunjangPid },
+      update: { $set: { isFilteredOut: true, filterReason: reason, filteredAt } },
+    },
+  })), { ordered: false });
+}
 
-  if (kpopKeywords.length > 0 && kpopKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('K-Pop');
+// Shopify 메타필드 값 길이 제한에 맞춰 원문을 자름
+const ORIGINAL_TITLE_MAX_LENGTH = 255;
+const ORIGINAL_DESCRIPTION_MAX_LENGTH = 65000;
+
+/**
+ * 번역 전 한국어 상품명/설명을 bunjang 네임스페이스 메타필드 입력으로 만듭니다. (빈 값은 Shopify가 거부하므로 제외)
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @returns {Array<{namespace: string, key: string, type: string, value: string}>}
+ */
+function buildOriginalTextMetafields(bunjangProduct) {
+  const metafields = [];
+  if (bunjangProduct.name) {
+    metafields.push({ namespace: BUNJANG_METAFIELD_NAMESPACE, key: 'original_title', type: 'single_line_text_field', value: bunjangProduct.name.slice(0, ORIGINAL_TITLE_MAX_LENGTH) });
   }
-  if (kidultKeywords.length > 0 && kidultKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('Kidult');
+  if (bunjangProduct.description && bunjangProduct.description.trim()) {
+    metafields.push({ namespace: BUNJANG_METAFIELD_NAMESPACE, key: 'original_description', type: 'multi_line_text_field', value: bunjangProduct.description.slice(0, ORIGINAL_DESCRIPTION_MAX_LENGTH) });
   }
+  return metafields;
+}
+
+/**
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {string} shopifyPriceUsd - Shopify 리스팅 가격.
+ * @param {object[]} [taggingRules=[]] - taggingRuleService.getActiveTaggingRules() 결과.
+ * @param {{title: string, description: string, translated: boolean}|null} [translation=null] - translationService.translateListing() 결과.
+ * @param {object} [directories={}] - 카테고리/브랜드 디렉터리 색인.
+ * @param {Map} [directories.categoryMappingIndex] - bunjangCategoryService.getCategoryMappingIndex() 결과.
+ * @param {Map} [directories.brandIndex] - bunjangBrandService.getBrandDirectoryIndex() 결과.
+ * @returns {{productInput: object, variantData: object, inventoryInfo: object, variantPlan: object, ruleTagging: {tags: string[], collectionGids: string[], ruleNames: string[]}, bunjangMetafields: object[]}}
+ */
+function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd, taggingRules = [], translation = null, directories = {}) {
+  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`];
+
+  // 카테고리 매핑 (상위 카테고리에서 상속, 내부 API로 관리)
+  const categoryMapping = resolveCategoryMapping(bunjangProduct.categoryId, directories.categoryMappingIndex);
+
+  // 브랜드 디렉터리의 표시 이름으로 공급업체와 브랜드 태그 지정 (이름을 모르는 브랜드는 기본 공급업체)
+  const brand = resolveBrand(bunjangProduct.brandId, directories.brandIndex);
+  if (bunjangProduct.brandId) tags.push(`bunjang_brand:${bunjangProduct.brandId}`);
+  if (brand) tags.push(`brand:${brand.name}`);
 
-  // 항상 ACTIVE 상태로 설정하여 바로 게시되도록 함
+  // 태그/컬렉션 규칙 (내부 API로 관리, 예: K-Pop, Kidult) + 카테고리 매핑의 태그/컬렉션
+  const ruleTagging = resolveRuleTagging(bunjangProduct, taggingRules, categoryMapping);
+  tags.push(...ruleTagging.tags);
+
+  // ACTIVE 상태로 설정하여 바로 게시되도록 함 (게시 전 검토 대기 상품은 buildProductSyncPlan에서 DRAFT로 바꿈)
   // 제품은 생성/업데이트 후 자동으로 온라인 스토어에 게시됨
   let shopifyStatus = 'ACTIVE';
   
@@ -218,49 +344,445 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     locationId: config.shopify.defaultLocationId
   };
 
-  if (bunjangProduct.optionsRaw) {
-    try {
-      let parsedOptions = [];
-      if (typeof bunjangProduct.optionsRaw === 'string' && bunjangProduct.optionsRaw.trim()) {
-        parsedOptions = JSON.parse(bunjangProduct.optionsRaw.trim());
-      } else if (Array.isArray(bunjangProduct.optionsRaw)) {
-        parsedOptions = bunjangProduct.optionsRaw;
-      }
-      if (Array.isArray(parsedOptions) && parsedOptions.length > 0 && parsedOptions[0].id && parsedOptions[0].value) {
-        logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has Bunjang options: ${JSON.stringify(parsedOptions)}. Advanced variant/option mapping may be needed.`);
-      }
-    } catch (e) {
-      logger.warn(`[CatalogSvc] Failed to parse Bunjang options for PID ${bunjangProduct.pid}: "${bunjangProduct.optionsRaw}"`, e);
-    }
+  // 번개장터 옵션(사이즈/색상 등)을 Shopify 옵션 및 variant 조합으로 변환. 옵션이 없으면 단일 variant.
+  const variantPlan = buildBunjangVariants(bunjangProduct.pid, bunjangProduct.optionsRaw, { price: shopifyPriceUsd, quantity: variantQuantity });
+  if (variantPlan.hasOptions) {
+    logger.debug(`[CatalogSvc] Product PID ${bunjangProduct.pid} mapped to ${variantPlan.variants.length} variants (${variantPlan.productOptions.map(o => o.name).join(', ')}).`);
   }
   
+  // 번역된 경우 영문 상품명/설명을 사용하고, 한국어 원문은 bunjang 메타필드에 보관
+  const isTranslated = !!translation?.translated;
+  const title = isTranslated ? translation.title : bunjangProduct.name;
+  const description = isTranslated ? translation.description : bunjangProduct.description;
+
   const productInput = {
-    title: bunjangProduct.name,
-    descriptionHtml: bunjangProduct.description || `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`,
-    vendor: config.bunjang.defaultVendor || "BunjangImport",
-    productType: bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
+    title,
+    descriptionHtml: formatDescriptionHtml(description) || `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`,
+    vendor: brand?.name || config.bunjang.defaultVendor,
+    productType: mapBunjangCategoryToShopifyProductType(bunjangProduct.categoryId, categoryMapping, bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized"),
     tags: [...new Set(tags)],
     status: shopifyStatus,
     // Add publishedAt to ensure product is published
     publishedAt: new Date().toISOString()
   };
+
+  if (categoryMapping.shopifyTaxonomyCategoryGid) {
+    productInput.category = categoryMapping.shopifyTaxonomyCategoryGid; // Shopify 표준 상품 택소노미 카테고리
+  }
+  if (isTranslated) {
+    productInput.metafields = buildOriginalTextMetafields(bunjangProduct);
+  }
   
   logger.debug(`[CatalogSvc] ProductInput for PID ${bunjangProduct.pid}:`, { 
     title: productInput.title, 
     sku: variantData.sku,
+    variantCount: variantPlan.variants.length,
     status: productInput.status
   });
 
-  return { productInput, variantData, inventoryInfo };
+  // 번개장터 원본 정보(bunjang.pid, 가격/배송비, 상태, 브랜드 등) 메타필드. productInput과 별도로 metafieldsSet으로 반영
+  const bunjangMetafields = [...buildBunjangMetafields(bunjangProduct), ...buildBrandMetafields(brand)];
+
+  return { productInput, variantData, inventoryInfo, variantPlan, ruleTagging, bunjangMetafields };
+}
+
+// 저장된 검색으로 가져온 상품의 태그 접두어 (예: "saved_search:trending-lightsticks")
+const SAVED_SEARCH_TAG_PREFIX = 'saved_search:';
+
+// 변경 감지 단위. 그룹별 해시가 달라진 경우에만 해당 Shopify mutation을 실행
+const SYNC_HASH_GROUPS = ['content', 'price', 'quantity', 'images', 'options', 'metafields'];
+
+function hashSyncValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+/**
+ * 동기화 대상 데이터를 그룹별로 정규화하여 해시를 계산합니다.
+ * - content: 제목/설명/공급업체/상품 유형/택소노미 카테고리/태그/규칙 컬렉션/원문 메타필드 (productUpdate)
+ * - price, quantity, options: variant 가격, 재고, 옵션 구성 (variant/재고 mutation)
+ * - images: 번개장터 이미지 URL 목록 (미디어 첨부)
+ * - metafields: bunjang.* 원본 정보 메타필드 (metafieldsSet)
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {object} transformResult - transformBunjangRowToShopifyInput 결과.
+ * @returns {{content: string, price: string, quantity: string, images: string, options: string, metafields: string}}
+ */
+function computeSyncHashes(bunjangProduct, transformResult) {
+  const { productInput, variantData, inventoryInfo, variantPlan, ruleTagging, bunjangMetafields } = transformResult;
+
+  return {
+    content: hashSyncValue({
+      title: productInput.title,
+      descriptionHtml: productInput.descriptionHtml,
+      vendor: productInput.vendor,
+      productType: productInput.productType,
+      category: productInput.category, // 택소노미 매핑이 없으면 undefined로 해시에서 제외
+      tags: [...(productInput.tags || [])].sort(),
+      collections: [...(ruleTagging?.collectionGids || [])].sort(),
+      metafields: productInput.metafields, // 번역하지 않은 상품은 undefined로 해시에서 제외되어 기존 해시가 유지됨
+    }),
+    price: hashSyncValue(variantData.price),
+    quantity: hashSyncValue(inventoryInfo.quantity),
+    images: hashSyncValue(extractBunjangImageUrls(bunjangProduct.images)),
+    options: hashSyncValue(variantPlan.hasOptions ? variantPlan.productOptions : null),
+    metafields: hashSyncValue(bunjangMetafields),
+  };
+}
+
+/**
+ * 가격을 잠근 상품의 variant 가격을 Shopify의 현재 가격으로 바꿉니다. productSet은 variant 목록 전체를 다시 쓰므로,
+ * 잠근 가격을 유지하려면 Shopify에 있는 가격을 그대로 보내야 합니다. 같은 SKU가 없는 새 variant는 기존 첫 variant의 가격을 씁니다.
+ * @param {string} productId - Shopify 상품 GID.
+ * @param {Array<object>} variants - productMapper.buildBunjangVariants의 variants.
+ * @returns {Promise<Array<object>>} 가격을 바꾼 variants (원본은 수정하지 않음).
+ */
+async function keepShopifyVariantPrices(productId, variants) {
+  const shopifyVariants = await shopifyService.getProductVariantPrices(productId);
+  const priceBySku = new Map(shopifyVariants.map(variant => [variant.sku, variant.price]));
+  const fallbackPrice = shopifyVariants[0]?.price;
+  return variants.map(variant => ({ ...variant, price: priceBySku.get(variant.sku) ?? fallbackPrice ?? variant.price }));
+}
+
+/**
+ * 다중 옵션 상품의 variant 구성을 Shopify 상품에 반영하고, SKU별 번개장터 옵션 매핑을 반환합니다.
+ * @param {string} productId - Shopify 상품 GID.
+ * @param {object} variantPlan - productMapper.buildBunjangVariants 결과.
+ * @param {string} locationId - 재고를 설정할 Shopify Location GID.
+ * @param {boolean} isNewProduct - 새로 생성된 상품 여부 (기존 상품이면 variant별 재고를 다시 설정).
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @param {{priceLocked?: boolean}} [options={}] - priceLocked이면 Shopify의 현재 variant 가격을 유지.
+ * @returns {Promise<Array<{sku: string, shopifyVariantGid: string, bunjangOptions: Array<{name: string, value: string}>}>>}
+ */
+async function applyVariantPlanToShopifyProduct(productId, variantPlan, locationId, isNewProduct, jobId = 'N/A', options = {}) {
+  const variantsInput = options.priceLocked && !isNewProduct
+    ? await keepShopifyVariantPrices(productId, variantPlan.variants)
+    : variantPlan.variants;
+  const shopifyVariants = await shopifyService.setProductVariants(productId, variantPlan.productOptions, variantsInput, locationId);
+  const shopifyVariantBySku = new Map(shopifyVariants.map(v => [v.sku, v]));
+
+  const mappings = [];
+  for (const variant of variantPlan.variants) {
+    const shopifyVariant = shopifyVariantBySku.get(variant.sku);
+    if (!shopifyVariant) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] Variant with SKU ${variant.sku} not returned by Shopify for product ${productId}.`);
+      continue;
+    }
+    // productSet의 재고 설정은 새 variant에만 적용되므로 기존 상품은 재고를 별도로 갱신
+    if (!isNewProduct && shopifyVariant.inventoryItem?.id && locationId) {
+      try {
+        await shopifyService.updateInventoryLevel(shopifyVariant.inventoryItem.id, locationId, variant.quantity);
+      } catch (invError) {
+        logger.error(`[CatalogSvc:Job-${jobId}] Failed to update inventory for variant ${variant.sku} of ${productId}: ${invError.message}`);
+      }
+    }
+    mappings.push({
+      sku: variant.sku,
+      shopifyVariantGid: shopifyVariant.id,
+      bunjangOptions: variantPlan.hasOptions ? variant.optionValues.map(ov => ({ name: ov.optionName, value: ov.name })) : [],
+    });
+  }
+  logger.info(`[CatalogSvc:Job-${jobId}] Applied ${mappings.length}/${variantPlan.variants.length} variants to Shopify product ${productId}.`);
+  return mappings;
+}
+
+const BUNJANG_IMAGE_DOMAINS = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
+const KNOWN_IMAGE_CDNS = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
+
+/**
+ * 번개장터 이미지 URL을 Shopify에 첨부 가능한 형태로 변환합니다. (HTTPS 변환, {res} 해상도 치환)
+ * @param {string} url - 번개장터 이미지 URL.
+ * @returns {string|null} 변환된 URL. 지원하지 않는 URL이면 null.
+ */
+function normalizeBunjangImageUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  let processedUrl = url.trim();
+
+  // Ensure HTTPS for better Shopify compatibility
+  if (processedUrl.startsWith('http://')) {
+    processedUrl = processedUrl.replace('http://', 'https://');
+  }
+  // Replace {res} placeholder with standard resolution
+  if (processedUrl.includes('{res}')) {
+    processedUrl = processedUrl.replace('{res}', '856');
+  }
+  if (!processedUrl.startsWith('https://')) return null;
+
+  try {
+    const urlObj = new URL(processedUrl);
+    // Accept Bunjang URLs (even though they might fail later) and standard image files
+    if (BUNJANG_IMAGE_DOMAINS.some(domain => urlObj.hostname.includes(domain))) return processedUrl;
+    if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) return processedUrl;
+    // Also accept URLs without extensions if they're from known CDNs
+    if (KNOWN_IMAGE_CDNS.some(cdn => urlObj.hostname.includes(cdn))) return processedUrl;
+    return null;
+  } catch (e) {
+    return null;
+  }
 }
 
-async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
+/**
+ * 번개장터 상품의 images 필드(쉼표 구분 문자열 또는 배열)를 번개장터 순서를 유지한 중복 없는 URL 목록으로 변환합니다.
+ * @param {string|string[]} images - 번개장터 이미지 필드.
+ * @returns {string[]} Shopify에 첨부할 이미지 URL 목록 (최대 250개).
+ */
+function extractBunjangImageUrls(images) {
+  const rawUrls = typeof images === 'string' ? images.split(',') : (Array.isArray(images) ? images : []);
+  const urls = [];
+  for (const rawUrl of rawUrls) {
+    const url = normalizeBunjangImageUrl(String(rawUrl || ''));
+    if (!url) {
+      if (String(rawUrl || '').trim()) logger.debug(`[CatalogSvc] Invalid or unsupported image URL skipped: ${rawUrl}`);
+      continue;
+    }
+    if (!urls.includes(url)) urls.push(url);
+  }
+  return urls.slice(0, 250); // Shopify 상품당 미디어 수 제한
+}
+
+/**
+ * 첨부할 이미지를 Shopify에 넘길 수 있는 형태로 준비합니다. (재호스팅 활성화 시 다운로드/검증/staged upload)
+ * @returns {Promise<{originalSource: string, contentHash: string|null, reused: boolean}>}
+ */
+async function prepareMediaSource(sourceUrl, jobId) {
+  if (!config.imageRehost.enabled) {
+    return { originalSource: sourceUrl, contentHash: null, reused: false };
+  }
+  return rehostImage(sourceUrl, jobId);
+}
+
+/**
+ * 번개장터 이미지 목록과 Shopify 상품 미디어를 맞춥니다.
+ * SyncedProduct.shopifyMedia에 기록된 원본 URL 기준으로 새 이미지만 추가하고, 번개장터에서 빠진 이미지는 삭제하며, 번개장터 순서로 재정렬합니다.
+ * 새 이미지는 재호스팅(imageRehostService)하여 첨부하고, 같은 상품 안에서 내용이 같은 이미지는 한 번만 첨부합니다.
+ * 추적 정보가 없는 기존 상품(이전 버전에서 중복 첨부된 상품)은 기존 미디어를 모두 지우고 다시 첨부합니다.
+ * @param {string} productId - Shopify 상품 GID.
+ * @param {object} bunjangProduct - 번개장터 상품 (images, name 필드 사용).
+ * @param {Array<object>} [trackedMedia=[]] - SyncedProduct.shopifyMedia (이미지별 첨부 상태).
+ * @param {boolean} isNewProduct - 새로 생성된 상품 여부.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{media: Array<object>, added: number, removed: number, failedCount: number}>} media는 번개장터 순서의 이미지별 상태 (SyncedProduct.shopifyMedia에 저장).
+ */
+async function reconcileProductMedia(productId, bunjangProduct, trackedMedia = [], isNewProduct = false, jobId = 'N/A') {
+  const desiredUrls = extractBunjangImageUrls(bunjangProduct.images);
+  const trackedByUrl = new Map((trackedMedia || []).filter(m => m && m.sourceUrl).map(m => [m.sourceUrl, m]));
+  // status가 없는 항목은 이전 버전에서 첨부된 미디어
+  let attached = [...trackedByUrl.values()].filter(m => m.shopifyMediaGid).map(m => ({ ...m, status: 'ATTACHED' }));
+  let removed = 0;
+
+  if (!isNewProduct && attached.length === 0) {
+    const existingMedia = await shopifyService.getProductMedia(productId);
+    if (existingMedia.length > 0) {
+      logger.info(`[CatalogSvc:Job-${jobId}] Product ${productId} has ${existingMedia.length} untracked media items. Replacing them with the current Bunjang images.`);
+      await shopifyService.deleteProductMedia(productId, existingMedia.map(m => m.id));
+      removed += existingMedia.length;
+    }
+  }
+
+  const dropped = attached.filter(m => !desiredUrls.includes(m.sourceUrl));
+  if (dropped.length > 0) {
+    await shopifyService.deleteProductMedia(productId, dropped.map(m => m.shopifyMediaGid));
+    removed += dropped.length;
+    attached = attached.filter(m => desiredUrls.includes(m.sourceUrl));
+  }
+
+  const attachedUrls = new Set(attached.map(m => m.sourceUrl));
+  const urlsToAdd = desiredUrls.filter(url => !attachedUrls.has(url));
+  const unattachedByUrl = new Map(); // 첨부하지 못한(FAILED) 또는 첨부하지 않은(DUPLICATE) 이미지
+  let added = 0;
+
+  if (urlsToAdd.length > 0) {
+    const attemptedAt = new Date();
+    const knownHashes = new Set(attached.map(m => m.contentHash).filter(Boolean));
+    const preparedInputs = [];
+    for (const sourceUrl of urlsToAdd) {
+      const attempts = (trackedByUrl.get(sourceUrl)?.attempts || 0) + 1;
+      try {
+        const prepared = await prepareMediaSource(sourceUrl, jobId);
+        if (prepared.contentHash && knownHashes.has(prepared.contentHash)) {
+          unattachedByUrl.set(sourceUrl, { sourceUrl, status: 'DUPLICATE', contentHash: prepared.contentHash, attempts, lastAttemptAt: attemptedAt });
+          continue;
+        }
+        if (prepared.contentHash) knownHashes.add(prepared.contentHash);
+        preparedInputs.push({ sourceUrl, attempts, ...prepared });
+      } catch (error) {
+        logger.warn(`[CatalogSvc:Job-${jobId}] Failed to prepare image ${sourceUrl} for product ${productId}: ${error.message}`);
+        unattachedByUrl.set(sourceUrl, { sourceUrl, status: 'FAILED', attempts, lastError: String(error.message).substring(0, 500), lastAttemptAt: attemptedAt });
+      }
+    }
+
+    if (preparedInputs.length > 0) {
+      const alt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
+      const mediaResult = await shopifyService.appendMediaToProduct(productId, preparedInputs.map(input => ({ originalSource: input.originalSource, mediaContentType: 'IMAGE', alt })));
+      if (mediaResult?.warning) {
+        logger.warn(`[CatalogSvc:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
+      }
+
+      // 입력 순서대로 생성된 미디어를 원본 URL에 대응 (mediaUserErrors의 field: ["media", "<index>", ...]로 실패 항목 제외)
+      const errorByIndex = new Map((mediaResult?.mediaUserErrors || [])
+        .map(e => [parseInt(e.field?.[1], 10), e.message])
+        .filter(([index]) => !isNaN(index)));
+      const succeededInputs = preparedInputs.filter((input, index) => !errorByIndex.has(index));
+      const createdMedia = (mediaResult?.media || []).filter(Boolean);
+      const attachedInputs = new Set();
+      succeededInputs.forEach((input, index) => {
+        const media = createdMedia[index];
+        if (media?.id && media.status !== 'FAILED') {
+          attached.push({ sourceUrl: input.sourceUrl, shopifyMediaGid: media.id, status: 'ATTACHED', contentHash: input.contentHash, attempts: input.attempts, lastAttemptAt: attemptedAt });
+          attachedInputs.add(input);
+          added++;
+        }
+      });
+
+      for (const [index, input] of preparedInputs.entries()) {
+        if (attachedInputs.has(input)) continue;
+        // 재사용한 업로드 결과가 만료되었을 수 있으므로 다음 시도에서는 새로 업로드
+        if (input.reused) await forgetRehostedImage(input.contentHash);
+        const lastError = errorByIndex.get(index) || 'Shopify did not create the media.';
+        unattachedByUrl.set(input.sourceUrl, { sourceUrl: input.sourceUrl, status: 'FAILED', contentHash: input.contentHash, attempts: input.attempts, lastError: String(lastError).substring(0, 500), lastAttemptAt: attemptedAt });
+      }
+    }
+  }
+  const failedCount = [...unattachedByUrl.values()].filter(m => m.status === 'FAILED').length;
+
+  // 번개장터 순서로 정렬 (새 미디어는 Shopify에서 맨 뒤에 추가되므로 순서가 다르면 재정렬)
+  const orderedMedia = desiredUrls.map(url => attached.find(m => m.sourceUrl === url)).filter(Boolean);
+  const currentOrder = attached.map(m => m.shopifyMediaGid);
+  if (orderedMedia.some((m, index) => m.shopifyMediaGid !== currentOrder[index])) {
+    await shopifyService.reorderProductMedia(productId, orderedMedia.map(m => m.shopifyMediaGid));
+  }
+
+  const media = desiredUrls.map(url => attached.find(m => m.sourceUrl === url) || unattachedByUrl.get(url)).filter(Boolean);
+  logger.info(`[CatalogSvc:Job-${jobId}] Media reconciled for product ${productId}. Added: ${added}, Removed: ${removed}, Failed: ${failedCount}, Total: ${orderedMedia.length}`);
+  return { media, added, removed, failedCount };
+}
+
+/**
+ * 이미지 첨부에 실패한 상품의 이미지를 다시 첨부합니다. (관리 작업 큐의 RETRY_FAILED_MEDIA)
+ * 이미지 목록과 순서는 마지막 동기화 때 SyncedProduct.shopifyMedia에 기록된 것을 사용하며,
+ * config.imageRehost.maxAttempts 이상 실패한 이미지만 남은 상품은 대상에서 제외합니다.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{checked: number, recovered: number, stillFailing: number, errors: number}>}
+ */
+async function retryFailedProductMedia(jobIdForLog = 'N/A') {
+  const { maxAttempts, retryBatchSize } = config.imageRehost;
+  const docs = await SyncedProduct.find({
+    shopifyGid: { $ne: null },
+    syncStatus: 'SYNCED',
+    delistedAt: null,
+    shopifyMedia: { $elemMatch: { status: 'FAILED', attempts: { $lt: maxAttempts } } },
+  })
+    .select('bunjangPid bunjangProductName shopifyGid shopifyMedia')
+    .sort({ lastSuccessfulSyncAt: 1 })
+    .limit(retryBatchSize)
+    .lean();
+
+  const summary = { checked: docs.length, recovered: 0, stillFailing: 0, errors: 0 };
+  for (const doc of docs) {
+    const images = doc.shopifyMedia.map(m => m.sourceUrl);
+    try {
+      const mediaResult = await reconcileProductMedia(doc.shopifyGid, { images, name: doc.bunjangProductName }, doc.shopifyMedia, false, jobIdForLog);
+      await SyncedProduct.updateOne({ bunjangPid: doc.bunjangPid }, {
+        $set: {
+          shopifyMedia: mediaResult.media,
+          // 모두 첨부되었으면 이미지 해시를 기록하여 다음 동기화 때 다시 시도하지 않도록 함
+          ...(mediaResult.failedCount === 0 && { 'syncHashes.images': hashSyncValue(images) }),
+        },
+      });
+      if (mediaResult.failedCount === 0) summary.recovered++;
+      else summary.stillFailing++;
+    } catch (error) {
+      summary.errors++;
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Failed to retry media for PID ${doc.bunjangPid} (${doc.shopifyGid}): ${error.message}`);
+    }
+  }
+
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Failed media retry finished. Checked: ${summary.checked}, Recovered: ${summary.recovered}, Still failing: ${summary.stillFailing}, Errors: ${summary.errors}`);
+  return summary;
+}
+
+/**
+ * 번개장터 상품을 Shopify에 반영하기 위한 계획을 세웁니다. (가격 계산, 입력 변환, 상품별 재정의 적용, 그룹별 해시 비교)
+ * Shopify나 DB에 쓰지 않으므로 dry-run에서도 같은 판단 로직을 사용합니다.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {object|null} syncedDoc - 현재 SyncedProduct 문서 (없으면 null).
+ * @param {Date} [previousBunjangUpdatedAt] - 이번 동기화 이전에 기록된 번개장터 수정 시간.
+ * @param {object} [options={}]
+ * @param {boolean} [options.forceFullSync=false] - true이면 해시 비교 없이 모든 그룹을 반영 (config.forceResyncAll의 상품 단위 버전).
+ * @param {boolean} [options.dryRun=false] - true이면 번역 제공자를 호출하지 않고 캐시된 번역만 사용.
+ * @returns {Promise<{decision: 'skip_filter'|'record_hashes'|'skip_unchanged'|'sync', shopifyPriceString: string, transformResult?: object, newSyncHashes?: object, storedSyncHashes?: object, changedGroups: Set<string>, priceLocked?: boolean}>}
+ *   priceLocked: 가격 재정의 없이 가격이 잠겨 있어 variant 가격을 쓰지 않아야 하는 경우 true.
+ */
+async function buildProductSyncPlan(bunjangProduct, syncedDoc, previousBunjangUpdatedAt, options = {}) {
+  const doc = syncedDoc || {};
+  const forceFullSync = config.forceResyncAll || !!options.forceFullSync;
+  const { overrides } = doc;
+  const existsOnShopify = !!doc.shopifyGid;
+  const shopifyPriceString = resolveListingPriceUsd(await calculateShopifyPriceUsd(bunjangProduct.price), overrides, doc.shopifyListedPriceUsd);
+  const translation = await translateListing(bunjangProduct, 'N/A', { cacheOnly: !!options.dryRun });
+  const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString, await getActiveTaggingRules(), translation, {
+    categoryMappingIndex: await getCategoryMappingIndex(),
+    brandIndex: await getBrandDirectoryIndex(),
+  });
+  if (!transformResult || !transformResult.productInput) {
+    return { decision: 'skip_filter', shopifyPriceString, changedGroups: new Set() };
+  }
+  if (doc.savedSearchNames?.length) {
+    const { productInput } = transformResult;
+    productInput.tags = [...new Set([...productInput.tags, ...doc.savedSearchNames.map(name => `${SAVED_SEARCH_TAG_PREFIX}${name}`)])];
+  }
+  // 머천다이저의 재정의 값을 번개장터 데이터 위에 덮어쓰고, 잠근 항목은 입력에서 제외
+  applyProductOverrides(transformResult.productInput, overrides, { existsOnShopify, delisted: !!doc.delistedAt });
+  // 검토 대기 중인 상품은 승인 전까지 DRAFT로 두고 게시하지 않음 (상태 재정의보다 우선)
+  const pendingReview = isAwaitingReview(doc);
+  if (pendingReview) {
+    transformResult.productInput.status = 'DRAFT';
+    delete transformResult.productInput.publishedAt;
+  }
+
+  // 그룹별 해시 비교로 실제 변경된 부분만 Shopify에 반영
+  const newSyncHashes = computeSyncHashes(bunjangProduct, transformResult);
+  const storedSyncHashes = doc.syncHashes || {};
+  const hasStoredHashes = SYNC_HASH_GROUPS.some(group => storedSyncHashes[group]);
+  const isLiveOnShopify = existsOnShopify && doc.syncStatus === 'SYNCED' && !doc.delistedAt;
+  // 이미지를 잠근 상품은 미디어를 맞추지 않음. 잠금 해제 후 그동안의 변경을 반영하도록 저장된 해시를 유지
+  const imagesLocked = existsOnShopify && isFieldLocked(overrides, 'images');
+  if (imagesLocked) newSyncHashes.images = storedSyncHashes.images ?? null;
+  const priceLocked = existsOnShopify && isFieldLocked(overrides, 'price') && !overrides.priceUsd;
+  const plan = { shopifyPriceString, transformResult, newSyncHashes, storedSyncHashes, priceLocked, pendingReview };
+
+  if (isLiveOnShopify && !forceFullSync && !hasStoredHashes &&
+      previousBunjangUpdatedAt && bunjangProduct.updatedAt &&
+      new Date(previousBunjangUpdatedAt).getTime() >= bunjangProduct.updatedAt.getTime()) {
+    return { ...plan, decision: 'record_hashes', changedGroups: new Set() };
+  }
+
+  const fullSync = !isLiveOnShopify || !hasStoredHashes || forceFullSync;
+  const changedGroups = new Set(fullSync ? SYNC_HASH_GROUPS : SYNC_HASH_GROUPS.filter(group => storedSyncHashes[group] !== newSyncHashes[group]));
+  if (imagesLocked) changedGroups.delete('images');
+  return { ...plan, decision: changedGroups.size === 0 ? 'skip_unchanged' : 'sync', changedGroups };
+}
+
+/**
+ * 카탈로그 행의 번개장터 정보를 SyncedProduct에 기록하고, 반영할 Shopify 상품 GID를 찾습니다. (상품별/벌크 동기화 공통)
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @param {object} [options={}]
+ * @param {boolean} [options.skipStaleRows=false] - true이면 이미 더 최신 데이터로 동기화된 상품은 건너뜀.
+ * @returns {Promise<{skipResult?: object, syncedDoc?: object, shopifyProductGid?: string|null, previousBunjangUpdatedAt?: Date, now?: Date}>}
+ *   건너뛴 경우 skipResult만 반환.
+ */
+async function recordCatalogRowForSync(bunjangProduct, jobId, options = {}) {
   const bunjangPid = bunjangProduct.pid;
   const bunjangName = bunjangProduct.name;
   const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
 
-  logger.info(`[CatalogSvc:Job-${jobId}] Syncing Bunjang PID: ${bunjangPid}, Name: ${bunjangName}`);
   let syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+  const previousBunjangUpdatedAt = syncedDoc?.bunjangUpdatedAt; // 아래 upsert로 덮어쓰기 전 값
+
+  if (options.skipStaleRows && previousBunjangUpdatedAt && bunjangCatalogUpdatedAt &&
+      new Date(previousBunjangUpdatedAt).getTime() > bunjangCatalogUpdatedAt.getTime()) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} already synced with newer data (${new Date(previousBunjangUpdatedAt).toISOString()}). Skipping stale row.`);
+    return { skipResult: { status: 'skipped_no_change', message: 'Stale catalog row (newer data already synced).' } };
+  }
   const now = new Date();
 
   await SyncedProduct.updateOne(
@@ -268,10 +790,19 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
     {
       $set: {
         lastSyncAttemptAt: now,
+        lastSeenInCatalogAt: now,
         bunjangProductName: bunjangName,
         bunjangUpdatedAt: bunjangCatalogUpdatedAt,
         bunjangOriginalPriceKrw: bunjangProduct.price,
         bunjangOriginalShippingFeeKrw: bunjangProduct.shippingFee,
+        // 태그 규칙 재적용 시 평가에 사용
+        bunjangCategoryId: bunjangProduct.categoryId,
+        bunjangCategoryName: bunjangProduct.categoryName,
+        bunjangBrandId: bunjangProduct.brandId,
+        bunjangSellerUid: bunjangProduct.uid,
+        bunjangCondition: bunjangProduct.condition,
+        bunjangKeywordsJson: JSON.stringify(bunjangProduct.keywords || []),
+        bunjangDescription: bunjangProduct.description || '',
       },
       $inc: { syncAttemptCount: 1 },
       $setOnInsert: { bunjangPid, createdAt: now, syncStatus: 'PENDING' }
@@ -280,15 +811,6 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   );
   syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
 
-  if (syncedDoc.syncStatus === 'SYNCED' &&
-      bunjangCatalogUpdatedAt && syncedDoc.bunjangUpdatedAt &&
-      new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangCatalogUpdatedAt.getTime() &&
-      !config.forceResyncAll
-      ) {
-    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog (based on bunjangUpdatedAt). Skipping.`);
-    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog based on bunjangUpdatedAt.' };
-  }
-
   let shopifyProductGid = syncedDoc.shopifyGid;
   if (!shopifyProductGid && bunjangPid) {
     try {
@@ -303,17 +825,205 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
     }
   }
 
+  return { syncedDoc, shopifyProductGid, previousBunjangUpdatedAt, now };
+}
+
+/**
+ * 중복 리스팅 정리 단계 (config.bunjang.dedupe.enabled). 상품별/벌크 동기화 공통.
+ * 같은 묶음에서 대표가 아닌 상품은 Shopify에 올리지 않고, 올라가 있던 대표가 아닌 상품은 "DUPLICATE_OF:<대표 PID>" 사유로 내립니다.
+ * 판정에 실패하면 경고만 남기고 동기화를 계속합니다.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {object} syncedDoc - recordCatalogRowForSync 결과의 SyncedProduct 문서.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @returns {Promise<object|null>} 대표 상품이 아니면 동기화 결과(status: 'skipped_duplicate'), 동기화할 상품이면 null.
+ */
+async function applyDuplicateListingStage(bunjangProduct, syncedDoc, jobId) {
+  if (!config.bunjang.dedupe.enabled) return null;
+  const bunjangPid = bunjangProduct.pid;
+
+  let decision;
   try {
-    const shopifyPriceString = await calculateShopifyPriceUsd(bunjangProduct.price);
-    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString);
+    decision = await evaluateDuplicateListing(bunjangProduct, syncedDoc, extractBunjangImageUrls(bunjangProduct.images)[0], jobId);
+  } catch (error) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Duplicate detection failed for PID ${bunjangPid}: ${error.message}. Syncing without deduplication.`);
+    return null;
+  }
 
-    if (!transformResult || !transformResult.productInput) {
-      logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
-      await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
-      return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
+  for (const doc of decision.demote) {
+    try {
+      await delistSyncedProduct(doc, `${DUPLICATE_DELIST_REASON_PREFIX}${decision.primaryPid}`, jobId);
+    } catch (error) {
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to delist duplicate Shopify product ${doc.shopifyGid} (PID ${doc.bunjangPid}): ${error.message}`);
     }
-    
-    const { productInput: shopifyProductInput, variantData, inventoryInfo } = transformResult;
+  }
+  if (decision.isPrimary) return null;
+  logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} is a duplicate listing of PID ${decision.primaryPid}. Skipping.`);
+  return { status: 'skipped_duplicate', message: `Duplicate listing of PID ${decision.primaryPid} (cluster ${decision.clusterId}).` };
+}
+
+/**
+ * 게시 전 검토 단계 (config.bunjang.review.enabled). 상품별/벌크 동기화 공통.
+ * 아직 Shopify에 없고 검토 기록이 없는 상품은 카테고리 검토 정책으로 자동 승인 또는 검토 대기를 정하고, 거절된 상품은 건너뜁니다.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {object} syncedDoc - recordCatalogRowForSync 결과의 SyncedProduct 문서.
+ * @param {string|null} shopifyProductGid - 반영할 Shopify 상품 GID.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @returns {Promise<{skipResult?: object, syncedDoc?: object}>} 건너뛴 경우 skipResult, 아니면 검토 상태를 반영한 syncedDoc.
+ */
+async function applyReviewStage(bunjangProduct, syncedDoc, shopifyProductGid, jobId) {
+  if (!config.bunjang.review.enabled) return { syncedDoc };
+  if (syncedDoc.review?.status === 'REJECTED') {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangProduct.pid} was rejected in review. Skipping.`);
+    return { skipResult: { status: 'skipped_filter', message: 'Rejected in product review.' } };
+  }
+  if (syncedDoc.review?.status || shopifyProductGid) return { syncedDoc };
+  const review = await requestProductReview(bunjangProduct, jobId);
+  return { syncedDoc: { ...syncedDoc, review } };
+}
+
+/**
+ * Shopify에 반영하지 않기로 한 계획(skip_filter, record_hashes, skip_unchanged)을 기록합니다. (상품별/벌크 동기화 공통)
+ * @param {object} syncPlan - buildProductSyncPlan 결과.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {Date} now - 이번 동기화 시도 시간.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @returns {Promise<object|null>} 동기화 결과. 반영 대상(decision: 'sync')이면 null.
+ */
+async function applyNonSyncDecision(syncPlan, bunjangProduct, now, jobId) {
+  const { pid: bunjangPid, name: bunjangName, updatedAt: bunjangCatalogUpdatedAt } = bunjangProduct;
+  const { newSyncHashes } = syncPlan;
+
+  if (syncPlan.decision === 'skip_filter') {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
+    await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+    return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
+  }
+  if (syncPlan.decision === 'record_hashes') {
+    // 해시 도입 이전에 동기화된 상품: 번개장터 수정 시간이 그대로면 Shopify가 최신이라고 보고 해시만 기록
+    // 단, bunjang.* 메타필드는 이전 동기화에서 쓰지 않았으므로 비워 두어 다음 동기화 때 반영
+    await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncHashes: { ...newSyncHashes, metafields: null } } });
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and not updated in catalog. Recorded content hashes and skipped.`);
+    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog based on bunjangUpdatedAt.' };
+  }
+  if (syncPlan.decision === 'skip_unchanged') {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and content hashes unchanged. Skipping.`);
+    return { status: 'skipped_no_change', message: 'Already synced and content hashes unchanged.' };
+  }
+  return null;
+}
+
+// 실패한 그룹은 이전 해시를 유지하여 다음 동기화 때 다시 반영되도록 함
+function resolveSyncHashesToStore(newSyncHashes, storedSyncHashes, failedGroups) {
+  return SYNC_HASH_GROUPS.reduce((hashes, group) => {
+    hashes[group] = failedGroups.has(group) ? (storedSyncHashes[group] || null) : newSyncHashes[group];
+    return hashes;
+  }, {});
+}
+
+/**
+ * Shopify 반영에 성공한 상품의 SyncedProduct 갱신 내용을 만듭니다. (상품별/벌크 동기화 공통)
+ * @param {object} result
+ * @param {boolean} result.contentApplied - content(태그/컬렉션 포함)를 이번에 반영했는지 여부. false이면 규칙 적용 결과를 갱신하지 않음.
+ * @returns {object} SyncedProduct.updateOne의 update 인자.
+ */
+function buildSyncSuccessUpdate({ productId, handle, syncHashes, shopifyMedia, variantMappings, shopifyPriceString, shopifyStatus, bunjangOptionsJson, ruleTagging, contentApplied, bunjangUpdatedAt, now }) {
+  return {
+    $set: {
+      shopifyGid: productId,
+      shopifyProductId: productId.split('/').pop(),
+      shopifyHandle: handle,
+      syncHashes,
+      ...(shopifyMedia && { shopifyMedia }),
+      lastSuccessfulSyncAt: now,
+      syncStatus: 'SYNCED',
+      syncErrorMessage: null,
+      syncErrorStackSample: null,
+      shopifyListedPriceUsd: shopifyPriceString,
+      shopifyStatus,
+      bunjangOptionsJson,
+      ...(variantMappings && { shopifyVariantMappings: variantMappings }),
+      // 태그 규칙 적용 결과 (content를 반영한 경우에만 갱신, 규칙 재적용 작업의 기준)
+      ...(contentApplied && {
+        ruleTags: ruleTagging.tags,
+        ruleCollectionGids: ruleTagging.collectionGids,
+      }),
+      bunjangUpdatedAt,
+      delistedAt: null,
+      delistReason: null,
+      isFilteredOut: false,
+      filterReason: null,
+      filteredAt: null,
+      syncAttemptCount: 0
+    },
+    $inc: { syncSuccessCount: 1 },
+  };
+}
+
+/**
+ * 상품 동기화 실패를 SyncedProduct에 기록합니다. (상품별/벌크 동기화 공통)
+ * @returns {Promise<{status: 'error', message: string, shopifyGid: string|null}>}
+ */
+async function recordProductSyncError(bunjangPid, error, shopifyProductGid, bunjangCatalogUpdatedAt, jobId) {
+  let errorMessage = error.message;
+  if (error.userErrors && Array.isArray(error.userErrors) && error.userErrors.length > 0) {
+    errorMessage = error.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+  } else if (error.networkError) {
+    errorMessage = `Network error: ${error.message}`;
+  }
+  const errorStackSample = error.stack ? error.stack.substring(0, 1000) : null;
+  logger.error(`[CatalogSvc:Job-${jobId}] Failed to ${shopifyProductGid ? 'update' : 'create'} Shopify product for Bunjang PID ${bunjangPid}: ${errorMessage}`, { originalErrorStack: error.originalError?.stack || error.stack });
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      syncStatus: 'ERROR',
+      syncErrorMessage: errorMessage.substring(0, 1000),
+      syncErrorStackSample: errorStackSample,
+      bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+      ...(shopifyProductGid && { shopifyGid: shopifyProductGid })
+    }
+  });
+  return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
+}
+
+/**
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options={}]
+ * @param {boolean} [options.skipStaleRows=false] - true이면 이미 더 최신 데이터로 동기화된 상품은 건너뜀 (지난 세그먼트 백필 시 최신 데이터 덮어쓰기 방지).
+ * @param {boolean} [options.forceFullSync=false] - true이면 변경 여부와 관계없이 모든 그룹을 Shopify에 다시 씀 (개별 상품 재동기화).
+ */
+async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A', options = {}) {
+  const bunjangPid = bunjangProduct.pid;
+  const bunjangName = bunjangProduct.name;
+  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Syncing Bunjang PID: ${bunjangPid}, Name: ${bunjangName}`);
+  const prepared = await recordCatalogRowForSync(bunjangProduct, jobId, options);
+  if (prepared.skipResult) return prepared.skipResult;
+  const { shopifyProductGid, previousBunjangUpdatedAt, now } = prepared;
+  let { syncedDoc } = prepared;
+
+  try {
+    const duplicateResult = await applyDuplicateListingStage(bunjangProduct, syncedDoc, jobId);
+    if (duplicateResult) return duplicateResult;
+    const reviewStage = await applyReviewStage(bunjangProduct, syncedDoc, shopifyProductGid, jobId);
+    if (reviewStage.skipResult) return reviewStage.skipResult;
+    syncedDoc = reviewStage.syncedDoc;
+
+    const syncPlan = await buildProductSyncPlan(bunjangProduct, syncedDoc, previousBunjangUpdatedAt, { forceFullSync: options.forceFullSync });
+    const { shopifyPriceString, transformResult, newSyncHashes, storedSyncHashes, changedGroups, priceLocked, pendingReview } = syncPlan;
+
+    const skipResult = await applyNonSyncDecision(syncPlan, bunjangProduct, now, jobId);
+    if (skipResult) return skipResult;
+
+    const { productInput: shopifyProductInput, variantData, inventoryInfo, variantPlan, ruleTagging, bunjangMetafields } = transformResult;
+    const failedGroups = new Set(); // 오류가 나서 다음 동기화 때 다시 시도해야 하는 그룹
+    const variantGroupsChanged = ['price', 'quantity', 'options'].some(group => changedGroups.has(group));
+
+    // 옵션 상품이거나, 이전에 다중 variant였다가 옵션이 사라진 경우 productSet으로 variant 전체를 재구성
+    const previousVariantMappings = syncedDoc.shopifyVariantMappings || [];
+    const useVariantSet = variantPlan.hasOptions || previousVariantMappings.length > 1;
+    let variantMappings = null;
 
     let shopifyApiResult;
     let operationType = '';
@@ -324,62 +1034,78 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       
       // Get existing variant ID for update
       let existingVariant = null;
-      try {
-        const existingProductResponse = await shopifyService.shopifyGraphqlRequest(`
-          query getProduct($id: ID!) {
-            product(id: $id) {
-              variants(first: 1) {
-                edges {
-                  node {
-                    id
-                    inventoryItem {
+      if (!useVariantSet && variantGroupsChanged) {
+        try {
+          const existingProductResponse = await shopifyService.shopifyGraphqlRequest(`
+            query getProduct($id: ID!) {
+              product(id: $id) {
+                variants(first: 1) {
+                  edges {
+                    node {
                       id
+                      inventoryItem {
+                        id
+                      }
                     }
                   }
                 }
               }
             }
-          }
-        `, { id: shopifyProductGid });
+          `, { id: shopifyProductGid });
         
-        if (existingProductResponse?.data?.product?.variants?.edges && 
-            existingProductResponse.data.product.variants.edges.length > 0 &&
-            existingProductResponse.data.product.variants.edges[0]?.node?.id) {
-          existingVariant = existingProductResponse.data.product.variants.edges[0].node;
-        } else {
-          logger.warn(`[CatalogSvc:Job-${jobId}] No existing variant found for product ${shopifyProductGid}. Will update product without variant data.`);
+          if (existingProductResponse?.data?.product?.variants?.edges && 
+              existingProductResponse.data.product.variants.edges.length > 0 &&
+              existingProductResponse.data.product.variants.edges[0]?.node?.id) {
+            existingVariant = existingProductResponse.data.product.variants.edges[0].node;
+          } else {
+            logger.warn(`[CatalogSvc:Job-${jobId}] No existing variant found for product ${shopifyProductGid}. Will update product without variant data.`);
+            failedGroups.add('price').add('quantity');
+          }
+        } catch (variantQueryError) {
+          logger.error(`[CatalogSvc:Job-${jobId}] Failed to query existing variant for product ${shopifyProductGid}: ${variantQueryError.message}`);
+          failedGroups.add('price').add('quantity');
+          // Continue without variant update
         }
-      } catch (variantQueryError) {
-        logger.error(`[CatalogSvc:Job-${jobId}] Failed to query existing variant for product ${shopifyProductGid}: ${variantQueryError.message}`);
-        // Continue without variant update
       }
       
-      logger.info(`[CatalogSvc:Job-${jobId}] Attempting to update Shopify product GID: ${shopifyProductGid}`);
+      logger.info(`[CatalogSvc:Job-${jobId}] Attempting to update Shopify product GID: ${shopifyProductGid} (changed: ${[...changedGroups].join(', ')})`);
       
       // Update product - NO variants in ProductInput
-      const updateInput = {
-        ...shopifyProductInput,
-        id: shopifyProductGid
-      };
-      
-      shopifyApiResult = await shopifyService.updateProduct(updateInput, BUNJANG_COLLECTION_GID, null);
-      createdOrUpdatedProductId = shopifyApiResult?.id;
+      // 재고/가격만 바뀐 경우에는 productUpdate(및 재게시)를 생략
+      if (changedGroups.has('content')) {
+        const updateInput = {
+          ...shopifyProductInput,
+          id: shopifyProductGid
+        };
+        // 더 이상 해당하지 않는 규칙 컬렉션에서는 제외 (기본 컬렉션은 유지)
+        const collectionsToLeave = (syncedDoc.ruleCollectionGids || [])
+          .filter(gid => !ruleTagging.collectionGids.includes(gid) && gid !== BUNJANG_COLLECTION_GID);
+        shopifyApiResult = await shopifyService.updateProduct(updateInput, [BUNJANG_COLLECTION_GID, ...ruleTagging.collectionGids], collectionsToLeave);
+        createdOrUpdatedProductId = shopifyApiResult?.id;
+      } else {
+        createdOrUpdatedProductId = shopifyProductGid;
+      }
       
       // Update variant and inventory separately after product update
-      if (existingVariant && existingVariant.id) {
+      if (!variantGroupsChanged) {
+        logger.debug(`[CatalogSvc:Job-${jobId}] Variant price, quantity and options unchanged for ${shopifyProductGid}. Skipping variant update.`);
+      } else if (useVariantSet) {
+        variantMappings = await applyVariantPlanToShopifyProduct(createdOrUpdatedProductId, variantPlan, inventoryInfo.locationId, false, jobId, { priceLocked });
+      } else if (existingVariant && existingVariant.id) {
         try {
-          // Update variant price and SKU
+          // Update variant price and SKU (가격을 잠근 상품은 Shopify에서 직접 바꾼 가격을 유지)
           const variantUpdateData = {
             id: existingVariant.id,
-            price: variantData.price,
+            ...(!priceLocked && { price: variantData.price }),
             sku: variantData.sku,
             inventoryPolicy: variantData.inventoryPolicy
           };
           await shopifyService.updateProductVariant(variantUpdateData);
           logger.info(`[CatalogSvc:Job-${jobId}] Updated variant for product ${shopifyProductGid}`);
+          variantMappings = [{ sku: variantData.sku, shopifyVariantGid: existingVariant.id, bunjangOptions: [] }];
           
           // Update inventory if we have inventory item ID
-          if (existingVariant.inventoryItem?.id && inventoryInfo.locationId && inventoryInfo.quantity >= 0) {
+          if (changedGroups.has('quantity') && existingVariant.inventoryItem?.id && inventoryInfo.locationId && inventoryInfo.quantity >= 0) {
             try {
               await shopifyService.updateInventoryLevel(
                 existingVariant.inventoryItem.id, 
@@ -389,11 +1115,13 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
               logger.info(`[CatalogSvc:Job-${jobId}] Updated inventory for existing product ${shopifyProductGid}`);
             } catch (invError) {
               logger.error(`[CatalogSvc:Job-${jobId}] Failed to update inventory for ${shopifyProductGid}: ${invError.message}`);
+              failedGroups.add('quantity');
               // Continue without failing the whole sync
             }
           }
         } catch (variantError) {
           logger.error(`[CatalogSvc:Job-${jobId}] Failed to update variant or inventory: ${variantError.message}`);
+          failedGroups.add('price').add('quantity');
           // Continue without failing the whole sync
         }
       }
@@ -420,244 +1148,943 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       logger.debug(`[CatalogSvc:Job-${jobId}] Variant info to be applied after creation:`, variantInfo);
       
       // Create product and handle variant separately
-      shopifyApiResult = await shopifyService.createProduct(createInput, BUNJANG_COLLECTION_GID, variantInfo);
+      // 옵션 상품은 기본 variant 대신 productSet으로 전체 variant를 구성
+      // 검토 대기 중인 상품은 판매 채널에 게시하지 않음 (승인 시 게시)
+      shopifyApiResult = await shopifyService.createProduct(createInput, [BUNJANG_COLLECTION_GID, ...ruleTagging.collectionGids], useVariantSet ? null : variantInfo, { publish: !pendingReview });
       createdOrUpdatedProductId = shopifyApiResult?.id;
+
+      if (createdOrUpdatedProductId && useVariantSet) {
+        variantMappings = await applyVariantPlanToShopifyProduct(createdOrUpdatedProductId, variantPlan, inventoryInfo.locationId, true, jobId);
+      } else if (shopifyApiResult?.variants?.edges?.[0]?.node?.id) {
+        variantMappings = [{ sku: variantData.sku, shopifyVariantGid: shopifyApiResult.variants.edges[0].node.id, bunjangOptions: [] }];
+      }
     }
 
     if (!createdOrUpdatedProductId) {
       throw new Error('Shopify API did not return a valid product ID after create/update.');
     }
 
-    // 이미지 첨부 단계
-    const bunjangImageUrls = bunjangProduct.images;
-    let mediaInputsToAttach = [];
-    const productNameForAlt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
+    // 메타필드 단계: bunjang.* 원본 정보 (실패해도 상품 동기화는 성공으로 두고 다음 동기화 때 재시도)
+    if (changedGroups.has('metafields')) {
+      try {
+        await shopifyService.setProductMetafields(createdOrUpdatedProductId, bunjangMetafields);
+      } catch (metafieldError) {
+        logger.error(`[CatalogSvc:Job-${jobId}] Failed to set Bunjang metafields for product ${createdOrUpdatedProductId}: ${metafieldError.message}`);
+        failedGroups.add('metafields');
+      }
+    }
 
-    // 이미지 URL 유효성 검사 및 변환 함수
-    const processImageUrl = (url) => {
-        if (!url || typeof url !== 'string') return null;
-        let processedUrl = url.trim();
-        
-        // Ensure HTTPS for better Shopify compatibility
-        if (processedUrl.startsWith('http://')) {
-            processedUrl = processedUrl.replace('http://', 'https://');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Converted HTTP to HTTPS: ${processedUrl}`);
-        }
-        
-        // Replace {res} placeholder with standard resolution
-        if (processedUrl.includes('{res}')) {
-            processedUrl = processedUrl.replace('{res}', '856');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Replaced {res} placeholder with 856 in URL: ${processedUrl}`);
+    // 이미지 단계: 첨부된 원본 URL을 추적하여 새 이미지만 추가, 빠진 이미지는 삭제, 번개장터 순서 유지
+    let shopifyMedia = null;
+    if (!changedGroups.has('images')) {
+      logger.debug(`[CatalogSvc:Job-${jobId}] Image list unchanged for product ${createdOrUpdatedProductId}. Skipping media reconciliation.`);
+    } else {
+      try {
+        const mediaResult = await reconcileProductMedia(createdOrUpdatedProductId, bunjangProduct, syncedDoc.shopifyMedia, operationType === 'create', jobId);
+        shopifyMedia = mediaResult.media;
+        if (mediaResult.failedCount > 0) failedGroups.add('images'); // 실패한 이미지는 다음 동기화 때 재시도
+      } catch (mediaError) {
+        // Don't fail the entire sync if media reconciliation fails
+        logger.error(`[CatalogSvc:Job-${jobId}] Failed to reconcile media for product ${createdOrUpdatedProductId}: ${mediaError.message}`, { stack: mediaError.stack });
+        failedGroups.add('images');
+      }
+    }
+
+    await SyncedProduct.updateOne({ bunjangPid }, buildSyncSuccessUpdate({
+      productId: createdOrUpdatedProductId,
+      handle: shopifyApiResult?.handle || syncedDoc.shopifyHandle,
+      syncHashes: resolveSyncHashesToStore(newSyncHashes, storedSyncHashes, failedGroups),
+      shopifyMedia,
+      variantMappings,
+      shopifyPriceString,
+      shopifyStatus: shopifyProductInput.status || syncedDoc.shopifyStatus, // 상태를 잠근 상품은 입력에 status가 없음
+      bunjangOptionsJson: variantPlan.hasOptions ? JSON.stringify(variantPlan.productOptions) : null,
+      ruleTagging,
+      contentApplied: operationType === 'create' || changedGroups.has('content'),
+      bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+      now,
+    }));
+
+    logger.info(`[CatalogSvc:Job-${jobId}] Successfully ${operationType}d Shopify product ${createdOrUpdatedProductId} for Bunjang PID ${bunjangPid}. Changed groups: ${[...changedGroups].join(', ')}.`);
+    return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId, changedGroups: [...changedGroups] };
+
+  } catch (error) {
+    return recordProductSyncError(bunjangPid, error, shopifyProductGid, bunjangCatalogUpdatedAt, jobId);
+  }
+}
+
+// 파일에 없는 상품은 MISSING_FROM_CATALOG, 파일에 있지만 가져오지 않은 상품은 해당 행의 제외 사유
+// (예: "NOT_SELLING:SOLD_OUT", "FILTER_RULE:exclude-luxury")
+function resolveDelistReason(skipReason) {
+  return skipReason || 'MISSING_FROM_CATALOG';
+}
+
+/**
+ * Shopify 상품을 내리고(config.bunjang.delistShopifyStatus) SyncedProduct에 내린 사유를 기록합니다.
+ * @param {{bunjangPid: string, shopifyGid: string}} doc - 내릴 상품의 SyncedProduct 문서.
+ * @param {string} delistReason - 내린 사유 (예: "MISSING_FROM_CATALOG", "NOT_SELLING:SOLD_OUT").
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ */
+async function delistSyncedProduct(doc, delistReason, jobId = 'N/A') {
+  const delistStatus = config.bunjang.delistShopifyStatus;
+  await shopifyService.updateProductStatus(doc.shopifyGid, delistStatus);
+  await SyncedProduct.updateOne({ bunjangPid: doc.bunjangPid }, {
+    $set: { shopifyStatus: delistStatus, delistedAt: new Date(), delistReason },
+  });
+  logger.info(`[CatalogSvc:Job-${jobId}] Delisted Shopify product ${doc.shopifyGid} (PID ${doc.bunjangPid}). Reason: ${delistReason}`);
+
+  // 중복 묶음의 대표 상품이 판매 종료되면 다음 후보를 대신 올림
+  if (config.bunjang.dedupe.enabled && !delistReason.startsWith(DUPLICATE_DELIST_REASON_PREFIX)) {
+    await promoteNextDuplicate(doc.bunjangPid, jobId)
+      .catch(error => logger.warn(`[CatalogSvc:Job-${jobId}] Failed to promote next duplicate candidate for PID ${doc.bunjangPid}: ${error.message}`));
+  }
+}
+
+/**
+ * 전체 카탈로그 처리 후, 이번 실행에서 판매중(SELLING)으로 확인되지 않은 상품을 Shopify에서 내립니다.
+ * (config.bunjang.delistShopifyStatus에 따라 ARCHIVED 또는 DRAFT로 전환)
+ * @param {Date} runStartedAt - 카탈로그 실행 시작 시간. 이 시간 이후 lastSeenInCatalogAt이 갱신되지 않은 상품이 대상.
+ * @param {Map<string, string>} nonImportedReasonByPid - 파일에는 있었지만 가져오지 않은 행의 PID -> 제외 사유.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{candidates: number, delisted: number, errors: number, aborted: boolean}>}
+ */
+async function delistProductsMissingFromCatalog(runStartedAt, nonImportedReasonByPid, jobId = 'N/A', runRecorder = null) {
+  const delistStatus = config.bunjang.delistShopifyStatus;
+  const result = { candidates: 0, delisted: 0, errors: 0, aborted: false };
+
+  const candidateFilter = {
+    shopifyGid: { $exists: true, $ne: null },
+    delistedAt: null,
+    $or: [{ lastSeenInCatalogAt: { $lt: runStartedAt } }, { lastSeenInCatalogAt: null }],
+  };
+
+  const [candidateCount, listedCount] = await Promise.all([
+    SyncedProduct.countDocuments(candidateFilter),
+    SyncedProduct.countDocuments({ shopifyGid: { $exists: true, $ne: null }, delistedAt: null }),
+  ]);
+  result.candidates = candidateCount;
+
+  if (candidateCount === 0) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Delisting pass: no Shopify products missing from the catalog.`);
+    return result;
+  }
+
+  // 카탈로그 파일이 잘렸거나 비정상일 때 스토어 전체가 내려가는 것을 방지
+  const maxRatio = config.bunjang.delistMaxRatio;
+  if (listedCount > 0 && candidateCount / listedCount > maxRatio) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Delisting pass aborted: ${candidateCount}/${listedCount} listed products are missing from the catalog, which exceeds the safety ratio ${maxRatio}. Check the catalog file.`);
+    result.aborted = true;
+    return result;
+  }
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Delisting pass: ${candidateCount} Shopify products will be set to ${delistStatus}.`);
+  const cursor = SyncedProduct.find(candidateFilter).select('bunjangPid shopifyGid').lean().cursor();
+
+  for await (const doc of cursor) {
+    const delistReason = resolveDelistReason(nonImportedReasonByPid.get(doc.bunjangPid));
+
+    try {
+      await delistSyncedProduct(doc, delistReason, jobId);
+      result.delisted++;
+      await runRecorder?.recordDelist({ bunjangPid: doc.bunjangPid, shopifyGid: doc.shopifyGid, reason: delistReason });
+    } catch (error) {
+      result.errors++;
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to delist Shopify product ${doc.shopifyGid} (PID ${doc.bunjangPid}): ${error.message}`);
+      await runRecorder?.recordDelist({ bunjangPid: doc.bunjangPid, shopifyGid: doc.shopifyGid, error });
+    }
+  }
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Delisting pass finished.`, result);
+  return result;
+}
+
+/**
+ * 번개장터 상품 상세 API로 최신 정보를 조회해 상품 하나를 Shopify에 바로 동기화합니다. (개별 상품 재동기화)
+ * 상세 정보는 카탈로그 행과 같은 판정(판매 상태, 카테고리 필터, 필터 규칙)을 거치며,
+ * 가져오지 않는 상품이 Shopify에 올라가 있으면 카탈로그 내리기와 같은 사유로 내립니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options={}]
+ * @param {boolean} [options.force=true] - true이면 변경 여부와 관계없이 모든 그룹을 다시 씀 (Shopify에서 직접 수정되어 어긋난 상품 복구용).
+ * @param {object} [options.filterRuleSet] - 미리 읽은 loadActiveFilterRules() 결과 (여러 상품을 처리할 때). 없으면 새로 읽음.
+ * @returns {Promise<{bunjangPid: string, status: string, message?: string, shopifyGid?: string|null, operation?: string, changedGroups?: string[], skipReason?: string}>}
+ *   status: syncBunjangProductToShopify 결과 상태, 또는 'not_found', 'skipped_not_importable', 'delisted'.
+ */
+async function syncBunjangProductByPid(bunjangPid, jobId = 'N/A', options = {}) {
+  const { force = true } = options;
+  const details = await bunjangService.getBunjangProductDetails(bunjangPid);
+  if (!details) {
+    // 상세 조회는 404와 일시 오류를 구분하지 않으므로 여기서는 내리지 않음 (전체 카탈로그 동기화가 처리)
+    logger.warn(`[CatalogSvc:Job-${jobId}] Bunjang product details unavailable for PID ${bunjangPid}. Skipping resync.`);
+    return { bunjangPid, status: 'not_found', message: 'Bunjang product details could not be fetched (not found or API error).' };
+  }
+
+  const row = mapBunjangProductDetailsToCatalogRow(details);
+  if (!row.pid) row.pid = String(bunjangPid);
+  const { product, skipReason } = evaluateCatalogRow(row, 1, options.filterRuleSet || await loadActiveFilterRules());
+
+  if (!product) {
+    if (isFilterSkipReason(skipReason)) await markFilteredOutProducts([{ bunjangPid, reason: skipReason }]);
+    const listedDoc = await SyncedProduct.findOne({ bunjangPid, shopifyGid: { $exists: true, $ne: null }, delistedAt: null })
+      .select('bunjangPid shopifyGid').lean();
+    if (!listedDoc) {
+      logger.info(`[CatalogSvc:Job-${jobId}] PID ${bunjangPid} is not importable (${skipReason}) and not listed on Shopify. Nothing to do.`);
+      // 대신 올리려던 중복 후보가 이미 판매 종료된 경우 다음 후보로 넘어감
+      if (config.bunjang.dedupe.enabled) await promoteNextDuplicate(bunjangPid, jobId);
+      return { bunjangPid, status: 'skipped_not_importable', skipReason };
+    }
+    const delistReason = resolveDelistReason(skipReason);
+    await delistSyncedProduct(listedDoc, delistReason, jobId);
+    return { bunjangPid, status: 'delisted', shopifyGid: listedDoc.shopifyGid, skipReason: delistReason };
+  }
+
+  const result = await syncBunjangProductToShopify(product, jobId, { forceFullSync: force });
+  return { bunjangPid, ...result };
+}
+
+/**
+ * 카탈로그에 없는 Shopify 상품을 내리는 단계를 실행할지 판단합니다.
+ * 로컬/업로드 파일은 지난 시점의 카탈로그일 수 있으므로, 호출자가 options.delistMissing으로 명시한 경우에만 내립니다.
+ * @param {'full'|'segment'} catalogType - 카탈로그 타입.
+ * @param {{localFilePath?: string, delistMissing?: boolean}} options - fetchAndProcessBunjangCatalog 옵션.
+ * @returns {boolean}
+ */
+function shouldDelistMissingProducts(catalogType, options) {
+  return catalogType === 'full' && config.bunjang.delistEnabled && (!options.localFilePath || !!options.delistMissing);
+}
+
+/**
+ * Shopify에 반영하지 않고 카탈로그 파일을 분석하여 생성/수정/내리기/건너뛰기 예정 내역을 보고서로 저장합니다.
+ * 보고서는 CatalogDryRunReport(요약)와 CatalogDryRunItem(상품별 내역)에 jobId 기준으로 저장됩니다.
+ * @param {'full'|'segment'} catalogType - 카탈로그 타입.
+ * @param {string} catalogFileNameGz - 카탈로그 파일명.
+ * @param {function(string): Promise<string>} obtainCsvFile - 로컬 CSV 파일명(확장자 제외)을 받아 CSV를 준비하고 경로를 반환하는 함수.
+ * @param {string} reportJobId - 보고서 조회 키 (BullMQ 작업 ID).
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options={}] - fetchAndProcessBunjangCatalog 옵션 (skipStaleRows, localFilePath, delistMissing).
+ * @returns {Promise<object>} dry-run 요약.
+ */
+async function runCatalogDryRun(catalogType, catalogFileNameGz, obtainCsvFile, reportJobId, jobIdForLog = 'N/A', options = {}) {
+  const filterRuleSet = await loadActiveFilterRules();
+  const counts = { totalRows: 0, create: 0, update: 0, archive: 0, skippedNoChange: 0, filteredOut: 0, priceChanged: 0, errors: 0 };
+  await CatalogDryRunItem.deleteMany({ jobId: reportJobId }); // 작업 재시도 시 이전 내역 제거
+  await CatalogDryRunReport.findOneAndUpdate(
+    { jobId: reportJobId },
+    {
+      $set: {
+        catalogType,
+        catalogFileName: catalogFileNameGz,
+        status: 'RUNNING',
+        counts,
+        archiveAborted: false,
+        errorMessage: null,
+        startedAt: new Date(),
+        completedAt: null,
+        configSnapshot: {
+          markupPercentage: config.priceCalculation.markupPercentage,
+          handlingFeeUsd: config.priceCalculation.handlingFeeUsd,
+          filterCategoryIds: config.bunjang.filterCategoryIds,
+          filterRules: filterRuleSet.ruleNames,
+          delistEnabled: shouldDelistMissingProducts(catalogType, options),
+          delistShopifyStatus: config.bunjang.delistShopifyStatus,
+          delistMaxRatio: config.bunjang.delistMaxRatio,
+        },
+      },
+    },
+    { upsert: true }
+  );
+
+  let pendingItems = [];
+  const flushItems = async () => {
+    if (pendingItems.length === 0) return;
+    const items = pendingItems;
+    pendingItems = [];
+    await CatalogDryRunItem.insertMany(items, { ordered: false });
+  };
+  const addItem = async (item) => {
+    pendingItems.push({ jobId: reportJobId, ...item });
+    if (pendingItems.length >= 500) await flushItems();
+  };
+
+  const baseFileNameWithoutExt = `${catalogFileNameGz.replace(/\.csv(\.gz)?$/, '')}_dryrun`;
+  let localCsvPath = null;
+
+  try {
+    localCsvPath = await obtainCsvFile(baseFileNameWithoutExt);
+    const seenPids = new Set();
+    const nonImportedReasonByPid = new Map();
+
+    for await (const row of fs.createReadStream(localCsvPath).pipe(csv())) {
+      counts.totalRows++;
+      const rowNumber = counts.totalRows;
+      const { product, skipReason } = evaluateCatalogRow(row, rowNumber, filterRuleSet);
+      if (!product) {
+        counts.filteredOut++;
+        const pid = (row.pid || '').trim();
+        if (pid) nonImportedReasonByPid.set(pid, skipReason);
+        // 판매중이 아닌 행은 건수만 집계 (Shopify에 있던 상품이면 아래 내리기 대상으로 보고됨)
+        if (!skipReason.startsWith('NOT_SELLING')) {
+          await addItem({ bunjangPid: pid, rowNumber, action: 'FILTERED_OUT', reason: skipReason, productName: (row.name || '').trim() });
         }
-        
-        // Basic URL validation
-        if (!processedUrl.startsWith('https://')) return null;
-        
-        // 번개장터 이미지 서버 도메인 확인
-        const bunjangDomains = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
-        try {
-            const urlObj = new URL(processedUrl);
-            const isBunjangUrl = bunjangDomains.some(domain => urlObj.hostname.includes(domain));
-            
-            // Accept Bunjang URLs (even though they might fail later) and standard image files
-            if (isBunjangUrl) {
-                logger.debug(`[CatalogSvc:Job-${jobId}] Bunjang image URL will be attempted: ${processedUrl}`);
-                return processedUrl;
-            }
-            
-            // For non-Bunjang URLs, check for image extensions
-            if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) {
-                return processedUrl;
-            }
-            
-            // Also accept URLs without extensions if they're from known CDNs
-            const knownCdns = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
-            if (knownCdns.some(cdn => urlObj.hostname.includes(cdn))) {
-                return processedUrl;
-            }
-            
-            return null;
-        } catch (e) {
-            return null;
+        continue;
+      }
+
+      seenPids.add(product.pid);
+      try {
+        const syncedDoc = await SyncedProduct.findOne({ bunjangPid: product.pid }).lean();
+        if (options.skipStaleRows && syncedDoc?.bunjangUpdatedAt && product.updatedAt &&
+            new Date(syncedDoc.bunjangUpdatedAt).getTime() > product.updatedAt.getTime()) {
+          counts.skippedNoChange++;
+          await addItem({ bunjangPid: product.pid, rowNumber, productName: product.name, shopifyGid: syncedDoc.shopifyGid, action: 'SKIP_NO_CHANGE', reason: 'STALE_ROW' });
+          continue;
         }
-    };
+        const plan = await buildProductSyncPlan(product, syncedDoc, syncedDoc?.bunjangUpdatedAt, { dryRun: true });
+        const item = {
+          bunjangPid: product.pid,
+          rowNumber,
+          productName: product.name,
+          shopifyGid: syncedDoc?.shopifyGid,
+          currentPriceUsd: syncedDoc?.shopifyListedPriceUsd,
+          newPriceUsd: plan.shopifyPriceString,
+        };
+        if (syncedDoc?.shopifyListedPriceUsd && syncedDoc.shopifyListedPriceUsd !== plan.shopifyPriceString) counts.priceChanged++;
 
-    if (typeof bunjangImageUrls === 'string' && bunjangImageUrls.trim() !== '') {
-        mediaInputsToAttach = bunjangImageUrls.split(',')
-            .map(url => url.trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    } else if (Array.isArray(bunjangImageUrls)) {
-        mediaInputsToAttach = bunjangImageUrls
-            .map(url => String(url || '').trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    }
-    
-    if (mediaInputsToAttach.length > 0) {
-        if (shopifyService.appendMediaToProduct) {
-            try {
-                logger.info(`[CatalogSvc:Job-${jobId}] Attaching ${mediaInputsToAttach.length} media items to product ${createdOrUpdatedProductId}`);
-                const mediaResult = await shopifyService.appendMediaToProduct(createdOrUpdatedProductId, mediaInputsToAttach.slice(0, 250));
-                
-                // Log warning if some images failed (common with Bunjang URLs)
-                if (mediaResult?.warning) {
-                    logger.warn(`[CatalogSvc:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
-                }
-                
-                const successfulMedia = mediaResult?.media?.filter(m => m.status !== 'FAILED')?.length || 0;
-                if (successfulMedia > 0) {
-                    logger.info(`[CatalogSvc:Job-${jobId}] Successfully attached ${successfulMedia} media items to product.`);
-                }
-            } catch (mediaError) {
-                // Don't fail the entire sync if media attachment fails
-                logger.error(`[CatalogSvc:Job-${jobId}] Failed to attach media to product ${createdOrUpdatedProductId}: ${mediaError.message}`, { stack: mediaError.stack });
-                // Continue with the sync - product is already created/updated
-            }
+        if (plan.decision === 'skip_filter') {
+          counts.filteredOut++;
+          await addItem({ ...item, action: 'FILTERED_OUT', reason: 'TRANSFORM_FILTERED' });
+        } else if (plan.decision === 'sync') {
+          const action = syncedDoc?.shopifyGid ? 'UPDATE' : 'CREATE';
+          counts[action === 'UPDATE' ? 'update' : 'create']++;
+          await addItem({ ...item, action, changedGroups: [...plan.changedGroups] });
         } else {
-            logger.warn(`[CatalogSvc:Job-${jobId}] shopifyService.appendMediaToProduct function is not defined. Skipping media attachment for product ${createdOrUpdatedProductId}.`);
+          counts.skippedNoChange++;
+          await addItem({ ...item, action: 'SKIP_NO_CHANGE' });
         }
+      } catch (rowError) {
+        counts.errors++;
+        await addItem({ bunjangPid: product.pid, rowNumber, productName: product.name, action: 'ERROR', reason: rowError.message.substring(0, 500) });
+      }
+    }
+
+    // 전체 카탈로그: 파일에서 판매중으로 확인되지 않은 Shopify 상품은 내리기 대상
+    let archiveAborted = false;
+    if (shouldDelistMissingProducts(catalogType, options) && seenPids.size > 0) {
+      const listedFilter = { shopifyGid: { $exists: true, $ne: null }, delistedAt: null };
+      const listedCount = await SyncedProduct.countDocuments(listedFilter);
+      const archiveItems = [];
+      const cursor = SyncedProduct.find(listedFilter).select('bunjangPid shopifyGid bunjangProductName shopifyListedPriceUsd').lean().cursor();
+      for await (const doc of cursor) {
+        if (seenPids.has(doc.bunjangPid)) continue;
+        archiveItems.push({
+          bunjangPid: doc.bunjangPid,
+          action: 'ARCHIVE',
+          reason: resolveDelistReason(nonImportedReasonByPid.get(doc.bunjangPid)),
+          productName: doc.bunjangProductName,
+          shopifyGid: doc.shopifyGid,
+          currentPriceUsd: doc.shopifyListedPriceUsd,
+        });
+      }
+      counts.archive = archiveItems.length;
+      archiveAborted = listedCount > 0 && archiveItems.length / listedCount > config.bunjang.delistMaxRatio;
+      for (const item of archiveItems) await addItem(item);
     }
+    await flushItems();
 
-    await SyncedProduct.updateOne({ bunjangPid }, {
+    await CatalogDryRunReport.updateOne(
+      { jobId: reportJobId },
+      { $set: { status: 'COMPLETED', counts, archiveAborted, completedAt: new Date() } }
+    );
+    const summary = { dryRun: true, reportJobId, filename: catalogFileNameGz, ...counts, archiveAborted };
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog dry-run finished. No Shopify changes were made. Summary:`, summary);
+    return summary;
+  } catch (error) {
+    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Catalog dry-run failed: ${error.message}`, { stack: error.stack });
+    await flushItems().catch(() => {});
+    await CatalogDryRunReport.updateOne(
+      { jobId: reportJobId },
+      { $set: { status: 'FAILED', counts, errorMessage: error.message.substring(0, 1000), completedAt: new Date() } }
+    ).catch(reportError => logger.error(`[CatalogSvc:Job-${jobIdForLog}] Failed to mark dry-run report as FAILED: ${reportError.message}`));
+    throw error;
+  } finally {
+    if (localCsvPath && await fs.pathExists(localCsvPath)) {
+      await fs.remove(localCsvPath).catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up dry-run CSV file ${localCsvPath}:`, unlinkError));
+    }
+  }
+}
+
+/**
+ * 저장된 dry-run 보고서와 상품별 내역을 조회합니다.
+ * @param {string} jobId - dry-run 작업 ID.
+ * @param {object} [options={}]
+ * @param {string} [options.action] - 내역 필터 (CREATE, UPDATE, ARCHIVE, SKIP_NO_CHANGE, FILTERED_OUT, ERROR).
+ * @param {number} [options.page=1] - 페이지 번호.
+ * @param {number} [options.limit=100] - 페이지당 내역 수.
+ * @returns {Promise<{report: object, items: object[], pagination: object}>}
+ * @throws {NotFoundError} 보고서가 없는 경우.
+ */
+async function getCatalogDryRunReport(jobId, { action, page = 1, limit = 100 } = {}) {
+  const report = await CatalogDryRunReport.findOne({ jobId: String(jobId) }).lean();
+  if (!report) {
+    throw new NotFoundError(undefined, 'CatalogDryRunReport', jobId);
+  }
+
+  const itemFilter = { jobId: report.jobId, ...(action && { action }) };
+  const [items, totalItems] = await Promise.all([
+    CatalogDryRunItem.find(itemFilter).sort({ action: 1, rowNumber: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    CatalogDryRunItem.countDocuments(itemFilter),
+  ]);
+  return {
+    report,
+    items,
+    pagination: { page, limit, totalItems, totalPages: Math.ceil(totalItems / limit) },
+  };
+}
+
+/**
+ * 체크포인트 기준으로 로컬 CSV 파일을 준비합니다.
+ * 진행 중인 체크포인트가 있고 같은 로컬 파일이 남아 있으면 재사용하고, 아니면 새로 다운로드합니다.
+ * @returns {Promise<{localCsvPath: string, checkpoint: object, resumed: boolean}>}
+ */
+async function prepareCatalogCheckpoint(catalogType, catalogFileNameGz, obtainCsvFile, jobIdForLog) {
+  const baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv(\.gz)?$/, '');
+  const existing = await CatalogCheckpoint.findOne({ catalogFileName: catalogFileNameGz }).lean();
+
+  if (existing && existing.status === 'IN_PROGRESS' && existing.localCsvPath && await fs.pathExists(existing.localCsvPath)) {
+    const stats = await fs.stat(existing.localCsvPath);
+    if (stats.size === existing.localCsvSizeBytes) {
+      const checkpoint = await CatalogCheckpoint.findOneAndUpdate(
+        { catalogFileName: catalogFileNameGz },
+        { $inc: { resumeCount: 1 }, $set: { lastJobId: jobIdForLog } },
+        { new: true, lean: true }
+      );
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Resuming ${catalogFileNameGz} from checkpoint at row ${checkpoint.rowOffset} (resume #${checkpoint.resumeCount}).`);
+      return { localCsvPath: existing.localCsvPath, checkpoint, resumed: true };
+    }
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Local CSV for ${catalogFileNameGz} changed since the last checkpoint. Restarting from the first row.`);
+  }
+
+  const localCsvPath = await obtainCsvFile(baseFileNameWithoutExt);
+  const stats = await fs.stat(localCsvPath);
+
+  // 로컬 파일이 없어 다시 받은 경우에도 진행 중이던 위치는 유지 (같은 이름의 카탈로그 파일)
+  const keepProgress = existing && existing.status === 'IN_PROGRESS';
+  const checkpoint = await CatalogCheckpoint.findOneAndUpdate(
+    { catalogFileName: catalogFileNameGz },
+    {
       $set: {
-        shopifyGid: createdOrUpdatedProductId,
-        shopifyProductId: createdOrUpdatedProductId.split('/').pop(),
-        shopifyHandle: shopifyApiResult.handle,
-        lastSuccessfulSyncAt: now,
-        syncStatus: 'SYNCED',
-        syncErrorMessage: null,
-        syncErrorStackSample: null,
-        shopifyListedPriceUsd: shopifyPriceString,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        syncAttemptCount: 0
+        catalogType,
+        status: 'IN_PROGRESS',
+        localCsvPath,
+        localCsvSizeBytes: stats.size,
+        lastJobId: jobIdForLog,
+        completedAt: null,
+        ...(!keepProgress && {
+          runStartedAt: new Date(),
+          rowOffset: 0,
+          counters: { successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0, skippedDuplicate: 0 },
+          resumeCount: 0,
+          pendingBulkOperation: null,
+        }),
       },
-      $inc: { syncSuccessCount: 1 },
-    });
+      ...(keepProgress && { $inc: { resumeCount: 1 } }),
+    },
+    { upsert: true, new: true, lean: true }
+  );
+  if (keepProgress) {
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Re-downloaded ${catalogFileNameGz}. Resuming from checkpoint at row ${checkpoint.rowOffset}.`);
+  }
+  return { localCsvPath, checkpoint, resumed: !!keepProgress };
+}
 
-    logger.info(`[CatalogSvc:Job-${jobId}] Successfully ${operationType}d Shopify product ${createdOrUpdatedProductId} for Bunjang PID ${bunjangPid}. Assigned to collection ${BUNJANG_COLLECTION_GID} and published to online store.`);
-    return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId };
+/**
+ * 벌크 동기화용 productSet 입력을 만듭니다.
+ * productSet의 collections는 상품의 컬렉션 목록 전체를 교체하므로 새 상품에만 지정하고, 기존 상품의 규칙 컬렉션은 작업 완료 후 조정합니다.
+ * bunjang.* 메타필드는 productSet에 함께 넣어 별도 metafieldsSet 호출 없이 반영합니다.
+ * @param {object} transformResult - transformBunjangRowToShopifyInput 결과.
+ * @param {string|null} shopifyProductGid - 기존 Shopify 상품 GID (새 상품이면 null).
+ * @param {Array<object>} [variants=transformResult.variantPlan.variants] - productSet에 보낼 variants (가격을 잠근 상품은 keepShopifyVariantPrices 결과).
+ * @returns {object} ProductSetInput.
+ */
+function buildBulkProductSetInput(transformResult, shopifyProductGid, variants = transformResult.variantPlan.variants) {
+  const { productInput, variantPlan, inventoryInfo, ruleTagging, bunjangMetafields } = transformResult;
+  const { publishedAt, metafields: originalTextMetafields = [], ...productFields } = productInput; // ProductSetInput에는 publishedAt이 없으므로 새 상품은 작업 완료 후 게시
+  return {
+    ...(shopifyProductGid ? { id: shopifyProductGid } : { collections: [BUNJANG_COLLECTION_GID, ...ruleTagging.collectionGids] }),
+    ...productFields,
+    metafields: [...bunjangMetafields, ...originalTextMetafields],
+    ...shopifyService.buildProductSetOptionsInput(variantPlan.productOptions, variants, inventoryInfo.locationId),
+  };
+}
 
+/**
+ * 벌크 동기화용으로 카탈로그 행 하나를 준비합니다. (상품별 동기화의 기록/계획 단계와 동일)
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @param {object} [options={}] - recordCatalogRowForSync 옵션.
+ * @returns {Promise<{result?: object, variables?: object, context?: object}>}
+ *   반영 대상이면 productSet 변수(variables)와 결과 반영용 정보(context), 건너뛰었거나 실패했으면 동기화 결과(result).
+ */
+async function prepareBulkSyncRow(bunjangProduct, jobId, options = {}) {
+  const prepared = await recordCatalogRowForSync(bunjangProduct, jobId, options);
+  if (prepared.skipResult) return { result: prepared.skipResult };
+  const { shopifyProductGid, previousBunjangUpdatedAt, now } = prepared;
+  let { syncedDoc } = prepared;
+
+  try {
+    const duplicateResult = await applyDuplicateListingStage(bunjangProduct, syncedDoc, jobId);
+    if (duplicateResult) return { result: duplicateResult };
+    const reviewStage = await applyReviewStage(bunjangProduct, syncedDoc, shopifyProductGid, jobId);
+    if (reviewStage.skipResult) return { result: reviewStage.skipResult };
+    syncedDoc = reviewStage.syncedDoc;
+
+    const syncPlan = await buildProductSyncPlan(bunjangProduct, syncedDoc, previousBunjangUpdatedAt);
+    const skipResult = await applyNonSyncDecision(syncPlan, bunjangProduct, now, jobId);
+    if (skipResult) return { result: skipResult };
+
+    const { shopifyPriceString, transformResult, newSyncHashes, storedSyncHashes, changedGroups, priceLocked, pendingReview } = syncPlan;
+    const { productInput, inventoryInfo, variantPlan, ruleTagging } = transformResult;
+    // productSet은 variant 가격을 항상 쓰므로, 가격을 잠근 상품은 Shopify의 현재 가격을 그대로 보냄
+    const variantsInput = priceLocked && shopifyProductGid ? await keepShopifyVariantPrices(shopifyProductGid, variantPlan.variants) : variantPlan.variants;
+    return {
+      variables: { input: buildBulkProductSetInput(transformResult, shopifyProductGid, variantsInput) },
+      context: {
+        bunjangPid: bunjangProduct.pid,
+        name: bunjangProduct.name,
+        images: extractBunjangImageUrls(bunjangProduct.images),
+        bunjangUpdatedAt: bunjangProduct.updatedAt,
+        shopifyGid: shopifyProductGid || null,
+        changedGroups: [...changedGroups],
+        newSyncHashes,
+        storedSyncHashes,
+        shopifyPriceString,
+        shopifyStatus: productInput.status || syncedDoc.shopifyStatus,
+        pendingReview,
+        bunjangOptionsJson: variantPlan.hasOptions ? JSON.stringify(variantPlan.productOptions) : null,
+        ruleTagging: { tags: ruleTagging.tags, collectionGids: ruleTagging.collectionGids },
+        previousRuleCollectionGids: syncedDoc.ruleCollectionGids || [],
+        locationId: inventoryInfo.locationId,
+        variants: variantPlan.variants.map(variant => ({
+          sku: variant.sku,
+          quantity: variant.quantity,
+          bunjangOptions: variantPlan.hasOptions ? variant.optionValues.map(ov => ({ name: ov.optionName, value: ov.name })) : [],
+        })),
+      },
+    };
   } catch (error) {
-    let errorMessage = error.message;
-    if (error.userErrors && Array.isArray(error.userErrors) && error.userErrors.length > 0) {
-        errorMessage = error.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
-    } else if (error.networkError) {
-        errorMessage = `Network error: ${error.message}`;
+    return { result: await recordProductSyncError(bunjangProduct.pid, error, shopifyProductGid, bunjangProduct.updatedAt, jobId) };
+  }
+}
+
+/**
+ * 벌크 productSet 결과 한 건을 반영합니다.
+ * productSet으로 처리되지 않는 작업(새 상품 게시, 기존 상품의 재고/규칙 컬렉션, 이미지)을 이어서 실행하고 SyncedProduct를 갱신합니다.
+ * @param {object} context - prepareBulkSyncRow의 context (JSONL에서 읽은 값).
+ * @param {object|undefined} resultLine - 벌크 결과 JSONL에서 같은 줄 번호의 결과. 없으면 실패로 기록.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @returns {Promise<object>} 동기화 결과 (status: 'success' 또는 'error').
+ */
+async function applyBulkProductSetResult(context, resultLine, jobId) {
+  const { bunjangPid, shopifyGid: previousGid } = context;
+  const bunjangCatalogUpdatedAt = context.bunjangUpdatedAt ? new Date(context.bunjangUpdatedAt) : null;
+  const payload = resultLine?.data?.productSet;
+  const product = payload?.product;
+  const errors = [...(resultLine?.errors || []), ...(payload?.userErrors || [])];
+
+  if (!product?.id || errors.length > 0) {
+    const reason = errors.length > 0
+      ? errors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ')
+      : 'No result returned by the bulk operation.';
+    const error = new ExternalServiceError('ShopifyBulkOperation', null, `Bulk productSet failed: ${reason}`, 'SHOPIFY_BULK_PRODUCT_SET_ERROR');
+    return recordProductSyncError(bunjangPid, error, previousGid, bunjangCatalogUpdatedAt, jobId);
+  }
+
+  const productId = product.id;
+  const isNewProduct = !previousGid;
+  const changedGroups = new Set(context.changedGroups);
+  const failedGroups = new Set();
+  const shopifyVariantBySku = new Map((product.variants?.edges || []).map(edge => [edge.node.sku, edge.node]));
+
+  try {
+    if (isNewProduct && !context.pendingReview) { // 검토 대기 중인 상품은 승인 시 게시
+      try {
+        await shopifyService.publishProductToOnlineStore(productId);
+      } catch (publishError) {
+        logger.error(`[CatalogSvc:Job-${jobId}] Failed to publish bulk-created product ${productId}: ${publishError.message}`);
+      }
+    } else if (changedGroups.has('content')) {
+      // 더 이상 해당하지 않는 규칙 컬렉션에서는 제외 (기본 컬렉션은 유지)
+      const collectionsToLeave = context.previousRuleCollectionGids
+        .filter(gid => !context.ruleTagging.collectionGids.includes(gid) && gid !== BUNJANG_COLLECTION_GID);
+      try {
+        await shopifyService.updateProductCollections(productId, [BUNJANG_COLLECTION_GID, ...context.ruleTagging.collectionGids], collectionsToLeave);
+      } catch (collectionError) {
+        logger.error(`[CatalogSvc:Job-${jobId}] Failed to update collections for ${productId}: ${collectionError.message}`);
+        failedGroups.add('content');
+      }
     }
-    const errorStackSample = error.stack ? error.stack.substring(0, 1000) : null;
-    logger.error(`[CatalogSvc:Job-${jobId}] Failed to ${shopifyProductGid ? 'update' : 'create'} Shopify product for Bunjang PID ${bunjangPid}: ${errorMessage}`, { originalErrorStack: error.originalError?.stack || error.stack });
 
-    await SyncedProduct.updateOne({ bunjangPid }, {
-      $set: {
-        syncStatus: 'ERROR',
-        syncErrorMessage: errorMessage.substring(0, 1000),
-        syncErrorStackSample: errorStackSample,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        ...(shopifyProductGid && { shopifyGid: shopifyProductGid })
+    // productSet의 재고 설정은 새 variant에만 적용되므로 기존 상품은 재고를 별도로 갱신
+    if (!isNewProduct && changedGroups.has('quantity') && context.locationId) {
+      for (const variant of context.variants) {
+        const inventoryItemId = shopifyVariantBySku.get(variant.sku)?.inventoryItem?.id;
+        if (!inventoryItemId) continue;
+        try {
+          await shopifyService.updateInventoryLevel(inventoryItemId, context.locationId, variant.quantity);
+        } catch (invError) {
+          logger.error(`[CatalogSvc:Job-${jobId}] Failed to update inventory for variant ${variant.sku} of ${productId}: ${invError.message}`);
+          failedGroups.add('quantity');
+        }
       }
-    });
-    return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
+    }
+
+    const variantMappings = context.variants
+      .filter(variant => shopifyVariantBySku.has(variant.sku))
+      .map(variant => ({ sku: variant.sku, shopifyVariantGid: shopifyVariantBySku.get(variant.sku).id, bunjangOptions: variant.bunjangOptions }));
+
+    let shopifyMedia = null;
+    if (changedGroups.has('images')) {
+      try {
+        const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).select('shopifyMedia').lean();
+        const mediaResult = await reconcileProductMedia(productId, { images: context.images, name: context.name }, syncedDoc?.shopifyMedia, isNewProduct, jobId);
+        shopifyMedia = mediaResult.media;
+        if (mediaResult.failedCount > 0) failedGroups.add('images');
+      } catch (mediaError) {
+        logger.error(`[CatalogSvc:Job-${jobId}] Failed to reconcile media for product ${productId}: ${mediaError.message}`, { stack: mediaError.stack });
+        failedGroups.add('images');
+      }
+    }
+
+    await SyncedProduct.updateOne({ bunjangPid }, buildSyncSuccessUpdate({
+      productId,
+      handle: product.handle,
+      syncHashes: resolveSyncHashesToStore(context.newSyncHashes, context.storedSyncHashes || {}, failedGroups),
+      shopifyMedia,
+      variantMappings: variantMappings.length > 0 ? variantMappings : null,
+      shopifyPriceString: context.shopifyPriceString,
+      shopifyStatus: context.shopifyStatus,
+      bunjangOptionsJson: context.bunjangOptionsJson,
+      ruleTagging: context.ruleTagging,
+      contentApplied: !failedGroups.has('content'), // productSet은 항상 태그를 포함한 content 전체를 반영
+      bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+      now: new Date(),
+    }));
+    return { status: 'success', operation: isNewProduct ? 'create' : 'update', shopifyGid: productId, changedGroups: [...changedGroups] };
+  } catch (error) {
+    return recordProductSyncError(bunjangPid, error, productId, bunjangCatalogUpdatedAt, jobId);
   }
 }
 
-async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
-  let catalogFileUrl;
-  let catalogFileNameGz;
-  let baseFileNameWithoutExt;
+/**
+ * 벌크 배치를 제출(이미 제출된 경우 bulkOperationId 사용)하고 완료를 기다린 뒤 결과를 상품별로 반영합니다.
+ * @param {{variablesPath: string, contextPath: string, bulkOperationId?: string}} batch - 배치 파일 정보.
+ * @param {function(string): Promise<void>} onSubmitted - 제출 직후 작업 ID를 받아 체크포인트에 기록하는 콜백.
+ * @param {string} jobId - 로깅용 작업 식별자.
+ * @returns {Promise<{results: Array<PromiseSettledResult<object>>, bunjangPids: string[]}>} 상품별 동기화 결과와 해당 번개장터 PID (context 파일 순서).
+ */
+async function runBulkSyncBatch(batch, onSubmitted, jobId) {
+  let bulkOperationId = batch.bulkOperationId;
+  if (!bulkOperationId) {
+    const submitted = await submitBulkProductSet(batch.variablesPath, jobId);
+    bulkOperationId = submitted.id;
+    await onSubmitted(bulkOperationId);
+  }
+
+  const operation = await waitForBulkOperation(bulkOperationId, jobId);
+  if (operation.status !== 'COMPLETED') {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Bulk operation ${bulkOperationId} ended with status ${operation.status} (errorCode: ${operation.errorCode || 'N/A'}). Applying partial results; products without a result are recorded as errors.`);
+  }
 
-  const fileDate = new Date();
-  catalogFileNameGz = generateBunjangCatalogFilename(catalogType, fileDate);
-  baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+  const contexts = (await fs.readFile(batch.contextPath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const resultByLineNumber = new Map();
+  await forEachBulkOperationResult(operation, async (resultLine) => {
+    resultByLineNumber.set(resultLine.__lineNumber, resultLine);
+  });
+  logger.info(`[CatalogSvc:Job-${jobId}] Bulk operation ${bulkOperationId} returned ${resultByLineNumber.size}/${contexts.length} results. Applying.`);
 
-  if (!config.bunjang?.catalogApiUrl) {
-    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
-    throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+  const concurrency = config.bunjang?.syncConcurrency || 1;
+  const results = [];
+  for (let start = 0; start < contexts.length; start += concurrency) {
+    const settled = await Promise.allSettled(
+      contexts.slice(start, start + concurrency).map((context, offset) => applyBulkProductSetResult(context, resultByLineNumber.get(start + offset), jobId))
+    );
+    results.push(...settled);
+  }
+  return { results, bunjangPids: contexts.map(context => context.bunjangPid) };
+}
+
+/**
+ * 제출 직후(작업 ID 기록 전) 중단된 배치의 벌크 작업을 찾습니다.
+ * 배치 준비 이후 시작된 현재 벌크 mutation이 있으면 그 작업을 이 배치의 작업으로 간주합니다.
+ * @param {object} pending - CatalogCheckpoint.pendingBulkOperation.
+ * @returns {Promise<string|null>} 벌크 작업 GID. 제출되지 않은 배치이면 null.
+ */
+async function resolvePendingBulkOperationId(pending) {
+  if (pending.bulkOperationId) return pending.bulkOperationId;
+  const current = await shopifyService.getCurrentBulkMutation();
+  if (current?.id && current.createdAt && pending.preparedAt && new Date(current.createdAt) >= new Date(pending.preparedAt)) {
+    return current.id;
+  }
+  return null;
+}
+
+async function removeBulkBatchFiles(batch, jobId) {
+  for (const filePath of [batch.variablesPath, batch.contextPath].filter(Boolean)) {
+    await fs.remove(filePath).catch(error => logger.warn(`[CatalogSvc:Job-${jobId}] Failed to clean up bulk batch file ${filePath}: ${error.message}`));
+  }
+}
+
+/**
+ * 번개장터 카탈로그 파일을 스트리밍으로 읽어 Shopify에 동기화합니다.
+ * 진행 위치(행 번호)와 카운터를 CatalogCheckpoint에 주기적으로 저장하므로, 작업이 중단 후 재시도되면 마지막 체크포인트부터 이어서 처리합니다.
+ * 전체 카탈로그는 config.shopify.bulkSync.enabled이면 상품별 mutation 대신 Shopify 벌크 작업(productSet)으로 배치 단위로 반영합니다.
+ * @param {'full'|'segment'} catalogType - 카탈로그 타입.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options={}]
+ * @param {string} [options.catalogFileName] - 처리할 카탈로그 파일명. 없으면 현재 시간 기준 파일명을 사용.
+ * @param {boolean} [options.dryRun=false] - true이면 Shopify에 반영하지 않고 dry-run 보고서만 생성.
+ * @param {string} [options.reportJobId] - dry-run 보고서 조회 키 (dryRun일 때 필수).
+ * @param {boolean} [options.skipStaleRows=false] - 이미 더 최신 데이터로 동기화된 상품은 건너뜀 (세그먼트 백필용).
+ * @param {string} [options.localFilePath] - 번개장터에서 다운로드하는 대신 처리할 로컬 카탈로그 파일(.csv 또는 .csv.gz) 경로.
+ * @param {boolean} [options.delistMissing=false] - 로컬 파일 처리 시에도 파일에 없는 상품을 내림 (전체 카탈로그만, 번개장터에서 받은 파일은 항상 내림).
+ * @param {string} [options.catalogRunId] - 상품별 결과를 기록할 CatalogRun ID (catalogRunService.startCatalogRun).
+ * @returns {Promise<object>} 처리 요약.
+ */
+async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A', options = {}) {
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
+  const catalogFileNameGz = options.catalogFileName || generateBunjangCatalogFilename(catalogType, new Date());
+
+  let obtainCsvFile;
+  if (options.localFilePath) {
+    // API로 업로드되었거나 서버 경로로 지정된 로컬 파일 처리 (다운로드 생략)
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, local source: ${options.localFilePath}`);
+    obtainCsvFile = (baseFileName) => prepareLocalCatalogFile(options.localFilePath, TEMP_DOWNLOAD_DIR, baseFileName);
+  } else {
+    if (!config.bunjang?.catalogApiUrl) {
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
+      throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+    }
+    const catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
+    obtainCsvFile = (baseFileName) => downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileName);
   }
-  catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
 
   if (!TEMP_DOWNLOAD_DIR) {
     logger.error(`[CatalogSvc:Job-${jobIdForLog}] Temporary directory (TEMP_DOWNLOAD_DIR from config.tempDir) is not configured.`);
     throw new AppError("Temporary directory for downloads is not configured.", 500, "TEMP_DIR_MISSING");
   }
-  const localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Parsing CSV file: ${localCsvPath}`);
-  const { products: bunjangProducts, totalRows: originalCsvRowCount } = await parseCsvFileWithRowProcessor(localCsvPath, processCatalogRow);
 
-  if (!bunjangProducts || bunjangProducts.length === 0) {
-    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
-    if (await fs.pathExists(localCsvPath)) await fs.remove(localCsvPath);
-    return { filename: catalogFileNameGz, totalOriginalCsvRows: originalCsvRowCount || 0, validProductsToProcess: 0, successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0 };
+  if (options.dryRun) {
+    if (!options.reportJobId) {
+      throw new AppError('Dry-run requires a report job ID.', 500, 'DRY_RUN_REPORT_ID_MISSING');
+    }
+    return runCatalogDryRun(catalogType, catalogFileNameGz, obtainCsvFile, String(options.reportJobId), jobIdForLog, options);
   }
 
-  let successfullyProcessed = 0;
-  let errorCount = 0;
-  let skippedByFilterCount = 0;
-  let skippedNoChangeCount = 0;
+  const { localCsvPath, checkpoint } = await prepareCatalogCheckpoint(catalogType, catalogFileNameGz, obtainCsvFile, jobIdForLog);
+  const runStartedAt = checkpoint.runStartedAt;
+  let resumeFromRow = checkpoint.rowOffset || 0;
+  const counters = { successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0, skippedDuplicate: 0, ...checkpoint.counters };
+  // 실행 이력(CatalogRun)에 상품별 결과 기록 (작업 워커에서 실행 ID를 넘긴 경우)
+  const runRecorder = options.catalogRunId ? createCatalogRunRecorder(options.catalogRunId, jobIdForLog) : null;
 
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Processing ${bunjangProducts.length} valid items from Bunjang catalog...`);
-  const concurrency = config.bunjang?.syncConcurrency || 1;
-  const productChunks = [];
-  for (let i = 0; i < bunjangProducts.length; i += concurrency) {
-    productChunks.push(bunjangProducts.slice(i, i + concurrency));
-  }
-
-  for (const chunk of productChunks) {
-    const chunkResults = await Promise.allSettled(
-      chunk.map(product => syncBunjangProductToShopify(product, jobIdForLog))
+  const saveCheckpoint = async (rowOffset, extra = {}) => {
+    await runRecorder?.flush();
+    await CatalogCheckpoint.updateOne(
+      { catalogFileName: catalogFileNameGz },
+      { $set: { rowOffset, counters, lastCheckpointAt: new Date(), ...extra } }
     );
-    chunkResults.forEach(result => {
+  };
+
+  // settledResults[i]는 bunjangPids[i] 상품의 결과
+  const tallySyncResults = async (settledResults, bunjangPids) => {
+    for (const [index, result] of settledResults.entries()) {
       if (result.status === 'fulfilled' && result.value) {
-        if (result.value.status === 'success') successfullyProcessed++;
-        else if (result.value.status === 'skipped_filter') skippedByFilterCount++;
-        else if (result.value.status === 'skipped_no_change') skippedNoChangeCount++;
-        else if (result.value.status === 'error') errorCount++;
+        if (result.value.status === 'success') counters.successfullyProcessed++;
+        else if (result.value.status === 'skipped_filter') counters.skippedByFilter++;
+        else if (result.value.status === 'skipped_no_change') counters.skippedNoChange++;
+        else if (result.value.status === 'skipped_duplicate') counters.skippedDuplicate++;
+        else if (result.value.status === 'error') counters.errors++;
+        await runRecorder?.recordSyncResult(bunjangPids[index], result.value);
       } else if (result.status === 'rejected') {
-        errorCount++;
+        counters.errors++;
         logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection in sync chunk for a product:`, result.reason);
+        await runRecorder?.recordSyncResult(bunjangPids[index], { status: 'error', message: result.reason?.message || String(result.reason) });
+      }
+    }
+  };
+
+  const syncChunk = async (chunk) => {
+    await tallySyncResults(await Promise.allSettled(
+      chunk.map(product => syncBunjangProductToShopify(product, jobIdForLog, { skipStaleRows: !!options.skipStaleRows }))
+    ), chunk.map(product => product.pid));
+  };
+
+  // 전체 카탈로그는 Shopify 벌크 작업(productSet)으로 반영: 행을 준비하여 배치(최대 maxProductsPerOperation개)를 모은 뒤 한 번에 제출.
+  // 체크포인트의 rowOffset은 배치 결과를 반영한 후에만 전진하며, 제출한 배치는 pendingBulkOperation으로 기록하여 재개 시 결과부터 반영
+  const useBulkSync = catalogType === 'full' && !!config.shopify.bulkSync?.enabled;
+  let lastCheckpointRow = resumeFromRow;
+  let bulkBatch = { variables: [], contexts: [] };
+  let bulkOperationCount = 0;
+
+  const prepareBulkChunk = async (chunk) => {
+    const preparedRows = await Promise.allSettled(
+      chunk.map(product => prepareBulkSyncRow(product, jobIdForLog, { skipStaleRows: !!options.skipStaleRows }))
+    );
+    const immediateResults = [];
+    const immediatePids = [];
+    preparedRows.forEach((settled, index) => {
+      if (settled.status === 'fulfilled' && settled.value.variables) {
+        bulkBatch.variables.push(settled.value.variables);
+        bulkBatch.contexts.push(settled.value.context);
+      } else {
+        immediateResults.push(settled.status === 'fulfilled' ? { status: 'fulfilled', value: settled.value.result } : settled);
+        immediatePids.push(chunk[index].pid);
       }
     });
-    logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Processed a chunk. Totals - Success: ${successfullyProcessed}, FilterSkip: ${skippedByFilterCount}, NoChangeSkip: ${skippedNoChangeCount}, Errors: ${errorCount} / TotalValid: ${bunjangProducts.length}`);
+    await tallySyncResults(immediateResults, immediatePids);
+  };
+
+  const applyBulkBatch = async (batch, endRow) => {
+    const { results, bunjangPids } = await runBulkSyncBatch(batch, async (bulkOperationId) => {
+      await CatalogCheckpoint.updateOne({ catalogFileName: catalogFileNameGz }, { $set: { 'pendingBulkOperation.bulkOperationId': bulkOperationId } });
+    }, jobIdForLog);
+    await tallySyncResults(results, bunjangPids);
+    bulkOperationCount++;
+    await saveCheckpoint(endRow, { pendingBulkOperation: null });
+    lastCheckpointRow = endRow;
+    await removeBulkBatchFiles(batch, jobIdForLog);
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bulk batch applied through row ${endRow}. Totals - Success: ${counters.successfullyProcessed}, FilterSkip: ${counters.skippedByFilter}, NoChangeSkip: ${counters.skippedNoChange}, Errors: ${counters.errors}`);
+  };
+
+  const flushBulkBatch = async (endRow) => {
+    if (bulkBatch.contexts.length === 0) return;
+    const batchBaseName = `${catalogFileNameGz.replace(/\.csv\.gz$/i, '')}-rows-${endRow}`;
+    const batch = {
+      variablesPath: path.join(TEMP_DOWNLOAD_DIR, 'bulk', `${batchBaseName}.variables.jsonl`),
+      contextPath: path.join(TEMP_DOWNLOAD_DIR, 'bulk', `${batchBaseName}.context.jsonl`),
+    };
+    await fs.ensureDir(path.dirname(batch.variablesPath));
+    await fs.writeFile(batch.variablesPath, bulkBatch.variables.map(line => JSON.stringify(line)).join('\n') + '\n');
+    await fs.writeFile(batch.contextPath, bulkBatch.contexts.map(line => JSON.stringify(line)).join('\n') + '\n');
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Prepared bulk batch of ${bulkBatch.contexts.length} products (rows ${lastCheckpointRow + 1}-${endRow}).`);
+    bulkBatch = { variables: [], contexts: [] };
+
+    await CatalogCheckpoint.updateOne(
+      { catalogFileName: catalogFileNameGz },
+      { $set: { pendingBulkOperation: { ...batch, bulkOperationId: null, endRow, preparedAt: new Date() } } }
+    );
+    await applyBulkBatch(batch, endRow);
+  };
+
+  const pendingBulk = checkpoint.pendingBulkOperation;
+  if (useBulkSync && pendingBulk?.endRow) {
+    const bulkOperationId = await resolvePendingBulkOperationId(pendingBulk);
+    if (bulkOperationId && await fs.pathExists(pendingBulk.contextPath)) {
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Resuming pending bulk operation ${bulkOperationId} (rows ${resumeFromRow + 1}-${pendingBulk.endRow}).`);
+      await applyBulkBatch({ variablesPath: pendingBulk.variablesPath, contextPath: pendingBulk.contextPath, bulkOperationId }, pendingBulk.endRow);
+      resumeFromRow = pendingBulk.endRow;
+    } else {
+      // 제출되지 않았거나 결과 반영 정보가 없는 배치: 해당 행을 다시 처리 (이미 생성된 상품은 bunjang_pid 태그 검색으로 연결됨)
+      logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Discarding pending bulk batch for rows ${resumeFromRow + 1}-${pendingBulk.endRow}; the rows will be prepared again.`);
+      await CatalogCheckpoint.updateOne({ catalogFileName: catalogFileNameGz }, { $set: { pendingBulkOperation: null } });
+      await removeBulkBatchFiles(pendingBulk, jobIdForLog);
+    }
+  }
+
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Streaming CSV file: ${localCsvPath}${resumeFromRow > 0 ? ` (rows 1-${resumeFromRow} already synced)` : ''}`);
+  // 전체 카탈로그의 경우, 가져오지 않은 행(판매완료, 필터 제외 등)의 상태를 delisting 사유 기록용으로 보관
+  // (재개 시에도 파일 처음부터 읽으므로 체크포인트 이전 행의 정보도 다시 수집됨)
+  const nonImportedReasonByPid = new Map();
+  const filterRuleSet = await loadActiveFilterRules();
+  let filteredOutEntries = [];
+  const concurrency = config.bunjang?.syncConcurrency || 1;
+  const checkpointIntervalRows = config.bunjang?.checkpointIntervalRows || 50;
+  const processChunk = useBulkSync ? prepareBulkChunk : syncChunk;
+  let rowNumber = 0;
+  let validProductCount = 0;
+  let chunk = [];
+
+  try {
+    for await (const row of fs.createReadStream(localCsvPath).pipe(csv())) {
+      rowNumber++;
+      const { product, skipReason } = evaluateCatalogRow(row, rowNumber, filterRuleSet);
+      if (!product) {
+        const pid = (row.pid || '').trim();
+        if (pid && catalogType === 'full') nonImportedReasonByPid.set(pid, skipReason);
+        if (pid && isFilterSkipReason(skipReason)) {
+          filteredOutEntries.push({ bunjangPid: pid, reason: skipReason });
+          if (filteredOutEntries.length >= 500) {
+            await markFilteredOutProducts(filteredOutEntries);
+            filteredOutEntries = [];
+          }
+        }
+        continue;
+      }
+      validProductCount++;
+      if (rowNumber <= resumeFromRow) continue; // 이전 실행에서 이미 동기화된 행
+
+      chunk.push(product);
+      if (chunk.length >= concurrency) {
+        await processChunk(chunk);
+        chunk = [];
+        if (useBulkSync) {
+          if (bulkBatch.contexts.length >= config.shopify.bulkSync.maxProductsPerOperation) await flushBulkBatch(rowNumber);
+        } else if (rowNumber - lastCheckpointRow >= checkpointIntervalRows) {
+          await saveCheckpoint(rowNumber);
+          lastCheckpointRow = rowNumber;
+          logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Checkpoint saved at row ${rowNumber}. Totals - Success: ${counters.successfullyProcessed}, FilterSkip: ${counters.skippedByFilter}, NoChangeSkip: ${counters.skippedNoChange}, Errors: ${counters.errors}`);
+        }
+      }
+    }
+    if (chunk.length > 0) await processChunk(chunk);
+    if (useBulkSync) await flushBulkBatch(rowNumber);
+    await markFilteredOutProducts(filteredOutEntries);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    // 체크포인트는 IN_PROGRESS로 남으므로 작업 재시도 시 마지막 저장 위치부터 재개됨
+    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Error while streaming catalog CSV ${localCsvPath} at row ${rowNumber}:`, error);
+    throw new AppError(`카탈로그 CSV 처리 오류 (행 ${rowNumber}): ${localCsvPath}`, 500, 'CATALOG_STREAM_ERROR', true, { rowNumber, originalError: error.message });
   }
 
+  await saveCheckpoint(rowNumber, { status: 'COMPLETED', completedAt: new Date() });
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Processed ${validProductCount} valid products (from ${rowNumber} CSV data rows) in ${catalogFileNameGz}.`);
+
   if (await fs.pathExists(localCsvPath)) {
     await fs.remove(localCsvPath)
       .then(() => logger.info(`[CatalogSvc:Job-${jobIdForLog}] Cleaned up local CSV file: ${localCsvPath}`))
       .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
   }
 
+  if (validProductCount === 0) {
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
+    return { filename: catalogFileNameGz, totalOriginalCsvRows: rowNumber, validProductsToProcess: 0, successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0 };
+  }
+
+  let delistResult = null;
+  if (shouldDelistMissingProducts(catalogType, options)) {
+    try {
+      delistResult = await delistProductsMissingFromCatalog(runStartedAt, nonImportedReasonByPid, jobIdForLog, runRecorder);
+    } catch (delistError) {
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Delisting pass failed: ${delistError.message}`, { stack: delistError.stack });
+    }
+  } else if (catalogType === 'full' && config.bunjang.delistEnabled) {
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Skipping delisting pass for local catalog file ${options.localFilePath} (delistMissing not requested).`);
+  }
+
+  await runRecorder?.flush();
+
   const summary = {
     filename: catalogFileNameGz,
-    totalOriginalCsvRows: originalCsvRowCount || 0,
-    validProductsToProcess: bunjangProducts.length,
-    successfullyProcessed,
-    errors: errorCount,
-    skippedByFilter: skippedByFilterCount,
-    skippedNoChange: skippedNoChangeCount,
+    totalOriginalCsvRows: rowNumber,
+    validProductsToProcess: validProductCount,
+    successfullyProcessed: counters.successfullyProcessed,
+    errors: counters.errors,
+    skippedByFilter: counters.skippedByFilter,
+    skippedNoChange: counters.skippedNoChange,
+    skippedDuplicate: counters.skippedDuplicate,
+    resumedFromRow: resumeFromRow,
+    ...(useBulkSync && { bulkOperations: bulkOperationCount }),
+    ...(delistResult && { delisted: delistResult.delisted, delistErrors: delistResult.errors, delistAborted: delistResult.aborted }),
   };
   logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
   return summary;
@@ -665,4 +2092,10 @@ async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
 
 module.exports = {
   fetchAndProcessBunjangCatalog,
+  generateBunjangCatalogFilename,
+  parseBunjangCatalogFilename,
+  getCatalogDryRunReport,
+  retryFailedProductMedia,
+  syncBunjangProductByPid,
+  SAVED_SEARCH_TAG_PREFIX,
 };
\ No newline at end of file
@@ -0,0 +1,251 @@
+// src/services/duplicateListingService.js
+// 같은 상품(같은 사진/제목)을 여러 번 올린 번개장터 리스팅을 묶어 대표 상품 하나만 Shopify에 올립니다.
+// 대표 이미지의 perceptual hash(dHash)가 가깝고 정규화한 제목이 비슷한 상품을 같은 clusterId로 묶고,
+// 판매자 우선순위, 상품 상태, 가격(배송비 포함) 순으로 대표 상품을 고릅니다.
+// 대표 상품이 판매 종료되어 내려가면 다음 후보를 개별 상품 동기화 큐에 넣어 대신 올립니다.
+const crypto = require('node:crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { downloadImage } = require('./imageRehostService');
+const { getQueue } = require('../jobs/queues');
+
+const SERVICE_NAME = 'DuplicateListingSvc';
+const DUPLICATE_DELIST_REASON_PREFIX = 'DUPLICATE_OF:';
+// 64비트 hash를 16비트씩 4구간으로 나눠 색인. 해밍 거리 3 이하면 적어도 한 구간이 같으므로 빠짐없이 후보로 찾음
+const IMAGE_HASH_BAND_COUNT = 4;
+const MAX_CANDIDATES = 200;
+const CONDITION_RANK = { NEW: 0, LIKE_NEW: 1, USED: 2 };
+// 제목에서 판매 문구로만 쓰여 상품 구분에 도움이 되지 않는 단어
+const TITLE_STOPWORDS = new Set(['급처', '급매', '새상품', '미개봉', '정품', '택포', '무료배송', '판매', '팝니다', '팔아요', '최저가', 'sale']);
+
+// 다른 상품으로 대체되어 내려간 상품은 후보로 남고, 판매 종료 등으로 내려갔거나 판매중이 아닌 것으로 확인된 상품은 제외
+const AVAILABLE_CANDIDATE_FILTER = {
+  'dedupe.unavailableAt': null,
+  $or: [{ delistedAt: null }, { delistReason: { $regex: `^${DUPLICATE_DELIST_REASON_PREFIX}` } }],
+};
+const CANDIDATE_FIELDS = 'bunjangPid bunjangSellerUid bunjangCondition bunjangOriginalPriceKrw bunjangOriginalShippingFeeKrw shopifyGid delistedAt delistReason dedupe';
+
+/**
+ * 상품 제목을 비교용 토큰 목록으로 정규화합니다. (소문자, 괄호 안 문구/기호 제거, 판매 문구 제외, 중복 제거 후 정렬)
+ * @param {string} title - 번개장터 상품명.
+ * @returns {string[]}
+ */
+function normalizeTitleTokens(title) {
+  const normalized = String(title || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[[({【<][^\])}】>]*[\])}】>]/g, ' ') // [급처], (택포) 같은 머리말
+    .replace(/[^\p{L}\p{N}]+/gu, ' ');
+  const tokens = normalized.split(' ').filter(token => token && !TITLE_STOPWORDS.has(token));
+  return [...new Set(tokens)].sort();
+}
+
+/**
+ * 두 토큰 목록의 Jaccard 유사도 (0~1).
+ * @param {string[]} tokensA
+ * @param {string[]} tokensB
+ * @returns {number}
+ */
+function titleSimilarity(tokensA = [], tokensB = []) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const setB = new Set(tokensB);
+  const intersection = tokensA.filter(token => setB.has(token)).length;
+  return intersection / (tokensA.length + setB.size - intersection);
+}
+
+/**
+ * 이미지의 dHash를 계산합니다. (9x8 흑백으로 줄인 뒤 가로로 이웃한 픽셀 밝기 비교)
+ * @param {Buffer} buffer - 이미지 파일 내용.
+ * @returns {Promise<string>} 64비트 hash (16자리 hex).
+ */
+async function computeImageHash(buffer) {
+  // 네이티브 모듈이므로 중복 정리를 켠 경우에만 로드 (설치 문제가 있어도 앱 시작에는 영향 없음)
+  const sharp = require('sharp');
+  const pixels = await sharp(buffer).grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+function imageHashBands(hash) {
+  const bandLength = hash.length / IMAGE_HASH_BAND_COUNT;
+  return Array.from({ length: IMAGE_HASH_BAND_COUNT }, (_, index) => `${index}:${hash.slice(index * bandLength, (index + 1) * bandLength)}`);
+}
+
+/**
+ * 대표 상품 선택 순서로 정렬하는 비교 함수. (우선 판매자 > 상품 상태 > 가격+배송비 > 이미 올라가 있는 상품 > 먼저 등록된 PID)
+ */
+function compareDuplicateCandidates(a, b) {
+  const preferredSellerUids = config.bunjang.dedupe.preferredSellerUids;
+  const sellerRank = (doc) => (preferredSellerUids.includes(doc.bunjangSellerUid) ? 0 : 1);
+  const conditionRank = (doc) => CONDITION_RANK[doc.bunjangCondition] ?? Object.keys(CONDITION_RANK).length;
+  const totalPrice = (doc) => (doc.bunjangOriginalPriceKrw ?? Infinity) + (doc.bunjangOriginalShippingFeeKrw || 0);
+  const listedRank = (doc) => (doc.shopifyGid && !doc.delistedAt ? 0 : 1); // 같은 조건이면 Shopify 상품을 바꾸지 않음
+
+  return (sellerRank(a) - sellerRank(b))
+    || (conditionRank(a) - conditionRank(b))
+    || (totalPrice(a) - totalPrice(b))
+    || (listedRank(a) - listedRank(b))
+    || a.bunjangPid.localeCompare(b.bunjangPid, undefined, { numeric: true });
+}
+
+/**
+ * 대표 이미지 hash를 준비합니다. 이미지 URL이 그대로면 저장된 hash를 재사용합니다.
+ * @returns {Promise<string|null>} 이미지가 없거나 읽지 못하면 null.
+ */
+async function resolveImageHash(firstImageUrl, storedDedupe, bunjangPid, jobId) {
+  if (!firstImageUrl) return null;
+  if (storedDedupe?.imageHash && storedDedupe.imageSourceUrl === firstImageUrl) return storedDedupe.imageHash;
+  try {
+    return await computeImageHash(await downloadImage(firstImageUrl));
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to hash image for PID ${bunjangPid} (${firstImageUrl}): ${error.message}. Skipping duplicate detection.`);
+    return null;
+  }
+}
+
+/**
+ * 상품이 속한 중복 묶음을 갱신하고 대표 상품인지 판정합니다. (카탈로그 동기화의 중복 정리 단계)
+ * 대표 이미지가 없거나 읽지 못한 상품은 묶지 않습니다.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {object} syncedDoc - 이 상품의 SyncedProduct 문서 (recordCatalogRowForSync 결과).
+ * @param {string|undefined} firstImageUrl - 정규화한 대표 이미지 URL.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<{isPrimary: boolean, primaryPid: string, clusterId: string|null, demote: Array<{bunjangPid: string, shopifyGid: string}>}>}
+ *   demote: 대표 상품이 아니지만 Shopify에 올라가 있어 내려야 하는 상품 (이 상품 포함 가능).
+ */
+async function evaluateDuplicateListing(bunjangProduct, syncedDoc, firstImageUrl, jobId = 'N/A') {
+  const bunjangPid = bunjangProduct.pid;
+  const { maxImageHashDistance, minTitleSimilarity } = config.bunjang.dedupe;
+  const titleTokens = normalizeTitleTokens(bunjangProduct.name);
+  const imageHash = await resolveImageHash(firstImageUrl, syncedDoc.dedupe, bunjangPid, jobId);
+  const notDuplicate = { isPrimary: true, primaryPid: bunjangPid, clusterId: null, demote: [] };
+
+  let clusterId = null;
+  if (imageHash) {
+    const candidates = await SyncedProduct.find({
+      bunjangPid: { $ne: bunjangPid },
+      'dedupe.imageHashBands': { $in: imageHashBands(imageHash) },
+      ...AVAILABLE_CANDIDATE_FILTER,
+    }).select(CANDIDATE_FIELDS).limit(MAX_CANDIDATES).lean();
+    const matches = candidates.filter(doc => doc.dedupe?.imageHash
+      && hammingDistance(imageHash, doc.dedupe.imageHash) <= maxImageHashDistance
+      && titleSimilarity(titleTokens, doc.dedupe.titleTokens) >= minTitleSimilarity);
+
+    if (matches.length > 0) {
+      // 후보들이 서로 다른 묶음에 속해 있으면 하나로 합침
+      const clusterIds = [...new Set(matches.map(doc => doc.dedupe.clusterId).filter(Boolean))].sort();
+      clusterId = clusterIds[0] || crypto.randomUUID();
+      if (clusterIds.length > 1) {
+        await SyncedProduct.updateMany({ 'dedupe.clusterId': { $in: clusterIds.slice(1) } }, { $set: { 'dedupe.clusterId': clusterId } });
+      }
+      const unclusteredPids = matches.filter(doc => !doc.dedupe.clusterId).map(doc => doc.bunjangPid);
+      if (unclusteredPids.length > 0) {
+        await SyncedProduct.updateMany({ bunjangPid: { $in: unclusteredPids } }, { $set: { 'dedupe.clusterId': clusterId } });
+      }
+    }
+  }
+
+  // 판매중인 카탈로그 행이므로 unavailableAt은 항상 지움
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      dedupe: {
+        imageSourceUrl: imageHash ? firstImageUrl : undefined,
+        imageHash: imageHash || undefined,
+        imageHashBands: imageHash ? imageHashBands(imageHash) : undefined,
+        titleTokens,
+        clusterId: clusterId || undefined,
+        evaluatedAt: new Date(),
+      },
+    },
+  });
+  if (!clusterId) return notDuplicate;
+
+  const members = await SyncedProduct.find({
+    'dedupe.clusterId': clusterId,
+    $or: [{ bunjangPid }, AVAILABLE_CANDIDATE_FILTER],
+  }).select(CANDIDATE_FIELDS).lean();
+  // 이 상품은 지금 판매중으로 확인되었으므로 이전 판매 종료 기록과 관계없이 후보로 봄
+  const ranked = members.sort(compareDuplicateCandidates);
+  const primary = ranked[0];
+  const demote = ranked.slice(1).filter(doc => doc.shopifyGid && !doc.delistedAt)
+    .map(doc => ({ bunjangPid: doc.bunjangPid, shopifyGid: doc.shopifyGid }));
+
+  const isPrimary = primary.bunjangPid === bunjangPid;
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangPid} is in duplicate cluster ${clusterId} (${members.length} candidates). Primary: ${primary.bunjangPid}.`);
+
+  // 이 상품을 내리는데 대표 상품이 아직 Shopify에 없으면 대표 상품을 바로 올려 공백을 줄임
+  const primaryListed = primary.shopifyGid && !primary.delistedAt;
+  if (!isPrimary && !primaryListed && demote.some(doc => doc.bunjangPid === bunjangPid)) {
+    await enqueueDuplicatePromotion(primary.bunjangPid, `replaces ${bunjangPid}`, jobId);
+  }
+  return { isPrimary, primaryPid: primary.bunjangPid, clusterId, demote };
+}
+
+async function enqueueDuplicatePromotion(bunjangPid, reason, jobId) {
+  const queueName = config.bullmq.queues.productSync;
+  const productSyncQueue = config.redis.enabled ? getQueue(queueName) : null;
+  if (!productSyncQueue) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Queue "${queueName}" not available. Duplicate candidate PID ${bunjangPid} will be listed by the next catalog sync.`);
+    return null;
+  }
+  const job = await productSyncQueue.add(
+    `DuplicatePromotion-ResyncProduct-${bunjangPid}`,
+    { bunjangPids: [bunjangPid], force: false, triggeredBy: 'duplicate_promotion' },
+    { attempts: 1 }
+  );
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Queued resync job ${job.id} to list duplicate candidate PID ${bunjangPid} (${reason}).`);
+  return job.id;
+}
+
+/**
+ * 판매 종료 등으로 더 이상 올릴 수 없는 상품을 표시하고, 같은 묶음에서 다음 후보를 대신 올립니다.
+ * 상품이 Shopify에서 내려갔을 때, 또는 대체 후보로 재동기화했지만 판매중이 아니었을 때 호출합니다.
+ * @param {string} bunjangPid - 판매 종료된 상품 PID.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<string|null>} 대신 올리도록 요청한 상품 PID. 묶음이 없거나 다른 후보가 이미 올라가 있으면 null.
+ */
+async function promoteNextDuplicate(bunjangPid, jobId = 'N/A') {
+  const doc = await SyncedProduct.findOneAndUpdate(
+    { bunjangPid, 'dedupe.clusterId': { $exists: true, $ne: null } },
+    { $set: { 'dedupe.unavailableAt': new Date() } },
+    { new: true }
+  ).select('dedupe.clusterId').lean();
+  if (!doc) return null;
+
+  const candidates = await SyncedProduct.find({
+    'dedupe.clusterId': doc.dedupe.clusterId,
+    bunjangPid: { $ne: bunjangPid },
+    ...AVAILABLE_CANDIDATE_FILTER,
+  }).select(CANDIDATE_FIELDS).lean();
+  if (candidates.length === 0) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] No remaining duplicate candidates for PID ${bunjangPid} in cluster ${doc.dedupe.clusterId}.`);
+    return null;
+  }
+  const next = candidates.sort(compareDuplicateCandidates)[0];
+  if (next.shopifyGid && !next.delistedAt) return null;
+
+  await enqueueDuplicatePromotion(next.bunjangPid, `replaces unavailable ${bunjangPid}`, jobId);
+  return next.bunjangPid;
+}
+
+module.exports = {
+  DUPLICATE_DELIST_REASON_PREFIX,
+  evaluateDuplicateListing,
+  promoteNextDuplicate,
+};
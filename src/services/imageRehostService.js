@@ -0,0 +1,132 @@
+// src/services/imageRehostService.js
+// 번개장터 이미지를 내려받아 검증한 뒤 Shopify staged upload로 올립니다.
+// 번개장터 CDN URL을 Shopify에 직접 넘기면 지역 제한 등으로 실패하는 경우가 많아, Shopify가 관리하는 저장소의 URL을 originalSource로 사용합니다.
+
+const crypto = require('node:crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const RehostedImage = require('../models/rehostedImage.model');
+const { AppError, ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ImageRehostSvc';
+
+// Shopify가 지원하는 이미지 형식 (파일 앞부분 시그니처로 판별, Content-Type 헤더는 신뢰하지 않음)
+const SUPPORTED_IMAGE_TYPES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', extension: 'gif', matches: (buf) => ['GIF87a', 'GIF89a'].includes(buf.subarray(0, 6).toString('ascii')) },
+  { mimeType: 'image/webp', extension: 'webp', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' },
+];
+
+/**
+ * 이미지를 메모리로 내려받습니다.
+ * @param {string} sourceUrl - 번개장터 이미지 URL.
+ * @returns {Promise<Buffer>}
+ */
+async function downloadImage(sourceUrl) {
+  const { downloadTimeoutMs, maxBytes } = config.imageRehost;
+  try {
+    const response = await axios.get(sourceUrl, {
+      responseType: 'arraybuffer',
+      timeout: downloadTimeoutMs,
+      maxContentLength: maxBytes,
+      headers: { Accept: 'image/*', 'User-Agent': `${config.appName}/${config.version}` },
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    throw new ExternalServiceError('BunjangImageCDN', error, `이미지 다운로드 실패 (${reason}): ${sourceUrl}`, 'IMAGE_DOWNLOAD_FAILED');
+  }
+}
+
+/**
+ * 내려받은 이미지의 크기와 형식을 검증합니다.
+ * @param {Buffer} buffer
+ * @returns {{mimeType: string, extension: string}}
+ * @throws {AppError} 크기가 범위를 벗어나거나 지원하지 않는 형식인 경우.
+ */
+function validateImage(buffer) {
+  const { minBytes, maxBytes } = config.imageRehost;
+  if (buffer.length < minBytes || buffer.length > maxBytes) {
+    throw new AppError(`이미지 크기가 허용 범위(${minBytes}~${maxBytes} bytes)를 벗어났습니다: ${buffer.length} bytes`, 422, 'IMAGE_INVALID_SIZE');
+  }
+  const imageType = SUPPORTED_IMAGE_TYPES.find(type => type.matches(buffer));
+  if (!imageType) {
+    throw new AppError('지원하지 않는 이미지 형식입니다 (JPEG, PNG, GIF, WEBP만 허용).', 422, 'IMAGE_UNSUPPORTED_TYPE');
+  }
+  return { mimeType: imageType.mimeType, extension: imageType.extension };
+}
+
+/**
+ * stagedUploadsCreate로 업로드 대상을 발급받아 이미지를 올립니다.
+ * @returns {Promise<string>} productCreateMedia의 originalSource로 사용할 resourceUrl.
+ */
+async function stageImageUpload(buffer, fileName, mimeType) {
+  const [target] = await shopifyService.createStagedUploads([{
+    filename: fileName,
+    mimeType,
+    resource: 'IMAGE',
+    fileSize: String(buffer.length),
+    httpMethod: 'POST',
+  }]);
+  if (!target?.url || !target?.resourceUrl) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Shopify did not return a staged upload target.', 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+
+  await shopifyService.uploadToStagedTarget(target, buffer, fileName, mimeType, config.imageRehost.uploadTimeoutMs);
+  return target.resourceUrl;
+}
+
+/**
+ * 번개장터 이미지를 Shopify staged upload로 재호스팅합니다.
+ * 내용(sha256)이 같은 이미지를 최근(stagedUploadReuseHours 이내)에 올린 적이 있으면 업로드 결과를 재사용합니다.
+ * @param {string} sourceUrl - 번개장터 이미지 URL.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{originalSource: string, contentHash: string, reused: boolean}>}
+ */
+async function rehostImage(sourceUrl, jobIdForLog = 'N/A') {
+  const buffer = await downloadImage(sourceUrl);
+  const { mimeType, extension } = validateImage(buffer);
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const reuseSince = new Date(Date.now() - config.imageRehost.stagedUploadReuseHours * 60 * 60 * 1000);
+  const existing = await RehostedImage.findOneAndUpdate(
+    { contentHash, uploadedAt: { $gte: reuseSince } },
+    { $inc: { reuseCount: 1 } },
+    { new: true, lean: true }
+  );
+  if (existing) {
+    logger.debug(`[${SERVICE_NAME}:Job-${jobIdForLog}] Reusing staged upload for ${sourceUrl} (hash ${contentHash.substring(0, 12)}).`);
+    return { originalSource: existing.resourceUrl, contentHash, reused: true };
+  }
+
+  const resourceUrl = await stageImageUpload(buffer, `${contentHash.substring(0, 32)}.${extension}`, mimeType);
+  await RehostedImage.updateOne(
+    { contentHash },
+    {
+      $set: { resourceUrl, mimeType, fileSize: buffer.length, uploadedAt: new Date() },
+      $setOnInsert: { firstSourceUrl: sourceUrl },
+    },
+    { upsert: true }
+  );
+  logger.debug(`[${SERVICE_NAME}:Job-${jobIdForLog}] Rehosted ${sourceUrl} (${mimeType}, ${buffer.length} bytes).`);
+  return { originalSource: resourceUrl, contentHash, reused: false };
+}
+
+/**
+ * 재사용한 업로드 결과로 Shopify 미디어 생성이 실패한 경우 기록을 지워 다음 시도에서 다시 업로드하도록 합니다.
+ * @param {string} contentHash
+ */
+async function forgetRehostedImage(contentHash) {
+  if (!contentHash) return;
+  await RehostedImage.deleteOne({ contentHash });
+}
+
+module.exports = {
+  rehostImage,
+  forgetRehostedImage,
+  downloadImage,
+  validateImage,
+};
@@ -6,8 +6,11 @@ const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
 const bunjangService = require('./bunjangService');
 const SyncedProduct = require('../models/syncedProduct.model');
+const { parseBunjangVariantSku, resolveVariantQuantities } = require('../mappers/productMapper');
 const { AppError, ValidationError } = require('../utils/customErrors');
 
+const BUNJANG_DETAILS_REQUEST_INTERVAL_MS = 500; // 전체 재고 동기화 시 번개장터 상품 상세 조회 간격 (초당 2건)
+
 /**
  * 번개장터 재고를 Shopify로 동기화
  * @param {string} bunjangPid - 번개장터 상품 ID
@@ -25,15 +28,16 @@ async function syncBunjangInventoryToShopify(bunjangPid, bunjangQuantity) {
       return false;
     }
     
-    // Shopify 상품의 variant 정보 가져오기
+    // Shopify 상품의 variant 정보 가져오기 (옵션 variant는 최대 100개)
     const query = `
       query getProductVariants($id: ID!) {
         product(id: $id) {
           id
-          variants(first: 1) {
+          variants(first: 100) {
             edges {
               node {
                 id
+                sku
                 inventoryItem {
                   id
                 }
@@ -52,19 +56,25 @@ async function syncBunjangInventoryToShopify(bunjangPid, bunjangQuantity) {
       return false;
     }
     
-    const variant = response.data.product.variants.edges[0].node;
-    const inventoryItemId = variant.inventoryItem.id;
-    const currentQuantity = variant.inventoryQuantity || 0;
+    // 카탈로그 동기화와 같은 규칙(resolveVariantQuantities)으로 variant SKU 순번 순서대로 재고를 정함
+    const variants = response.data.product.variants.edges.map(edge => edge.node)
+      .sort((a, b) => (parseBunjangVariantSku(a.sku)?.variantIndex || 0) - (parseBunjangVariantSku(b.sku)?.variantIndex || 0));
+    const targetQuantities = resolveVariantQuantities(bunjangQuantity, variants.length);
+    const currentQuantity = variants.reduce((sum, variant) => sum + (variant.inventoryQuantity || 0), 0);
     
     // 재고가 다른 경우에만 업데이트
-    if (currentQuantity !== bunjangQuantity) {
-      await shopifyService.updateInventoryLevel(
-        inventoryItemId,
-        config.shopify.defaultLocationId,
-        bunjangQuantity
-      );
+    const changedVariants = variants.filter((variant, index) => (variant.inventoryQuantity || 0) !== targetQuantities[index]);
+    if (changedVariants.length > 0) {
+      for (const [index, variant] of variants.entries()) {
+        if (!changedVariants.includes(variant)) continue;
+        await shopifyService.updateInventoryLevel(
+          variant.inventoryItem.id,
+          config.shopify.defaultLocationId,
+          targetQuantities[index]
+        );
+      }
       
-      logger.info(`[InventorySvc] Updated Shopify inventory for PID ${bunjangPid}: ${currentQuantity} -> ${bunjangQuantity}`);
+      logger.info(`[InventorySvc] Updated Shopify inventory for PID ${bunjangPid}: ${currentQuantity} -> ${bunjangQuantity} (${variants.length} variant(s))`);
       
       // DB 업데이트
       await SyncedProduct.updateOne(
@@ -252,10 +262,8 @@ async function performFullInventorySync(jobId = 'MANUAL') {
         logger.error(`[InventorySvc:Job-${jobId}] Failed to sync inventory for PID ${product.bunjangPid}:`, error.message);
       }
       
-      // Rate limiting - 1초에 2개 상품 처리
-      if (results.synced % 2 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      // 번개장터 상품 상세 API 호출 간격 (Shopify 요청은 shopifyGraphqlRequest가 쿼리 비용 버킷 기준으로 조절)
+      await new Promise(resolve => setTimeout(resolve, BUNJANG_DETAILS_REQUEST_INTERVAL_MS));
     }
     
     const duration = Date.now() - startTime;
@@ -0,0 +1,56 @@
+// src/services/metafieldDefinitionService.js
+// 카탈로그 동기화가 쓰는 bunjang.* 상품 메타필드의 정의(MetafieldDefinition)를 Shopify에 생성합니다.
+// 정의가 있어야 메타필드 타입이 고정되고, 테마/Flow/스토어프런트에서 값을 안정적으로 읽을 수 있습니다.
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { BUNJANG_METAFIELD_NAMESPACE, BUNJANG_PRODUCT_METAFIELD_DEFINITIONS } = require('../mappers/productMapper');
+
+const SERVICE_NAME = 'MetafieldDefinitionSvc';
+
+/**
+ * 없는 bunjang.* 상품 메타필드 정의를 생성합니다. 이미 있는 정의는 그대로 두고, 타입이 다르면 경고만 남깁니다.
+ * @returns {Promise<{created: string[], existing: number, mismatched: string[]}>}
+ */
+async function ensureBunjangMetafieldDefinitions() {
+  const existingDefinitions = await shopifyService.getMetafieldDefinitions('PRODUCT', BUNJANG_METAFIELD_NAMESPACE);
+  const existingByKey = new Map(existingDefinitions.map(def => [def.key, def]));
+  const summary = { created: [], existing: 0, mismatched: [] };
+
+  for (const definition of BUNJANG_PRODUCT_METAFIELD_DEFINITIONS) {
+    const existing = existingByKey.get(definition.key);
+    if (existing) {
+      summary.existing++;
+      if (existing.type?.name && existing.type.name !== definition.type) {
+        summary.mismatched.push(definition.key);
+        logger.warn(`[${SERVICE_NAME}] Metafield definition ${BUNJANG_METAFIELD_NAMESPACE}.${definition.key} has type ${existing.type.name} (expected ${definition.type}). Values may be rejected until it is fixed in Shopify admin.`);
+      }
+      continue;
+    }
+    try {
+      await shopifyService.createMetafieldDefinition({
+        ownerType: 'PRODUCT',
+        namespace: BUNJANG_METAFIELD_NAMESPACE,
+        key: definition.key,
+        type: definition.type,
+        name: definition.name,
+        description: definition.description,
+        access: { storefront: 'PUBLIC_READ' },
+      });
+      summary.created.push(definition.key);
+    } catch (error) {
+      // 다른 프로세스가 먼저 생성한 경우
+      if (error.userErrors?.some(userError => userError.code === 'TAKEN')) {
+        summary.existing++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}] Bunjang metafield definitions checked. Created: ${summary.created.length > 0 ? summary.created.join(', ') : 'none'}, Existing: ${summary.existing}.`);
+  return summary;
+}
+
+module.exports = {
+  ensureBunjangMetafieldDefinitions,
+};
@@ -7,8 +7,31 @@ const logger = require('../config/logger');
 const bunjangService = require('./bunjangService');
 const shopifyService = require('./shopifyService');
 const orderMapper = require('../mappers/orderMapper');
+const { parseBunjangVariantSku } = require('../mappers/productMapper');
 const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
-// const SyncedProduct = require('../models/syncedProduct.model'); // 상품 원본가 참조 시 필요
+const SyncedProduct = require('../models/syncedProduct.model');
+
+/**
+ * 주문된 Shopify variant SKU에 해당하는 번개장터 옵션을 찾습니다.
+ * 동기화 시 저장된 SKU 매핑을 우선 사용하고, 없으면 line item의 variant_title을 옵션 라벨로 사용합니다.
+ * @param {object} lineItem - Shopify line_item 객체.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @returns {Promise<{options: Array<{name: string, value: string}>, label: string}|null>} 단일 variant 상품이면 null.
+ */
+async function resolveOrderedBunjangOptions(lineItem, bunjangPid) {
+  const syncedProduct = await SyncedProduct.findOne({ bunjangPid }).select('shopifyVariantMappings').lean();
+  const mapping = syncedProduct?.shopifyVariantMappings?.find(m => m.sku === lineItem.sku);
+  if (mapping && mapping.bunjangOptions?.length > 0) {
+    return {
+      options: mapping.bunjangOptions,
+      label: mapping.bunjangOptions.map(o => `${o.name}: ${o.value}`).join(' / '),
+    };
+  }
+  if (parseBunjangVariantSku(lineItem.sku)?.variantIndex && lineItem.variant_title) {
+    return { options: [], label: String(lineItem.variant_title) };
+  }
+  return null;
+}
 
 /**
  * Shopify 주문 데이터를 기반으로 번개장터에 주문을 생성합니다.
@@ -40,15 +63,22 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
 
   // Shopify 주문의 각 line item을 순회
   for (const item of shopifyOrder.line_items) {
-    if (!item.sku || !item.sku.startsWith('BJ-')) { // 'BJ-' 프리픽스로 번개장터 연동 상품 SKU 식별
+    const parsedSku = parseBunjangVariantSku(item.sku); // 'BJ-<pid>' 또는 'BJ-<pid>-<순번>' SKU로 번개장터 연동 상품 식별
+    if (!parsedSku) {
       logger.debug(`[OrderSvc:Job-${jobId}] Shopify item SKU "${item.sku}" (Order: ${shopifyOrderId}) is not a Bunjang-linked product. Skipping this item.`);
       continue;
     }
 
-    const bunjangPid = item.sku.substring(3); // 'BJ-' 제외한 실제 번개장터 상품 ID
+    const bunjangPid = parsedSku.bunjangPid; // 실제 번개장터 상품 ID
     logger.info(`[OrderSvc:Job-${jobId}] Found Bunjang-linked item for Order ${shopifyOrderId}: Shopify SKU ${item.sku} -> Bunjang PID ${bunjangPid}`);
 
     try {
+      // 0. 옵션 상품이면 구매한 variant에 해당하는 번개장터 옵션 확인
+      const orderedOption = await resolveOrderedBunjangOptions(item, bunjangPid);
+      if (orderedOption) {
+        logger.info(`[OrderSvc:Job-${jobId}] Shopify SKU ${item.sku} maps to Bunjang option "${orderedOption.label}" for PID ${bunjangPid}.`);
+      }
+
       // 1. 주문 시점의 번개장터 상품 최신 정보 조회 (가격, 배송비 등 KRW 기준)
       const bunjangProductDetails = await bunjangService.getBunjangProductDetails(bunjangPid);
       if (!bunjangProductDetails) {
@@ -93,6 +123,9 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
             { namespace: "bunjang", key: "api_sent_shipping_fee_krw", value: String(bunjangOrderPayload.deliveryPrice), type: "number_integer" },
             { namespace: "bunjang", key: "actual_bunjang_shipping_fee_krw", value: String(actualBunjangShippingFeeKrw), type: "number_integer" },
           ];
+          if (orderedOption) {
+            metafieldsInput.push({ namespace: "bunjang", key: "ordered_option", value: orderedOption.label.substring(0, 255), type: "single_line_text_field" });
+          }
           
           await shopifyService.updateOrder({ id: shopifyOrderGid, tags: tagsToAdd, metafields: metafieldsInput });
           
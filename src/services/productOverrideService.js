@@ -0,0 +1,183 @@
+// src/services/productOverrideService.js
+// 상품별 수동 재정의(제목, 설명, 가격, 추가 태그, 상태)와 잠금 관리.
+// 머천다이저가 Shopify에서 다듬은 값이 카탈로그 재동기화로 덮어써지지 않도록, 카탈로그 변환 결과 위에 재정의 값을 덮어쓰고
+// 잠근 항목은 Shopify에 쓰지 않습니다. (재정의 값이 없는 잠금 항목은 Shopify의 현재 값을 그대로 유지)
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { sanitizeHtml } = require('../utils/htmlSanitizer');
+const { NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductOverrideSvc';
+const LOCKABLE_FIELDS = ['title', 'description', 'price', 'tags', 'status', 'images'];
+const PRODUCT_STATUSES = ['ACTIVE', 'DRAFT', 'ARCHIVED'];
+
+/**
+ * 재정의에서 항목이 잠겨 있는지 확인합니다.
+ * @param {object|null|undefined} overrides - SyncedProduct.overrides.
+ * @param {string} field - LOCKABLE_FIELDS 중 하나.
+ * @returns {boolean}
+ */
+function isFieldLocked(overrides, field) {
+  return !!overrides?.lockedFields?.includes(field);
+}
+
+/**
+ * 카탈로그 변환 결과의 productInput에 재정의와 잠금을 적용합니다. (productInput을 직접 수정)
+ * - 재정의 값이 있으면 번개장터 데이터 대신 사용하고, 추가 태그는 번개장터/규칙 태그에 더합니다.
+ * - 잠근 항목은 입력에서 빼서 productUpdate/productSet이 Shopify의 현재 값을 유지하도록 합니다. (content 해시에서도 빠짐)
+ * - 잠금은 이미 Shopify에 있는 상품에만 적용하고, 상태 잠금은 판매 종료로 내렸던 상품이 다시 올라올 때는 적용하지 않습니다.
+ * 가격과 이미지는 buildProductSyncPlan에서 처리합니다.
+ * @param {object} productInput - transformBunjangRowToShopifyInput 결과의 productInput.
+ * @param {object|null|undefined} overrides - SyncedProduct.overrides.
+ * @param {{existsOnShopify: boolean, delisted: boolean}} productState
+ * @returns {object} productInput.
+ */
+function applyProductOverrides(productInput, overrides, { existsOnShopify, delisted }) {
+  if (!overrides) return productInput;
+  const keepShopifyValue = (field) => existsOnShopify && isFieldLocked(overrides, field);
+
+  if (overrides.title) productInput.title = overrides.title;
+  else if (keepShopifyValue('title')) delete productInput.title;
+
+  if (overrides.descriptionHtml) productInput.descriptionHtml = overrides.descriptionHtml;
+  else if (keepShopifyValue('description')) delete productInput.descriptionHtml;
+
+  if (keepShopifyValue('tags')) delete productInput.tags; // 잠근 경우 추가 태그도 쓰지 않음
+  else if (overrides.extraTags?.length) productInput.tags = [...new Set([...productInput.tags, ...overrides.extraTags])];
+
+  if (overrides.status) productInput.status = overrides.status;
+  else if (keepShopifyValue('status') && !delisted) delete productInput.status;
+
+  return productInput;
+}
+
+/**
+ * Shopify에 리스팅할 가격을 정합니다.
+ * 가격 재정의가 있으면 그 값을, 가격이 잠겨 있으면 마지막으로 리스팅한 가격을, 그 외에는 가격 정책으로 계산한 가격을 사용합니다.
+ * 가격을 잠근 상품은 Shopify에 variant 가격을 쓰지 않습니다. (단일 variant는 가격을 빼고 수정하고, productSet으로 variant 전체를 구성하는
+ * 옵션 상품과 벌크 동기화는 catalogService.keepShopifyVariantPrices로 Shopify의 현재 가격을 그대로 보냄)
+ * @param {string} calculatedPriceUsd - calculateShopifyPriceUsd 결과.
+ * @param {object|null|undefined} overrides - SyncedProduct.overrides.
+ * @param {string|undefined} listedPriceUsd - SyncedProduct.shopifyListedPriceUsd.
+ * @returns {string}
+ */
+function resolveListingPriceUsd(calculatedPriceUsd, overrides, listedPriceUsd) {
+  if (overrides?.priceUsd) return overrides.priceUsd;
+  if (isFieldLocked(overrides, 'price') && listedPriceUsd) return listedPriceUsd;
+  return calculatedPriceUsd;
+}
+
+function validateOverrides(overrides) {
+  const errors = [];
+  if (overrides.priceUsd !== undefined && overrides.priceUsd !== null) {
+    const price = Number(overrides.priceUsd);
+    if (!Number.isFinite(price) || price <= 0) {
+      errors.push({ field: 'priceUsd', message: 'priceUsd는 0보다 큰 USD 금액이어야 합니다.', value: overrides.priceUsd });
+    }
+  }
+  if (overrides.status && !PRODUCT_STATUSES.includes(overrides.status)) {
+    errors.push({ field: 'status', message: `status는 ${PRODUCT_STATUSES.join(', ')} 중 하나여야 합니다.`, value: overrides.status });
+  }
+  (overrides.lockedFields || []).forEach((field) => {
+    if (!LOCKABLE_FIELDS.includes(field)) {
+      errors.push({ field: 'lockedFields', message: `잠글 수 있는 항목은 ${LOCKABLE_FIELDS.join(', ')}입니다.`, value: field });
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError('상품 재정의가 유효하지 않습니다.', errors);
+  }
+}
+
+function toOverridesResponse(doc) {
+  return {
+    bunjangPid: doc.bunjangPid,
+    shopifyGid: doc.shopifyGid || null,
+    bunjangProductName: doc.bunjangProductName,
+    shopifyListedPriceUsd: doc.shopifyListedPriceUsd,
+    shopifyStatus: doc.shopifyStatus,
+    overrides: doc.overrides || null,
+  };
+}
+
+/**
+ * 상품의 재정의와 잠금을 조회합니다.
+ * @param {string} bunjangPid
+ * @returns {Promise<object>}
+ */
+async function getProductOverrides(bunjangPid) {
+  const doc = await SyncedProduct.findOne({ bunjangPid }).select('bunjangPid shopifyGid bunjangProductName shopifyListedPriceUsd shopifyStatus overrides').lean();
+  if (!doc) throw new NotFoundError('동기화된 상품을 찾을 수 없습니다.', 'SyncedProduct', bunjangPid);
+  return toOverridesResponse(doc);
+}
+
+/**
+ * 상품의 재정의와 잠금 전체를 교체합니다. 다음 카탈로그 동기화 때 Shopify에 반영됩니다.
+ * @param {string} bunjangPid
+ * @param {{title?: string, descriptionHtml?: string, priceUsd?: string|number, extraTags?: string[], status?: string, lockedFields?: string[], updatedBy?: string}} overrides
+ * @returns {Promise<object>}
+ */
+async function updateProductOverrides(bunjangPid, overrides) {
+  validateOverrides(overrides);
+  const doc = await SyncedProduct.findOneAndUpdate(
+    { bunjangPid },
+    {
+      $set: {
+        overrides: {
+          title: overrides.title || undefined,
+          descriptionHtml: overrides.descriptionHtml ? sanitizeHtml(overrides.descriptionHtml).trim() || undefined : undefined,
+          priceUsd: overrides.priceUsd ? Number(overrides.priceUsd).toFixed(2) : undefined,
+          extraTags: overrides.extraTags?.length ? [...new Set(overrides.extraTags)] : undefined,
+          status: overrides.status || undefined,
+          lockedFields: overrides.lockedFields?.length ? [...new Set(overrides.lockedFields)] : undefined,
+          updatedBy: overrides.updatedBy,
+          updatedAt: new Date(),
+        },
+      },
+    },
+    { new: true, lean: true }
+  ).select('bunjangPid shopifyGid bunjangProductName shopifyListedPriceUsd shopifyStatus overrides');
+  if (!doc) throw new NotFoundError('동기화된 상품을 찾을 수 없습니다.', 'SyncedProduct', bunjangPid);
+  logger.info(`[${SERVICE_NAME}] Overrides updated for PID ${bunjangPid} (locked: ${(doc.overrides?.lockedFields || []).join(', ') || 'none'}).`);
+  return toOverridesResponse(doc);
+}
+
+/**
+ * 상품의 재정의와 잠금을 모두 삭제합니다. 다음 카탈로그 동기화 때 번개장터 데이터로 되돌아갑니다.
+ * @param {string} bunjangPid
+ * @returns {Promise<object>}
+ */
+async function clearProductOverrides(bunjangPid) {
+  const doc = await SyncedProduct.findOneAndUpdate({ bunjangPid }, { $unset: { overrides: 1 } }, { new: true, lean: true })
+    .select('bunjangPid shopifyGid bunjangProductName shopifyListedPriceUsd shopifyStatus overrides');
+  if (!doc) throw new NotFoundError('동기화된 상품을 찾을 수 없습니다.', 'SyncedProduct', bunjangPid);
+  logger.info(`[${SERVICE_NAME}] Overrides cleared for PID ${bunjangPid}.`);
+  return toOverridesResponse(doc);
+}
+
+/**
+ * 재정의나 잠금이 있는 상품 목록을 조회합니다.
+ * @param {{lockedField?: string, page?: number, limit?: number}} [filters={}]
+ * @returns {Promise<{products: object[], total: number, page: number, limit: number}>}
+ */
+async function listProductsWithOverrides({ lockedField, page = 1, limit = 100 } = {}) {
+  const query = { 'overrides.updatedAt': { $exists: true } };
+  if (lockedField) query['overrides.lockedFields'] = lockedField;
+  const [docs, total] = await Promise.all([
+    SyncedProduct.find(query)
+      .select('bunjangPid shopifyGid bunjangProductName shopifyListedPriceUsd shopifyStatus overrides')
+      .sort({ 'overrides.updatedAt': -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    SyncedProduct.countDocuments(query),
+  ]);
+  return { products: docs.map(toOverridesResponse), total, page, limit };
+}
+
+module.exports = {
+  LOCKABLE_FIELDS,
+  isFieldLocked,
+  applyProductOverrides,
+  resolveListingPriceUsd,
+  getProductOverrides,
+  updateProductOverrides,
+  clearProductOverrides,
+  listProductsWithOverrides,
+};
@@ -0,0 +1,182 @@
+// src/services/productReviewService.js
+// 게시 전 검토 (config.bunjang.review.enabled).
+// 새로 가져온 상품은 카테고리 검토 정책(BunjangCategory.reviewPolicy, 상위 카테고리에서 상속)에 따라 자동 승인되거나
+// 검토 대기(PENDING)로 DRAFT 상태로 만들어지고, 내부 API로 승인해야 ACTIVE로 바꾸고 온라인 스토어에 게시합니다.
+// 거절한 상품은 Shopify에서 내리고 이후 카탈로그 동기화에서 건너뜁니다.
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const shopifyService = require('./shopifyService');
+const { getCategoryMappingIndex, resolveCategoryReviewPolicy } = require('./bunjangCategoryService');
+const { getProductOverrides, updateProductOverrides } = require('./productOverrideService');
+const { getQueue } = require('../jobs/queues');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductReviewSvc';
+const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+const REVIEW_REJECTED_DELIST_REASON = 'REVIEW_REJECTED';
+const REVIEW_PRODUCT_FIELDS = 'bunjangPid bunjangProductName bunjangCategoryId bunjangCategoryName bunjangBrandId bunjangOriginalPriceKrw '
+  + 'shopifyGid shopifyHandle shopifyListedPriceUsd shopifyStatus delistedAt delistReason overrides review';
+
+/**
+ * 검토 대기 중이어서 Shopify에 DRAFT로 두고 게시하지 않아야 하는 상품인지 확인합니다.
+ * @param {object|null|undefined} doc - SyncedProduct 문서.
+ * @returns {boolean}
+ */
+function isAwaitingReview(doc) {
+  return !!config.bunjang.review.enabled && doc?.review?.status === 'PENDING';
+}
+
+/**
+ * 새 상품의 검토 여부를 카테고리 검토 정책으로 판정합니다.
+ * 정책을 지정한 카테고리가 없으면 config.bunjang.review.defaultAutoApprove를 따릅니다.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {Map} categoryIndex - getCategoryMappingIndex() 결과.
+ * @returns {{autoApprove: boolean, policySource: string}}
+ */
+function evaluateReviewPolicy(bunjangProduct, categoryIndex) {
+  const policy = resolveCategoryReviewPolicy(bunjangProduct.categoryId, categoryIndex);
+  if (!policy) return { autoApprove: config.bunjang.review.defaultAutoApprove, policySource: 'DEFAULT' };
+  const policySource = `CATEGORY:${policy.sourceCategoryId}`;
+  if (policy.autoApprove && policy.maxAutoApprovePriceKrw != null && bunjangProduct.price > policy.maxAutoApprovePriceKrw) {
+    return { autoApprove: false, policySource: `${policySource}:PRICE_OVER_${policy.maxAutoApprovePriceKrw}` };
+  }
+  return { autoApprove: policy.autoApprove, policySource };
+}
+
+/**
+ * 아직 Shopify에 없는 상품의 검토 상태를 정하고 SyncedProduct에 기록합니다. (카탈로그 동기화에서 상품 생성 전에 호출)
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<object>} 기록한 review 값.
+ */
+async function requestProductReview(bunjangProduct, jobId = 'N/A') {
+  const { autoApprove, policySource } = evaluateReviewPolicy(bunjangProduct, await getCategoryMappingIndex());
+  const now = new Date();
+  const review = autoApprove
+    ? { status: 'APPROVED', policySource, requestedAt: now, decidedBy: 'auto', decidedAt: now }
+    : { status: 'PENDING', policySource, requestedAt: now };
+  await SyncedProduct.updateOne({ bunjangPid: bunjangProduct.pid }, { $set: { review } });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangProduct.pid} ${autoApprove ? 'auto-approved' : 'queued for review'} (policy: ${policySource}).`);
+  return review;
+}
+
+/**
+ * 검토 대상 상품 하나를 조회합니다.
+ * @param {string} bunjangPid
+ * @returns {Promise<object>}
+ */
+async function getReviewProduct(bunjangPid) {
+  const doc = await SyncedProduct.findOne({ bunjangPid }).select(REVIEW_PRODUCT_FIELDS).lean();
+  if (!doc) throw new NotFoundError('동기화된 상품을 찾을 수 없습니다.', 'SyncedProduct', bunjangPid);
+  if (!doc.review?.status) throw new AppError('검토 대상 상품이 아닙니다. (검토 모드 이전에 가져온 상품)', 409, 'REVIEW_NOT_REQUESTED');
+  return doc;
+}
+
+async function enqueueReviewResync(bunjangPid, reason) {
+  const queueName = config.bullmq.queues.productSync;
+  const productSyncQueue = config.redis.enabled ? getQueue(queueName) : null;
+  if (!productSyncQueue) {
+    logger.warn(`[${SERVICE_NAME}] Queue "${queueName}" not available. PID ${bunjangPid} will be updated by the next catalog sync.`);
+    return null;
+  }
+  const job = await productSyncQueue.add(
+    `ProductReview-ResyncProduct-${bunjangPid}`,
+    { bunjangPids: [bunjangPid], force: true, triggeredBy: `product_review:${reason}` },
+    { attempts: 1 }
+  );
+  return job.id;
+}
+
+/**
+ * 검토 상태별 상품 목록을 조회합니다. (오래 기다린 순)
+ * @param {{status?: string, categoryId?: string, page?: number, limit?: number}} [filters={}]
+ * @returns {Promise<{products: object[], total: number, page: number, limit: number}>}
+ */
+async function listReviewProducts({ status = 'PENDING', categoryId, page = 1, limit = 50 } = {}) {
+  const query = { 'review.status': status };
+  if (categoryId) query.bunjangCategoryId = categoryId;
+  const [products, total] = await Promise.all([
+    SyncedProduct.find(query).select(REVIEW_PRODUCT_FIELDS)
+      .sort({ 'review.requestedAt': 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    SyncedProduct.countDocuments(query),
+  ]);
+  return { products, total, page, limit };
+}
+
+/**
+ * 상품을 승인합니다. Shopify에 DRAFT로 만들어져 있으면 ACTIVE(상태 재정의가 있으면 그 상태)로 바꾸고 온라인 스토어에 게시합니다.
+ * 거절로 내렸던 상품은 재동기화 작업을 큐에 넣어 다시 올립니다.
+ * @param {string} bunjangPid
+ * @param {{reviewedBy?: string, note?: string}} [decision={}]
+ * @returns {Promise<{product: object, resyncJobId: string|null}>}
+ */
+async function approveProduct(bunjangPid, { reviewedBy, note } = {}) {
+  const doc = await getReviewProduct(bunjangPid);
+  if (doc.review.status === 'APPROVED') throw new AppError('이미 승인된 상품입니다.', 409, 'REVIEW_ALREADY_APPROVED');
+
+  const update = { 'review.status': 'APPROVED', 'review.decidedBy': reviewedBy, 'review.decidedAt': new Date(), 'review.note': note };
+  let resyncJobId = null;
+  if (doc.shopifyGid && !doc.delistedAt) {
+    const targetStatus = doc.overrides?.status || 'ACTIVE';
+    await shopifyService.updateProductStatus(doc.shopifyGid, targetStatus);
+    if (targetStatus === 'ACTIVE') await shopifyService.publishProductToOnlineStore(doc.shopifyGid);
+    update.shopifyStatus = targetStatus;
+  } else if (doc.shopifyGid && doc.delistReason === REVIEW_REJECTED_DELIST_REASON) {
+    resyncJobId = await enqueueReviewResync(bunjangPid, 'approved');
+  }
+
+  const product = await SyncedProduct.findOneAndUpdate({ bunjangPid }, { $set: update }, { new: true, lean: true }).select(REVIEW_PRODUCT_FIELDS);
+  logger.info(`[${SERVICE_NAME}] PID ${bunjangPid} approved by ${reviewedBy || 'unknown'}.`);
+  return { product, resyncJobId };
+}
+
+/**
+ * 상품을 거절합니다. Shopify에 올라가 있으면 config.bunjang.delistShopifyStatus로 내리고, 이후 카탈로그 동기화에서 건너뜁니다.
+ * @param {string} bunjangPid
+ * @param {{reviewedBy?: string, reason?: string}} [decision={}]
+ * @returns {Promise<object>} 수정된 상품.
+ */
+async function rejectProduct(bunjangPid, { reviewedBy, reason } = {}) {
+  const doc = await getReviewProduct(bunjangPid);
+  if (doc.review.status === 'REJECTED') throw new AppError('이미 거절된 상품입니다.', 409, 'REVIEW_ALREADY_REJECTED');
+
+  const update = { 'review.status': 'REJECTED', 'review.decidedBy': reviewedBy, 'review.decidedAt': new Date(), 'review.note': reason };
+  if (doc.shopifyGid && !doc.delistedAt) {
+    const delistStatus = config.bunjang.delistShopifyStatus;
+    await shopifyService.updateProductStatus(doc.shopifyGid, delistStatus);
+    Object.assign(update, { shopifyStatus: delistStatus, delistedAt: new Date(), delistReason: REVIEW_REJECTED_DELIST_REASON });
+  }
+
+  const product = await SyncedProduct.findOneAndUpdate({ bunjangPid }, { $set: update }, { new: true, lean: true }).select(REVIEW_PRODUCT_FIELDS);
+  logger.info(`[${SERVICE_NAME}] PID ${bunjangPid} rejected by ${reviewedBy || 'unknown'}. Reason: ${reason || 'N/A'}`);
+  return product;
+}
+
+/**
+ * 검토 중인 상품의 제목/설명/가격/추가 태그를 수정합니다. 상품 재정의(productOverrideService)로 저장하므로 이후 동기화에서도 유지되며,
+ * 전달하지 않은 항목과 기존 잠금은 그대로 둡니다. Shopify의 DRAFT 상품에도 바로 반영하도록 재동기화 작업을 큐에 넣습니다.
+ * @param {string} bunjangPid
+ * @param {{title?: string, descriptionHtml?: string, priceUsd?: string|number, extraTags?: string[], updatedBy?: string}} edits
+ * @returns {Promise<{product: object, resyncJobId: string|null}>}
+ */
+async function editReviewProduct(bunjangPid, edits) {
+  await getReviewProduct(bunjangPid);
+  const { overrides: currentOverrides } = await getProductOverrides(bunjangPid);
+  await updateProductOverrides(bunjangPid, { ...(currentOverrides || {}), ...edits });
+  const resyncJobId = await enqueueReviewResync(bunjangPid, 'edited');
+  const product = await getReviewProduct(bunjangPid);
+  logger.info(`[${SERVICE_NAME}] PID ${bunjangPid} edited during review by ${edits.updatedBy || 'unknown'} (${Object.keys(edits).join(', ')}).`);
+  return { product, resyncJobId };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  isAwaitingReview,
+  requestProductReview,
+  listReviewProducts,
+  getReviewProduct,
+  approveProduct,
+  rejectProduct,
+  editReviewProduct,
+};
@@ -0,0 +1,438 @@
+// src/services/reconciliationService.js
+// Shopify 스토어와 SyncedProduct를 대조합니다.
+// bunjang_import 태그 검색과 번개장터 컬렉션(config.shopify.defaultCollectionGid)의 상품을 모두 읽어 번개장터 PID(태그, bunjang.pid 메타필드, BJ- SKU 순)를 찾고,
+// 기록이 없는 고아 상품, 같은 PID의 중복 상품, 삭제된 상품을 가리키는 GID, 상태 불일치를 ReconciliationIssue로 남깁니다.
+// 태그/SKU로 확실히 찾은 상품은 기록을 자동으로 다시 연결합니다. (config.bunjang.reconciliation.autoRelink)
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const ReconciliationReport = require('../models/reconciliationReport.model');
+const ReconciliationIssue = require('../models/reconciliationIssue.model');
+const shopifyService = require('./shopifyService');
+const { isFieldLocked } = require('./productOverrideService');
+const { parseBunjangVariantSku } = require('../mappers/productMapper');
+const { getQueue } = require('../jobs/queues');
+const { AppError, ValidationError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ReconciliationSvc';
+const PAGE_SIZE = 100;
+const RECORD_LOOKUP_BATCH_SIZE = 1000;
+const ISSUE_FLUSH_SIZE = 500;
+const BUNJANG_PID_TAG_PREFIX = 'bunjang_pid:';
+const RECONCILIATION_FIX_ACTIONS = ['LINK', 'ARCHIVE_SHOPIFY_PRODUCT', 'CLEAR_GID', 'RESYNC', 'IGNORE'];
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  status
+  tags
+  metafield(namespace: "bunjang", key: "pid") { value }
+  variants(first: 1) { nodes { sku } }`;
+
+const TAGGED_PRODUCTS_QUERY = `
+  query reconcileTaggedProducts($cursor: String) {
+    products(first: ${PAGE_SIZE}, after: $cursor, query: "tag:bunjang_import") {
+      pageInfo { hasNextPage endCursor }
+      nodes { ${PRODUCT_FIELDS} }
+    }
+  }`;
+
+const COLLECTION_PRODUCTS_QUERY = `
+  query reconcileCollectionProducts($id: ID!, $cursor: String) {
+    collection(id: $id) {
+      products(first: ${PAGE_SIZE}, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${PRODUCT_FIELDS} }
+      }
+    }
+  }`;
+
+// 검색에 나오지 않은 기록의 GID가 아직 있는지 확인 (삭제된 상품은 null)
+const PRODUCT_NODES_QUERY = `
+  query reconcileProductNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product { id status }
+    }
+  }`;
+
+/**
+ * Shopify 상품의 번개장터 PID를 찾습니다. (bunjang_pid 태그, bunjang.pid 메타필드, BJ- SKU 순)
+ * @param {object} product - PRODUCT_FIELDS로 조회한 Shopify 상품.
+ * @returns {string|null}
+ */
+function resolveBunjangPid(product) {
+  const pidTag = (product.tags || []).find(tag => tag.startsWith(BUNJANG_PID_TAG_PREFIX));
+  if (pidTag && pidTag.length > BUNJANG_PID_TAG_PREFIX.length) return pidTag.substring(BUNJANG_PID_TAG_PREFIX.length).trim();
+  if (product.metafield?.value) return String(product.metafield.value).trim();
+  return parseBunjangVariantSku(product.variants?.nodes?.[0]?.sku)?.bunjangPid || null;
+}
+
+async function forEachProductPage(query, variables, getConnection, onNodes) {
+  let cursor = null;
+  do {
+    const response = await shopifyService.shopifyGraphqlRequest(query, { ...variables, cursor });
+    const connection = getConnection(response.data);
+    if (!connection) return;
+    onNodes(connection.nodes || []);
+    cursor = connection.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+}
+
+/**
+ * bunjang_import 태그 검색과 번개장터 컬렉션의 상품을 읽습니다. (두 곳에 모두 있는 상품은 한 번만)
+ * @returns {Promise<Map<string, {id: string, title: string, handle: string, status: string, bunjangPid: string|null, sources: Set<string>}>>} Shopify GID -> 상품.
+ */
+async function collectShopifyProducts(jobIdForLog) {
+  const productsByGid = new Map();
+  const addNodes = (source) => (nodes) => {
+    for (const node of nodes) {
+      const existing = productsByGid.get(node.id);
+      if (existing) {
+        existing.sources.add(source);
+        continue;
+      }
+      productsByGid.set(node.id, {
+        id: node.id, title: node.title, handle: node.handle, status: node.status,
+        bunjangPid: resolveBunjangPid(node),
+        sources: new Set([source]),
+      });
+    }
+  };
+
+  await forEachProductPage(TAGGED_PRODUCTS_QUERY, {}, data => data?.products, addNodes('tag'));
+  const collectionGid = config.shopify.defaultCollectionGid;
+  if (collectionGid) {
+    await forEachProductPage(COLLECTION_PRODUCTS_QUERY, { id: collectionGid }, data => data?.collection?.products, addNodes('collection'));
+  } else {
+    logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] SHOPIFY_BUNJANG_COLLECTION_GID is not set. Reconciling tagged products only.`);
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Collected ${productsByGid.size} Shopify products for reconciliation.`);
+  return productsByGid;
+}
+
+async function loadRecordsByPid(bunjangPids) {
+  const recordsByPid = new Map();
+  for (let i = 0; i < bunjangPids.length; i += RECORD_LOOKUP_BATCH_SIZE) {
+    const records = await SyncedProduct.find({ bunjangPid: { $in: bunjangPids.slice(i, i + RECORD_LOOKUP_BATCH_SIZE) } })
+      .select('bunjangPid shopifyGid shopifyStatus delistedAt delistReason overrides').lean();
+    records.forEach(record => recordsByPid.set(record.bunjangPid, record));
+  }
+  return recordsByPid;
+}
+
+/**
+ * SyncedProduct를 Shopify 상품에 연결합니다. 다음 동기화가 모든 항목을 다시 쓰도록 해시/미디어/variant 기록을 비웁니다.
+ * @param {string} bunjangPid
+ * @param {{id: string, handle?: string, status?: string}} product - 연결할 Shopify 상품.
+ */
+async function linkRecordToShopifyProduct(bunjangPid, product) {
+  await SyncedProduct.updateOne(
+    { bunjangPid },
+    {
+      $set: {
+        shopifyGid: product.id,
+        shopifyProductId: product.id.split('/').pop(),
+        ...(product.handle && { shopifyHandle: product.handle }),
+        ...(product.status && { shopifyStatus: product.status }),
+        syncStatus: 'PENDING',
+      },
+      $unset: { syncHashes: 1, shopifyMedia: 1, shopifyVariantMappings: 1 },
+      $setOnInsert: { bunjangPid, createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+}
+
+// 기록의 상태와 Shopify 상태가 다르면 이슈 내용을 반환 (상태를 잠근 상품은 머천다이저가 Shopify에서 직접 관리하므로 제외)
+function detectStatusDrift(record, product) {
+  if (!record.shopifyStatus || record.shopifyStatus === product.status || isFieldLocked(record.overrides, 'status')) return null;
+  if (record.delistedAt) {
+    return {
+      details: `Delisted (${record.delistReason || 'unknown reason'}) as ${record.shopifyStatus}, but the Shopify product is ${product.status}.`,
+      suggestedActions: ['ARCHIVE_SHOPIFY_PRODUCT', 'RESYNC', 'IGNORE'],
+    };
+  }
+  return {
+    details: `Last synced as ${record.shopifyStatus}, but the Shopify product is ${product.status}.`,
+    suggestedActions: ['RESYNC', 'IGNORE'],
+  };
+}
+
+/**
+ * Shopify 스토어와 SyncedProduct를 대조하여 보고서를 만듭니다. (예약 작업 RECONCILE_SHOPIFY_PRODUCTS)
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options={}]
+ * @param {boolean} [options.autoRelink=config.bunjang.reconciliation.autoRelink] - 태그/SKU로 찾은 상품에 기록을 자동으로 다시 연결할지 여부.
+ * @param {string} [options.triggeredBy]
+ * @returns {Promise<{reportId: string, counts: object}>}
+ */
+async function runShopifyReconciliation(jobIdForLog = 'N/A', options = {}) {
+  const autoRelink = options.autoRelink ?? config.bunjang.reconciliation.autoRelink;
+  const startedAt = new Date();
+  const report = await ReconciliationReport.create({ triggeredBy: options.triggeredBy, autoRelink, startedAt });
+  const counts = {
+    shopifyProductsScanned: 0, recordsChecked: 0, inSync: 0, relinked: 0, orphans: 0,
+    unidentified: 0, duplicates: 0, danglingGids: 0, missingPidTags: 0, statusDrift: 0,
+  };
+
+  let pendingIssues = [];
+  const addIssue = async (issue) => {
+    pendingIssues.push({ reportId: report._id, ...issue });
+    if (pendingIssues.length >= ISSUE_FLUSH_SIZE) {
+      await ReconciliationIssue.insertMany(pendingIssues, { ordered: false });
+      pendingIssues = [];
+    }
+  };
+  const productFields = (product) => ({ shopifyGid: product.id, shopifyTitle: product.title, shopifyHandle: product.handle, shopifyStatus: product.status });
+  const recordRelink = async (bunjangPid, product, previousGid, details) => {
+    await linkRecordToShopifyProduct(bunjangPid, product);
+    counts.relinked++;
+    await addIssue({
+      type: 'RELINKED', status: 'FIXED', bunjangPid, ...productFields(product), recordShopifyGid: previousGid, details,
+      resolution: { action: 'LINK', by: 'auto', at: new Date() },
+    });
+  };
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Starting Shopify reconciliation (report ${report._id}, autoRelink: ${autoRelink}).`);
+  try {
+    const shopifyProducts = await collectShopifyProducts(jobIdForLog);
+    counts.shopifyProductsScanned = shopifyProducts.size;
+
+    // 1. Shopify 상품 기준: PID로 기록을 찾아 연결 상태 확인
+    const productsByPid = new Map();
+    for (const product of shopifyProducts.values()) {
+      if (!product.bunjangPid) {
+        counts.unidentified++;
+        await addIssue({
+          type: 'UNIDENTIFIED_SHOPIFY_PRODUCT', ...productFields(product),
+          details: `Found via ${[...product.sources].join(', ')} but has no bunjang_pid tag, bunjang.pid metafield or BJ- SKU.`,
+          suggestedActions: ['ARCHIVE_SHOPIFY_PRODUCT', 'IGNORE'],
+        });
+        continue;
+      }
+      if (!productsByPid.has(product.bunjangPid)) productsByPid.set(product.bunjangPid, []);
+      productsByPid.get(product.bunjangPid).push(product);
+    }
+
+    const recordsByPid = await loadRecordsByPid([...productsByPid.keys()]);
+    const duplicateCandidatesByPid = new Map(); // 기록이 다른 GID를 가리키는 PID -> Shopify 상품 (2단계에서 기록의 GID가 삭제된 것이면 재연결)
+    for (const [bunjangPid, products] of productsByPid) {
+      const record = recordsByPid.get(bunjangPid);
+      for (const product of products) {
+        if (!record) {
+          counts.orphans++;
+          await addIssue({
+            type: 'ORPHAN_SHOPIFY_PRODUCT', bunjangPid, ...productFields(product),
+            details: 'Shopify product has a Bunjang PID but no SyncedProduct record.',
+            suggestedActions: ['LINK', 'ARCHIVE_SHOPIFY_PRODUCT', 'IGNORE'],
+          });
+        } else if (record.shopifyGid === product.id) {
+          counts.inSync++;
+          const drift = detectStatusDrift(record, product);
+          if (drift) {
+            counts.statusDrift++;
+            await addIssue({ type: 'STATUS_DRIFT', bunjangPid, ...productFields(product), ...drift });
+          }
+        } else if (!record.shopifyGid) {
+          if (autoRelink) {
+            await recordRelink(bunjangPid, product, null, 'SyncedProduct had no shopifyGid. Linked to the product found by tag/SKU.');
+            record.shopifyGid = product.id; // 같은 PID의 다른 상품은 중복으로 처리
+          } else {
+            counts.orphans++;
+            await addIssue({
+              type: 'ORPHAN_SHOPIFY_PRODUCT', bunjangPid, ...productFields(product),
+              details: 'SyncedProduct exists without shopifyGid.',
+              suggestedActions: ['LINK', 'ARCHIVE_SHOPIFY_PRODUCT', 'IGNORE'],
+            });
+          }
+        } else {
+          if (!duplicateCandidatesByPid.has(bunjangPid)) duplicateCandidatesByPid.set(bunjangPid, []);
+          duplicateCandidatesByPid.get(bunjangPid).push(product);
+        }
+      }
+    }
+
+    // 2. 기록 기준: 검색에 나오지 않은 GID가 삭제된 상품인지 확인
+    const checkUnseenRecords = async (records) => {
+      let nodes;
+      try {
+        const response = await shopifyService.shopifyGraphqlRequest(PRODUCT_NODES_QUERY, { ids: records.map(record => record.shopifyGid) });
+        nodes = response.data?.nodes || [];
+      } catch (error) {
+        logger.warn(`[${SERVICE_NAME}:Job-${jobIdForLog}] Failed to look up ${records.length} Shopify product GIDs: ${error.message}. Skipping this batch.`);
+        return;
+      }
+      for (const [index, record] of records.entries()) {
+        const node = nodes[index];
+        if (node?.id) {
+          counts.missingPidTags++;
+          await addIssue({
+            type: 'MISSING_PID_TAG', bunjangPid: record.bunjangPid, shopifyGid: node.id, shopifyStatus: node.status,
+            details: 'Shopify product exists but is not tagged bunjang_import or not in the Bunjang collection.',
+            suggestedActions: ['RESYNC', 'IGNORE'],
+          });
+          continue;
+        }
+        const replacement = duplicateCandidatesByPid.get(record.bunjangPid)?.shift();
+        if (replacement && autoRelink) {
+          await recordRelink(record.bunjangPid, replacement, record.shopifyGid, 'Recorded shopifyGid points to a deleted product. Linked to the product found by tag/SKU.');
+          continue;
+        }
+        counts.danglingGids++;
+        await addIssue({
+          type: 'DANGLING_GID', bunjangPid: record.bunjangPid, recordShopifyGid: record.shopifyGid,
+          ...(replacement && productFields(replacement)),
+          details: replacement
+            ? 'Recorded shopifyGid points to a deleted product. Another Shopify product with this PID exists.'
+            : 'Recorded shopifyGid points to a deleted product.',
+          suggestedActions: replacement ? ['LINK', 'CLEAR_GID', 'IGNORE'] : ['CLEAR_GID', 'IGNORE'],
+        });
+      }
+    };
+
+    const recordCursor = SyncedProduct.find({ shopifyGid: { $exists: true, $ne: null } }).select('bunjangPid shopifyGid').lean().cursor();
+    let unseenBatch = [];
+    for await (const record of recordCursor) {
+      counts.recordsChecked++;
+      if (shopifyProducts.has(record.shopifyGid)) continue;
+      unseenBatch.push(record);
+      if (unseenBatch.length >= PAGE_SIZE) {
+        await checkUnseenRecords(unseenBatch);
+        unseenBatch = [];
+      }
+    }
+    if (unseenBatch.length > 0) await checkUnseenRecords(unseenBatch);
+
+    // 3. 기록이 있는 다른 상품을 가리키는 PID의 나머지 Shopify 상품은 중복
+    for (const [bunjangPid, products] of duplicateCandidatesByPid) {
+      const record = recordsByPid.get(bunjangPid);
+      for (const product of products) {
+        counts.duplicates++;
+        await addIssue({
+          type: 'DUPLICATE_SHOPIFY_PRODUCT', bunjangPid, ...productFields(product), recordShopifyGid: record.shopifyGid,
+          details: 'SyncedProduct for this PID is linked to a different Shopify product.',
+          suggestedActions: ['ARCHIVE_SHOPIFY_PRODUCT', 'LINK', 'IGNORE'],
+        });
+      }
+    }
+
+    if (pendingIssues.length > 0) await ReconciliationIssue.insertMany(pendingIssues, { ordered: false });
+    const completedAt = new Date();
+    await ReconciliationReport.updateOne({ _id: report._id }, {
+      $set: { status: 'COMPLETED', counts, completedAt, durationMs: completedAt - startedAt },
+    });
+    logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Shopify reconciliation finished (report ${report._id}).`, counts);
+    return { reportId: String(report._id), counts };
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] Shopify reconciliation failed: ${error.message}`, { stack: error.stack });
+    await ReconciliationReport.updateOne({ _id: report._id }, {
+      $set: { status: 'FAILED', counts, completedAt: new Date(), errorMessage: String(error.message).substring(0, 1000) },
+    }).catch(updateError => logger.warn(`[${SERVICE_NAME}:Job-${jobIdForLog}] Failed to mark reconciliation report as failed: ${updateError.message}`));
+    throw error;
+  }
+}
+
+async function listReconciliationReports({ page = 1, limit = 20 } = {}) {
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find({}).sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ReconciliationReport.countDocuments({}),
+  ]);
+  return { reports, total, page, limit };
+}
+
+/**
+ * 대조 보고서와 이슈 목록을 조회합니다.
+ * @returns {Promise<{report: object, issues: object[], pagination: object}>}
+ */
+async function getReconciliationReport(reportId, { type, status, page = 1, limit = 100 } = {}) {
+  const report = await ReconciliationReport.findById(reportId).lean();
+  if (!report) throw new NotFoundError('대조 보고서를 찾을 수 없습니다.', 'ReconciliationReport', reportId);
+
+  const issueFilter = { reportId: report._id, ...(type && { type }), ...(status && { status }) };
+  const [issues, totalItems] = await Promise.all([
+    ReconciliationIssue.find(issueFilter).sort({ type: 1, _id: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ReconciliationIssue.countDocuments(issueFilter),
+  ]);
+  return {
+    report,
+    issues,
+    pagination: { page, limit, totalItems, totalPages: Math.ceil(totalItems / limit) },
+  };
+}
+
+/**
+ * 대조 이슈에 처리를 적용합니다.
+ * - LINK: SyncedProduct를 이슈의 Shopify 상품에 연결 (없으면 생성). 다음 카탈로그 동기화가 모든 항목을 다시 씀
+ * - ARCHIVE_SHOPIFY_PRODUCT: 이슈의 Shopify 상품을 ARCHIVED로 전환
+ * - CLEAR_GID: 기록의 Shopify 연결을 지워 다음 카탈로그 동기화 때 새로 만들도록 함
+ * - RESYNC: 상품 재동기화 작업을 큐에 추가 (번개장터 최신 정보로 모든 항목을 다시 씀)
+ * - IGNORE: 처리하지 않고 닫음
+ * @param {string} issueId
+ * @param {string} action - 이슈의 suggestedActions 중 하나.
+ * @param {{resolvedBy?: string}} [options={}]
+ * @returns {Promise<object>} 처리된 이슈.
+ */
+async function applyReconciliationFix(issueId, action, { resolvedBy } = {}) {
+  const issue = await ReconciliationIssue.findById(issueId).lean();
+  if (!issue) throw new NotFoundError('대조 이슈를 찾을 수 없습니다.', 'ReconciliationIssue', issueId);
+  if (issue.status !== 'OPEN') {
+    throw new ValidationError('이미 처리된 이슈입니다.', [{ field: 'issueId', message: `Issue is ${issue.status}.`, value: issueId }]);
+  }
+  if (!(issue.suggestedActions || []).includes(action)) {
+    throw new ValidationError(`이 이슈에 적용할 수 없는 처리입니다: ${action}`, [{ field: 'action', message: `Allowed: ${(issue.suggestedActions || []).join(', ')}`, value: action }]);
+  }
+
+  let message = null;
+  switch (action) {
+    case 'LINK':
+      await linkRecordToShopifyProduct(issue.bunjangPid, { id: issue.shopifyGid, handle: issue.shopifyHandle, status: issue.shopifyStatus });
+      message = `Linked PID ${issue.bunjangPid} to ${issue.shopifyGid}.`;
+      break;
+    case 'ARCHIVE_SHOPIFY_PRODUCT':
+      await shopifyService.updateProductStatus(issue.shopifyGid, 'ARCHIVED');
+      await SyncedProduct.updateOne({ shopifyGid: issue.shopifyGid }, { $set: { shopifyStatus: 'ARCHIVED' } });
+      message = `Archived ${issue.shopifyGid}.`;
+      break;
+    case 'CLEAR_GID': {
+      const clearedGid = issue.recordShopifyGid || issue.shopifyGid;
+      await SyncedProduct.updateOne({ bunjangPid: issue.bunjangPid, shopifyGid: clearedGid }, {
+        $set: { syncStatus: 'PENDING' },
+        $unset: { shopifyGid: 1, shopifyProductId: 1, shopifyHandle: 1, syncHashes: 1, shopifyMedia: 1, shopifyVariantMappings: 1 },
+      });
+      message = `Cleared ${clearedGid} from PID ${issue.bunjangPid}. The next catalog sync recreates the product.`;
+      break;
+    }
+    case 'RESYNC': {
+      const queueName = config.bullmq.queues.productSync;
+      const productSyncQueue = config.redis.enabled ? getQueue(queueName) : null;
+      if (!productSyncQueue) throw new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE');
+      const job = await productSyncQueue.add(
+        `ReconciliationFix-ResyncProduct-${issue.bunjangPid}`,
+        { bunjangPids: [issue.bunjangPid], force: true, triggeredBy: 'reconciliation_fix' },
+        { attempts: 1 }
+      );
+      message = `Resync job ${job.id} queued.`;
+      break;
+    }
+    default:
+      break;
+  }
+
+  const updated = await ReconciliationIssue.findByIdAndUpdate(issueId, {
+    $set: {
+      status: action === 'IGNORE' ? 'IGNORED' : 'FIXED',
+      resolution: { action, by: resolvedBy, at: new Date(), message },
+    },
+  }, { new: true }).lean();
+  logger.info(`[${SERVICE_NAME}] Reconciliation issue ${issueId} (${issue.type}, PID ${issue.bunjangPid || 'N/A'}) resolved with ${action}.${message ? ` ${message}` : ''}`);
+  return updated;
+}
+
+module.exports = {
+  RECONCILIATION_FIX_ACTIONS,
+  runShopifyReconciliation,
+  listReconciliationReports,
+  getReconciliationReport,
+  applyReconciliationFix,
+};
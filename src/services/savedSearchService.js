@@ -0,0 +1,218 @@
+// src/services/savedSearchService.js
+// 저장된 번개장터 검색(SavedSearch) 관리 및 실행.
+// 예약 작업(RUN_SAVED_SEARCHES)이 실행 시간이 된 검색의 결과를 페이지 단위로 읽고, 아직 Shopify에 없는 상품을
+// 상품 상세 API의 최신 정보로 일반 동기화 경로(catalogService.syncBunjangProductByPid)를 거쳐 가져옵니다.
+const logger = require('../config/logger');
+const SavedSearch = require('../models/savedSearch.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const bunjangService = require('./bunjangService');
+const { syncBunjangProductByPid } = require('./catalogService');
+const { loadActiveFilterRules } = require('./catalogFilterService');
+const { ValidationError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'SavedSearchSvc';
+const SEARCH_PAGE_SIZE = 100; // 번개장터 검색 API 최대 페이지 크기
+
+/**
+ * 저장된 검색을 번개장터 검색 API 파라미터로 변환합니다.
+ * @param {object} savedSearch - SavedSearch 문서.
+ * @returns {object} searchBunjangProducts 파라미터 (size, cursor 제외).
+ */
+function buildSearchParams(savedSearch) {
+  const params = { sort: savedSearch.sort || 'latest' };
+  if (savedSearch.query) params.q = savedSearch.query;
+  if (savedSearch.categoryIds?.length) params.categoryId = savedSearch.categoryIds.join(',');
+  if (savedSearch.brandIds?.length) params.brandId = savedSearch.brandIds.join(',');
+  if (savedSearch.minPriceKrw != null) params.minPrice = savedSearch.minPriceKrw;
+  if (savedSearch.maxPriceKrw != null) params.maxPrice = savedSearch.maxPriceKrw;
+  if (savedSearch.freeShipping) params.freeShipping = true;
+  return params;
+}
+
+function validateSearchConditions(searchData) {
+  const errors = [];
+  if (!searchData.query && !searchData.categoryIds?.length && !searchData.brandIds?.length) {
+    errors.push({ field: 'query', message: '검색어, 카테고리, 브랜드 중 하나 이상을 지정해야 합니다.' });
+  }
+  if (searchData.minPriceKrw != null && searchData.maxPriceKrw != null && searchData.minPriceKrw > searchData.maxPriceKrw) {
+    errors.push({ field: 'minPriceKrw', message: 'minPriceKrw는 maxPriceKrw보다 클 수 없습니다.' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('저장된 검색 조건이 유효하지 않습니다.', errors);
+  }
+}
+
+async function listSavedSearches() {
+  return SavedSearch.find({}).sort({ name: 1 }).lean();
+}
+
+async function getSavedSearch(savedSearchId) {
+  const savedSearch = await SavedSearch.findById(savedSearchId).lean();
+  if (!savedSearch) throw new NotFoundError('저장된 검색을 찾을 수 없습니다.', 'SavedSearch', savedSearchId);
+  return savedSearch;
+}
+
+async function createSavedSearch(searchData) {
+  validateSearchConditions(searchData);
+  if (await SavedSearch.exists({ name: searchData.name })) {
+    throw new ValidationError('같은 이름의 저장된 검색이 이미 있습니다.', [{ field: 'name', message: 'Duplicate saved search name.', value: searchData.name }]);
+  }
+  const savedSearch = await SavedSearch.create(searchData);
+  logger.info(`[${SERVICE_NAME}] Saved search created: ${savedSearch.name} (every ${savedSearch.intervalMinutes} min, max ${savedSearch.maxItems} items).`);
+  return savedSearch.toObject();
+}
+
+async function updateSavedSearch(savedSearchId, updates) {
+  const savedSearch = await SavedSearch.findById(savedSearchId);
+  if (!savedSearch) throw new NotFoundError('저장된 검색을 찾을 수 없습니다.', 'SavedSearch', savedSearchId);
+  // 이름은 가져온 상품의 태그와 SyncedProduct.savedSearchNames에 쓰이므로 변경 불가
+  if (updates.name && updates.name !== savedSearch.name) {
+    throw new ValidationError('저장된 검색의 이름은 변경할 수 없습니다.', [{ field: 'name', message: 'Saved search name is immutable.', value: updates.name }]);
+  }
+  savedSearch.set(updates);
+  // 주기를 바꾸면 새 주기로 다음 실행 시간을 다시 계산
+  if (updates.intervalMinutes !== undefined && savedSearch.lastRunAt) {
+    savedSearch.nextRunAt = new Date(savedSearch.lastRunAt.getTime() + savedSearch.intervalMinutes * 60 * 1000);
+  }
+  validateSearchConditions(savedSearch.toObject());
+  await savedSearch.save();
+  logger.info(`[${SERVICE_NAME}] Saved search updated: ${savedSearch.name} (enabled: ${savedSearch.enabled}).`);
+  return savedSearch.toObject();
+}
+
+/**
+ * 저장된 검색을 삭제하고, 이 검색으로 가져온 상품의 SyncedProduct.savedSearchNames에서 이름을 뺍니다.
+ * 상품 자체는 Shopify에 남으며, 다음 카탈로그 동기화부터 태그가 빠지고 카탈로그 필터가 다시 적용됩니다.
+ */
+async function deleteSavedSearch(savedSearchId) {
+  const savedSearch = await SavedSearch.findByIdAndDelete(savedSearchId).lean();
+  if (!savedSearch) throw new NotFoundError('저장된 검색을 찾을 수 없습니다.', 'SavedSearch', savedSearchId);
+  const { modifiedCount } = await SyncedProduct.updateMany(
+    { savedSearchNames: savedSearch.name },
+    { $pull: { savedSearchNames: savedSearch.name } }
+  );
+  logger.info(`[${SERVICE_NAME}] Saved search deleted: ${savedSearch.name}. Detached from ${modifiedCount} product(s).`);
+  return savedSearch;
+}
+
+/**
+ * 저장된 검색 하나를 실행합니다. 정렬 순서상 상위 maxItems개의 결과를 확인하고, Shopify에 없는 상품(처음 보거나,
+ * 이전에 가져오지 못했거나, 내려간 상품)만 가져옵니다. 이미 올라가 있는 상품은 그대로 둡니다.
+ * @param {object} savedSearch - SavedSearch 문서.
+ * @param {object} filterRuleSet - loadActiveFilterRules() 결과. 가져오는 상품은 exemptPids에 추가됨.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<{scanned: number, imported: number, alreadyListed: number, skipped: number, errors: number}>}
+ */
+async function runSavedSearch(savedSearch, filterRuleSet, jobIdForLog = 'N/A') {
+  const counts = { scanned: 0, imported: 0, alreadyListed: 0, skipped: 0, errors: 0 };
+  const searchParams = buildSearchParams(savedSearch);
+  const maxItems = savedSearch.maxItems || 100;
+  let cursor = null;
+  let hasNext = true;
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Running saved search "${savedSearch.name}" (max ${maxItems} items).`, searchParams);
+  while (hasNext && counts.scanned < maxItems) {
+    const page = await bunjangService.searchBunjangProducts({
+      ...searchParams,
+      size: Math.min(SEARCH_PAGE_SIZE, maxItems - counts.scanned),
+      ...(cursor && { cursor }),
+    });
+    const items = Array.isArray(page?.data) ? page.data : [];
+
+    for (const item of items.slice(0, maxItems - counts.scanned)) {
+      counts.scanned++;
+      const bunjangPid = String(item.pid ?? item.id ?? '');
+      if (!bunjangPid) {
+        counts.skipped++;
+        continue;
+      }
+
+      const existing = await SyncedProduct.findOne({ bunjangPid }).select('shopifyGid delistedAt').lean();
+      if (existing?.shopifyGid && !existing.delistedAt) {
+        counts.alreadyListed++;
+        continue;
+      }
+
+      // 동기화 전에 검색 이름을 기록해야 태그가 붙고 카탈로그 필터에서 제외됨
+      await SyncedProduct.updateOne(
+        { bunjangPid },
+        {
+          $addToSet: { savedSearchNames: savedSearch.name },
+          $setOnInsert: { bunjangPid, createdAt: new Date(), syncStatus: 'PENDING' },
+        },
+        { upsert: true }
+      );
+      filterRuleSet.exemptPids.add(bunjangPid);
+
+      try {
+        const result = await syncBunjangProductByPid(bunjangPid, jobIdForLog, { force: false, filterRuleSet });
+        if (result.status === 'success') counts.imported++;
+        else if (result.status === 'error' || result.status === 'not_found') counts.errors++;
+        else counts.skipped++;
+      } catch (error) {
+        counts.errors++;
+        logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] Saved search "${savedSearch.name}": failed to import PID ${bunjangPid}: ${error.message}`);
+      }
+    }
+
+    cursor = page?.nextCursor ?? page?.cursor ?? null;
+    hasNext = !!page?.hasNext && !!cursor && items.length > 0;
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Saved search "${savedSearch.name}" finished.`, counts);
+  return counts;
+}
+
+/**
+ * 실행 시간이 된 활성 저장 검색을 차례로 실행합니다. (예약 작업 RUN_SAVED_SEARCHES)
+ * savedSearchId를 지정하면 활성 여부나 실행 시간과 관계없이 해당 검색만 실행합니다. (수동 실행)
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options={}]
+ * @param {string} [options.savedSearchId] - 수동으로 실행할 저장된 검색 ID.
+ * @returns {Promise<{searches: number, imported: number, failedSearches: number}>}
+ */
+async function runDueSavedSearches(jobIdForLog = 'N/A', options = {}) {
+  const now = new Date();
+  const savedSearches = options.savedSearchId
+    ? [await getSavedSearch(options.savedSearchId)]
+    : await SavedSearch.find({ enabled: true, $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] }).sort({ nextRunAt: 1 }).lean();
+
+  const summary = { searches: savedSearches.length, imported: 0, failedSearches: 0 };
+  if (savedSearches.length === 0) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] No saved searches due to run.`);
+    return summary;
+  }
+
+  const filterRuleSet = await loadActiveFilterRules();
+  for (const savedSearch of savedSearches) {
+    const startedAt = new Date();
+    const nextRunAt = new Date(startedAt.getTime() + (savedSearch.intervalMinutes || 360) * 60 * 1000);
+    try {
+      const counts = await runSavedSearch(savedSearch, filterRuleSet, jobIdForLog);
+      summary.imported += counts.imported;
+      await SavedSearch.updateOne({ _id: savedSearch._id }, {
+        $set: { lastRunAt: startedAt, lastRunStatus: 'COMPLETED', lastRunCounts: counts, lastErrorMessage: null, nextRunAt },
+        $inc: { totalImported: counts.imported },
+      });
+    } catch (error) {
+      // 검색 API 오류 등. 다음 주기에 다시 시도하고 다른 검색은 계속 실행
+      summary.failedSearches++;
+      logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] Saved search "${savedSearch.name}" failed: ${error.message}`, { stack: error.stack });
+      await SavedSearch.updateOne({ _id: savedSearch._id }, {
+        $set: { lastRunAt: startedAt, lastRunStatus: 'FAILED', lastErrorMessage: String(error.message).substring(0, 1000), nextRunAt },
+      });
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Saved searches finished.`, summary);
+  return summary;
+}
+
+module.exports = {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runDueSavedSearches,
+};
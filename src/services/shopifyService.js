@@ -10,10 +10,12 @@ const {
     BillingInterval,
     LATEST_API_VERSION
 } = require('@shopify/shopify-api');
+const axios = require('axios');
 
 const config = require('../config');
 const logger = require('../config/logger');
 const { ExternalServiceError, AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { acquireQueryCost, recordQueryCost, getThrottledRetryDelayMs } = require('./shopifyThrottleService');
 
 const SERVICE_NAME = 'ShopifySvc';
 
@@ -138,7 +140,10 @@ async function shopifyGraphqlRequest(query, variables = {}) {
   for (let attempt = 0; attempt <= MAX_SHOPIFY_RETRIES; attempt++) {
     try {
       logger.debug(`[${SERVICE_NAME}] GraphQL operation attempt ${attempt + 1}/${MAX_SHOPIFY_RETRIES + 1}: ${operationName}`, { variables: Object.keys(variables) });
+      // 공유 쿼리 비용 버킷에서 예상 비용을 예약 (부족하면 THROTTLED 응답을 받기 전에 대기)
+      await acquireQueryCost(operationName);
       const response = await client.query({ data: { query, variables } });
+      await recordQueryCost(operationName, response.body.extensions?.cost);
 
       if (response.body.errors && response.body.errors.length > 0) {
         const errorDetails = {
@@ -158,6 +163,8 @@ async function shopifyGraphqlRequest(query, variables = {}) {
     } catch (error) {
       if (error instanceof GraphqlQueryError) {
         const statusCode = error.response?.statusCode;
+        const queryCost = error.body?.extensions?.cost;
+        await recordQueryCost(operationName, queryCost);
         const isThrottled = statusCode === 429 || (error.message && error.message.toLowerCase().includes('throttled'));
         const isServerError = statusCode >= 500 && statusCode <= 599;
         const errorLogDetails = {
@@ -171,6 +178,11 @@ async function shopifyGraphqlRequest(query, variables = {}) {
           let delayMs = INITIAL_SHOPIFY_RETRY_DELAY_MS * Math.pow(2, attempt);
           const jitter = delayMs * JITTER_FACTOR * (Math.random() * 2 - 1);
           delayMs = Math.max(1000, Math.round(delayMs + jitter));
+          // THROTTLED 응답의 throttleStatus가 있으면 필요한 비용이 복구될 때까지만 대기
+          const throttledDelayMs = isThrottled ? getThrottledRetryDelayMs(operationName, queryCost) : null;
+          if (throttledDelayMs !== null) {
+            delayMs = throttledDelayMs + 500;
+          }
           if (isThrottled && error.response?.headers?.get('retry-after')) {
             const retryAfterSeconds = parseInt(error.response.headers.get('retry-after'), 10);
             if (!isNaN(retryAfterSeconds)) {
@@ -194,20 +206,22 @@ async function shopifyGraphqlRequest(query, variables = {}) {
   throw new ExternalServiceError(SERVICE_NAME, null, `Shopify API request failed after all retries (Operation: ${operationName})`);
 }
 
-async function createProduct(productInput, collectionGID = null, variantInfo = null) {
+async function createProduct(productInput, collectionGID = null, variantInfo = null, { publish = true } = {}) {
   // Remove media field if present (images are added separately)
   const { media, ...baseProductInput } = productInput;
   
-  // Ensure product is set to ACTIVE status and published
-  baseProductInput.status = 'ACTIVE';
+  // Ensure product is set to ACTIVE status and published (상품별 상태 재정의가 있으면 그 상태로 생성)
+  baseProductInput.status = baseProductInput.status || 'ACTIVE';
   
-  // Set publishedAt to make sure product is visible
-  if (!baseProductInput.publishedAt) {
+  // Set publishedAt to make sure product is visible (publish=false이면 판매 채널에 게시하지 않음, 예: 게시 전 검토 대기)
+  if (publish && !baseProductInput.publishedAt) {
     baseProductInput.publishedAt = new Date().toISOString();
   }
   
-  if (collectionGID) {
-    baseProductInput.collectionsToJoin = [collectionGID];
+  // 단일 GID 또는 GID 배열 (기본 컬렉션 + 태그 규칙 컬렉션)
+  const collectionsToJoin = [].concat(collectionGID || []).filter(Boolean);
+  if (collectionsToJoin.length > 0) {
+    baseProductInput.collectionsToJoin = collectionsToJoin;
   }
 
   // In API 2025-04, variants are NOT supported in ProductInput
@@ -301,6 +315,11 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
     }
   }
   
+  if (!publish) {
+    logger.info(`[${SERVICE_NAME}] Product ${createdProduct.id} created without publishing to sales channels.`);
+    return createdProduct;
+  }
+
   // Publish product to all available sales channels
   try {
     logger.info(`[${SERVICE_NAME}] Publishing product ${createdProduct.id} to sales channels...`);
@@ -573,11 +592,14 @@ async function updateProduct(productUpdateInput, collectionGIDToJoin = null, col
   // Remove media field if present
   const { media, ...finalProductUpdateInput } = productUpdateInput;
   
-  if (collectionGIDToJoin) {
-    finalProductUpdateInput.collectionsToJoin = [collectionGIDToJoin];
+  // 단일 GID 또는 GID 배열
+  const collectionsToJoin = [].concat(collectionGIDToJoin || []).filter(Boolean);
+  const collectionsToLeave = [].concat(collectionGIDToLeave || []).filter(Boolean);
+  if (collectionsToJoin.length > 0) {
+    finalProductUpdateInput.collectionsToJoin = collectionsToJoin;
   }
-  if (collectionGIDToLeave) {
-    finalProductUpdateInput.collectionsToLeave = [collectionGIDToLeave];
+  if (collectionsToLeave.length > 0) {
+    finalProductUpdateInput.collectionsToLeave = collectionsToLeave;
   }
 
   const mutation = `
@@ -706,6 +728,226 @@ async function updateProduct(productUpdateInput, collectionGIDToJoin = null, col
   return updatedProduct;
 }
 
+async function updateProductStatus(productId, status) {
+  // updateProduct와 달리 온라인 스토어 재게시를 하지 않고 상태만 변경 (ARCHIVED/DRAFT 전환용)
+  if (!productId) {
+    throw new ValidationError('Shopify product GID is required to change status.', [{ field: 'id', message: 'Product GID is required.'}]);
+  }
+  if (!['ACTIVE', 'DRAFT', 'ARCHIVED'].includes(status)) {
+    throw new ValidationError(`Invalid Shopify product status: ${status}`, [{ field: 'status', message: 'Must be ACTIVE, DRAFT or ARCHIVED.'}]);
+  }
+
+  const mutation = `
+    mutation productUpdateStatus($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Changing status of Shopify product ${productId} to ${status}`);
+  const response = await shopifyGraphqlRequest(mutation, { input: { id: productId, status } });
+
+  if (response.data?.productUpdate?.userErrors && response.data.productUpdate.userErrors.length > 0) {
+    const errorMessage = response.data.productUpdate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product status update failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_STATUS_UPDATE_ERROR', { userErrors: response.data.productUpdate.userErrors });
+  }
+
+  return response.data?.productUpdate?.product;
+}
+
+async function updateProductCollections(productId, collectionGIDsToJoin = [], collectionGIDsToLeave = []) {
+  // updateProduct와 달리 다른 필드나 게시 상태는 건드리지 않고 컬렉션 소속만 변경 (태그 규칙 재적용용)
+  if (!productId) {
+    throw new ValidationError('Shopify product GID is required to change collections.', [{ field: 'id', message: 'Product GID is required.'}]);
+  }
+
+  const mutation = `
+    mutation productUpdateCollections($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const input = { id: productId };
+  if (collectionGIDsToJoin.length > 0) input.collectionsToJoin = collectionGIDsToJoin;
+  if (collectionGIDsToLeave.length > 0) input.collectionsToLeave = collectionGIDsToLeave;
+
+  logger.info(`[${SERVICE_NAME}] Updating collections of Shopify product ${productId}`, { join: collectionGIDsToJoin, leave: collectionGIDsToLeave });
+  const response = await shopifyGraphqlRequest(mutation, { input });
+
+  if (response.data?.productUpdate?.userErrors && response.data.productUpdate.userErrors.length > 0) {
+    const errorMessage = response.data.productUpdate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product collection update failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_COLLECTION_UPDATE_ERROR', { userErrors: response.data.productUpdate.userErrors });
+  }
+
+  return response.data?.productUpdate?.product;
+}
+
+async function addTagsToProduct(productId, tags) {
+  // tagsAdd: 기존 태그를 유지하고 지정한 태그만 추가
+  const mutation = `
+    mutation tagsAdd($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        node {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Adding tags to Shopify product ${productId}: ${tags.join(', ')}`);
+  const response = await shopifyGraphqlRequest(mutation, { id: productId, tags });
+
+  if (response.data?.tagsAdd?.userErrors && response.data.tagsAdd.userErrors.length > 0) {
+    const errorMessage = response.data.tagsAdd.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Adding product tags failed: ${errorMessage}`, 'SHOPIFY_TAGS_ADD_ERROR', { userErrors: response.data.tagsAdd.userErrors });
+  }
+
+  return response.data?.tagsAdd?.node;
+}
+
+async function removeTagsFromProduct(productId, tags) {
+  // tagsRemove: 지정한 태그만 제거
+  const mutation = `
+    mutation tagsRemove($id: ID!, $tags: [String!]!) {
+      tagsRemove(id: $id, tags: $tags) {
+        node {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Removing tags from Shopify product ${productId}: ${tags.join(', ')}`);
+  const response = await shopifyGraphqlRequest(mutation, { id: productId, tags });
+
+  if (response.data?.tagsRemove?.userErrors && response.data.tagsRemove.userErrors.length > 0) {
+    const errorMessage = response.data.tagsRemove.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Removing product tags failed: ${errorMessage}`, 'SHOPIFY_TAGS_REMOVE_ERROR', { userErrors: response.data.tagsRemove.userErrors });
+  }
+
+  return response.data?.tagsRemove?.node;
+}
+
+/**
+ * productSet 입력의 productOptions/variants 부분을 만듭니다. (setProductVariants 및 벌크 동기화 공통)
+ * @param {Array<{name: string, values: string[]}>} productOptions
+ * @param {Array<object>} variants - productMapper.buildBunjangVariants의 variants.
+ * @param {string|null} [locationId=null] - 재고를 설정할 Location GID (productSet은 새 variant에만 재고를 적용).
+ * @returns {{productOptions: Array<object>, variants: Array<object>}}
+ */
+function buildProductSetOptionsInput(productOptions, variants, locationId = null) {
+  return {
+    productOptions: productOptions.map((option, index) => ({
+      name: option.name,
+      position: index + 1,
+      values: option.values.map(value => ({ name: value })),
+    })),
+    variants: variants.map(variant => ({
+      optionValues: variant.optionValues,
+      price: variant.price,
+      sku: variant.sku,
+      inventoryPolicy: variant.inventoryPolicy || 'DENY',
+      ...(locationId && typeof variant.quantity === 'number' && {
+        inventoryQuantities: [{ locationId, name: 'available', quantity: variant.quantity }],
+      }),
+    })),
+  };
+}
+
+async function getProductVariantPrices(productId) {
+  // 상품의 variant별 현재 가격 조회 (가격을 잠근 상품을 productSet으로 재구성할 때 Shopify 가격 유지용)
+  const query = `
+    query getProductVariantPrices($id: ID!) {
+      product(id: $id) {
+        variants(first: 100) {
+          edges {
+            node {
+              sku
+              price
+            }
+          }
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  return (response.data?.product?.variants?.edges || []).map(edge => edge.node);
+}
+
+async function setProductVariants(productId, productOptions, variants, locationId = null) {
+  // productSet으로 상품의 옵션/variant 목록 전체를 선언적으로 교체 (목록에 없는 기존 variant는 삭제됨)
+  if (!productId) {
+    throw new ValidationError('Shopify product GID is required to set variants.', [{ field: 'id', message: 'Product GID is required.'}]);
+  }
+  if (!Array.isArray(productOptions) || productOptions.length === 0 || !Array.isArray(variants) || variants.length === 0) {
+    throw new ValidationError('Product options and variants are required to set variants.', [{ field: 'variants', message: 'At least one option and one variant are required.'}]);
+  }
+
+  const mutation = `
+    mutation productSetVariants($input: ProductSetInput!, $synchronous: Boolean!) {
+      productSet(input: $input, synchronous: $synchronous) {
+        product {
+          id
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                sku
+                selectedOptions {
+                  name
+                  value
+                }
+                inventoryItem {
+                  id
+                }
+              }
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const input = {
+    id: productId,
+    ...buildProductSetOptionsInput(productOptions, variants, locationId),
+  };
+
+  logger.info(`[${SERVICE_NAME}] Setting ${variants.length} variants (${productOptions.map(o => o.name).join(', ')}) on Shopify product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { input, synchronous: true });
+
+  if (response.data?.productSet?.userErrors && response.data.productSet.userErrors.length > 0) {
+    const errorMessage = response.data.productSet.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product variant set failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_SET_VARIANTS_ERROR', { userErrors: response.data.productSet.userErrors });
+  }
+
+  return (response.data?.productSet?.product?.variants?.edges || []).map(edge => edge.node);
+}
+
 async function updateInventoryLevel(inventoryItemId, locationId, availableQuantity) {
   if (!inventoryItemId || !locationId || typeof availableQuantity !== 'number') {
     logger.error(`[${SERVICE_NAME}] Invalid parameters for inventory update:`, {
@@ -849,6 +1091,357 @@ async function appendMediaToProduct(productId, mediaInputs) {
   }
 }
 
+async function getProductMedia(productId) {
+  // 상품에 첨부된 미디어를 노출 순서대로 조회
+  const query = `
+    query getProductMedia($id: ID!) {
+      product(id: $id) {
+        media(first: 250) {
+          edges {
+            node {
+              id
+              alt
+              status
+              mediaContentType
+            }
+          }
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  return (response.data?.product?.media?.edges || []).map(edge => edge.node);
+}
+
+async function deleteProductMedia(productId, mediaIds) {
+  if (!productId || !Array.isArray(mediaIds) || mediaIds.length === 0) {
+    return { deletedMediaIds: [] };
+  }
+
+  const mutation = `
+    mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Deleting ${mediaIds.length} media items from product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { productId, mediaIds });
+
+  if (response.data?.productDeleteMedia?.mediaUserErrors && response.data.productDeleteMedia.mediaUserErrors.length > 0) {
+    const errorMessage = response.data.productDeleteMedia.mediaUserErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media deletion failed: ${errorMessage}`, 'SHOPIFY_MEDIA_DELETE_ERROR', { userErrors: response.data.productDeleteMedia.mediaUserErrors });
+  }
+
+  return response.data?.productDeleteMedia;
+}
+
+async function reorderProductMedia(productId, orderedMediaIds) {
+  // orderedMediaIds 순서대로 위치(0부터)를 지정. Shopify에서 비동기 작업으로 처리됨
+  if (!productId || !Array.isArray(orderedMediaIds) || orderedMediaIds.length < 2) {
+    return null;
+  }
+
+  const mutation = `
+    mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+          done
+        }
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const moves = orderedMediaIds.map((mediaId, index) => ({ id: mediaId, newPosition: String(index) }));
+  logger.info(`[${SERVICE_NAME}] Reordering ${moves.length} media items on product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { id: productId, moves });
+
+  if (response.data?.productReorderMedia?.mediaUserErrors && response.data.productReorderMedia.mediaUserErrors.length > 0) {
+    const errorMessage = response.data.productReorderMedia.mediaUserErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media reorder failed: ${errorMessage}`, 'SHOPIFY_MEDIA_REORDER_ERROR', { userErrors: response.data.productReorderMedia.mediaUserErrors });
+  }
+
+  return response.data?.productReorderMedia?.job;
+}
+
+async function createStagedUploads(uploadInputs) {
+  // 파일을 Shopify가 관리하는 저장소에 직접 올리기 위한 업로드 대상 발급 (StagedUploadInput: filename, mimeType, resource, fileSize, httpMethod)
+  if (!Array.isArray(uploadInputs) || uploadInputs.length === 0) {
+    return [];
+  }
+
+  const mutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.debug(`[${SERVICE_NAME}] Creating ${uploadInputs.length} staged upload targets`);
+  const response = await shopifyGraphqlRequest(mutation, { input: uploadInputs });
+
+  if (response.data?.stagedUploadsCreate?.userErrors && response.data.stagedUploadsCreate.userErrors.length > 0) {
+    const errorMessage = response.data.stagedUploadsCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Staged upload creation failed: ${errorMessage}`, 'SHOPIFY_STAGED_UPLOAD_ERROR', { userErrors: response.data.stagedUploadsCreate.userErrors });
+  }
+
+  return response.data?.stagedUploadsCreate?.stagedTargets || [];
+}
+
+async function uploadToStagedTarget(target, fileBuffer, fileName, mimeType, timeoutMs = 60000) {
+  // stagedUploadsCreate(httpMethod: POST)로 받은 대상에 multipart 업로드 (파라미터 뒤에 파일을 붙여야 함)
+  const form = new FormData();
+  (target.parameters || []).forEach(({ name, value }) => form.append(name, value));
+  form.append('file', new Blob([fileBuffer], { type: mimeType }), fileName);
+  try {
+    await axios.post(target.url, form, { timeout: timeoutMs, maxBodyLength: Infinity, maxContentLength: Infinity });
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    throw new ExternalServiceError(SERVICE_NAME, error, `Staged upload failed (${reason}): ${fileName}`, 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+}
+
+const METAFIELDS_SET_MAX_PER_CALL = 25; // metafieldsSet 한 번에 설정 가능한 최대 개수
+
+async function setProductMetafields(productId, metafields) {
+  // metafieldsSet은 (ownerId, namespace, key) 기준으로 생성 또는 갱신
+  if (!productId) {
+    throw new ValidationError('Shopify product GID is required to set metafields.', [{ field: 'ownerId', message: 'Product GID is required.'}]);
+  }
+  if (!Array.isArray(metafields) || metafields.length === 0) return [];
+
+  const mutation = `
+    mutation productMetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+          namespace
+          key
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const saved = [];
+  for (let start = 0; start < metafields.length; start += METAFIELDS_SET_MAX_PER_CALL) {
+    const batch = metafields.slice(start, start + METAFIELDS_SET_MAX_PER_CALL).map(metafield => ({ ...metafield, ownerId: productId }));
+    const response = await shopifyGraphqlRequest(mutation, { metafields: batch });
+    const result = response.data?.metafieldsSet;
+    if (result?.userErrors && result.userErrors.length > 0) {
+      const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+      throw new ExternalServiceError(SERVICE_NAME, null, `Metafields set failed for ${productId}: ${errorMessage}`, 'SHOPIFY_METAFIELDS_SET_ERROR', { userErrors: result.userErrors });
+    }
+    saved.push(...(result?.metafields || []));
+  }
+  return saved;
+}
+
+async function getMetafieldDefinitions(ownerType, namespace) {
+  const query = `
+    query metafieldDefinitionsByNamespace($ownerType: MetafieldOwnerType!, $namespace: String!) {
+      metafieldDefinitions(first: 250, ownerType: $ownerType, namespace: $namespace) {
+        nodes {
+          id
+          namespace
+          key
+          name
+          type {
+            name
+          }
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { ownerType, namespace });
+  return response.data?.metafieldDefinitions?.nodes || [];
+}
+
+async function createMetafieldDefinition(definition) {
+  // definition: { ownerType, namespace, key, type, name, description, access }
+  const mutation = `
+    mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition {
+          id
+          namespace
+          key
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, { definition });
+  const result = response.data?.metafieldDefinitionCreate;
+  if (result?.userErrors && result.userErrors.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    const error = new ExternalServiceError(SERVICE_NAME, null, `Metafield definition create failed (${definition.namespace}.${definition.key}): ${errorMessage}`, 'SHOPIFY_METAFIELD_DEFINITION_ERROR');
+    error.userErrors = result.userErrors; // 호출 측에서 code(예: TAKEN)로 구분
+    throw error;
+  }
+  return result?.createdDefinition;
+}
+
+async function getMetaobjectDefinitionByType(type) {
+  const query = `
+    query metaobjectDefinitionByType($type: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+        type
+        name
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { type });
+  return response.data?.metaobjectDefinitionByType || null;
+}
+
+async function createMetaobjectDefinition(definition) {
+  // definition: { type, name, displayNameKey, fieldDefinitions: [{ key, name, type }], access }
+  const mutation = `
+    mutation metaobjectDefinitionCreate($definition: MetaobjectDefinitionCreateInput!) {
+      metaobjectDefinitionCreate(definition: $definition) {
+        metaobjectDefinition {
+          id
+          type
+          name
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, { definition });
+  const result = response.data?.metaobjectDefinitionCreate;
+  if (result?.userErrors && result.userErrors.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    const error = new ExternalServiceError(SERVICE_NAME, null, `Metaobject definition create failed (${definition.type}): ${errorMessage}`, 'SHOPIFY_METAOBJECT_DEFINITION_ERROR');
+    error.userErrors = result.userErrors; // 호출 측에서 code(예: TAKEN)로 구분
+    throw error;
+  }
+  return result?.metaobjectDefinition;
+}
+
+async function upsertMetaobject(type, handle, fields) {
+  // 같은 (type, handle)의 메타오브젝트가 있으면 필드를 갱신하고, 없으면 생성
+  const mutation = `
+    mutation metaobjectUpsert($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+      metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+        metaobject {
+          id
+          handle
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, {
+    handle: { type, handle },
+    metaobject: { fields, capabilities: { publishable: { status: 'ACTIVE' } } },
+  });
+  const result = response.data?.metaobjectUpsert;
+  if (result?.userErrors && result.userErrors.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Metaobject upsert failed (${type}/${handle}): ${errorMessage}`, 'SHOPIFY_METAOBJECT_UPSERT_ERROR');
+  }
+  return result?.metaobject;
+}
+
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  createdAt
+  completedAt
+  objectCount
+  url
+  partialDataUrl
+`;
+
+async function runBulkMutation(mutation, stagedUploadPath) {
+  // stagedUploadPath: BULK_MUTATION_VARIABLES로 올린 JSONL 파일의 key 파라미터 값
+  const query = `
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { mutation, stagedUploadPath });
+  const result = response.data?.bulkOperationRunMutation;
+  if (result?.userErrors && result.userErrors.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk mutation could not be started: ${errorMessage}`, 'SHOPIFY_BULK_OPERATION_ERROR', { userErrors: result.userErrors });
+  }
+  if (!result?.bulkOperation?.id) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Bulk mutation did not return an operation.', 'SHOPIFY_BULK_OPERATION_ERROR');
+  }
+  logger.info(`[${SERVICE_NAME}] Bulk mutation started: ${result.bulkOperation.id} (status: ${result.bulkOperation.status})`);
+  return result.bulkOperation;
+}
+
+async function getBulkOperation(bulkOperationId) {
+  const query = `
+    query getBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: bulkOperationId });
+  return response.data?.node || null;
+}
+
+async function getCurrentBulkMutation() {
+  // 앱/스토어당 동시에 하나의 벌크 mutation만 실행 가능하므로 제출 전 확인용
+  const query = `
+    query currentBulkMutation {
+      currentBulkOperation(type: MUTATION) {
+        ${BULK_OPERATION_FIELDS}
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, {});
+  return response.data?.currentBulkOperation || null;
+}
+
 async function findProductByBunjangPidTag(bunjangPid) {
   const searchQuery = `tag:'bunjang_pid:${String(bunjangPid).trim()}'`;
   const query = `
@@ -964,8 +1557,29 @@ module.exports = {
   shopifyGraphqlRequest,
   createProduct,
   updateProduct,
+  updateProductStatus,
+  updateProductCollections,
+  addTagsToProduct,
+  removeTagsFromProduct,
   updateProductVariant,
+  setProductVariants,
+  getProductVariantPrices,
   appendMediaToProduct,
+  getProductMedia,
+  deleteProductMedia,
+  reorderProductMedia,
+  createStagedUploads,
+  setProductMetafields,
+  getMetafieldDefinitions,
+  createMetafieldDefinition,
+  getMetaobjectDefinitionByType,
+  createMetaobjectDefinition,
+  upsertMetaobject,
+  uploadToStagedTarget,
+  runBulkMutation,
+  getBulkOperation,
+  getCurrentBulkMutation,
+  buildProductSetOptionsInput,
   findProductByBunjangPidTag,
   updateOrder,
   addProductsToCollection,
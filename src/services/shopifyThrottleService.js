@@ -0,0 +1,213 @@
+// src/services/shopifyThrottleService.js
+// Shopify GraphQL Admin API의 쿼리 비용 버킷(leaky bucket)을 추적하여 요청 전에 필요한 만큼 대기합니다.
+// 버킷 상태는 Redis 해시 하나에 저장되어 모든 워커/프로세스가 공유하고, 응답의 extensions.cost.throttleStatus로 보정됩니다.
+// Redis를 사용할 수 없으면 프로세스 메모리의 버킷으로 같은 계산을 합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/redisClient');
+
+const SERVICE_NAME = 'ShopifyThrottle';
+const BUCKET_TTL_MS = 60 * 60 * 1000; // 한 시간 동안 요청이 없으면 버킷 상태를 버림 (다음 응답으로 다시 학습)
+const MAX_SINGLE_WAIT_MS = 30 * 1000; // 한 번에 기다리는 최대 시간 (다른 프로세스의 보정 결과를 다시 확인)
+
+// 버킷을 복구량만큼 채운 뒤 cost를 예약합니다. 부족하면 예약하지 않고 기다려야 할 시간(ms)을 반환.
+// KEYS[1]: 버킷 해시, ARGV: cost, 기본 최대 용량, 기본 복구 속도(초당), 남겨둘 비용, TTL(ms)
+// 반환: { 대기 시간(ms), 예약 후(또는 현재) 남은 비용, 최대 용량, 복구 속도 }
+const ACQUIRE_SCRIPT = `
+local time = redis.call('TIME')
+local nowMs = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'available', 'maximum', 'restoreRate', 'updatedAt')
+local maximum = tonumber(state[2]) or tonumber(ARGV[2])
+local restoreRate = tonumber(state[3]) or tonumber(ARGV[3])
+local available = tonumber(state[1]) or maximum
+local updatedAt = tonumber(state[4]) or nowMs
+available = math.min(maximum, available + math.max(0, nowMs - updatedAt) / 1000 * restoreRate)
+local cost = math.min(tonumber(ARGV[1]), maximum)
+local required = math.min(cost + tonumber(ARGV[4]), maximum)
+if available < required then
+  return { math.ceil((required - available) / restoreRate * 1000), tostring(available), tostring(maximum), tostring(restoreRate) }
+end
+available = available - cost
+redis.call('HSET', KEYS[1], 'available', tostring(available), 'maximum', tostring(maximum), 'restoreRate', tostring(restoreRate), 'updatedAt', tostring(nowMs))
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[5]))
+return { 0, tostring(available), tostring(maximum), tostring(restoreRate) }
+`;
+
+// Shopify가 알려준 버킷 상태로 덮어씁니다. ARGV: currentlyAvailable, maximumAvailable, restoreRate, TTL(ms)
+const UPDATE_SCRIPT = `
+local time = redis.call('TIME')
+local nowMs = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+redis.call('HSET', KEYS[1], 'available', ARGV[1], 'maximum', ARGV[2], 'restoreRate', ARGV[3], 'updatedAt', tostring(nowMs))
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[4]))
+return 1
+`;
+
+// Redis를 사용할 수 없을 때의 프로세스별 버킷
+const localBucket = { available: null, maximum: null, restoreRate: null, updatedAt: null };
+// operation 이름별 마지막 requestedQueryCost (요청 전 예상 비용)
+const costEstimates = new Map();
+let lastKnownStatus = null;
+let redisFallbackWarned = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getBucketKey() {
+  const shopHostname = String(config.shopify.shopDomain || '').replace(/^https?:\/\//, '').split('/')[0];
+  return `shopify:throttle:${shopHostname}`;
+}
+
+function getSharedRedis() {
+  if (!config.redis.enabled) return null;
+  const client = getRedisClient();
+  return client && client.status === 'ready' ? client : null;
+}
+
+function warnRedisFallback(error) {
+  if (redisFallbackWarned) return;
+  redisFallbackWarned = true;
+  logger.warn(`[${SERVICE_NAME}] Shared Redis bucket unavailable (${error.message}). Falling back to a per-process bucket.`);
+}
+
+function acquireFromLocalBucket(cost, reserve) {
+  const { maximumAvailable, restoreRate } = config.shopify.throttle;
+  const now = Date.now();
+  const maximum = localBucket.maximum ?? maximumAvailable;
+  const rate = localBucket.restoreRate ?? restoreRate;
+  const elapsedMs = localBucket.updatedAt ? Math.max(0, now - localBucket.updatedAt) : 0;
+  let available = Math.min(maximum, (localBucket.available ?? maximum) + elapsedMs / 1000 * rate);
+  const cappedCost = Math.min(cost, maximum);
+  const required = Math.min(cappedCost + reserve, maximum);
+  if (available < required) {
+    return { waitMs: Math.ceil((required - available) / rate * 1000), available, maximum, restoreRate: rate };
+  }
+  available -= cappedCost;
+  Object.assign(localBucket, { available, maximum, restoreRate: rate, updatedAt: now });
+  return { waitMs: 0, available, maximum, restoreRate: rate };
+}
+
+async function tryAcquire(cost) {
+  const { maximumAvailable, restoreRate, reserveRatio } = config.shopify.throttle;
+  const maximum = lastKnownStatus?.maximumAvailable ?? maximumAvailable;
+  const reserve = Math.floor(maximum * reserveRatio);
+
+  const redis = getSharedRedis();
+  if (redis) {
+    try {
+      const [waitMs, available, bucketMaximum, bucketRestoreRate] = await redis.eval(
+        ACQUIRE_SCRIPT, 1, getBucketKey(), cost, maximumAvailable, restoreRate, reserve, BUCKET_TTL_MS
+      );
+      return { waitMs: Number(waitMs), available: Number(available), maximum: Number(bucketMaximum), restoreRate: Number(bucketRestoreRate) };
+    } catch (error) {
+      warnRedisFallback(error);
+    }
+  }
+  return acquireFromLocalBucket(cost, reserve);
+}
+
+/**
+ * GraphQL 요청 전에 예상 비용만큼 버킷에서 예약하고, 부족하면 복구될 때까지 기다립니다.
+ * @param {string} operationName - GraphQL operation 이름 (비용 추정 키).
+ * @returns {Promise<{estimatedCost: number, waitedMs: number}>}
+ */
+async function acquireQueryCost(operationName) {
+  if (!config.shopify.throttle.enabled) return { estimatedCost: 0, waitedMs: 0 };
+
+  const estimatedCost = costEstimates.get(operationName) || config.shopify.throttle.defaultQueryCost;
+  let waitedMs = 0;
+  for (;;) {
+    const { waitMs, available, maximum } = await tryAcquire(estimatedCost);
+    if (waitMs <= 0) break;
+    const delayMs = Math.min(waitMs, MAX_SINGLE_WAIT_MS);
+    logger.debug(`[${SERVICE_NAME}] Waiting ${delayMs}ms before ${operationName} (estimated cost ${estimatedCost}, available ${Math.floor(available)}/${maximum}).`);
+    await sleep(delayMs);
+    waitedMs += delayMs;
+  }
+  if (waitedMs >= 1000) {
+    logger.info(`[${SERVICE_NAME}] Delayed ${operationName} by ${waitedMs}ms to stay within the Shopify query cost budget.`);
+  }
+  return { estimatedCost, waitedMs };
+}
+
+/**
+ * 응답의 extensions.cost로 비용 추정치와 공유 버킷 상태를 보정합니다.
+ * @param {string} operationName - GraphQL operation 이름.
+ * @param {object} [cost] - extensions.cost ({ requestedQueryCost, actualQueryCost, throttleStatus }).
+ */
+async function recordQueryCost(operationName, cost) {
+  if (!config.shopify.throttle.enabled || !cost) return;
+  if (typeof cost.requestedQueryCost === 'number') {
+    costEstimates.set(operationName, Math.max(1, cost.requestedQueryCost));
+  }
+
+  const throttleStatus = cost.throttleStatus;
+  if (!throttleStatus || typeof throttleStatus.currentlyAvailable !== 'number') return;
+  const { currentlyAvailable, maximumAvailable, restoreRate } = throttleStatus;
+  lastKnownStatus = { currentlyAvailable, maximumAvailable, restoreRate, updatedAt: new Date() };
+
+  const ratio = maximumAvailable > 0 ? currentlyAvailable / maximumAvailable : 1;
+  const message = `[${SERVICE_NAME}] ${operationName} cost ${cost.actualQueryCost ?? cost.requestedQueryCost ?? 'N/A'}; budget ${currentlyAvailable}/${maximumAvailable} (restore ${restoreRate}/s).`;
+  if (ratio <= config.shopify.throttle.lowBudgetLogRatio) logger.info(message);
+  else logger.debug(message);
+
+  const redis = getSharedRedis();
+  if (redis) {
+    try {
+      await redis.eval(UPDATE_SCRIPT, 1, getBucketKey(), currentlyAvailable, maximumAvailable, restoreRate, BUCKET_TTL_MS);
+      return;
+    } catch (error) {
+      warnRedisFallback(error);
+    }
+  }
+  Object.assign(localBucket, { available: currentlyAvailable, maximum: maximumAvailable, restoreRate, updatedAt: Date.now() });
+}
+
+/**
+ * THROTTLED 응답 후 다시 요청하기 전에 기다릴 시간을 계산합니다.
+ * @param {string} operationName - GraphQL operation 이름.
+ * @param {object} [cost] - 실패 응답의 extensions.cost.
+ * @returns {number|null} 대기 시간(ms). 비용 정보가 없으면 null.
+ */
+function getThrottledRetryDelayMs(operationName, cost) {
+  const throttleStatus = cost?.throttleStatus;
+  if (!throttleStatus || !(throttleStatus.restoreRate > 0)) return null;
+  const needed = (cost.requestedQueryCost ?? costEstimates.get(operationName) ?? config.shopify.throttle.defaultQueryCost) - throttleStatus.currentlyAvailable;
+  return Math.max(0, Math.ceil(needed / throttleStatus.restoreRate * 1000));
+}
+
+/**
+ * 현재 쿼리 비용 버킷 상태를 반환합니다. (모니터링 API용)
+ * @returns {Promise<object>}
+ */
+async function getThrottleStatus() {
+  const base = {
+    enabled: config.shopify.throttle.enabled,
+    lastReportedByShopify: lastKnownStatus,
+    trackedOperations: costEstimates.size,
+  };
+  const redis = getSharedRedis();
+  if (redis) {
+    try {
+      const state = await redis.hgetall(getBucketKey());
+      if (state && state.available !== undefined) {
+        const available = Math.min(Number(state.maximum), Number(state.available) + Math.max(0, Date.now() - Number(state.updatedAt)) / 1000 * Number(state.restoreRate));
+        return { ...base, source: 'redis', currentlyAvailable: Math.floor(available), maximumAvailable: Number(state.maximum), restoreRate: Number(state.restoreRate) };
+      }
+      return { ...base, source: 'redis', currentlyAvailable: null, maximumAvailable: null, restoreRate: null };
+    } catch (error) {
+      warnRedisFallback(error);
+    }
+  }
+  if (localBucket.available === null) {
+    return { ...base, source: 'local', currentlyAvailable: null, maximumAvailable: null, restoreRate: null };
+  }
+  const available = Math.min(localBucket.maximum, localBucket.available + Math.max(0, Date.now() - localBucket.updatedAt) / 1000 * localBucket.restoreRate);
+  return { ...base, source: 'local', currentlyAvailable: Math.floor(available), maximumAvailable: localBucket.maximum, restoreRate: localBucket.restoreRate };
+}
+
+module.exports = {
+  acquireQueryCost,
+  recordQueryCost,
+  getThrottledRetryDelayMs,
+  getThrottleStatus,
+};
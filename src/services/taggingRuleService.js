@@ -0,0 +1,253 @@
+// src/services/taggingRuleService.js
+// Shopify 태그/컬렉션 규칙(TaggingRule) 관리 및 평가.
+// 동기화 시 transformBunjangRowToShopifyInput에서 규칙을 적용하고, 규칙이 바뀌면 이미 동기화된 상품에 다시 적용하는 작업을 큐에 추가합니다.
+const config = require('../config');
+const logger = require('../config/logger');
+const TaggingRule = require('../models/taggingRule.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const shopifyService = require('./shopifyService');
+const { getCategoryMappingIndex, invalidateCategoryMappingCache, resolveCategoryMapping } = require('./bunjangCategoryService');
+const { isFieldLocked } = require('./productOverrideService');
+const { getQueue } = require('../jobs/queues');
+const { ValidationError, NotFoundError } = require('../utils/customErrors');
+const { hasAnyProductCondition, findInvalidRangeConditions, matchesProductConditions } = require('../utils/productRuleMatcher');
+
+const SERVICE_NAME = 'TaggingRuleSvc';
+const RULE_CACHE_TTL_MS = 60 * 1000; // 다른 프로세스(워커)에서 수정된 규칙도 1분 안에 반영
+const REAPPLY_DELAY_MS = 60 * 1000; // 연속 수정 시 한 번만 다시 적용되도록 지연
+const SHOPIFY_COLLECTION_GID_REGEX = /^gid:\/\/shopify\/Collection\/\d+$/;
+
+// 규칙이 하나도 없을 때 생성하는 기본 규칙 (기존 config.bunjang.kpopKeywords/kidultKeywords 태그 유지)
+const DEFAULT_TAGGING_RULES = [
+  { name: 'k-pop', description: 'Default rule (previously config.bunjang.kpopKeywords).', conditions: { keywords: ['bts', 'blackpink'] }, tags: ['K-Pop'] },
+  { name: 'kidult', description: 'Default rule (previously config.bunjang.kidultKeywords).', conditions: { keywords: ['collectible', 'limited edition'] }, tags: ['Kidult'] },
+];
+
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * 활성 태그 규칙을 조회합니다. (짧은 시간 캐시)
+ * @returns {Promise<object[]>} priority 순으로 정렬된 규칙.
+ */
+async function getActiveTaggingRules() {
+  if (cachedRules && Date.now() - cachedAt < RULE_CACHE_TTL_MS) return cachedRules;
+  cachedRules = await TaggingRule.find({ enabled: true }).sort({ priority: 1, name: 1 }).lean();
+  cachedAt = Date.now();
+  return cachedRules;
+}
+
+function invalidateTaggingRuleCache() {
+  cachedRules = null;
+  cachedAt = 0;
+}
+
+/**
+ * 상품에 해당하는 규칙의 태그와 컬렉션을 모읍니다.
+ * 카테고리 매핑의 태그/컬렉션도 규칙 결과와 같이 관리되도록(다시 적용 작업에서 추가/제거) 함께 포함합니다.
+ * @param {object} product - 번개장터 상품 (name, description, categoryId, categoryName, brandId, price, keywords).
+ * @param {object[]} rules - getActiveTaggingRules() 결과.
+ * @param {object|null} [categoryMapping=null] - bunjangCategoryService.resolveCategoryMapping 결과.
+ * @returns {{tags: string[], collectionGids: string[], ruleNames: string[]}}
+ */
+function resolveRuleTagging(product, rules, categoryMapping = null) {
+  const tags = new Set(categoryMapping?.tags || []);
+  const collectionGids = new Set(categoryMapping?.collectionGids || []);
+  const ruleNames = [];
+  for (const rule of rules || []) {
+    if (!matchesProductConditions(rule.conditions || {}, product)) continue;
+    ruleNames.push(rule.name);
+    (rule.tags || []).forEach(tag => tags.add(tag));
+    (rule.collectionGids || []).forEach(gid => collectionGids.add(gid));
+  }
+  return { tags: [...tags], collectionGids: [...collectionGids], ruleNames };
+}
+
+// SyncedProduct에 저장된 번개장터 정보로 규칙 평가용 상품 객체 구성
+function productFromSyncedDoc(doc) {
+  let keywords = [];
+  try {
+    keywords = doc.bunjangKeywordsJson ? JSON.parse(doc.bunjangKeywordsJson) : [];
+  } catch (e) {
+    keywords = [];
+  }
+  return {
+    pid: doc.bunjangPid,
+    name: doc.bunjangProductName,
+    description: doc.bunjangDescription,
+    categoryId: doc.bunjangCategoryId,
+    categoryName: doc.bunjangCategoryName,
+    brandId: doc.bunjangBrandId,
+    price: doc.bunjangOriginalPriceKrw,
+    keywords: Array.isArray(keywords) ? keywords : [],
+  };
+}
+
+function validateTaggingRule(rule) {
+  const errors = findInvalidRangeConditions(rule.conditions);
+  if (!hasAnyProductCondition(rule.conditions)) {
+    errors.unshift({ field: 'conditions', message: '조건을 하나 이상 지정해야 합니다.' });
+  }
+  if (!(rule.tags?.length) && !(rule.collectionGids?.length)) {
+    errors.push({ field: 'tags', message: 'tags 또는 collectionGids 중 하나 이상을 지정해야 합니다.' });
+  }
+  (rule.collectionGids || []).forEach((gid) => {
+    if (!SHOPIFY_COLLECTION_GID_REGEX.test(gid)) {
+      errors.push({ field: 'collectionGids', message: '유효하지 않은 Shopify 컬렉션 GID입니다.', value: gid });
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError('태그 규칙이 유효하지 않습니다.', errors);
+  }
+}
+
+/**
+ * 이미 동기화된 상품에 규칙을 다시 적용하는 작업을 관리 작업 큐에 추가합니다.
+ * 같은 분 안의 요청은 하나의 작업으로 합쳐집니다.
+ * @param {string} reason - 로깅용 사유.
+ * @returns {Promise<string|null>} 추가된 작업 ID (Redis 비활성화 시 null).
+ */
+async function scheduleTaggingReapply(reason) {
+  const queueName = config.bullmq.queues.maintenance;
+  const maintenanceQueue = config.redis.enabled ? getQueue(queueName) : null;
+  if (!maintenanceQueue) {
+    logger.warn(`[${SERVICE_NAME}] Queue "${queueName}" not available. Tagging rules will apply to synced products on their next catalog sync only.`);
+    return null;
+  }
+  const job = await maintenanceQueue.add(
+    'ReapplyTaggingRules',
+    { taskType: 'REAPPLY_TAGGING_RULES', triggeredBy: reason },
+    { jobId: `reapply-tagging-rules-${Math.floor(Date.now() / REAPPLY_DELAY_MS)}`, delay: REAPPLY_DELAY_MS }
+  );
+  logger.info(`[${SERVICE_NAME}] Tagging rule re-apply job queued (ID: ${job.id}). Reason: ${reason}`);
+  return job.id;
+}
+
+/**
+ * 이미 동기화된 Shopify 상품에 현재 태그 규칙(과 카테고리 매핑의 태그/컬렉션)을 다시 적용합니다.
+ * 규칙으로 붙인 태그/컬렉션(SyncedProduct.ruleTags/ruleCollectionGids)만 추가/제거하며, 다른 태그는 건드리지 않습니다.
+ * 규칙 적용 기록이 없는 상품(규칙 도입 이전 동기화)은 다음 카탈로그 동기화 때 반영됩니다.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @returns {Promise<{checked: number, updated: number, errors: number}>}
+ */
+async function reapplyTaggingRulesToSyncedProducts(jobIdForLog = 'N/A') {
+  invalidateTaggingRuleCache();
+  invalidateCategoryMappingCache();
+  const rules = await getActiveTaggingRules();
+  const categoryMappingIndex = await getCategoryMappingIndex();
+  const result = { checked: 0, updated: 0, errors: 0 };
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Re-applying ${rules.length} tagging rule(s) to synced products...`);
+
+  const cursor = SyncedProduct.find({
+    shopifyGid: { $exists: true, $ne: null },
+    syncStatus: 'SYNCED',
+    delistedAt: null,
+    ruleTags: { $exists: true },
+  }).select('bunjangPid shopifyGid bunjangProductName bunjangCategoryId bunjangCategoryName bunjangBrandId bunjangOriginalPriceKrw bunjangKeywordsJson bunjangDescription ruleTags ruleCollectionGids overrides.lockedFields').lean().cursor();
+
+  for await (const doc of cursor) {
+    result.checked++;
+    const desired = resolveRuleTagging(productFromSyncedDoc(doc), rules, resolveCategoryMapping(doc.bunjangCategoryId, categoryMappingIndex));
+    const currentTags = doc.ruleTags || [];
+    const currentCollections = doc.ruleCollectionGids || [];
+    // 태그를 잠근 상품은 컬렉션만 조정 (잠금을 풀면 다음 카탈로그 동기화 때 태그 전체가 반영됨)
+    const tagsLocked = isFieldLocked(doc.overrides, 'tags');
+    // 설명이 기록되기 전에 동기화된 상품은 설명으로 붙은 태그/컬렉션일 수 있으므로 제거하지 않음 (다음 카탈로그 동기화 때 반영)
+    const descriptionKnown = typeof doc.bunjangDescription === 'string';
+    const tagsToAdd = tagsLocked ? [] : desired.tags.filter(tag => !currentTags.includes(tag));
+    const tagsToRemove = tagsLocked || !descriptionKnown ? [] : currentTags.filter(tag => !desired.tags.includes(tag));
+    const collectionsToJoin = desired.collectionGids.filter(gid => !currentCollections.includes(gid));
+    const collectionsToLeave = !descriptionKnown ? [] : currentCollections.filter(gid => !desired.collectionGids.includes(gid) && gid !== config.shopify.defaultCollectionGid);
+    if (tagsToAdd.length + tagsToRemove.length + collectionsToJoin.length + collectionsToLeave.length === 0) continue;
+
+    try {
+      if (tagsToAdd.length > 0) await shopifyService.addTagsToProduct(doc.shopifyGid, tagsToAdd);
+      if (tagsToRemove.length > 0) await shopifyService.removeTagsFromProduct(doc.shopifyGid, tagsToRemove);
+      if (collectionsToJoin.length > 0 || collectionsToLeave.length > 0) {
+        await shopifyService.updateProductCollections(doc.shopifyGid, collectionsToJoin, collectionsToLeave);
+      }
+      // 태그 변경이 다음 동기화 때 다시 반영되지 않도록 content 해시는 그대로 두고, 규칙 적용 결과만 기록
+      const ruleTags = descriptionKnown ? desired.tags : [...new Set([...currentTags, ...desired.tags])];
+      const ruleCollectionGids = descriptionKnown ? desired.collectionGids : [...new Set([...currentCollections, ...desired.collectionGids])];
+      await SyncedProduct.updateOne({ bunjangPid: doc.bunjangPid }, { $set: { ruleTags, ruleCollectionGids } });
+      result.updated++;
+      logger.debug(`[${SERVICE_NAME}:Job-${jobIdForLog}] Updated tagging for ${doc.shopifyGid} (PID ${doc.bunjangPid}). +tags [${tagsToAdd.join(', ')}], -tags [${tagsToRemove.join(', ')}], +collections ${collectionsToJoin.length}, -collections ${collectionsToLeave.length}`);
+    } catch (error) {
+      result.errors++;
+      logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] Failed to re-apply tagging rules to ${doc.shopifyGid} (PID ${doc.bunjangPid}): ${error.message}`);
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Tagging rule re-apply finished.`, result);
+  return result;
+}
+
+/**
+ * 태그 규칙이 하나도 없으면 기본 규칙(K-Pop, Kidult)을 생성합니다. 애플리케이션 시작 시 호출됩니다.
+ */
+async function seedDefaultTaggingRules() {
+  if (await TaggingRule.estimatedDocumentCount() > 0) return;
+  await TaggingRule.insertMany(DEFAULT_TAGGING_RULES, { ordered: false });
+  invalidateTaggingRuleCache();
+  logger.info(`[${SERVICE_NAME}] Seeded ${DEFAULT_TAGGING_RULES.length} default tagging rules: ${DEFAULT_TAGGING_RULES.map(rule => rule.name).join(', ')}`);
+}
+
+async function listTaggingRules() {
+  return TaggingRule.find({}).sort({ priority: 1, name: 1 }).lean();
+}
+
+async function getTaggingRule(ruleId) {
+  const rule = await TaggingRule.findById(ruleId).lean();
+  if (!rule) throw new NotFoundError('태그 규칙을 찾을 수 없습니다.', 'TaggingRule', ruleId);
+  return rule;
+}
+
+async function createTaggingRule(ruleData) {
+  validateTaggingRule(ruleData);
+  if (await TaggingRule.exists({ name: ruleData.name })) {
+    throw new ValidationError('같은 이름의 태그 규칙이 이미 있습니다.', [{ field: 'name', message: 'Duplicate rule name.', value: ruleData.name }]);
+  }
+  const rule = await TaggingRule.create(ruleData);
+  invalidateTaggingRuleCache();
+  logger.info(`[${SERVICE_NAME}] Tagging rule created: ${rule.name}.`);
+  const reapplyJobId = await scheduleTaggingReapply(`rule_created:${rule.name}`);
+  return { rule: rule.toObject(), reapplyJobId };
+}
+
+async function updateTaggingRule(ruleId, updates) {
+  const rule = await TaggingRule.findById(ruleId);
+  if (!rule) throw new NotFoundError('태그 규칙을 찾을 수 없습니다.', 'TaggingRule', ruleId);
+  if (updates.name && updates.name !== rule.name && await TaggingRule.exists({ name: updates.name })) {
+    throw new ValidationError('같은 이름의 태그 규칙이 이미 있습니다.', [{ field: 'name', message: 'Duplicate rule name.', value: updates.name }]);
+  }
+  // conditions, tags, collectionGids는 부분 수정이 아닌 전체 교체
+  rule.set(updates);
+  validateTaggingRule(rule.toObject());
+  await rule.save();
+  invalidateTaggingRuleCache();
+  logger.info(`[${SERVICE_NAME}] Tagging rule updated: ${rule.name} (enabled: ${rule.enabled}).`);
+  const reapplyJobId = await scheduleTaggingReapply(`rule_updated:${rule.name}`);
+  return { rule: rule.toObject(), reapplyJobId };
+}
+
+async function deleteTaggingRule(ruleId) {
+  const rule = await TaggingRule.findByIdAndDelete(ruleId).lean();
+  if (!rule) throw new NotFoundError('태그 규칙을 찾을 수 없습니다.', 'TaggingRule', ruleId);
+  invalidateTaggingRuleCache();
+  logger.info(`[${SERVICE_NAME}] Tagging rule deleted: ${rule.name}.`);
+  const reapplyJobId = await scheduleTaggingReapply(`rule_deleted:${rule.name}`);
+  return { rule, reapplyJobId };
+}
+
+module.exports = {
+  getActiveTaggingRules,
+  resolveRuleTagging,
+  scheduleTaggingReapply,
+  reapplyTaggingRulesToSyncedProducts,
+  seedDefaultTaggingRules,
+  listTaggingRules,
+  getTaggingRule,
+  createTaggingRule,
+  updateTaggingRule,
+  deleteTaggingRule,
+};
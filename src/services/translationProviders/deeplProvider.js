@@ -0,0 +1,51 @@
+// src/services/translationProviders/deeplProvider.js
+// DeepL API 번역 제공자. config.translation.deepl.apiKey 필요.
+
+const axios = require('axios');
+const config = require('../../config');
+const { AppError, ExternalServiceError } = require('../../utils/customErrors');
+
+const PROVIDER_NAME = 'deepl';
+const MAX_TEXTS_PER_REQUEST = 50; // DeepL 요청당 최대 텍스트 수
+
+/**
+ * 번역 제공자 인터페이스 구현 (translationService 참고).
+ * @param {string[]} texts - 번역할 텍스트 목록.
+ * @param {{sourceLang: string, targetLang: string}} options
+ * @returns {Promise<string[]>} 입력과 같은 순서의 번역 결과.
+ */
+async function translateBatch(texts, { sourceLang, targetLang }) {
+  const { apiKey, apiUrl, timeoutMs } = config.translation.deepl;
+  if (!apiKey) {
+    throw new AppError('DeepL API key (DEEPL_API_KEY) is not configured.', 500, 'TRANSLATION_CONFIG_ERROR');
+  }
+
+  const results = [];
+  for (let i = 0; i < texts.length; i += MAX_TEXTS_PER_REQUEST) {
+    const batch = texts.slice(i, i + MAX_TEXTS_PER_REQUEST);
+    try {
+      const response = await axios.post(`${apiUrl}/v2/translate`, {
+        text: batch,
+        source_lang: sourceLang.toUpperCase(),
+        target_lang: targetLang.toUpperCase(),
+        preserve_formatting: true,
+      }, {
+        headers: { Authorization: `DeepL-Auth-Key ${apiKey}` },
+        timeout: timeoutMs,
+      });
+      const translations = response.data?.translations || [];
+      if (translations.length !== batch.length) {
+        throw new Error(`DeepL returned ${translations.length} translations for ${batch.length} texts.`);
+      }
+      results.push(...translations.map(t => t.text));
+    } catch (error) {
+      throw new ExternalServiceError('DeepL', error, `DeepL 번역 요청 실패: ${error.response?.status || error.message}`, 'TRANSLATION_PROVIDER_ERROR');
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  name: PROVIDER_NAME,
+  translateBatch,
+};
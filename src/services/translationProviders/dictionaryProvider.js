@@ -0,0 +1,72 @@
+// src/services/translationProviders/dictionaryProvider.js
+// 외부 API 없이 동작하는 사전 기반 번역 제공자 (오프라인 테스트/개발용).
+// 자주 쓰이는 번개장터 판매글 표현만 영어로 바꾸며, 사전에 없는 한국어는 그대로 둡니다.
+
+const PROVIDER_NAME = 'dictionary';
+
+// 번개장터 판매글에 자주 나오는 표현 (긴 표현이 먼저 적용됨)
+const LISTING_DICTIONARY = {
+  '새상품': 'Brand new',
+  '새제품': 'Brand new',
+  '미개봉': 'Sealed',
+  '미사용': 'Unused',
+  '중고': 'Used',
+  '정품': 'Authentic',
+  '한정판': 'Limited edition',
+  '택포': 'Shipping included',
+  '택배비 포함': 'Shipping included',
+  '무료배송': 'Free shipping',
+  '급처': 'Quick sale',
+  '상태 좋음': 'Good condition',
+  '상태좋음': 'Good condition',
+  '사용감 있음': 'Signs of use',
+  '사용감있음': 'Signs of use',
+  '하자 없음': 'No defects',
+  '하자없음': 'No defects',
+  '풀박스': 'Full box',
+  '풀구성': 'Complete set',
+  '앨범': 'Album',
+  '포토카드': 'Photocard',
+  '포카': 'Photocard',
+  '응원봉': 'Light stick',
+  '굿즈': 'Merch',
+  '피규어': 'Figure',
+  '사이즈': 'Size',
+  '색상': 'Color',
+  '블랙': 'Black',
+  '화이트': 'White',
+  '가방': 'Bag',
+  '지갑': 'Wallet',
+  '신발': 'Shoes',
+  '운동화': 'Sneakers',
+  '티셔츠': 'T-shirt',
+  '후드티': 'Hoodie',
+  '자켓': 'Jacket',
+  '모자': 'Cap',
+  '팝니다': 'for sale',
+  '판매합니다': 'for sale',
+};
+
+const SORTED_ENTRIES = Object.entries(LISTING_DICTIONARY).sort((a, b) => b[0].length - a[0].length);
+
+function translateText(text) {
+  let translated = String(text);
+  for (const [korean, english] of SORTED_ENTRIES) {
+    translated = translated.split(korean).join(english);
+  }
+  return translated;
+}
+
+/**
+ * 번역 제공자 인터페이스 구현 (translationService 참고).
+ * @param {string[]} texts - 번역할 텍스트 목록.
+ * @returns {Promise<string[]>} 입력과 같은 순서의 번역 결과.
+ */
+async function translateBatch(texts) {
+  return texts.map(translateText);
+}
+
+module.exports = {
+  name: PROVIDER_NAME,
+  translateBatch,
+};
@@ -0,0 +1,168 @@
+// src/services/translationService.js
+// 번개장터 상품명/설명 한국어 -> 영어 번역 단계.
+// - 번역 제공자는 PROVIDERS에 등록 (config.translation.provider로 선택)
+//   제공자 인터페이스: { name: string, translateBatch(texts: string[], { sourceLang, targetLang }): Promise<string[]> }
+// - 용어집(config/translationGlossary.js)의 K-Pop 그룹/브랜드명은 번역 전에 영문 표기로 고정
+// - 번역 결과는 원문 해시 기준으로 TranslationCache에 저장되어, 원문이 바뀌지 않으면 다시 번역하지 않음
+//   (용어집 버전도 함께 저장하여 용어집을 수정하면 이전 용어집으로 번역한 결과는 다시 번역)
+
+const crypto = require('node:crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const TranslationCache = require('../models/translationCache.model');
+const TRANSLATION_GLOSSARY = require('../config/translationGlossary');
+const dictionaryProvider = require('./translationProviders/dictionaryProvider');
+const deeplProvider = require('./translationProviders/deeplProvider');
+const { AppError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'TranslationSvc';
+
+const PROVIDERS = {
+  [dictionaryProvider.name]: dictionaryProvider,
+  [deeplProvider.name]: deeplProvider,
+};
+
+const HANGUL_REGEX = /[\u1100-\u11FF\u3131-\u318E\uAC00-\uD7A3]/;
+
+// 긴 용어부터 적용하여 "방탄소년단"이 "방탄"보다 먼저 치환되도록 함
+const SORTED_GLOSSARY_ENTRIES = Object.entries(TRANSLATION_GLOSSARY).sort((a, b) => b[0].length - a[0].length);
+// 용어집 내용의 해시. 캐시 항목의 glossaryVersion과 다르면 캐시 미스로 처리
+const GLOSSARY_VERSION = crypto.createHash('sha256').update(JSON.stringify(SORTED_GLOSSARY_ENTRIES)).digest('hex').substring(0, 12);
+
+function getTranslationProvider() {
+  const providerName = config.translation.provider;
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new AppError(`Unknown translation provider: ${providerName}. Available: ${Object.keys(PROVIDERS).join(', ')}`, 500, 'TRANSLATION_CONFIG_ERROR');
+  }
+  return provider;
+}
+
+function containsHangul(text) {
+  return typeof text === 'string' && HANGUL_REGEX.test(text);
+}
+
+function hashSourceText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * 용어집 용어를 영문 표기로 치환합니다. 제공자가 고유명사를 임의로 번역하지 않도록 번역 전에 적용합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function applyGlossary(text) {
+  let result = text;
+  for (const [korean, english] of SORTED_GLOSSARY_ENTRIES) {
+    if (result.includes(korean)) {
+      result = result.split(korean).join(english);
+    }
+  }
+  return result;
+}
+
+/**
+ * 여러 텍스트를 번역합니다. 한글이 없는 텍스트는 그대로 반환하고, 캐시에 있는 텍스트는 제공자를 호출하지 않습니다.
+ * 제공자 호출이 실패하면 해당 텍스트는 원문을 그대로 반환하며 캐시에 저장하지 않습니다 (다음 동기화 때 재시도).
+ * @param {string[]} texts - 번역할 텍스트 목록.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @param {object} [options={}]
+ * @param {boolean} [options.cacheOnly=false] - true이면 제공자를 호출하지 않고 캐시에 있는 번역만 사용 (dry-run에서 유료 API 호출 방지).
+ * @returns {Promise<Array<{text: string, translated: boolean}>>} 입력과 같은 순서의 결과.
+ */
+async function translateTexts(texts, jobIdForLog = 'N/A', options = {}) {
+  const results = texts.map(text => ({ text, translated: false }));
+  const pendingIndexesByHash = new Map();
+  texts.forEach((text, index) => {
+    if (!containsHangul(text)) return;
+    const sourceHash = hashSourceText(text);
+    if (!pendingIndexesByHash.has(sourceHash)) pendingIndexesByHash.set(sourceHash, []);
+    pendingIndexesByHash.get(sourceHash).push(index);
+  });
+  if (pendingIndexesByHash.size === 0) return results;
+
+  const provider = getTranslationProvider();
+  const { sourceLang, targetLang } = config.translation;
+  const cacheKey = { provider: provider.name, sourceLang, targetLang };
+
+  const applyResult = (sourceHash, translatedText) => {
+    for (const index of pendingIndexesByHash.get(sourceHash)) {
+      results[index] = { text: translatedText, translated: true };
+    }
+    pendingIndexesByHash.delete(sourceHash);
+  };
+
+  const cachedEntries = await TranslationCache.find({ ...cacheKey, glossaryVersion: GLOSSARY_VERSION, sourceHash: { $in: [...pendingIndexesByHash.keys()] } })
+    .select('sourceHash translatedText').lean();
+  if (cachedEntries.length > 0) {
+    cachedEntries.forEach(entry => applyResult(entry.sourceHash, entry.translatedText));
+    await TranslationCache.updateMany(
+      { ...cacheKey, sourceHash: { $in: cachedEntries.map(entry => entry.sourceHash) } },
+      { $inc: { hitCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  const missingHashes = [...pendingIndexesByHash.keys()];
+  if (missingHashes.length === 0) return results;
+  if (options.cacheOnly) {
+    logger.debug(`[${SERVICE_NAME}:Job-${jobIdForLog}] Cache-only translation: ${missingHashes.length} uncached text(s) kept as original.`);
+    return results;
+  }
+
+  const sourceTexts = missingHashes.map(sourceHash => texts[pendingIndexesByHash.get(sourceHash)[0]]);
+  let translatedTexts;
+  try {
+    translatedTexts = await provider.translateBatch(sourceTexts.map(applyGlossary), { sourceLang, targetLang });
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobIdForLog}] Provider '${provider.name}' failed to translate ${sourceTexts.length} text(s). Keeping original text: ${error.message}`);
+    return results;
+  }
+
+  const now = new Date();
+  const cacheOps = [];
+  missingHashes.forEach((sourceHash, i) => {
+    const translatedText = translatedTexts[i];
+    if (typeof translatedText !== 'string' || !translatedText.trim()) return;
+    applyResult(sourceHash, translatedText);
+    cacheOps.push({
+      updateOne: {
+        filter: { ...cacheKey, sourceHash },
+        update: { $set: { translatedText, glossaryVersion: GLOSSARY_VERSION, sourceLength: sourceTexts[i].length, lastUsedAt: now } },
+        upsert: true,
+      },
+    });
+  });
+  if (cacheOps.length > 0) {
+    await TranslationCache.bulkWrite(cacheOps, { ordered: false });
+  }
+  logger.debug(`[${SERVICE_NAME}:Job-${jobIdForLog}] Translated ${cacheOps.length} text(s) with '${provider.name}' (cache hits: ${cachedEntries.length}).`);
+  return results;
+}
+
+/**
+ * 번개장터 상품의 상품명과 설명을 번역합니다.
+ * @param {object} bunjangProduct - processCatalogRow로 처리된 번개장터 상품.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @param {{cacheOnly?: boolean}} [options={}] - translateTexts 옵션.
+ * @returns {Promise<{title: string, description: string, translated: boolean}|null>} 번역 비활성화 또는 번역할 한국어가 없으면 null.
+ */
+async function translateListing(bunjangProduct, jobIdForLog = 'N/A', options = {}) {
+  if (!config.translation.enabled) return null;
+  const title = bunjangProduct.name || '';
+  const description = bunjangProduct.description || '';
+  if (!containsHangul(title) && !containsHangul(description)) return null;
+
+  const [titleResult, descriptionResult] = await translateTexts([title, description], jobIdForLog, options);
+  return {
+    title: titleResult.text,
+    description: descriptionResult.text,
+    translated: titleResult.translated || descriptionResult.translated,
+  };
+}
+
+module.exports = {
+  translateTexts,
+  translateListing,
+  applyGlossary,
+  containsHangul,
+};
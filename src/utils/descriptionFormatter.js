@@ -0,0 +1,104 @@
+// src/utils/descriptionFormatter.js
+// 번개장터 상품 설명(대부분 일반 텍스트)을 Shopify descriptionHtml용 HTML로 변환합니다.
+// - 판매자 연락처(전화번호, 카카오톡 ID/오픈채팅, 이메일)는 스토어에 노출되지 않도록 가림
+// - 줄바꿈은 문단/<br />로, 글머리 기호(-, •, ✔, 이모지 등)로 시작하는 줄은 목록으로, 구분선은 <hr />로 변환
+// - 이미 HTML인 설명은 htmlSanitizer의 허용 목록으로 정제
+
+const { sanitizeHtml, escapeHtml } = require('./htmlSanitizer');
+
+const CONTACT_REDACTION_TEXT = '[contact info removed]';
+
+const CONTACT_PATTERNS = [
+  // 카카오톡 오픈채팅/채널 링크
+  /(?:https?:\/\/)?(?:open|pf|qr)\.kakao\.com\/[^\s<>"']*/gi,
+  // 카카오톡 ID (예: "카톡 abc123", "kakao id: abc_123", "오픈채팅 @abc")
+  /(?:카카오\s*톡|카톡|카카오|kakao\s*talk|kakao|katalk|오픈\s*채팅|오픈톡)\s*(?:id|아이디)?\s*[:：]?\s*@?[A-Za-z0-9][A-Za-z0-9._-]{2,}/gi,
+  // 이메일
+  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  // 전화번호 (휴대폰, 지역번호, 070, 050x 안심번호, +82 국제 표기)
+  /(?<!\d)(?:\+?82[\s.-]*0?|0)(?:1[016789]|2|[3-6][1-5]|70|50\d)[\s.)-]*\d{3,4}[\s.-]*\d{4}(?!\d)/g,
+];
+
+const HTML_TAG_REGEX = /<\/?(?:p|br|div|ul|ol|li|strong|b|em|i|u|span|h[1-6]|a|img|table|script|style|iframe)\b[^>]*>/i;
+const SEPARATOR_LINE_REGEX = /^[-=_~*·.━─═]{3,}$/;
+const NUMBERED_LINE_REGEX = /^\d{1,2}[.)]\s+(.+)$/;
+const BULLET_LINE_REGEX = /^(?:[-*+](?=\s)|(?:[•·▪▫◦●○■□◆◇▶▷►▸✓✔☑※★☆♡♥]|\p{Extended_Pictographic})[\p{M}\p{Cf}\p{Emoji_Modifier}]*)+\s*(.+)$/u;
+
+/**
+ * 판매자 연락처 정보를 가립니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactSellerContactInfo(text) {
+  if (!text) return text;
+  return CONTACT_PATTERNS.reduce((result, pattern) => result.replace(pattern, CONTACT_REDACTION_TEXT), String(text));
+}
+
+function classifyLine(line) {
+  if (SEPARATOR_LINE_REGEX.test(line)) return { type: 'hr' };
+  const numbered = line.match(NUMBERED_LINE_REGEX);
+  if (numbered) return { type: 'ol', text: numbered[1] };
+  const bullet = line.match(BULLET_LINE_REGEX);
+  if (bullet) return { type: 'ul', text: bullet[1] };
+  return { type: 'p', text: line };
+}
+
+/**
+ * 일반 텍스트 설명을 구조화된 HTML로 변환합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function formatPlainTextDescription(text) {
+  const blocks = [];
+  let current = null; // { type: 'p'|'ul'|'ol', lines: string[] }
+
+  const flush = () => {
+    if (!current) return;
+    if (current.type === 'p') {
+      blocks.push(`<p>${current.lines.map(escapeHtml).join('<br />')}</p>`);
+    } else {
+      blocks.push(`<${current.type}>${current.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</${current.type}>`);
+    }
+    current = null;
+  };
+
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) {
+      flush();
+      continue;
+    }
+    const { type, text: lineText } = classifyLine(line);
+    if (type === 'hr') {
+      flush();
+      if (blocks.length > 0 && blocks[blocks.length - 1] !== '<hr />') blocks.push('<hr />');
+      continue;
+    }
+    if (current && current.type !== type) flush();
+    if (!current) current = { type, lines: [] };
+    current.lines.push(lineText.trim());
+  }
+  flush();
+  if (blocks[blocks.length - 1] === '<hr />') blocks.pop();
+  return blocks.join('\n');
+}
+
+/**
+ * 번개장터 상품 설명을 안전한 Shopify descriptionHtml로 변환합니다.
+ * 연락처 가림 후 일반 텍스트는 구조화된 HTML로, HTML은 허용 목록으로 정제합니다.
+ * @param {string} description - 번개장터 상품 설명 (일반 텍스트 또는 HTML).
+ * @returns {string} 정제된 HTML. 설명이 비어 있으면 빈 문자열.
+ */
+function formatDescriptionHtml(description) {
+  if (!description || !String(description).trim()) return '';
+  const redacted = redactSellerContactInfo(String(description).trim());
+  if (HTML_TAG_REGEX.test(redacted)) {
+    return sanitizeHtml(redacted).trim();
+  }
+  return formatPlainTextDescription(redacted);
+}
+
+module.exports = {
+  formatDescriptionHtml,
+  redactSellerContactInfo,
+};
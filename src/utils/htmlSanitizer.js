@@ -0,0 +1,117 @@
+// src/utils/htmlSanitizer.js
+// 허용 목록(allow-list) 기반 HTML 정제기.
+// 허용된 태그/속성만 다시 만들어 출력하고, 그 외 태그는 벗겨내며(내용은 유지), 스크립트성 태그는 내용까지 제거합니다.
+// 텍스트는 항상 이스케이프되므로 결과를 Shopify descriptionHtml에 그대로 넣을 수 있습니다.
+
+// 허용 태그 -> 허용 속성 목록
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [],
+  ul: [], ol: [], li: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [],
+  h3: [], h4: [], h5: [], h6: [],
+  blockquote: [], span: [], div: [],
+  a: ['href', 'title'],
+};
+const VOID_TAGS = new Set(['br', 'hr']);
+// 내용까지 통째로 제거할 태그
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math', 'textarea', 'select', 'head', 'title', 'frameset', 'applet']);
+const ALLOWED_URL_SCHEMES = /^(?:https?:)?\/\//i;
+
+const TOKEN_REGEX = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>?|<\?[^>]*>?|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_REGEX = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]{1,31}|#\d{1,7}|#x[0-9a-fA-F]{1,6});)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// href 검사용으로 엔티티/제어문자를 풀어 "java&#115;cript:" 같은 우회를 막음
+function normalizeUrlForCheck(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+}
+
+function buildAttributes(tagName, rawAttributes) {
+  const allowedAttributes = ALLOWED_TAGS[tagName];
+  if (!allowedAttributes.length || !rawAttributes) return '';
+
+  const attributes = [];
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_REGEX)) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!allowedAttributes.includes(name) || attributes.some(attr => attr.name === name)) continue;
+    if (name === 'href' && !ALLOWED_URL_SCHEMES.test(normalizeUrlForCheck(value))) continue;
+    attributes.push({ name, value });
+  }
+  if (tagName === 'a' && attributes.some(attr => attr.name === 'href')) {
+    attributes.push({ name: 'rel', value: 'nofollow noopener noreferrer' });
+  }
+  return attributes.map(({ name, value }) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/**
+ * HTML을 허용 목록 기준으로 정제합니다.
+ * - 허용되지 않은 태그는 제거하고 내용만 남김, script/style/iframe 등은 내용까지 제거
+ * - 허용 속성 외 속성(on* 이벤트, style 등) 제거, href는 http(s) URL만 허용
+ * - 주석/DOCTYPE 제거, 닫히지 않은 태그는 끝에서 닫아 줌
+ * @param {string} html
+ * @returns {string} 정제된 HTML.
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+  const source = String(html);
+  const output = [];
+  const openTags = [];
+  let lastIndex = 0;
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(source)) !== null) {
+    output.push(escapeHtml(source.slice(lastIndex, match.index)));
+    lastIndex = TOKEN_REGEX.lastIndex;
+
+    const tagName = match[1]?.toLowerCase();
+    if (!tagName) continue; // 주석, DOCTYPE, CDATA, 처리 명령
+    const isClosing = match[0].startsWith('</');
+
+    if (DROP_CONTENT_TAGS.has(tagName)) {
+      if (!isClosing) {
+        const closingIndex = source.toLowerCase().indexOf(`</${tagName}`, lastIndex);
+        const closingEnd = closingIndex === -1 ? -1 : source.indexOf('>', closingIndex);
+        lastIndex = closingEnd === -1 ? source.length : closingEnd + 1;
+        TOKEN_REGEX.lastIndex = lastIndex;
+      }
+      continue;
+    }
+    if (!Object.hasOwn(ALLOWED_TAGS, tagName)) continue;
+
+    if (VOID_TAGS.has(tagName)) {
+      if (!isClosing) output.push(`<${tagName} />`);
+    } else if (isClosing) {
+      const openIndex = openTags.lastIndexOf(tagName);
+      if (openIndex === -1) continue; // 짝이 없는 닫는 태그 무시
+      while (openTags.length > openIndex) {
+        output.push(`</${openTags.pop()}>`);
+      }
+    } else {
+      openTags.push(tagName);
+      output.push(`<${tagName}${buildAttributes(tagName, match[2])}>`);
+    }
+  }
+  output.push(escapeHtml(source.slice(lastIndex)));
+  while (openTags.length > 0) {
+    output.push(`</${openTags.pop()}>`);
+  }
+  return output.join('');
+}
+
+module.exports = {
+  sanitizeHtml,
+  escapeHtml,
+};
@@ -0,0 +1,67 @@
+// src/utils/productRuleMatcher.js
+// 번개장터 상품이 규칙 조건(카테고리, 브랜드, 가격, 키워드 등)에 해당하는지 평가하는 공통 헬퍼입니다.
+// 카탈로그 필터 규칙(catalogFilterService)과 태그/컬렉션 규칙(taggingRuleService)에서 사용합니다.
+
+const LIST_CONDITIONS = ['categoryIds', 'brandIds', 'sellerUids', 'productConditions', 'keywords'];
+const RANGE_CONDITIONS = [['minPriceKrw', 'maxPriceKrw'], ['minShippingFeeKrw', 'maxShippingFeeKrw']];
+const KEYWORD_FIELDS = ['name', 'description', 'categoryName', 'keywords'];
+
+/**
+ * 지정된 조건이 하나라도 있는지 확인합니다. (조건 없는 규칙은 모든 상품에 해당)
+ * @param {object} [conditions={}]
+ * @returns {boolean}
+ */
+function hasAnyProductCondition(conditions = {}) {
+  return LIST_CONDITIONS.some(key => Array.isArray(conditions[key]) && conditions[key].length > 0) ||
+    RANGE_CONDITIONS.some(([minKey, maxKey]) => typeof conditions[minKey] === 'number' || typeof conditions[maxKey] === 'number') ||
+    conditions.missingImages === true;
+}
+
+/**
+ * 최소값이 최대값보다 큰 범위 조건을 찾습니다.
+ * @param {object} [conditions={}]
+ * @returns {Array<{field: string, message: string}>} 유효성 오류 목록.
+ */
+function findInvalidRangeConditions(conditions = {}) {
+  return RANGE_CONDITIONS
+    .filter(([minKey, maxKey]) => typeof conditions[minKey] === 'number' && typeof conditions[maxKey] === 'number' && conditions[minKey] > conditions[maxKey])
+    .map(([minKey, maxKey]) => ({ field: `conditions.${minKey}`, message: `${minKey}는 ${maxKey}보다 클 수 없습니다.` }));
+}
+
+/**
+ * 상품이 규칙 조건에 해당하는지 평가합니다. 지정된 조건은 모두 만족해야 하며(AND), 지정하지 않은 조건은 무시합니다.
+ * - categoryIds: 카테고리 ID 접두어 일치 (하위 카테고리 포함)
+ * - keywords: 상품명, 설명, 카테고리명, 번개장터 키워드 중 하나라도 키워드를 포함하면 해당 (대소문자 무시)
+ * @param {object} conditions - 규칙 조건.
+ * @param {object} product - 번개장터 상품 (pid, name, description, categoryId, categoryName, brandId, uid, price, shippingFee, condition, keywords).
+ * @param {{hasImages?: boolean}} [facts={}] - 행에서 미리 계산한 값 (missingImages 조건용).
+ * @returns {boolean}
+ */
+function matchesProductConditions(conditions, product, facts = {}) {
+  const { categoryIds, brandIds, sellerUids, productConditions, keywords } = conditions || {};
+  if (categoryIds?.length && !categoryIds.some(id => product.categoryId && String(product.categoryId).startsWith(id))) return false;
+  if (brandIds?.length && !brandIds.includes(product.brandId)) return false;
+  if (sellerUids?.length && !sellerUids.includes(product.uid)) return false;
+  if (productConditions?.length && !productConditions.includes(product.condition)) return false;
+  if (typeof conditions.minPriceKrw === 'number' && !(product.price >= conditions.minPriceKrw)) return false;
+  if (typeof conditions.maxPriceKrw === 'number' && !(product.price <= conditions.maxPriceKrw)) return false;
+  const shippingFee = isNaN(product.shippingFee) ? 0 : product.shippingFee;
+  if (typeof conditions.minShippingFeeKrw === 'number' && shippingFee < conditions.minShippingFeeKrw) return false;
+  if (typeof conditions.maxShippingFeeKrw === 'number' && shippingFee > conditions.maxShippingFeeKrw) return false;
+  if (conditions.missingImages === true && facts.hasImages) return false;
+  if (keywords?.length) {
+    const haystack = KEYWORD_FIELDS
+      .flatMap(field => (Array.isArray(product[field]) ? product[field] : [product[field]]))
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    if (!keywords.some(keyword => haystack.includes(String(keyword).toLowerCase()))) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  hasAnyProductCondition,
+  findInvalidRangeConditions,
+  matchesProductConditions,
+};